@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { planShapeDelete } = require("./cascade");
+const { validateShape } = require("./validation");
+
+const node = (id, extra) => ({ id, type: "node", x: id * 10, y: 0, nodeType: "ground", ...extra });
+const trace = (id, node1Id, node2Id) => ({ id, type: "connection", node1Id, node2Id });
+const zone = (id, nodeId) => ({ id, type: "zone", nodeId, points: [0, 0, 50, 0, 50, 50, 0, 0] });
+
+test("zones on a deleted node move to another node of the same net", () => {
+    const project = {
+        shapes: [node(1), node(2), node(3), trace(10, 1, 2), trace(11, 2, 3), zone(20, 2), zone(21, 3)],
+        labels: []
+    };
+    const { removed, zones } = planShapeDelete(project, project.shapes[1]);
+    assert.deepStrictEqual(removed.map((s) => s.id), [2, 10, 11]);
+    assert.deepStrictEqual(zones, [{ ...zone(20, 2), nodeId: 1 }]);
+});
+
+test("zones lose their node when the whole net is deleted with a component", () => {
+    const component = { id: 5, type: "component", refdes: "J1" };
+    const project = {
+        shapes: [component, node(1, { componentId: 5 }), node(2, { componentId: 5 }), trace(10, 1, 2), zone(20, 1)],
+        labels: [{ id: 30, x: 2, y: 3, text: "GND", fontSize: 12, nodeId: 2, showNet: true }]
+    };
+    const { removed, labels, zones } = planShapeDelete(project, component);
+    assert.deepStrictEqual(removed.map((s) => s.id), [5, 1, 2, 10]);
+    assert.deepStrictEqual(zones, [{ ...zone(20, 1), nodeId: null }]);
+    assert.deepStrictEqual(labels, [{ ...project.labels[0], x: 22, y: 3, nodeId: null, showNet: false }]);
+
+    // What is left still passes validation, e.g. when saved as a new project
+    const shapes = project.shapes.filter((s) => !removed.includes(s)).map((s) => zones.find((z) => z.id === s.id) || s);
+    assert.deepStrictEqual(validateShape(zones[0], { existing: zone(20, 1), shapes }), []);
+});
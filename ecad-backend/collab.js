@@ -0,0 +1,92 @@
+const { WebSocketServer } = require("ws");
+const { validatePresence } = require("./validation");
+
+// Path of the collaboration channel; clients connect to /collab?project=<project id>&client=<client id>
+const COLLAB_PATH = "/collab";
+
+/**
+ * Sends a message to a socket if it is still open.
+ * @param {WebSocket} socket
+ * @param {object} message - Sent as JSON
+ */
+const send = (socket, message) => {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+};
+
+/**
+ * Adds the real-time collaboration channel to the HTTP server.
+ * Everyone viewing a project is in its room. Changes made through the REST API are broadcast to the whole room,
+ * the client that made them included, in the order the server applied them; clients merge them as described in
+ * src/utils/collab.js. Users also share their name, cursor and selection, which are passed on to the others.
+ * @param {http.Server} server - Server the Express app runs on
+ * @param {function(string): boolean} hasProject - Whether a project id exists
+ * @returns {{publish: function(string, (string|null), object[]): void, closeProject: function(string): void}}
+ *   publish broadcasts the changed items of a project on behalf of a client; closeProject disconnects everyone
+ *   from a deleted project
+ */
+const attachCollaboration = (server, hasProject) => {
+    const wss = new WebSocketServer({ server, path: COLLAB_PATH });
+    const rooms = new Map(); // Project id -> Map of client id -> { socket, presence }
+
+    /**
+     * Sends a message to everyone in a project's room.
+     * @param {string} projectId
+     * @param {object} message
+     * @param {string} [exceptId] - Client to leave out
+     */
+    const toRoom = (projectId, message, exceptId) =>
+        (rooms.get(projectId) || new Map()).forEach((member, id) => id !== exceptId && send(member.socket, message));
+
+    wss.on("connection", (socket, req) => {
+        const params = new URL(req.url, "http://localhost").searchParams;
+        const projectId = params.get("project");
+        const clientId = params.get("client");
+        if (!clientId || !hasProject(projectId)) return socket.close(4004, "Project not found");
+
+        if (!rooms.has(projectId)) rooms.set(projectId, new Map());
+        const room = rooms.get(projectId);
+        // A client that reconnects before its old connection timed out replaces it
+        room.get(clientId)?.socket.close(4009, "Connected again");
+        const member = { socket, presence: null };
+        room.set(clientId, member);
+        send(socket, {
+            type: "welcome",
+            peers: [...room]
+                .filter(([id, m]) => id !== clientId && m.presence)
+                .map(([id, m]) => ({ clientId: id, ...m.presence }))
+        });
+
+        // Presence is the only message clients send; anything malformed is ignored
+        socket.on("message", (data) => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch {
+                return;
+            }
+            if (message?.type !== "presence" || validatePresence(message).length) return;
+            const { name, cursor, selection } = message;
+            member.presence = {
+                name: name.trim(),
+                cursor: cursor && { x: cursor.x, y: cursor.y },
+                selection: { shapeIds: selection.shapeIds, labelIds: selection.labelIds }
+            };
+            toRoom(projectId, { type: "presence", clientId, ...member.presence }, clientId);
+        });
+
+        socket.on("close", () => {
+            if (room.get(clientId) !== member) return;
+            room.delete(clientId);
+            if (!room.size) rooms.delete(projectId);
+            toRoom(projectId, { type: "leave", clientId });
+        });
+    });
+
+    return {
+        publish: (projectId, clientId, items) => toRoom(projectId, { type: "change", clientId, items }),
+        closeProject: (projectId) =>
+            (rooms.get(projectId) || new Map()).forEach((member) => member.socket.close(4004, "Project deleted"))
+    };
+};
+
+module.exports = { attachCollaboration };
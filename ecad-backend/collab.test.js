@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const WebSocket = require("ws");
+const { startServer, stopServer } = require("./fixture");
+
+const { before, after } = test;
+let api;
+
+before(async () => {
+    api = await startServer();
+});
+
+after(() => stopServer(api));
+
+/**
+ * Joins a project's room like the app does.
+ * @param {string} projectId
+ * @param {string} clientId
+ * @returns {Promise<WebSocket>} Open socket with next() resolving to the next message received and closed
+ *   resolving to { code, reason }
+ */
+const join = (projectId, clientId) => new Promise((resolve, reject) => {
+    const socket = new WebSocket(`${api.url.replace(/^http/, "ws")}/collab?project=${projectId}&client=${clientId}`);
+    const received = [];
+    const waiting = [];
+    socket.on("message", (data) => {
+        const message = JSON.parse(data);
+        if (waiting.length) waiting.shift()(message);
+        else received.push(message);
+    });
+    socket.next = () => (received.length ? Promise.resolve(received.shift()) : new Promise((r) => waiting.push(r)));
+    socket.closed = new Promise((r) => socket.on("close", (code, reason) => r({ code, reason: String(reason) })));
+    socket.on("open", () => resolve(socket));
+    socket.on("error", reject);
+});
+
+const createProject = async (name) => (await api.request("POST", "/projects", { name })).body.id;
+
+const node = (id) => ({ id, type: "node", nodeType: "power", x: id, y: 0, radius: 5, color: "red", layer: "footprint" });
+
+test("joining welcomes the client with the others' presence and tells them when it leaves", async () => {
+    const projectId = await createProject("Room");
+    const ada = await join(projectId, "ada");
+    assert.deepStrictEqual(await ada.next(), { type: "welcome", peers: [] });
+    const bob = await join(projectId, "bob");
+    assert.deepStrictEqual(await bob.next(), { type: "welcome", peers: [] });
+
+    // Malformed messages are dropped, so the first thing Bob hears is Ada's presence
+    ada.send("not json");
+    ada.send(JSON.stringify({ type: "presence", name: "" }));
+    const selection = { shapeIds: [1], labelIds: [] };
+    ada.send(JSON.stringify({ type: "presence", name: " Ada ", cursor: { x: 1, y: 2 }, selection }));
+    const shared = { name: "Ada", cursor: { x: 1, y: 2 }, selection };
+    assert.deepStrictEqual(await bob.next(), { type: "presence", clientId: "ada", ...shared });
+
+    // Someone joining later learns who is there from the welcome
+    const cleo = await join(projectId, "cleo");
+    assert.deepStrictEqual(await cleo.next(), { type: "welcome", peers: [{ clientId: "ada", ...shared }] });
+    cleo.close();
+    assert.deepStrictEqual(await ada.next(), { type: "leave", clientId: "cleo" });
+    assert.deepStrictEqual(await bob.next(), { type: "leave", clientId: "cleo" });
+    ada.close();
+    bob.close();
+    await Promise.all([ada.closed, bob.closed]);
+});
+
+test("unknown projects and clients without an id are turned away", async () => {
+    const stranger = await join("nope", "ada");
+    assert.deepStrictEqual(await stranger.closed, { code: 4004, reason: "Project not found" });
+    const anonymous = await join(await createProject("Anonymous"), "");
+    assert.strictEqual((await anonymous.closed).code, 4004);
+});
+
+test("a client that connects again replaces its old connection", async () => {
+    const projectId = await createProject("Reconnect");
+    const first = await join(projectId, "ada");
+    const second = await join(projectId, "ada");
+    assert.deepStrictEqual(await first.closed, { code: 4009, reason: "Connected again" });
+    assert.strictEqual((await second.next()).type, "welcome");
+    second.close();
+    await second.closed;
+});
+
+test("changes reach the whole room in the order the server applied them", async () => {
+    const projectId = await createProject("Changes");
+    const ada = await join(projectId, "ada");
+    const bob = await join(projectId, "bob");
+    await ada.next();
+    await bob.next();
+
+    const route = `/projects/${projectId}/shapes`;
+    await Promise.all([1, 2, 3, 4, 5].map((id) => api.request("POST", route, node(id), { "X-Client-Id": "ada" })));
+    await api.request("PATCH", `${route}/3`, { x: 30 }, { "X-Client-Id": "bob" });
+    await api.request("DELETE", `${route}/1`);
+
+    // The project keeps its shapes in the order they were added; edits keep their place
+    const applied = (await api.request("GET", route)).body.map((s) => s.id);
+    for (const socket of [ada, bob]) {
+        const added = [];
+        for (let i = 0; i < 5; i++) {
+            const message = await socket.next();
+            assert.strictEqual(message.clientId, "ada");
+            added.push(message.items[0].id);
+        }
+        assert.deepStrictEqual(added.filter((id) => id !== 1), applied);
+        assert.deepStrictEqual(await socket.next(), {
+            type: "change", clientId: "bob", items: [{ kind: "shape", id: 3, value: { ...node(3), x: 30 } }]
+        });
+        assert.deepStrictEqual(await socket.next(), {
+            type: "change", clientId: null, items: [{ kind: "shape", id: 1, value: null }]
+        });
+    }
+    ada.close();
+    bob.close();
+    await Promise.all([ada.closed, bob.closed]);
+});
+
+test("deleting a project disconnects its room with 4004", async () => {
+    const projectId = await createProject("Doomed");
+    const ada = await join(projectId, "ada");
+    await ada.next();
+    await api.request("DELETE", `/projects/${projectId}`);
+    assert.deepStrictEqual(await ada.closed, { code: 4004, reason: "Project deleted" });
+});
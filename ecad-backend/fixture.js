@@ -0,0 +1,45 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Starts the API for a test file on a free port, with its projects and materials in a new temporary directory.
+ * The store reads its file locations when first required, so this must run before anything requires it.
+ * @returns {Promise<{url: string, dir: string, dataFile: string, server: http.Server, request: function}>}
+ *   request(method, path, body, headers) resolves to { status, body } with the body parsed when it is JSON;
+ *   a string body is sent as it is
+ */
+async function startServer() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ecad-backend-"));
+    const dataFile = path.join(dir, "projects.json");
+    process.env.ECAD_DATA_FILE = dataFile;
+    process.env.ECAD_MATERIALS_FILE = path.join(dir, "materials.json");
+    const { server } = require("./index");
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (method, route, body, headers = {}) => {
+        const res = await fetch(`${url}${route}`, {
+            method,
+            headers: { "Content-Type": "application/json", ...headers },
+            body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body)
+        });
+        const text = await res.text();
+        const json = (res.headers.get("content-type") || "").includes("application/json");
+        return { status: res.status, body: json ? JSON.parse(text) : text };
+    };
+    return { url, dir, dataFile, server, request };
+}
+
+/**
+ * Stops a server from startServer and removes its data.
+ * @param {{server: http.Server, dir: string}} started
+ * @returns {Promise<void>}
+ */
+async function stopServer({ server, dir }) {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+module.exports = { startServer, stopServer };
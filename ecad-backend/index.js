@@ -1,33 +1,400 @@
 const express = require("express");
 const cors = require("cors");
 const bodyParser = require("body-parser");
+const crypto = require("crypto");
+const http = require("http");
+const { loadProjects, saveProjects, loadMaterials, saveMaterials } = require("./store");
+const {
+    validateShape,
+    validateLabel,
+    validateDrcRules,
+    validateBoardSize,
+    validateLayerStack,
+    validateLoads,
+    validateMaterial
+} = require("./validation");
+const { DEFAULT_MATERIALS } = require("./materials");
+const { planShapeDelete } = require("./cascade");
+const { attachCollaboration } = require("./collab");
 
 const app = express();
 app.use(cors());
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: "20mb" }));
 
-let shapes = [];
+// Projects saved before labels were stored get an empty label list
+let projects = loadProjects().map((p) => ({ labels: [], ...p }));
 
-// Get all shapes
-app.get("/shapes", (req, res) => {
-    res.json(shapes);
+// Real-time channel on the same port as the REST API
+const server = http.createServer(app);
+const collab = attachCollaboration(server, (id) => projects.some((p) => p.id === id));
+
+/**
+ * Persists the in-memory project list to disk.
+ */
+const commit = () => saveProjects(projects);
+
+/**
+ * Strips the design data from a project for list responses.
+ * @param {object} project - Stored project
+ * @returns {object} Project metadata
+ */
+const summarize = ({ id, name, createdAt, updatedAt, shapes }) =>
+    ({ id, name, createdAt, updatedAt, shapeCount: shapes.length });
+
+/**
+ * Looks up the project named by :id, sending a 404 if it does not exist.
+ * @returns {object|undefined} The project, or undefined when a response was already sent
+ */
+const findProject = (req, res) => {
+    const project = projects.find((p) => p.id === req.params.id);
+    if (!project) res.status(404).json({ error: `Project ${req.params.id} not found` });
+    return project;
+};
+
+/**
+ * Sends a 400 listing every validation problem, if there are any.
+ * @param {object} res - Express response
+ * @param {string[]} errors - Validation messages
+ * @returns {boolean} True when the request was rejected
+ */
+const rejectInvalid = (res, errors) => {
+    if (!errors.length) return false;
+    res.status(400).json({ error: `Invalid request body: ${errors.join("; ")}`, details: errors });
+    return true;
+};
+
+/**
+ * Looks up an item of a project collection by the numeric id in the given route param, sending a 404 if missing.
+ * @param {object[]} items - Project shapes or labels
+ * @param {string} kind - "Shape" or "Label" for the error message
+ * @param {string} param - Route param holding the id
+ * @returns {object|undefined} The item, or undefined when a response was already sent
+ */
+const findItem = (items, kind, req, res, param) => {
+    const id = Number(req.params[param]);
+    const item = items.find((i) => i.id === id);
+    if (!item) res.status(404).json({ error: `${kind} ${req.params[param]} not found` });
+    return item;
+};
+
+/**
+ * Checks that net names map net keys to non-empty strings.
+ * @param {*} netNames - Value from the request body
+ * @returns {boolean}
+ */
+const validNetNames = (netNames) =>
+    Boolean(netNames) && typeof netNames === "object" && !Array.isArray(netNames) &&
+    Object.values(netNames).every((n) => typeof n === "string" && n.trim());
+
+/**
+ * Marks a project as modified and saves.
+ * @param {object} project - Project that changed
+ */
+const touch = (project) => {
+    project.updatedAt = new Date().toISOString();
+    commit();
+};
+
+/**
+ * Broadcasts changed items of a project to everyone viewing it.
+ * The client that made the change is named by the X-Client-Id request header.
+ * @param {object} req - Express request that made the change
+ * @param {object} project - Project that changed
+ * @param {string} kind - "shape", "label" or "project"
+ * @param {Array<[(number|string), *]>} entries - [id, stored value] pairs; null for a deleted item, the field
+ *   name and its value for project fields
+ */
+const publish = (req, project, kind, entries) =>
+    collab.publish(project.id, req.get("X-Client-Id") || null, entries.map(([id, value]) => ({ kind, id, value })));
+
+// List all projects
+app.get("/projects", (req, res) => {
+    res.json(projects.map(summarize));
 });
 
-// Add a shape
-app.post("/shapes", (req, res) => {
+// Create a project, optionally filled with shapes and labels (e.g. from an opened project file)
+app.post("/projects", (req, res) => {
+    const name = String(req.body.name || "").trim();
+    if (!name) return res.status(400).json({ error: "Project name is required" });
+    const shapes = req.body.shapes || [];
+    const labels = req.body.labels || [];
+    const netNames = req.body.netNames || {};
+    if (!Array.isArray(shapes) || !Array.isArray(labels)) {
+        return res.status(400).json({ error: "shapes and labels must be arrays" });
+    }
+    if (!validNetNames(netNames)) {
+        return res.status(400).json({ error: "netNames must map net keys to non-empty names" });
+    }
+    // Connections and label anchors are checked against the nodes sent in the same request
+    const errors = [
+        ...(req.body.drcRules !== undefined ? validateDrcRules(req.body.drcRules) : []),
+        ...(req.body.boardSize !== undefined ? validateBoardSize(req.body.boardSize) : []),
+        ...(req.body.layerStack !== undefined ? validateLayerStack(req.body.layerStack) : []),
+        ...(req.body.loads !== undefined ? validateLoads(req.body.loads) : []),
+        ...shapes.flatMap((s, i) => validateShape(s, { shapes }).map((e) => `shapes[${i}]: ${e}`)),
+        ...labels.flatMap((l, i) => validateLabel(l, { shapes }).map((e) => `labels[${i}]: ${e}`))
+    ];
+    if (rejectInvalid(res, errors)) return;
+    const now = new Date().toISOString();
+    const project = { id: crypto.randomUUID(), name, createdAt: now, updatedAt: now, shapes, labels, netNames };
+    if (req.body.drcRules !== undefined) project.drcRules = req.body.drcRules;
+    if (req.body.boardSize !== undefined) project.boardSize = req.body.boardSize;
+    if (req.body.layerStack !== undefined) project.layerStack = req.body.layerStack;
+    if (req.body.loads !== undefined) project.loads = req.body.loads;
+    projects.push(project);
+    commit();
+    res.status(201).json(summarize(project));
+});
+
+// Get a project with all of its shapes
+app.get("/projects/:id", (req, res) => {
+    const project = findProject(req, res);
+    if (project) res.json(project);
+});
+
+// Rename a project or update its net names, design rules, board size, layer stack or DC loads
+app.patch("/projects/:id", (req, res) => {
+    const project = findProject(req, res);
+    if (!project) return;
+    const { name, netNames, drcRules, boardSize, layerStack, loads } = req.body;
+    if (name !== undefined && !String(name).trim()) {
+        return res.status(400).json({ error: "Project name cannot be empty" });
+    }
+    if (netNames !== undefined && !validNetNames(netNames)) {
+        return res.status(400).json({ error: "netNames must map net keys to non-empty names" });
+    }
+    if (drcRules !== undefined && rejectInvalid(res, validateDrcRules(drcRules))) return;
+    if (boardSize !== undefined && rejectInvalid(res, validateBoardSize(boardSize))) return;
+    if (layerStack !== undefined && rejectInvalid(res, validateLayerStack(layerStack))) return;
+    if (loads !== undefined && rejectInvalid(res, validateLoads(loads))) return;
+    if ([name, netNames, drcRules, boardSize, layerStack, loads].every((v) => v === undefined)) {
+        return res.status(400).json({
+            error: "Nothing to update: send name, netNames, drcRules, boardSize, layerStack or loads"
+        });
+    }
+    if (name !== undefined) project.name = String(name).trim();
+    if (netNames !== undefined) project.netNames = netNames;
+    if (drcRules !== undefined) project.drcRules = drcRules;
+    if (boardSize !== undefined) project.boardSize = boardSize;
+    if (layerStack !== undefined) project.layerStack = layerStack;
+    if (loads !== undefined) project.loads = loads;
+    touch(project);
+    const changed = { name: name !== undefined ? project.name : undefined, netNames, drcRules, boardSize, layerStack, loads };
+    publish(req, project, "project", Object.entries(changed).filter(([, value]) => value !== undefined));
+    res.json(summarize(project));
+});
+
+// Duplicate a project
+app.post("/projects/:id/duplicate", (req, res) => {
+    const source = findProject(req, res);
+    if (!source) return;
+    const now = new Date().toISOString();
+    const copy = {
+        ...JSON.parse(JSON.stringify(source)),
+        id: crypto.randomUUID(),
+        name: String(req.body.name || "").trim() || `${source.name} (copy)`,
+        createdAt: now,
+        updatedAt: now
+    };
+    projects.push(copy);
+    commit();
+    res.status(201).json(summarize(copy));
+});
+
+// Delete a project
+app.delete("/projects/:id", (req, res) => {
+    const project = findProject(req, res);
+    if (!project) return;
+    projects = projects.filter((p) => p !== project);
+    commit();
+    collab.closeProject(project.id);
+    res.json({ message: "Project deleted" });
+});
+
+// Get all shapes of a project
+app.get("/projects/:id/shapes", (req, res) => {
+    const project = findProject(req, res);
+    if (project) res.json(project.shapes);
+});
+
+// Add a shape to a project
+app.post("/projects/:id/shapes", (req, res) => {
+    const project = findProject(req, res);
+    if (!project) return;
     const shape = req.body;
-    shapes.push(shape);
-    res.json({ message: "Shape added", shape });
+    if (rejectInvalid(res, validateShape(shape, { shapes: project.shapes }))) return;
+    if (project.shapes.some((s) => s.id === shape.id)) {
+        return res.status(400).json({ error: `Shape ${shape.id} already exists` });
+    }
+    project.shapes.push(shape);
+    touch(project);
+    publish(req, project, "shape", [[shape.id, shape]]);
+    res.status(201).json({ message: "Shape added", shape });
+});
+
+// Replace a shape
+app.put("/projects/:id/shapes/:shapeId", (req, res) => {
+    const project = findProject(req, res);
+    if (!project) return;
+    const existing = findItem(project.shapes, "Shape", req, res, "shapeId");
+    if (!existing) return;
+    const shape = { ...req.body, id: existing.id };
+    if (rejectInvalid(res, validateShape(shape, { shapes: project.shapes }))) return;
+    project.shapes = project.shapes.map((s) => (s === existing ? shape : s));
+    touch(project);
+    publish(req, project, "shape", [[shape.id, shape]]);
+    res.json({ message: "Shape updated", shape });
 });
 
-// Update material of a connection
-app.put("/shapes/:id", (req, res) => {
-    const shapeId = parseInt(req.params.id);
-    shapes = shapes.map((shape) =>
-        shape.id === shapeId ? { ...shape, material: req.body.material, color: req.body.color } : shape
-    );
-    res.json({ message: "Shape updated" });
+// Update some fields of a shape
+app.patch("/projects/:id/shapes/:shapeId", (req, res) => {
+    const project = findProject(req, res);
+    if (!project) return;
+    const existing = findItem(project.shapes, "Shape", req, res, "shapeId");
+    if (!existing) return;
+    if (rejectInvalid(res, validateShape(req.body, { existing, shapes: project.shapes }))) return;
+    const shape = { ...existing, ...req.body };
+    project.shapes = project.shapes.map((s) => (s === existing ? shape : s));
+    touch(project);
+    publish(req, project, "shape", [[shape.id, shape]]);
+    res.json({ message: "Shape updated", shape });
 });
 
-// Start server
-app.listen(5050, () => console.log(`Server running on port 5050`));
+// Delete a shape together with what it takes along (see planShapeDelete): attached connections, a component's
+// pads, and the anchors of labels and zones on the deleted nodes.
+app.delete("/projects/:id/shapes/:shapeId", (req, res) => {
+    const project = findProject(req, res);
+    if (!project) return;
+    const existing = findItem(project.shapes, "Shape", req, res, "shapeId");
+    if (!existing) return;
+    const { removed, labels, zones } = planShapeDelete(project, existing);
+    project.shapes = project.shapes
+        .filter((s) => !removed.includes(s))
+        .map((s) => zones.find((z) => z.id === s.id) || s);
+    project.labels = project.labels.map((l) => labels.find((d) => d.id === l.id) || l);
+    touch(project);
+    publish(req, project, "shape", [...removed.map((s) => [s.id, null]), ...zones.map((z) => [z.id, z])]);
+    if (labels.length) publish(req, project, "label", labels.map((l) => [l.id, l]));
+    res.json({ message: "Shape deleted", removed: removed.map((s) => s.id), zones });
+});
+
+// Get all labels of a project
+app.get("/projects/:id/labels", (req, res) => {
+    const project = findProject(req, res);
+    if (project) res.json(project.labels);
+});
+
+// Add a label to a project
+app.post("/projects/:id/labels", (req, res) => {
+    const project = findProject(req, res);
+    if (!project) return;
+    const label = req.body;
+    if (rejectInvalid(res, validateLabel(label, { shapes: project.shapes }))) return;
+    if (project.labels.some((l) => l.id === label.id)) {
+        return res.status(400).json({ error: `Label ${label.id} already exists` });
+    }
+    project.labels.push(label);
+    touch(project);
+    publish(req, project, "label", [[label.id, label]]);
+    res.status(201).json({ message: "Label added", label });
+});
+
+// Update some fields of a label
+app.patch("/projects/:id/labels/:labelId", (req, res) => {
+    const project = findProject(req, res);
+    if (!project) return;
+    const existing = findItem(project.labels, "Label", req, res, "labelId");
+    if (!existing) return;
+    if (rejectInvalid(res, validateLabel(req.body, { existing, shapes: project.shapes }))) return;
+    const label = { ...existing, ...req.body };
+    project.labels = project.labels.map((l) => (l === existing ? label : l));
+    touch(project);
+    publish(req, project, "label", [[label.id, label]]);
+    res.json({ message: "Label updated", label });
+});
+
+// Delete a label
+app.delete("/projects/:id/labels/:labelId", (req, res) => {
+    const project = findProject(req, res);
+    if (!project) return;
+    const existing = findItem(project.labels, "Label", req, res, "labelId");
+    if (!existing) return;
+    project.labels = project.labels.filter((l) => l !== existing);
+    touch(project);
+    publish(req, project, "label", [[existing.id, null]]);
+    res.json({ message: "Label deleted" });
+});
+
+// Material library, shared by all projects
+let materials = loadMaterials(DEFAULT_MATERIALS);
+
+/**
+ * Looks up the material named by the :materialId route param, sending a 404 if missing.
+ * @returns {object|undefined} The material, or undefined when a response was already sent
+ */
+const findMaterial = (req, res) => {
+    const material = materials.find((m) => m.id === req.params.materialId);
+    if (!material) res.status(404).json({ error: `Material ${req.params.materialId} not found` });
+    return material;
+};
+
+// List all materials
+app.get("/materials", (req, res) => {
+    res.json(materials);
+});
+
+// Add a material
+app.post("/materials", (req, res) => {
+    if (rejectInvalid(res, validateMaterial(req.body))) return;
+    if (materials.some((m) => m.id === req.body.id)) {
+        return res.status(409).json({ error: `Material ${req.body.id} already exists` });
+    }
+    materials.push(req.body);
+    saveMaterials(materials);
+    res.status(201).json({ message: "Material added", material: req.body });
+});
+
+// Update fields of a material
+app.patch("/materials/:materialId", (req, res) => {
+    const existing = findMaterial(req, res);
+    if (!existing) return;
+    if (rejectInvalid(res, validateMaterial(req.body, { existing }))) return;
+    const material = { ...existing, ...req.body };
+    materials = materials.map((m) => (m === existing ? material : m));
+    saveMaterials(materials);
+    res.json({ message: "Material updated", material });
+});
+
+// Delete a material that no trace uses
+app.delete("/materials/:materialId", (req, res) => {
+    const existing = findMaterial(req, res);
+    if (!existing) return;
+    const inUse = projects.filter((p) => p.shapes.some((s) => s.type === "connection" && s.material === existing.id));
+    if (inUse.length) {
+        return res.status(409).json({
+            error: `Material ${existing.id} is used by traces in: ${inUse.map((p) => p.name).join(", ")}`
+        });
+    }
+    materials = materials.filter((m) => m !== existing);
+    saveMaterials(materials);
+    res.json({ message: "Material deleted" });
+});
+
+// Request bodies the JSON parser rejects get a JSON error like every other bad request; anything else is left to
+// Express.
+app.use((err, req, res, next) => {
+    if (err.type === "entity.parse.failed") {
+        return res.status(400).json({ error: `Request body is not valid JSON: ${err.message}` });
+    }
+    if (err.type === "entity.too.large") {
+        return res.status(413).json({ error: `Request body is larger than the ${err.limit} byte limit` });
+    }
+    next(err);
+});
+
+// Start the server when run directly; tests require the module and listen on a port of their own
+if (require.main === module) {
+    server.listen(5050, () => console.log(`Server running on port 5050`));
+}
+
+module.exports = { app, server };
@@ -0,0 +1,14 @@
+// Material library the backend starts with before any material has been edited.
+// Resistivity in Ω·m at 20 °C, temperature coefficient in 1/°C, thickness in m, sheet resistance in Ω/sq.
+const OZ = 0.000035; // Thickness of 1 oz/ft² copper
+
+const DEFAULT_MATERIALS = [
+    { id: "copper",   name: "Copper",   kind: "metal", color: "orange",    resistivity: 1.68e-8, tempco: 0.00393, thickness: OZ },
+    { id: "aluminum", name: "Aluminum", kind: "metal", color: "gray",      resistivity: 2.82e-8, tempco: 0.00429, thickness: OZ },
+    { id: "gold",     name: "Gold",     kind: "metal", color: "yellow",    resistivity: 2.44e-8, tempco: 0.0034,  thickness: OZ },
+    { id: "silver",   name: "Silver",   kind: "metal", color: "lightgray", resistivity: 1.59e-8, tempco: 0.0038,  thickness: OZ },
+    { id: "silver-ink", name: "Silver ink", kind: "ink", color: "silver",  sheetResistance: 0.015, tempco: 0.001, thickness: 0.00001 },
+    { id: "carbon-ink", name: "Carbon ink", kind: "ink", color: "dimgray", sheetResistance: 30,    tempco: -0.0005, thickness: 0.00001 }
+];
+
+module.exports = { DEFAULT_MATERIALS };
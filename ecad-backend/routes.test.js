@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { startServer, stopServer } = require("./fixture");
+
+const { before, after } = test;
+let api;
+let projectId;
+
+const node = (id, extra) => ({ id, type: "node", nodeType: "power", x: 0, y: 0, radius: 5, color: "red", layer: "footprint", ...extra });
+const trace = (id, node1Id, node2Id) => ({
+    id, type: "connection", points: [0, 0, 30, 0], node1Id, node2Id, material: "copper", width: 0.005, color: "orange",
+    layer: "f_lig"
+});
+
+before(async () => {
+    api = await startServer();
+    projectId = (await api.request("POST", "/projects", { name: "Routes" })).body.id;
+});
+
+after(() => stopServer(api));
+
+test("shapes are added, updated and deleted with what hangs on them", async () => {
+    const route = `/projects/${projectId}/shapes`;
+    assert.strictEqual((await api.request("POST", route, node(1))).status, 201);
+    assert.strictEqual((await api.request("POST", route, node(2, { x: 30 }))).status, 201);
+    assert.strictEqual((await api.request("POST", route, trace(3, 1, 2))).status, 201);
+
+    const patched = await api.request("PATCH", `${route}/2`, { x: 40 });
+    assert.deepStrictEqual(patched.body.shape, node(2, { x: 40 }));
+    const replaced = await api.request("PUT", `${route}/2`, node(99, { x: 50 }));
+    assert.deepStrictEqual(replaced.body.shape, node(2, { x: 50 }));
+
+    const deleted = await api.request("DELETE", `${route}/1`);
+    assert.deepStrictEqual(deleted.body.removed, [1, 3]);
+    assert.deepStrictEqual((await api.request("GET", route)).body, [node(2, { x: 50 })]);
+});
+
+test("shapes the validation rejects are not stored", async () => {
+    const route = `/projects/${projectId}/shapes`;
+    const missing = await api.request("POST", route, { ...node(10), radius: 0 });
+    assert.strictEqual(missing.status, 400);
+    assert.deepStrictEqual(missing.body.details, ["radius must be a positive number"]);
+
+    const dangling = await api.request("POST", route, trace(11, 2, 77));
+    assert.strictEqual(dangling.status, 400);
+    assert.match(dangling.body.error, /node2Id 77 does not reference a node/);
+
+    await api.request("POST", route, node(12));
+    assert.deepStrictEqual((await api.request("POST", route, node(12))).body, { error: "Shape 12 already exists" });
+    const retyped = await api.request("PATCH", `${route}/12`, { type: "zone" });
+    assert.deepStrictEqual(retyped.body.details, ["type cannot be changed"]);
+    assert.ok((await api.request("GET", route)).body.every((s) => s.id !== 10 && s.id !== 11));
+});
+
+test("labels are added, updated, deleted and checked", async () => {
+    const route = `/projects/${projectId}/labels`;
+    const label = { id: 20, x: 5, y: 5, text: "VCC", fontSize: 12 };
+    assert.strictEqual((await api.request("POST", route, label)).status, 201);
+    assert.deepStrictEqual((await api.request("PATCH", `${route}/20`, { text: "5V" })).body.label, { ...label, text: "5V" });
+
+    const anchored = await api.request("POST", route, { ...label, id: 21, nodeId: 404 });
+    assert.strictEqual(anchored.status, 400);
+    assert.deepStrictEqual(anchored.body.details, ["nodeId 404 does not reference a node in this project"]);
+
+    assert.strictEqual((await api.request("DELETE", `${route}/20`)).status, 200);
+    assert.deepStrictEqual((await api.request("GET", route)).body, []);
+});
+
+test("materials are added, updated and refused while traces use them", async () => {
+    const ink = { id: "graphite", name: "Graphite", kind: "ink", color: "black", sheetResistance: 50, tempco: 0, thickness: 1e-5 };
+    assert.strictEqual((await api.request("POST", "/materials", ink)).status, 201);
+    assert.strictEqual((await api.request("POST", "/materials", ink)).status, 409);
+    const patched = await api.request("PATCH", "/materials/graphite", { sheetResistance: 0 });
+    assert.deepStrictEqual(patched.body.details, ["sheetResistance must be a positive number"]);
+    assert.strictEqual((await api.request("PATCH", "/materials/graphite", { sheetResistance: 40 })).status, 200);
+
+    const route = `/projects/${projectId}/shapes`;
+    await api.request("POST", route, node(30));
+    await api.request("POST", route, node(31));
+    await api.request("POST", route, { ...trace(32, 30, 31), material: "graphite" });
+    const inUse = await api.request("DELETE", "/materials/graphite");
+    assert.strictEqual(inUse.status, 409);
+    assert.match(inUse.body.error, /used by traces in: Routes/);
+    await api.request("DELETE", `${route}/32`);
+    assert.strictEqual((await api.request("DELETE", "/materials/graphite")).status, 200);
+    assert.ok((await api.request("GET", "/materials")).body.every((m) => m.id !== "graphite"));
+});
+
+test("unknown projects, shapes, labels and materials are 404s", async () => {
+    const missing = [
+        ["GET", "/projects/nope"],
+        ["POST", "/projects/nope/shapes"],
+        ["PATCH", `/projects/${projectId}/shapes/404`],
+        ["DELETE", `/projects/${projectId}/shapes/404`],
+        ["PATCH", `/projects/${projectId}/labels/404`],
+        ["DELETE", "/materials/unobtainium"]
+    ];
+    for (const [method, route] of missing) {
+        const res = await api.request(method, route, method === "GET" || method === "DELETE" ? undefined : {});
+        assert.strictEqual(res.status, 404, `${method} ${route}`);
+        assert.match(res.body.error, /not found$/);
+    }
+});
+
+test("malformed and oversized bodies get a JSON error", async () => {
+    const malformed = await api.request("POST", `/projects/${projectId}/shapes`, "{\"id\": 1,");
+    assert.strictEqual(malformed.status, 400);
+    assert.match(malformed.body.error, /^Request body is not valid JSON: /);
+
+    const oversized = await api.request("POST", `/projects/${projectId}/shapes`, JSON.stringify({ text: "x".repeat(21e6) }));
+    assert.strictEqual(oversized.status, 413);
+    assert.deepStrictEqual(oversized.body, { error: "Request body is larger than the 20971520 byte limit" });
+});
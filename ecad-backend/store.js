@@ -0,0 +1,68 @@
+const fs = require("fs");
+const path = require("path");
+
+// Location of the on-disk project database (override with ECAD_DATA_FILE)
+const DATA_FILE = process.env.ECAD_DATA_FILE || path.join(__dirname, "data", "projects.json");
+
+// Location of the shared material library (override with ECAD_MATERIALS_FILE)
+const MATERIALS_FILE = process.env.ECAD_MATERIALS_FILE || path.join(__dirname, "data", "materials.json");
+
+/**
+ * Reads a JSON array from disk.
+ * @param {string} file - File path
+ * @returns {object[]|null} Parsed array, or null when the file does not exist yet
+ */
+function readList(file) {
+    if (!fs.existsSync(file)) return null;
+    const raw = fs.readFileSync(file, "utf8");
+    return raw.trim() ? JSON.parse(raw) : [];
+}
+
+/**
+ * Writes a JSON array to disk.
+ * Writes to a temporary file first and renames it so a crash never leaves a half-written file.
+ * @param {string} file - File path
+ * @param {object[]} list - Data to write
+ */
+function writeList(file, list) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(list, null, 2));
+    fs.renameSync(tmp, file);
+}
+
+/**
+ * Reads every stored project from disk.
+ * Returns an empty list when the data file does not exist yet.
+ * @returns {object[]} Array of project objects
+ */
+function loadProjects() {
+    return readList(DATA_FILE) || [];
+}
+
+/**
+ * Writes all projects to disk.
+ * @param {object[]} projects - Array of project objects
+ */
+function saveProjects(projects) {
+    writeList(DATA_FILE, projects);
+}
+
+/**
+ * Reads the material library from disk.
+ * @param {object[]} defaults - Library to start with when none has been saved yet
+ * @returns {object[]} Array of materials
+ */
+function loadMaterials(defaults) {
+    return readList(MATERIALS_FILE) || defaults;
+}
+
+/**
+ * Writes the material library to disk.
+ * @param {object[]} materials - Array of materials
+ */
+function saveMaterials(materials) {
+    writeList(MATERIALS_FILE, materials);
+}
+
+module.exports = { DATA_FILE, MATERIALS_FILE, loadProjects, saveProjects, loadMaterials, saveMaterials };
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const { startServer, stopServer } = require("./fixture");
+
+const { before, after } = test;
+let api;
+let store;
+
+// The fixture points ECAD_DATA_FILE at a temporary directory before the store is first required
+before(async () => {
+    api = await startServer();
+    store = require("./store");
+});
+
+after(() => stopServer(api));
+
+const stored = () => JSON.parse(fs.readFileSync(api.dataFile, "utf8"));
+
+test("ECAD_DATA_FILE moves the project database", async () => {
+    assert.strictEqual(store.DATA_FILE, api.dataFile);
+    assert.strictEqual(fs.existsSync(api.dataFile), false);
+    assert.deepStrictEqual(store.loadProjects(), []);
+    fs.writeFileSync(api.dataFile, " \n");
+    assert.deepStrictEqual(store.loadProjects(), []);
+});
+
+test("saves write a temporary file and rename it over the database", (t) => {
+    const writes = t.mock.method(fs, "writeFileSync");
+    const renames = t.mock.method(fs, "renameSync");
+    store.saveProjects([{ id: "a", name: "A" }]);
+    assert.deepStrictEqual(writes.mock.calls.map((c) => c.arguments[0]), [`${api.dataFile}.tmp`]);
+    assert.deepStrictEqual(renames.mock.calls.map((c) => c.arguments), [[`${api.dataFile}.tmp`, api.dataFile]]);
+    assert.strictEqual(fs.existsSync(`${api.dataFile}.tmp`), false);
+    assert.deepStrictEqual(store.loadProjects(), [{ id: "a", name: "A" }]);
+});
+
+test("a save that fails before the rename leaves the previous database whole", (t) => {
+    store.saveProjects([{ id: "a", name: "A" }]);
+    t.mock.method(fs, "renameSync", () => {
+        throw new Error("crashed");
+    });
+    assert.throws(() => store.saveProjects([{ id: "b", name: "B" }]), /crashed/);
+    assert.deepStrictEqual(store.loadProjects(), [{ id: "a", name: "A" }]);
+    fs.rmSync(`${api.dataFile}.tmp`);
+});
+
+test("projects are created, renamed and deleted on disk", async () => {
+    // The server saves its in-memory list, replacing what the tests above wrote
+    const created = await api.request("POST", "/projects", { name: "  Board  " });
+    assert.strictEqual(created.status, 201);
+    const { id } = created.body;
+    assert.deepStrictEqual(stored().map((p) => [p.id, p.name, p.shapes, p.labels]), [[id, "Board", [], []]]);
+    assert.strictEqual((await api.request("POST", "/projects", { name: " " })).status, 400);
+
+    const renamed = await api.request("PATCH", `/projects/${id}`, { name: "Amplifier" });
+    assert.strictEqual(renamed.body.name, "Amplifier");
+    assert.strictEqual(stored()[0].name, "Amplifier");
+    assert.ok(stored()[0].updatedAt >= stored()[0].createdAt);
+    assert.strictEqual((await api.request("PATCH", `/projects/${id}`, { name: "" })).status, 400);
+    assert.strictEqual(stored()[0].name, "Amplifier");
+
+    assert.strictEqual((await api.request("DELETE", `/projects/${id}`)).status, 200);
+    assert.deepStrictEqual(stored(), []);
+    assert.strictEqual((await api.request("DELETE", `/projects/${id}`)).status, 404);
+    assert.deepStrictEqual((await api.request("GET", "/projects")).body, []);
+});
@@ -0,0 +1,363 @@
+// Field rules shared by shapes and labels. Each rule returns an error message or null.
+const isFiniteNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+const rules = {
+    id:       (v) => (isFiniteNumber(v) ? null : "id must be a number"),
+    x:        (v) => (isFiniteNumber(v) ? null : "x must be a finite number"),
+    y:        (v) => (isFiniteNumber(v) ? null : "y must be a finite number"),
+    radius:   (v) => (isFiniteNumber(v) && v > 0 ? null : "radius must be a positive number"),
+    width:    (v) => (isFiniteNumber(v) && v > 0 ? null : "width must be a positive number"),
+    color:    (v) => (typeof v === "string" && v ? null : "color must be a non-empty string"),
+    material: (v) => (typeof v === "string" && v ? null : "material must be a non-empty string"),
+    nodeType: (v) => (["power", "ground", "via", "pad"].includes(v) ? null : 'nodeType must be "power", "ground", "via" or "pad"'),
+    node1Id:  (v) => (isFiniteNumber(v) ? null : "node1Id must be a number"),
+    node2Id:  (v) => (isFiniteNumber(v) ? null : "node2Id must be a number"),
+    text:     (v) => (typeof v === "string" && v.trim() ? null : "text must be a non-empty string"),
+    refdes:   (v) => (typeof v === "string" && v.trim() ? null : "refdes must be a non-empty string"),
+    footprint: (v) => (typeof v === "string" && v ? null : "footprint must be a non-empty string"),
+    rotation: (v) => (isFiniteNumber(v) ? null : "rotation must be a finite number"),
+    mirrored: (v) => (typeof v === "boolean" ? null : "mirrored must be a boolean"),
+    fontSize: (v) => (isFiniteNumber(v) && v > 0 ? null : "fontSize must be a positive number")
+};
+
+/**
+ * Builds a rule for a flat [x1,y1,x2,y2,...] point array.
+ * @param {number} minPoints - Minimum number of points (not coordinates)
+ */
+const pointsRule = (minPoints) => (v) => {
+    if (!Array.isArray(v) || v.length % 2 !== 0 || !v.every(isFiniteNumber)) {
+        return "points must be a flat array of [x, y] number pairs";
+    }
+    return v.length / 2 >= minPoints ? null : `points must contain at least ${minPoints} points`;
+};
+
+// Copper layers: f_lig (top), in1_lig, in2_lig, ... (inner) and b_lig (bottom)
+const isCopperLayer = (v) => typeof v === "string" && /^(f|b|in[1-9]\d*)_lig$/.test(v);
+
+// Required fields and layer per shape type; a layer rule accepts a fixed id or a predicate
+const shapeSchemas = {
+    node: {
+        layer: "footprint",
+        fields: { id: rules.id, nodeType: rules.nodeType, x: rules.x, y: rules.y, radius: rules.radius, color: rules.color }
+    },
+    connection: {
+        layer: isCopperLayer,
+        fields: {
+            id: rules.id, points: pointsRule(2), node1Id: rules.node1Id, node2Id: rules.node2Id,
+            material: rules.material, width: rules.width, color: rules.color
+        }
+    },
+    outline: {
+        layer: "outline",
+        fields: { id: rules.id, points: pointsRule(3), width: rules.width, color: rules.color }
+    },
+    // A placed footprint; its pads are nodes pointing back to it with componentId
+    component: {
+        layer: "component",
+        fields: {
+            id: rules.id, footprint: rules.footprint, refdes: rules.refdes, x: rules.x, y: rules.y,
+            rotation: rules.rotation, mirrored: rules.mirrored, pads: (v) => checkPadOffsets(v)
+        }
+    },
+    // A copper pour on one copper layer; it carries the net of nodeId (null for none)
+    zone: {
+        layer: "zone",
+        fields: {
+            id: rules.id, points: pointsRule(3), color: rules.color,
+            copperLayer: (v) => (isCopperLayer(v) ? null : "copperLayer must be a copper layer"),
+            clearance: (v) => (isFiniteNumber(v) && v >= 0 ? null : "clearance must be a number of at least 0"),
+            thermalWidth: (v) => (isFiniteNumber(v) && v > 0 ? null : "thermalWidth must be a positive number")
+        }
+    }
+};
+
+/**
+ * Validates the pad offsets stored on a component (mm from its origin).
+ * @param {object[]} pads - Request body field
+ * @returns {string|null} Error message
+ */
+function checkPadOffsets(pads) {
+    if (!Array.isArray(pads) || !pads.length) return "pads must be a non-empty array";
+    const bad = pads.some((p) => !p || typeof p.name !== "string" || !p.name || !isFiniteNumber(p.x) || !isFiniteNumber(p.y));
+    return bad ? "pads must hold { name, x, y } entries" : null;
+}
+
+/**
+ * Validates the optional pad stack of a node (diameters in mm).
+ * @param {object} stack - Pad stack from the request body
+ * @returns {string[]} Error messages
+ */
+const checkPadStack = (stack) => {
+    if (!stack || typeof stack !== "object") return ["padStack must be an object"];
+    const errors = [];
+    if (!["circle", "square", "rect"].includes(stack.shape)) {
+        errors.push('padStack.shape must be "circle", "square" or "rect"');
+    }
+    if (!(isFiniteNumber(stack.padDiameter) && stack.padDiameter > 0)) {
+        errors.push("padStack.padDiameter must be a positive number");
+    }
+    // Rect pads are padDiameter wide and padHeight tall
+    if (stack.shape === "rect" && !(isFiniteNumber(stack.padHeight) && stack.padHeight > 0)) {
+        errors.push("padStack.padHeight of a rect pad must be a positive number");
+    }
+    if (!(isFiniteNumber(stack.drillDiameter) && stack.drillDiameter >= 0)) {
+        errors.push("padStack.drillDiameter must be a number of at least 0");
+    }
+    if (typeof stack.plated !== "boolean") errors.push("padStack.plated must be a boolean");
+    const smallest = stack.shape === "rect" ? Math.min(stack.padDiameter, stack.padHeight) : stack.padDiameter;
+    if (!errors.length && stack.plated && stack.drillDiameter >= smallest) {
+        errors.push("padStack.drillDiameter of a plated hole must be smaller than the pad");
+    }
+    return errors;
+};
+
+const labelFields = { id: rules.id, x: rules.x, y: rules.y, text: rules.text, fontSize: rules.fontSize };
+
+// Optional label style; the same choices as src/utils/labels.js
+const labelStyleFields = {
+    rotation: rules.rotation,
+    fontFamily: (v) => (["sans-serif", "serif", "monospace"].includes(v) ? null : 'fontFamily must be "sans-serif", "serif" or "monospace"'),
+    align: (v) => (["left", "center", "right"].includes(v) ? null : 'align must be "left", "center" or "right"'),
+    layer: (v) => (["silkscreen", "documentation"].includes(v) ? null : 'layer must be "silkscreen" or "documentation"'),
+    showNet: (v) => (typeof v === "boolean" ? null : "showNet must be a boolean")
+};
+
+/**
+ * Checks the given fields of an object against a rule set.
+ * @param {object} obj - Object to validate
+ * @param {object} fields - Map of field name to rule
+ * @param {boolean} partial - When true only fields present on obj are checked
+ * @returns {string[]} Error messages
+ */
+const checkFields = (obj, fields, partial) =>
+    Object.entries(fields)
+        .filter(([key]) => !partial || key in obj)
+        .map(([key, rule]) => (key in obj ? rule(obj[key]) : `${key} is required`))
+        .filter(Boolean);
+
+/**
+ * Validates a shape body.
+ * @param {object} shape - Request body
+ * @param {object} [options]
+ * @param {object} [options.existing] - Stored shape when validating a partial update
+ * @param {object[]} [options.shapes] - All shapes of the project, used to check node references
+ * @returns {string[]} Error messages, empty when valid
+ */
+function validateShape(shape, { existing, shapes = [] } = {}) {
+    if (!shape || typeof shape !== "object" || Array.isArray(shape)) return ["body must be a JSON object"];
+    const partial = Boolean(existing);
+    if (partial && "id" in shape && shape.id !== existing.id) return ["id cannot be changed"];
+    if (partial && "type" in shape && shape.type !== existing.type) return ["type cannot be changed"];
+
+    const type = partial ? existing.type : shape.type;
+    const schema = shapeSchemas[type];
+    if (!schema) return [`type must be one of: ${Object.keys(shapeSchemas).join(", ")}`];
+
+    const errors = checkFields(shape, schema.fields, partial);
+    const layerOk = typeof schema.layer === "function" ? schema.layer(shape.layer) : shape.layer === schema.layer;
+    if ("layer" in shape && !layerOk) {
+        errors.push(typeof schema.layer === "function"
+            ? `layer of a ${type} must be a copper layer`
+            : `layer of a ${type} must be "${schema.layer}"`);
+    } else if (!partial && !("layer" in shape)) {
+        errors.push("layer is required");
+    }
+
+    if (type === "node" && "padStack" in shape) errors.push(...checkPadStack(shape.padStack));
+    // Pads of a component name the component and their pad
+    if (type === "node" && "componentId" in shape) {
+        if (!shapes.some((s) => s.type === "component" && s.id === shape.componentId)) {
+            errors.push(`componentId ${shape.componentId} does not reference a component in this project`);
+        }
+        if (typeof shape.padName !== "string" || !shape.padName) errors.push("padName must be a non-empty string");
+    }
+    // Pads turn in degrees clockwise and sit on the top or, for parts mounted underneath, the bottom of the board
+    if (type === "node" && "padRotation" in shape && !isFiniteNumber(shape.padRotation)) {
+        errors.push("padRotation must be a finite number");
+    }
+    if (type === "node" && "side" in shape && !["top", "bottom"].includes(shape.side)) {
+        errors.push('side must be "top" or "bottom"');
+    }
+    // Supply voltage of a power node, null when unset
+    if (type === "node" && "voltage" in shape && shape.voltage !== null && !isFiniteNumber(shape.voltage)) {
+        errors.push("voltage must be a finite number or null");
+    }
+    // Corner style of a trace, outline or zone; lengths in canvas pixels
+    if (type === "connection" || type === "outline" || type === "zone") {
+        if ("cornerStyle" in shape && !["linear", "chamfer", "fillet", "bezier"].includes(shape.cornerStyle)) {
+            errors.push('cornerStyle must be "linear", "chamfer", "fillet" or "bezier"');
+        }
+        ["chamferLength", "filletRadius"]
+            .filter((key) => key in shape && !(isFiniteNumber(shape[key]) && shape[key] >= 0))
+            .forEach((key) => errors.push(`${key} must be a number of at least 0`));
+    }
+    // Current sizing of a trace, null when unset
+    if (type === "connection") {
+        ["targetCurrent", "tempRise"]
+            .filter((key) => key in shape && shape[key] !== null && !(isFiniteNumber(shape[key]) && shape[key] > 0))
+            .forEach((key) => errors.push(`${key} must be a positive number or null`));
+    }
+
+    if (type === "zone" && "nodeId" in shape && shape.nodeId !== null) {
+        if (!shapes.some((s) => s.type === "node" && s.id === shape.nodeId)) {
+            errors.push(`nodeId ${shape.nodeId} does not reference a node in this project`);
+        }
+    } else if (type === "zone" && !partial && !("nodeId" in shape)) {
+        errors.push("nodeId is required");
+    }
+
+    if (type === "connection") {
+        ["node1Id", "node2Id"].filter((key) => isFiniteNumber(shape[key])).forEach((key) => {
+            if (!shapes.some((s) => s.type === "node" && s.id === shape[key])) {
+                errors.push(`${key} ${shape[key]} does not reference a node in this project`);
+            }
+        });
+    }
+    return errors;
+}
+
+/**
+ * Validates a label body.
+ * @param {object} label - Request body
+ * @param {object} [options]
+ * @param {object} [options.existing] - Stored label when validating a partial update
+ * @param {object[]} [options.shapes] - All shapes of the project, used to check the node a label is anchored to
+ * @returns {string[]} Error messages, empty when valid
+ */
+function validateLabel(label, { existing, shapes = [] } = {}) {
+    if (!label || typeof label !== "object" || Array.isArray(label)) return ["body must be a JSON object"];
+    if (existing && "id" in label && label.id !== existing.id) return ["id cannot be changed"];
+    const errors = [...checkFields(label, labelFields, Boolean(existing)), ...checkFields(label, labelStyleFields, true)];
+    // A label anchored to a node is positioned relative to it; null for none
+    if ("nodeId" in label && label.nodeId !== null && !shapes.some((s) => s.type === "node" && s.id === label.nodeId)) {
+        errors.push(`nodeId ${label.nodeId} does not reference a node in this project`);
+    }
+    return errors;
+}
+
+const drcRuleKeys = ["clearance", "minTraceWidth", "edgeClearance"];
+
+/**
+ * Validates per-project design rules (values in mm).
+ * @param {object} drcRules - Request body field
+ * @returns {string[]} Error messages, empty when valid
+ */
+function validateDrcRules(drcRules) {
+    if (!drcRules || typeof drcRules !== "object" || Array.isArray(drcRules)) return ["drcRules must be an object"];
+    return drcRuleKeys
+        .filter((key) => !(isFiniteNumber(drcRules[key]) && drcRules[key] >= 0))
+        .map((key) => `drcRules.${key} must be a number of at least 0`);
+}
+
+/**
+ * Validates the board size of a project (mm).
+ * @param {object} boardSize - Request body field
+ * @returns {string[]} Error messages, empty when valid
+ */
+function validateBoardSize(boardSize) {
+    if (!boardSize || typeof boardSize !== "object" || Array.isArray(boardSize)) return ["boardSize must be an object"];
+    return ["width", "height"]
+        .filter((key) => !(isFiniteNumber(boardSize[key]) && boardSize[key] > 0))
+        .map((key) => `boardSize.${key} must be a positive number`);
+}
+
+/**
+ * Validates the copper layer stack of a project (thickness in mm).
+ * @param {object} layerStack - Request body field
+ * @returns {string[]} Error messages, empty when valid
+ */
+function validateLayerStack(layerStack) {
+    if (!layerStack || typeof layerStack !== "object" || Array.isArray(layerStack)) return ["layerStack must be an object"];
+    const errors = [];
+    if (![2, 4, 6, 8].includes(layerStack.copperLayers)) errors.push("layerStack.copperLayers must be 2, 4, 6 or 8");
+    if (!(isFiniteNumber(layerStack.thickness) && layerStack.thickness > 0)) {
+        errors.push("layerStack.thickness must be a positive number");
+    }
+    return errors;
+}
+
+/**
+ * Validates the loads placed between nodes for DC analysis.
+ * Node references are not checked: a load whose node was deleted is skipped by the solver.
+ * @param {object[]} loads - Request body field
+ * @returns {string[]} Error messages, empty when valid
+ */
+function validateLoads(loads) {
+    if (!Array.isArray(loads)) return ["loads must be an array"];
+    return loads.flatMap((load, i) => {
+        if (!load || typeof load !== "object") return [`loads[${i}] must be an object`];
+        const errors = checkFields(load, { id: rules.id, node1Id: rules.node1Id, node2Id: rules.node2Id }, false);
+        if (!["resistance", "current"].includes(load.kind)) errors.push('kind must be "resistance" or "current"');
+        if (!isFiniteNumber(load.value) || (load.kind === "resistance" && load.value <= 0)) {
+            errors.push("value must be a finite number, positive for a resistance");
+        }
+        return errors.map((e) => `loads[${i}]: ${e}`);
+    });
+}
+
+const positive = (name) => (v) => (isFiniteNumber(v) && v > 0 ? null : `${name} must be a positive number`);
+
+const materialFields = {
+    id:        (v) => (typeof v === "string" && /^[a-z0-9-]+$/.test(v) ? null : "id must be lowercase letters, digits and dashes"),
+    name:      (v) => (typeof v === "string" && v.trim() ? null : "name must be a non-empty string"),
+    kind:      (v) => (v === "metal" || v === "ink" ? null : 'kind must be "metal" or "ink"'),
+    color:     rules.color,
+    tempco:    (v) => (isFiniteNumber(v) ? null : "tempco must be a finite number"),
+    thickness: positive("thickness")
+};
+
+/**
+ * Validates a material of the library. Metals need a resistivity, inks a sheet resistance.
+ * @param {object} material - Request body
+ * @param {object} [options]
+ * @param {object} [options.existing] - Stored material when validating a partial update
+ * @returns {string[]} Error messages, empty when valid
+ */
+function validateMaterial(material, { existing } = {}) {
+    if (!material || typeof material !== "object" || Array.isArray(material)) return ["body must be a JSON object"];
+    if (existing && "id" in material && material.id !== existing.id) return ["id cannot be changed"];
+    const errors = checkFields(material, materialFields, Boolean(existing));
+    const merged = { ...existing, ...material };
+    if (merged.kind === "metal") {
+        const msg = positive("resistivity")(merged.resistivity);
+        if (msg) errors.push(msg);
+    } else if (merged.kind === "ink") {
+        const msg = positive("sheetResistance")(merged.sheetResistance);
+        if (msg) errors.push(msg);
+    }
+    return errors;
+}
+
+const isIdList = (v) => Array.isArray(v) && v.every(isFiniteNumber);
+
+/**
+ * Validates a presence message a user sends over the collaboration channel.
+ * @param {object} presence - { name, cursor, selection } with cursor null when off the canvas
+ * @returns {string[]} Error messages, empty when valid
+ */
+function validatePresence(presence) {
+    if (!presence || typeof presence !== "object" || Array.isArray(presence)) return ["message must be a JSON object"];
+    const { name, cursor, selection } = presence;
+    const errors = [];
+    if (typeof name !== "string" || !name.trim() || name.length > 40) {
+        errors.push("name must be a non-empty string of at most 40 characters");
+    }
+    if (cursor !== null && !(cursor && isFiniteNumber(cursor.x) && isFiniteNumber(cursor.y))) {
+        errors.push("cursor must be null or { x, y } with finite numbers");
+    }
+    if (!(selection && isIdList(selection.shapeIds) && isIdList(selection.labelIds))) {
+        errors.push("selection must hold shapeIds and labelIds arrays of numbers");
+    }
+    return errors;
+}
+
+module.exports = {
+    validateShape,
+    validateLabel,
+    validateDrcRules,
+    validateBoardSize,
+    validateLayerStack,
+    validateLoads,
+    validateMaterial,
+    validatePresence
+};
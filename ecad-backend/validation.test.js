@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { validateShape, validateLabel, validateMaterial, validatePresence } = require("./validation");
+
+const node = (id, extra) => ({ id, type: "node", nodeType: "power", x: 0, y: 0, radius: 5, color: "red", layer: "footprint", ...extra });
+const trace = (id, node1Id, node2Id, extra) => ({
+    id, type: "connection", points: [0, 0, 30, 0], node1Id, node2Id, material: "copper", width: 0.005, color: "orange",
+    layer: "f_lig", ...extra
+});
+
+test("complete shapes pass and every missing field is listed", () => {
+    const shapes = [node(1), node(2)];
+    assert.deepStrictEqual(validateShape(node(1)), []);
+    assert.deepStrictEqual(validateShape(trace(3, 1, 2), { shapes }), []);
+    assert.deepStrictEqual(validateShape({ type: "node" }), [
+        "id is required", "nodeType is required", "x is required", "y is required", "radius is required",
+        "color is required", "layer is required"
+    ]);
+    assert.deepStrictEqual(validateShape([]), ["body must be a JSON object"]);
+    assert.deepStrictEqual(validateShape({ ...node(1), type: "circle" }), [
+        "type must be one of: node, connection, outline, component, zone"
+    ]);
+});
+
+test("shapes are checked against the rest of the project", () => {
+    assert.deepStrictEqual(validateShape(trace(3, 1, 9), { shapes: [node(1)] }), [
+        "node2Id 9 does not reference a node in this project"
+    ]);
+    assert.deepStrictEqual(validateShape(trace(3, 1, 1, { layer: "top" }), { shapes: [node(1)] }), [
+        "layer of a connection must be a copper layer"
+    ]);
+    assert.deepStrictEqual(validateShape(node(4, { componentId: 7, padName: "" })), [
+        "componentId 7 does not reference a component in this project",
+        "padName must be a non-empty string"
+    ]);
+});
+
+test("pad stacks, pad orientation and side are checked on nodes", () => {
+    const rect = { shape: "rect", padDiameter: 1.55, padHeight: 0.6, drillDiameter: 0, plated: true };
+    assert.deepStrictEqual(validateShape(node(1, { padStack: rect, padRotation: 90, side: "bottom" })), []);
+    assert.deepStrictEqual(validateShape(node(1, { padStack: { ...rect, padHeight: 0 } })), [
+        "padStack.padHeight of a rect pad must be a positive number"
+    ]);
+    assert.deepStrictEqual(validateShape(node(1, { padStack: { ...rect, drillDiameter: 0.6 } })), [
+        "padStack.drillDiameter of a plated hole must be smaller than the pad"
+    ]);
+    assert.deepStrictEqual(validateShape(node(1, { padRotation: "90", side: "left" })), [
+        "padRotation must be a finite number",
+        'side must be "top" or "bottom"'
+    ]);
+});
+
+test("partial updates only check the fields sent and keep id and type", () => {
+    const existing = node(1);
+    assert.deepStrictEqual(validateShape({ x: 12 }, { existing }), []);
+    assert.deepStrictEqual(validateShape({ radius: -1 }, { existing }), ["radius must be a positive number"]);
+    assert.deepStrictEqual(validateShape({ id: 2 }, { existing }), ["id cannot be changed"]);
+    assert.deepStrictEqual(validateShape({ type: "zone" }, { existing }), ["type cannot be changed"]);
+});
+
+test("labels need text and a node that exists to anchor to", () => {
+    const label = { id: 1, x: 0, y: 0, text: "VCC", fontSize: 12 };
+    assert.deepStrictEqual(validateLabel(label), []);
+    assert.deepStrictEqual(validateLabel({ ...label, text: " ", align: "justify" }), [
+        "text must be a non-empty string",
+        'align must be "left", "center" or "right"'
+    ]);
+    assert.deepStrictEqual(validateLabel({ ...label, nodeId: 5 }, { shapes: [node(1)] }), [
+        "nodeId 5 does not reference a node in this project"
+    ]);
+});
+
+test("metals need a resistivity and inks a sheet resistance", () => {
+    const ink = { id: "graphite", name: "Graphite", kind: "ink", color: "black", sheetResistance: 50, tempco: 0, thickness: 1e-5 };
+    assert.deepStrictEqual(validateMaterial(ink), []);
+    assert.deepStrictEqual(validateMaterial({ ...ink, kind: "metal" }), ["resistivity must be a positive number"]);
+    assert.deepStrictEqual(validateMaterial({ ...ink, id: "Graphite" }), ["id must be lowercase letters, digits and dashes"]);
+    assert.deepStrictEqual(validateMaterial({ sheetResistance: 0 }, { existing: ink }), [
+        "sheetResistance must be a positive number"
+    ]);
+});
+
+test("presence messages need a short name, a cursor or null and id lists", () => {
+    const selection = { shapeIds: [1], labelIds: [] };
+    assert.deepStrictEqual(validatePresence({ name: "Ada", cursor: null, selection }), []);
+    assert.deepStrictEqual(validatePresence({ name: "x".repeat(41), cursor: { x: 1 }, selection: {} }), [
+        "name must be a non-empty string of at most 40 characters",
+        "cursor must be null or { x, y } with finite numbers",
+        "selection must hold shapeIds and labelIds arrays of numbers"
+    ]);
+});
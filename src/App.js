@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useMemo, useDeferredValue } from "react";
 import {
   Stage,
   Layer,
@@ -6,34 +6,182 @@ import {
   Line,
   Text,
   Rect,
+  Path,
   Image as KonvaImage
 } from "react-konva";
-import axios from "axios";
+import {
+  createProject,
+  getProject,
+  saveNetNames,
+  saveDrcRules,
+  saveBoardSize,
+  saveLayerStack,
+  saveLoads,
+  listMaterials,
+  addShape,
+  updateShape,
+  replaceShape,
+  deleteShape,
+  addLabel,
+  updateLabel,
+  deleteLabel,
+  joinProject,
+  errorMessage
+} from "./api";
+import {
+  emptyHistory,
+  recordCommand,
+  undoCommand,
+  redoCommand,
+  applyItems,
+  planItemChanges
+} from "./utils/history";
+import {
+  STAGE_WIDTH_PX,
+  STAGE_HEIGHT_PX,
+  PIXELS_PER_CM,
+  DEFAULT_BOARD_SIZE,
+  DISPLAY_UNITS,
+  mmToPx,
+  pxToMm,
+  pxToM,
+  widthToPx,
+  widthOf,
+  formatLength,
+  parseLength
+} from "./utils/units";
+import { IDENTITY_VIEW, ZOOM_STEP, toWorld, zoomAt, boundsOf, fitView } from "./utils/viewport";
+import {
+  EMPTY_SELECTION,
+  toggleSelected,
+  mergeSelections,
+  selectionInRect,
+  selectedItems,
+  moveSelection,
+  copySelection,
+  pasteItems
+} from "./utils/selection";
+import { mergeItems, refreshSelected, updatePeers, peerColor } from "./utils/collab";
+import { editableVertices, moveVertex, insertVertex, removeVertex } from "./utils/vertices";
+import { CORNER_STYLES, DEFAULT_CORNER, cornerOf, styledPoints, styledLength } from "./utils/corners";
+import {
+  LAYER_COUNTS,
+  DEFAULT_LAYER_STACK,
+  DEFAULT_VIA,
+  VIA_COLOR,
+  copperLayers,
+  isCopperLayer,
+  layerLabel,
+  viaResistance
+} from "./utils/layers";
+import {
+  FOOTPRINTS,
+  PAD_COLOR,
+  findFootprint,
+  placeFootprint,
+  nextRefdes,
+  padsOf,
+  padPositions,
+  padPlacement,
+  renumberComponents
+} from "./utils/footprints";
+import { buildGerberFiles } from "./utils/gerber";
+import { DEFAULT_PAD_STACK, padStackOf, padSize, nodeRadius, validatePadStack } from "./utils/drill";
+import { exportKicadPcb, importKicadPcb } from "./utils/kicad";
+import { extractNets, exportNetlist, nodeLabels } from "./utils/netlist";
+import { autoroute, unroutedPairs, pairsForNodes } from "./utils/autoroute";
+import { runDrc, DEFAULT_DRC_RULES } from "./utils/drc";
+import { DEFAULT_ZONE, ZONE_COLOR, fillZone, fillPath, reassignZones } from "./utils/zones";
+import { solveDc, heatColor } from "./utils/dcSolver";
+import { checkTraceCapacity } from "./utils/ipc";
+import { DEFAULT_MATERIALS, COPPER_WEIGHTS, conductorResistance, thicknessLabel } from "./utils/materials";
+import { serializeProject, parseProjectFile, FILE_EXTENSION } from "./utils/projectFile";
+import { downloadFile, printSvg, fileStem } from "./utils/download";
+import { buildPrintSvg, printSize, escapeXml } from "./utils/print";
+import { placeBackground, fitSize, calibratePlacement, readBackgroundFile } from "./utils/background";
+import {
+  DOCUMENTATION_COLOR,
+  withDefaults,
+  labelPosition,
+  labelText,
+  anchorLabel,
+  detachLabels,
+  alignOffset,
+  measureText
+} from "./utils/labels";
+import JSZip from "jszip";
+import ProjectPicker from "./components/ProjectPicker";
+import HistoryPanel from "./components/HistoryPanel";
+import PadStackPanel from "./components/PadStackPanel";
+import ComponentPanel from "./components/ComponentPanel";
+import NetPanel from "./components/NetPanel";
+import DrcPanel from "./components/DrcPanel";
+import AutoroutePanel from "./components/AutoroutePanel";
+import CircuitPanel from "./components/CircuitPanel";
+import CapacityPanel from "./components/CapacityPanel";
+import ZonePanel from "./components/ZonePanel";
+import CollabPanel from "./components/CollabPanel";
+import MaterialLibrary from "./components/MaterialLibrary";
+import PrintDialog from "./components/PrintDialog";
+import BackgroundPanel from "./components/BackgroundPanel";
+import LabelPanel from "./components/LabelPanel";
+import LengthInput from "./components/LengthInput";
 import "./App.css";
 
+/**
+ * Puts items back into a list after a failed server change.
+ * Items with the same id are replaced; items no longer in the list are re-appended.
+ * @param {object[]} list - Current items
+ * @param {object[]} originals - Items as they were before the change
+ * @returns {object[]} Restored list
+ */
+const restoreItems = (list, originals) => {
+  const byId = new Map(originals.map(o => [o.id, o]));
+  const restored = list.map(item => byId.get(item.id) ?? item);
+  return [...restored, ...originals.filter(o => !list.some(item => item.id === o.id))];
+};
+
+/**
+ * Moves a node and the ends of the traces attached to it.
+ * @param {object[]} shapes - All shapes
+ * @param {number} nodeId - Node to move
+ * @param {number} x - New x in pixels
+ * @param {number} y - New y in pixels
+ * @returns {object[]} Updated shapes
+ */
+const moveNode = (shapes, nodeId, x, y) =>
+  shapes.map(s => {
+    if (s.id === nodeId) return { ...s, x, y };
+    if (s.type === "connection") {
+      const pts = [...s.points];
+      if (s.node1Id === nodeId) { pts[0] = x; pts[1] = y; }
+      if (s.node2Id === nodeId) { pts[pts.length-2] = x; pts[pts.length-1] = y; }
+      return { ...s, points: pts };
+    }
+    return s;
+  });
+
 /**
  * Main ECAD application component.
  * Renders interactive canvas with grid, nodes, connections, labels, outline, and optional background image.
  * Supports exporting to PNG and SVG with optional inclusion of background image.
  */
 const App = () => {
-  // Constants for physics and rendering
-  const traceThickness = 0.000035; // Physical trace thickness in meters
-  const filletRadius   = 15; // Radius for fillet rounding
+  // Constants for rendering
   const HIT_STROKE     = 40; // Hit detection stroke width
+  const PRESENCE_MS    = 50; // Shortest time between cursor updates sent to other users
 
-  // Real-world stage dimensions in centimeters
-  const STAGE_WIDTH_CM  = 20;
-  const STAGE_HEIGHT_CM = 15;
-  const PIXELS_PER_CM   = 600 / STAGE_WIDTH_CM; // 600px canvas width equals 20cm => 30px per cm
+  // Material library from the backend, see utils/materials.js
+  const [materials,         setMaterials        ] = useState(DEFAULT_MATERIALS);
+  const [showMaterials,     setShowMaterials    ] = useState(false); // Material library modal visible?
+  const materialProperties = Object.fromEntries(materials.map(m => [m.id, m])); // Materials by id
 
-  // Lookup table for material color and resistivity
-  const materialProperties = {
-    copper:   { color: "orange",    resistivity: 1.68e-8 },
-    aluminum: { color: "gray",      resistivity: 2.82e-8 },
-    gold:     { color: "yellow",    resistivity: 2.44e-8 },
-    silver:   { color: "lightgray", resistivity: 1.59e-8 }
-  };
+  /**
+   * Conductor thickness of a material, 1 oz copper when the material is unknown.
+   * @param {string} material - Material id
+   * @returns {number} Thickness in meters
+   */
+  const thicknessOf = material => materialProperties[material]?.thickness || COPPER_WEIGHTS[1].thickness;
 
   // Component state
   const [shapes,          setShapes]          = useState([]); // All shapes (nodes, connections, outline)
@@ -42,56 +190,144 @@ const App = () => {
     footprint:    true,
     f_lig:        true,
     outlineLayer: true,
-    labelLayer:   true,
+    labelLayer:   true,  // Silkscreen labels
+    docLayer:     true,  // Documentation labels
     imageLayer:   true
   });
   const [selectedNode,       setSelectedNode      ] = useState(null); // Currently selected node
   const [selectedConnection, setSelectedConnection] = useState(null); // Currently selected connection
   const [selectedLabel,      setSelectedLabel     ] = useState(null); // Currently selected label
+  const [selection,          setSelection         ] = useState(EMPTY_SELECTION); // Multi-selection, see utils/selection.js
+  const [selectionBox,       setSelectionBox      ] = useState(null); // Rubber band { x1, y1, x2, y2 } while dragging
   const [isDrawingOutline,   setIsDrawingOutline  ] = useState(false);// In-outline-drawing mode?
+  const [isDrawingZone,      setIsDrawingZone     ] = useState(false);// In-zone-drawing mode? Shares outlinePath
   const [isAddingLabel,      setIsAddingLabel     ] = useState(false);// In-label-adding mode?
-  const [outlinePath,        setOutlinePath       ] = useState([]); // Temporary points when drawing outline
+  const [labelEditor,        setLabelEditor       ] = useState(null); // Label whose text is typed on the canvas:
+                                                                      // { label, isNew }
+  const [outlinePath,        setOutlinePath       ] = useState([]); // Temporary points when drawing outline or zone
   const [activePath,         setActivePath        ] = useState([]); // Temporary points when drawing connection
   const [mousePosition,      setMousePosition     ] = useState(null); // Latest mouse position for preview
   const [selectedMaterial,   setSelectedMaterial  ] = useState("copper"); // Material for new traces
-  const [traceWidth,         setTraceWidth        ] = useState(0.005); // Width of trace in meters
+  const [traceWidth,         setTraceWidth        ] = useState(0.001); // Width of trace in meters
   const [resistance,         setResistance        ] = useState(0); // Computed resistance of selected connection
   const [tempResistance,     setTempResistance    ] = useState(""); // Text input buffer for resistance editing
   const [showGrid,           setShowGrid          ] = useState(true); // Grid toggle
   const [gridSpacing,        setGridSpacing       ] = useState(PIXELS_PER_CM); // Grid spacing in pixels
-  const [lineType,           setLineType          ] = useState("linear"); // Linear, chamfer, fillet, bezier
+  const [lineType,           setLineType          ] = useState(DEFAULT_CORNER.cornerStyle); // Corner style, see utils/corners.js
   const [labelFontSize,      setLabelFontSize     ] = useState(14); // Font size for labels
-  const [chamferLength,      setChamferLength     ] = useState(PIXELS_PER_CM / 2); // Chamfer offset in px
+  const [chamferLength,      setChamferLength     ] = useState(DEFAULT_CORNER.chamferLength); // Chamfer offset in px
+  const [filletRadius,       setFilletRadius      ] = useState(DEFAULT_CORNER.filletRadius);  // Fillet radius in px
+  const [displayUnit,        setDisplayUnit       ] = useState("mm"); // Unit lengths are shown and typed in
 
   // Background image state
   const [bgImageObj,      setBgImageObj]      = useState(null); // HTMLImageElement for background
-  const [bgImageSizeCm,   setBgImageSizeCm]   = useState({ width:0, height:0 }); // Size in cm
+  const [bgPlacement,     setBgPlacement]     = useState(null); // Position, size, rotation and opacity (background.js)
+  const [bgCalibration,   setBgCalibration]   = useState(null); // Points clicked to calibrate the background, or null
+
+  // Project state
+  const [currentProject,    setCurrentProject   ] = useState(null); // { id, name } of the open project
+  const [showProjectPicker, setShowProjectPicker] = useState(true); // Project picker modal visible?
+  const [syncError,         setSyncError        ] = useState(null); // Last change rejected by the server
+  const projectId = currentProject?.id;
+
+  // Collaboration, see utils/collab.js
+  const [peers,        setPeers       ] = useState({});    // Other users viewing the project by client id
+  const [collabOnline, setCollabOnline] = useState(false); // Connected to the collaboration channel?
+  const [userName,     setUserName    ] = useState(() => window.localStorage.getItem("ecad-user-name") || "Guest");
+
+  // Net state
+  const [netNames,       setNetNames      ] = useState({});   // User-given net names by net key
+  const [selectedNetKey, setSelectedNetKey] = useState(null); // Highlighted net
+
+  // Design rule check
+  const [drcRules,            setDrcRules           ] = useState(DEFAULT_DRC_RULES); // Project rules (mm)
+  const [drcViolations,       setDrcViolations      ] = useState(null); // Result of the last run
+  const [drcShapes,           setDrcShapes          ] = useState(null); // Shapes the last run checked
+  const [selectedViolationId, setSelectedViolationId] = useState(null); // Highlighted violation
+
+  // DC analysis
+  const [loads,     setLoads    ] = useState([]);        // Loads between nodes
+  const [dcResult,  setDcResult ] = useState(null);      // Result of the last solve
+  const [dcShapes,  setDcShapes ] = useState(null);      // Shapes the last solve used
+  const [dcOverlay, setDcOverlay] = useState("current"); // Canvas overlay: "off", "voltage" or "current"
+  const [ipcStandard, setIpcStandard] = useState("IPC-2221"); // Standard used to size traces for current
+
+  // Board and viewport
+  const [boardSize, setBoardSize] = useState(DEFAULT_BOARD_SIZE); // Project board size (mm)
+  const [view,      setView     ] = useState(IDENTITY_VIEW);      // Zoom and pan, see utils/viewport.js
+  const [isPanning, setIsPanning] = useState(false);              // Space held: dragging pans the canvas
+  const boardWidthPx  = mmToPx(boardSize.width);
+  const boardHeightPx = mmToPx(boardSize.height);
+  const hitStroke     = HIT_STROKE / view.scale; // Hit width in canvas pixels, the same on screen at any zoom
+
+  // Copper layers
+  const [layerStack,   setLayerStack  ] = useState(DEFAULT_LAYER_STACK); // Layer count and board thickness
+  const [routingLayer, setRoutingLayer] = useState("f_lig");             // Copper layer new traces go on
+  const [viaPadStack,  setViaPadStack ] = useState(DEFAULT_VIA);         // Pad stack of newly dropped vias (mm)
+  const stackLayers = copperLayers(layerStack); // Copper layer ids, top first
+
+  // Footprints
+  const [selectedFootprint,  setSelectedFootprint ] = useState(FOOTPRINTS[0].id); // Library footprint to place
+  const [isPlacingFootprint, setIsPlacingFootprint] = useState(false); // Next canvas click places it?
+  const [placeRotation,      setPlaceRotation     ] = useState(0);     // Rotation of the footprint being placed
+  const [selectedComponent,  setSelectedComponent ] = useState(null);  // Currently selected component
+
+  // Autorouter
+  const [routeProposal, setRouteProposal] = useState(null); // { routes, failed, layer } awaiting accept or reject
+  const [routeShapes,   setRouteShapes  ] = useState(null); // Shapes the proposal was routed on
+
+  // Undo/redo history ({ past, future } of commands, see utils/history.js)
+  const [history, setHistory] = useState(emptyHistory);
 
   // Export dialog state
   const [exportDialog, setExportDialog] = useState({ open:false, type:null }); // { open: bool, type: 'png'|'svg' }
+  const [showPrintDialog, setShowPrintDialog] = useState(false); // 1:1 print export modal visible?
 
   // Refs
   const stageRef     = useRef(null); // Reference to Konva Stage
   const fileInputRef = useRef(null); // Hidden file input for loading image
+  const kicadInputRef = useRef(null); // Hidden file input for importing KiCad boards
+  const projectFileInputRef = useRef(null); // Hidden file input for opening project files
+  const widthEditOrigin = useRef(null); // Trace as it was before the current width slider drag
+  const cornerEditOrigin = useRef(null); // Trace or outline as it was before the current corner slider drag
+  const vertexEditOrigin = useRef(null); // Trace or outline as it was before the current vertex drag
+  const groupDragOrigin = useRef(null); // Shapes, labels and pointer start of the current selection drag
+  const boxSelected     = useRef(false); // A rubber band just ended; swallow the click that follows it
+  const clipboard       = useRef(null); // Copied { shapes, labels }
+  const dragOrigin      = useRef(null); // Node and attached traces as they were before the current drag
+  const syncQueue       = useRef(Promise.resolve()); // Serializes server calls made by undo/redo
+  const collabSession   = useRef(null); // Collaboration channel of the open project, see joinProject
+  const remoteSync      = useRef(null); // Current applyRemoteItems and reloadProject, called by the channel
+  const ownCursor       = useRef(null); // Pointer position last shared with other users
+  const presenceSentAt  = useRef(0);    // Time the cursor was last shared
+  const labelEditCancelled = useRef(false); // Escape was pressed in the label editor
 
   /**
-   * On mount: load shapes from backend and register Escape key handler.
+   * On mount: load the material library. The built-in materials stay in use if the backend is unreachable.
    */
   useEffect(() => {
-    axios.get("http://127.0.0.1:5050/shapes")
-      .then(res => setShapes(res.data))
-      .catch(() => setShapes([]));
+    listMaterials().then(setMaterials).catch(() => {});
+  }, []);
 
+  /**
+   * On mount: register Escape key handler. Shapes are loaded once a project is picked.
+   */
+  useEffect(() => {
     const onKey = e => {
       if (e.key === "Escape") {
         // Clear selections and modes
         setSelectedNode(null);
         setSelectedConnection(null);
         setSelectedLabel(null);
+        setSelectedComponent(null);
+        setSelection(EMPTY_SELECTION);
         setActivePath([]);
         setOutlinePath([]);
         setIsDrawingOutline(false);
+        setIsDrawingZone(false);
         setIsAddingLabel(false);
+        setIsPlacingFootprint(false);
+        setBgCalibration(null);
         setResistance(0);
         setTempResistance("");
         setMousePosition(null);
@@ -101,6 +337,623 @@ const App = () => {
     return () => window.removeEventListener("keydown", onKey);
   }, []);
 
+  /**
+   * Holding space turns mouse drags on the canvas into panning, except while typing in a field.
+   */
+  useEffect(() => {
+    const onDown = e => {
+      if (e.code !== "Space" || ["INPUT", "TEXTAREA", "SELECT", "BUTTON"].includes(e.target.tagName)) return;
+      e.preventDefault();
+      setIsPanning(true);
+    };
+    const onUp   = e => e.code === "Space" && setIsPanning(false);
+    const onBlur = () => setIsPanning(false);
+    window.addEventListener("keydown", onDown);
+    window.addEventListener("keyup", onUp);
+    window.addEventListener("blur", onBlur);
+    return () => {
+      window.removeEventListener("keydown", onDown);
+      window.removeEventListener("keyup", onUp);
+      window.removeEventListener("blur", onBlur);
+    };
+  }, []);
+
+  /**
+   * Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) for undo and redo.
+   * Re-registered every render so it always sees the current history.
+   */
+  useEffect(() => {
+    const onKey = e => {
+      if (!(e.ctrlKey || e.metaKey) || ["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" || key === "y") {
+        e.preventDefault();
+        stepHistory(key === "y" || e.shiftKey ? 1 : -1);
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  /**
+   * Selection shortcuts: Ctrl+C / Ctrl+V copy and paste, Delete removes, arrow keys move by one grid step.
+   * While routing, V moves on to the next copper layer through a via. While placing a footprint, R rotates it;
+   * otherwise R turns the selected label by 90°.
+   * Re-registered every render so it always sees the current selection.
+   */
+  useEffect(() => {
+    const arrows = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    const onKey = e => {
+      if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName) || !currentProject) return;
+      const key = e.key.toLowerCase();
+      if ((e.ctrlKey || e.metaKey) && key === "c") {
+        copySelected();
+      } else if ((e.ctrlKey || e.metaKey) && key === "v") {
+        pasteClipboard();
+      } else if (e.key === "Delete" || e.key === "Backspace") {
+        e.preventDefault();
+        handleDelete();
+      } else if (arrows[e.key] && hasSelection) {
+        e.preventDefault();
+        const [dx, dy] = arrows[e.key];
+        const before = { shapes, labels };
+        commitSelectionMove(before, moveSelection(shapes, labels, selection, dx * gridSpacing, dy * gridSpacing));
+      } else if (key === "v" && !(e.ctrlKey || e.metaKey) && selectedNode) {
+        handleRoutingLayerChange(stackLayers[(stackLayers.indexOf(routingLayer) + 1) % stackLayers.length]);
+      } else if (key === "r" && !(e.ctrlKey || e.metaKey) && isPlacingFootprint) {
+        setPlaceRotation(r => (r + 90) % 360);
+      } else if (key === "r" && !(e.ctrlKey || e.metaKey) && labels.some(l => l.id === selectedLabel?.id)) {
+        const label = labels.find(l => l.id === selectedLabel.id);
+        handleLabelChange(label, { rotation: (withDefaults(label).rotation + 90) % 360 }, "Rotate label");
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  /**
+   * While a project is open: join its collaboration channel, merging the changes of other users into the design and
+   * following their cursors and selections. On joining, and again after a dropped connection, the project is
+   * reloaded since changes may have been missed; changes broadcast meanwhile are held back and applied on top.
+   */
+  useEffect(() => {
+    if (!projectId) return;
+    let held = null; // Changes received while reloading
+    const session = joinProject(projectId, {
+      onItems: items => (held ? held.push(...items) : remoteSync.current.applyRemoteItems(items)),
+      onPresence: message => setPeers(p => updatePeers(p, message)),
+      onStatus: online => {
+        setCollabOnline(online);
+        if (!online) return setPeers({});
+        held = [];
+        remoteSync.current.reloadProject(projectId)
+          .catch(() => {})
+          .then(() => {
+            const items = held;
+            held = null;
+            if (items.length) remoteSync.current.applyRemoteItems(items);
+          });
+      }
+    });
+    collabSession.current = session;
+    return () => {
+      session.leave();
+      collabSession.current = null;
+      setPeers({});
+      setCollabOnline(false);
+    };
+  }, [projectId]);
+
+  /**
+   * Opens a project from the picker, replacing the current design with its shapes.
+   * @param {object} project - Project metadata ({ id, name })
+   * @returns {Promise<boolean>} Whether the project was opened
+   */
+  const openProject = project =>
+    getProject(project.id)
+      .then(data => {
+        setShapes(data.shapes);
+        setLabels(data.labels || []);
+        setNetNames(data.netNames || {});
+        setSelectedNetKey(null);
+        setDrcRules(data.drcRules || DEFAULT_DRC_RULES);
+        setDrcViolations(null);
+        setSelectedViolationId(null);
+        setRouteProposal(null);
+        setBoardSize(data.boardSize || DEFAULT_BOARD_SIZE);
+        setLayerStack(data.layerStack || DEFAULT_LAYER_STACK);
+        setRoutingLayer("f_lig");
+        setView(fitView(boundsOf(data.shapes, data.boardSize || DEFAULT_BOARD_SIZE), STAGE_WIDTH_PX, STAGE_HEIGHT_PX));
+        setLoads(data.loads || []);
+        setDcResult(null);
+        setCurrentProject({ id: data.id, name: data.name });
+        setSelectedNode(null);
+        setSelectedConnection(null);
+        setSelectedLabel(null);
+        setSelectedComponent(null);
+        setSelection(EMPTY_SELECTION);
+        setActivePath([]);
+        setOutlinePath([]);
+        setIsPlacingFootprint(false);
+        // The background image belongs to a project file, not to the server project
+        setBgImageObj(null);
+        setBgPlacement(null);
+        setBgCalibration(null);
+        setHistory(emptyHistory);
+        setShowProjectPicker(false);
+        return true;
+      })
+      .catch(() => {
+        window.alert(`Could not open project "${project.name}".`);
+        return false;
+      });
+
+  /**
+   * Saves the design, embedded background image and editor settings to a project file.
+   */
+  const saveProjectFile = () => {
+    const text = serializeProject({
+      name: currentProject?.name || "Untitled",
+      shapes,
+      labels,
+      netNames,
+      drcRules,
+      boardSize,
+      layerStack,
+      loads,
+      background: bgImageObj ? { dataUrl: bgImageObj.src, placement: bgPlacement } : null,
+      settings: {
+        showGrid, gridSpacing, selectedMaterial, traceWidth, lineType, chamferLength, filletRadius, labelFontSize,
+        activeLayers,
+        ipcStandard, displayUnit, viaPadStack
+      }
+    });
+    downloadFile(
+      new Blob([text], { type: "application/json" }),
+      `${fileStem(currentProject?.name)}${FILE_EXTENSION}`
+    );
+  };
+
+  /**
+   * Restores the background image and editor settings stored in a project file.
+   * @param {object} data - Parsed project file
+   */
+  const applyProjectSettings = data => {
+    const settings = data.settings || {};
+    const setters  = {
+      showGrid:      setShowGrid,
+      gridSpacing:   setGridSpacing,
+      traceWidth:    setTraceWidth,
+      lineType:      setLineType,
+      chamferLength: setChamferLength,
+      filletRadius:  setFilletRadius,
+      labelFontSize: setLabelFontSize,
+      ipcStandard:   setIpcStandard,
+      viaPadStack:   setViaPadStack
+    };
+    if (DISPLAY_UNITS[settings.displayUnit]) setDisplayUnit(settings.displayUnit);
+    Object.entries(setters).forEach(([key, set]) => {
+      if (settings[key] !== undefined) set(settings[key]);
+    });
+    if (materialProperties[settings.selectedMaterial]) setSelectedMaterial(settings.selectedMaterial);
+    if (settings.activeLayers) setActiveLayers(l => ({ ...l, ...settings.activeLayers }));
+
+    if (data.background) {
+      const img = new window.Image();
+      img.onload = () => {
+        setBgImageObj(img);
+        setBgPlacement(data.background.placement);
+      };
+      img.src = data.background.dataUrl;
+    } else {
+      setBgImageObj(null);
+      setBgPlacement(null);
+    }
+    setBgCalibration(null);
+  };
+
+  /**
+   * Opens a project file as a new project on the server.
+   * @param {Event} e - File input change event
+   */
+  const handleProjectFileOpen = e => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text()
+      .then(text => {
+        const data = parseProjectFile(text);
+        const name = data.name || file.name.replace(/(\.ecad)?\.json$/i, "");
+        const design = {
+          shapes: data.shapes, labels: data.labels, netNames: data.netNames, drcRules: data.drcRules,
+          boardSize: data.boardSize, layerStack: data.layerStack, loads: data.loads
+        };
+        return createProject(name, design)
+          .then(openProject)
+          .then(opened => opened && applyProjectSettings(data));
+      })
+      .catch(err => window.alert(`Could not open ${file.name}: ${err.response ? errorMessage(err) : err.message}`));
+  };
+
+  /**
+   * Closes the open project if it was deleted from the picker.
+   * @param {object} project - Deleted project metadata
+   */
+  const handleProjectDeleted = project => {
+    if (currentProject?.id !== project.id) return;
+    setCurrentProject(null);
+    setShapes([]);
+    setLabels([]);
+    setNetNames({});
+    setSelectedComponent(null);
+    setDrcViolations(null);
+    setRouteProposal(null);
+    setBoardSize(DEFAULT_BOARD_SIZE);
+    setLayerStack(DEFAULT_LAYER_STACK);
+    setLoads([]);
+    setDcResult(null);
+  };
+
+  /**
+   * Reloads the design and settings of a project from the server, discarding local state.
+   * @param {string} projectId - Project id
+   */
+  const reloadProject = projectId =>
+    getProject(projectId).then(data => {
+      setShapes(data.shapes);
+      setLabels(data.labels || []);
+      setNetNames(data.netNames || {});
+      setDrcRules(data.drcRules || DEFAULT_DRC_RULES);
+      setBoardSize(data.boardSize || DEFAULT_BOARD_SIZE);
+      setLayerStack(data.layerStack || DEFAULT_LAYER_STACK);
+      setLoads(data.loads || []);
+    });
+
+  /**
+   * Adds a command to the undo history.
+   * @param {string} label - Text shown in the history list
+   * @param {object} before - Snapshot of touched items before the operation
+   * @param {object} after - Snapshot of touched items after the operation
+   * @param {string} [mergeKey] - Commands with the same key in quick succession merge into one step
+   */
+  const record = (label, before, after, mergeKey) =>
+    setHistory(h => recordCommand(h, { label, before, after, mergeKey, time: Date.now() }));
+
+  /**
+   * Applies a history snapshot locally and on the server.
+   * Server calls are queued so several undo steps reach the server in order.
+   * If one fails, the project is reloaded from the server.
+   * @param {object} from - Snapshot currently applied
+   * @param {object} to - Snapshot to apply
+   */
+  const applySnapshot = (from, to) => {
+    if (from.shapes || to.shapes) setShapes(prev => applyItems(prev, from.shapes, to.shapes));
+    if (from.labels || to.labels) setLabels(prev => applyItems(prev, from.labels, to.labels));
+    if (to.background) {
+      setBgImageObj(to.background.image);
+      setBgPlacement(to.background.placement);
+    }
+
+    const pid        = currentProject.id;
+    const shapePlan  = planItemChanges(from.shapes, to.shapes);
+    const labelPlan  = planItemChanges(from.labels, to.labels);
+    // Components before their pads, nodes before the traces on them; removals go the other way
+    const rank       = s => (s.type === "component" ? 0 : s.type === "node" ? 1 : 2);
+    const partsFirst = (a, b) => rank(a) - rank(b);
+    const inSequence = (items, call) => items.reduce((p, item) => p.then(() => call(item)), Promise.resolve());
+
+    syncQueue.current = syncQueue.current
+      .then(() => inSequence([...shapePlan.remove].sort(partsFirst).reverse(), s => deleteShape(pid, s.id)))
+      .then(() => inSequence([...shapePlan.create].sort(partsFirst), s => addShape(pid, s)))
+      .then(() => inSequence(shapePlan.update, s => replaceShape(pid, s)))
+      .then(() => inSequence(labelPlan.remove, l => deleteLabel(pid, l.id)))
+      .then(() => inSequence(labelPlan.create, l => addLabel(pid, l)))
+      .then(() => inSequence(labelPlan.update, l => updateLabel(pid, l.id, l)))
+      .catch(err => {
+        setSyncError(errorMessage(err));
+        return reloadProject(pid).catch(() => {});
+      });
+  };
+
+  /**
+   * Undoes (negative count) or redoes (positive count) several history steps.
+   * @param {number} count - Number of steps; sign selects undo or redo
+   */
+  const stepHistory = count => {
+    if (!currentProject) return;
+    let h = history;
+    for (let i = 0; i < Math.abs(count); i++) {
+      const { history: next, command } = count < 0 ? undoCommand(h) : redoCommand(h);
+      if (!command) break;
+      if (count < 0) applySnapshot(command.after, command.before);
+      else applySnapshot(command.before, command.after);
+      h = next;
+    }
+    setHistory(h);
+    setSelectedNode(null);
+    setSelectedConnection(null);
+    setSelectedLabel(null);
+    setSelectedComponent(null);
+    setActivePath([]);
+  };
+
+  /**
+   * Sends a change that has already been applied to local state (optimistic update).
+   * If the server rejects it, the local change is rolled back and the server's message is shown.
+   * @param {Promise} request - Pending backend call
+   * @param {function():void} rollback - Undoes the local change
+   * @returns {Promise}
+   */
+  const syncChange = (request, rollback) =>
+    request.catch(err => {
+      rollback();
+      setSyncError(errorMessage(err));
+    });
+
+  /**
+   * Applies server versions of items that other users changed, or that were held back while own changes to them
+   * were in flight. Selected items follow their new version.
+   * @param {object[]} items - { kind, id, value } from joinProject
+   */
+  const applyRemoteItems = items => {
+    const shapeItems = items.filter(i => i.kind === "shape");
+    const labelItems = items.filter(i => i.kind === "label");
+    if (shapeItems.length) {
+      setShapes(prev => mergeItems(prev, shapeItems));
+      setSelectedNode(n => refreshSelected(n, shapeItems));
+      setSelectedConnection(c => refreshSelected(c, shapeItems));
+      setSelectedComponent(c => refreshSelected(c, shapeItems));
+    }
+    if (labelItems.length) {
+      setLabels(prev => mergeItems(prev, labelItems));
+      setSelectedLabel(l => refreshSelected(l, labelItems));
+    }
+    const settings = {
+      name:       name => setCurrentProject(p => p && { ...p, name }),
+      netNames:   setNetNames,
+      drcRules:   setDrcRules,
+      boardSize:  setBoardSize,
+      layerStack: stack => {
+        setLayerStack(stack);
+        setRoutingLayer(l => (copperLayers(stack).includes(l) ? l : "f_lig"));
+      },
+      loads:      setLoads
+    };
+    items.filter(i => i.kind === "project").forEach(({ id, value }) => settings[id]?.(value));
+  };
+  remoteSync.current = { applyRemoteItems, reloadProject };
+
+  /**
+   * Optimistically adds a shape, saves it and, once the server has accepted it, records it for undo.
+   * @param {object} shape - Node, connection or outline
+   * @param {string} label - History entry text
+   */
+  const createShape = (shape, label) => {
+    setShapes(prev => [...prev, shape]);
+    syncChange(
+      addShape(currentProject.id, shape).then(() => record(label, { shapes: [] }, { shapes: [shape] })),
+      () => setShapes(prev => prev.filter(s => s.id !== shape.id))
+    );
+  };
+
+  /**
+   * Saves fields of a shape that were already changed locally.
+   * @param {object} original - Shape before the change, restored on failure
+   * @param {object} changes - Changed fields to send
+   */
+  const persistShape = (original, changes) =>
+    syncChange(updateShape(currentProject.id, original.id, changes), () => {
+      setShapes(prev => restoreItems(prev, [original]));
+      setSelectedConnection(c => c?.id === original.id ? original : c);
+    });
+
+  // Multi-selection lookups
+  const selectedShapeIds = new Set(selection.shapeIds);
+  const selectedLabelIds = new Set(selection.labelIds);
+  const hasSelection     = selection.shapeIds.length + selection.labelIds.length > 0;
+
+  // Everything selected, as shown to other users
+  const ownSelection = {
+    shapeIds: [...new Set([...selection.shapeIds, selectedNode?.id, selectedConnection?.id, selectedComponent?.id])]
+      .filter(id => id != null),
+    labelIds: [...new Set([...selection.labelIds, selectedLabel?.id])].filter(id => id != null)
+  };
+  const ownName = userName.trim().slice(0, 40) || "Guest";
+
+  /**
+   * Shares the selection and name with other users whenever they change, and again after (re)joining.
+   */
+  const presenceKey = JSON.stringify([ownName, ownSelection, collabOnline]);
+  useEffect(() => {
+    const [name, selection] = JSON.parse(presenceKey);
+    collabSession.current?.sendPresence({ name, cursor: ownCursor.current, selection });
+  }, [presenceKey]);
+
+  /**
+   * Shares the pointer position with other users, at most every PRESENCE_MS.
+   * @param {{x: number, y: number}|null} cursor - Canvas position, null when the pointer left the canvas
+   */
+  const shareCursor = cursor => {
+    ownCursor.current = cursor;
+    const now = Date.now();
+    if (cursor && now - presenceSentAt.current < PRESENCE_MS) return;
+    presenceSentAt.current = now;
+    collabSession.current?.sendPresence({ name: ownName, cursor, selection: ownSelection });
+  };
+
+  /**
+   * Changes the name shown to other users and remembers it in this browser.
+   * @param {string} name - Typed name
+   */
+  const handleUserNameChange = name => {
+    setUserName(name);
+    window.localStorage.setItem("ecad-user-name", name);
+  };
+
+  // Nets of the current design, recomputed on every change
+  const nets        = extractNets(shapes, netNames);
+  const selectedNet = nets.find(n => n.key === selectedNetKey) || null;
+
+  // Copper of every zone by zone id, refilled whenever the design or the edge clearance changes. Filling is slow
+  // on large boards, so it follows the design with a deferred value and drags stay smooth.
+  const fillShapes = useDeferredValue(shapes);
+  const zoneFills  = useMemo(() => new Map(
+    fillShapes.filter(s => s.type === "zone").map(z => [
+      z.id, fillZone(z, fillShapes, { edgeClearance: drcRules.edgeClearance, pointsOf: styledPoints })
+    ])
+  ), [fillShapes, drcRules.edgeClearance]);
+
+  /**
+   * Asks for a new net name and saves it with the project.
+   * @param {object} net - Net from extractNets
+   */
+  const handleNetRename = net => {
+    const name = window.prompt("Net name:", net.name);
+    if (!name || !name.trim() || name.trim() === net.name) return;
+    const previous = netNames;
+    const updated  = { ...netNames, [net.key]: name.trim() };
+    setNetNames(updated);
+    syncChange(saveNetNames(currentProject.id, updated), () => setNetNames(previous));
+  };
+
+  /**
+   * Downloads the nets as a KiCad netlist.
+   */
+  const exportNetlistFile = () => {
+    const stem = fileStem(currentProject?.name);
+    const text = exportNetlist(shapes, nets, { projectName: currentProject?.name || stem });
+    downloadFile(new Blob([text], { type: "text/plain;charset=utf-8" }), `${stem}.net`);
+  };
+
+  /**
+   * Runs the autorouter on the routing layer with the current grid, width and design rules.
+   * The result is shown as a proposal until it is accepted or rejected.
+   * @param {number[][]} pairs - [node1Id, node2Id] pairs to connect
+   */
+  const handleAutoroute = pairs => {
+    const result = autoroute(shapes, pairs, {
+      grid: gridSpacing,
+      width: traceWidth,
+      layer: routingLayer,
+      clearance: drcRules.clearance,
+      edgeClearance: drcRules.edgeClearance,
+      bounds: { x: 0, y: 0, width: boardWidthPx, height: boardHeightPx },
+      pointsOf: styledPoints
+    });
+    setRouteProposal({ ...result, layer: routingLayer });
+    setRouteShapes(shapes);
+  };
+
+  /**
+   * Adds the proposed routes as traces with the current material, as one undo step.
+   */
+  const acceptRoutes = () => {
+    const id     = Date.now();
+    const traces = routeProposal.routes.map((r, i) =>
+      ({ ...newTrace(id + i, r.points, r.node1Id, r.node2Id), layer: routeProposal.layer }));
+    const before = { shapes: [] };
+    const after  = { shapes: traces };
+    applySnapshot(before, after);
+    record(`Autoroute ${traces.length} traces`, before, after);
+    setRouteProposal(null);
+  };
+
+  // Nodes and component pads in the multi-selection
+  const selectedNodeIds = selectedItems(shapes, labels, selection).shapes.filter(s => s.type === "node").map(s => s.id);
+
+  /**
+   * Checks the design against the project's rules and shows the result.
+   */
+  const handleRunDrc = () => {
+    setDrcViolations(runDrc(shapes, drcRules, { pointsOf: styledPoints }));
+    setDrcShapes(shapes);
+    setSelectedViolationId(null);
+  };
+
+  /**
+   * Saves new design rules with the project.
+   * @param {object} rules - Rule values in mm
+   */
+  const handleDrcRulesChange = rules => {
+    const previous = drcRules;
+    setDrcRules(rules);
+    syncChange(saveDrcRules(currentProject.id, rules), () => setDrcRules(previous));
+  };
+
+  /**
+   * Highlights a violation and selects the shape that causes it.
+   * @param {object} violation - Violation from runDrc
+   */
+  const handleViolationSelect = violation => {
+    setSelectedViolationId(violation.id);
+    const shape = shapes.find(s => s.id === violation.shapeIds[0]);
+    if (!shape) return;
+    if (shape.type === "node") {
+      // A selected node is the start of a new trace, as when clicking it
+      setSelectedConnection(null);
+      setSelectedLabel(null);
+      setSelectedNode(shape);
+      setActivePath([shape.x, shape.y]);
+    } else {
+      handleConnectionClick(shape);
+    }
+  };
+
+  /**
+   * Runs DC nodal analysis over all traces with the current supply voltages and loads.
+   */
+  const handleSolveDc = () => {
+    setDcResult(solveDc(shapes, loads, c => calculateResistance(c)));
+    setDcShapes(shapes);
+  };
+
+  /**
+   * Sets or clears the supply voltage of a power node.
+   * @param {object} node - Node as currently stored
+   * @param {number|null} voltage - Voltage in V, null to solve for the node
+   */
+  const handleSupplyVoltageChange = (node, voltage) => {
+    const updated = { ...node, voltage };
+    setShapes(prev => prev.map(s => s.id === node.id ? updated : s));
+    record("Set supply voltage", { shapes: [node] }, { shapes: [updated] });
+    persistShape(node, { voltage });
+  };
+
+  /**
+   * Saves a new list of loads with the project.
+   * @param {object[]} next - All loads
+   */
+  const handleLoadsChange = next => {
+    const previous = loads;
+    setLoads(next);
+    syncChange(saveLoads(currentProject.id, next), () => setLoads(previous));
+  };
+
+  // Overlay colour of each trace from the last DC solve
+  const dcColors = new Map();
+  if (dcResult && dcOverlay !== "off") {
+    const values = dcResult.traces.map(t => {
+      if (t.current === null) return null;
+      return dcOverlay === "current"
+        ? Math.abs(t.current)
+        : (dcResult.voltages.get(t.node1Id) + dcResult.voltages.get(t.node2Id)) / 2;
+    });
+    const known = values.filter(v => v !== null);
+    const min = dcOverlay === "current" ? 0 : Math.min(...known);
+    const max = Math.max(...known);
+    dcResult.traces.forEach((t, i) =>
+      dcColors.set(t.id, values[i] === null ? "#999" : heatColor(values[i], min, max)));
+  }
+
+  /**
+   * Takes over an edited material library, moving off a material that was deleted.
+   * @param {object[]} list - New library
+   */
+  const handleMaterialsChange = list => {
+    setMaterials(list);
+    if (!list.some(m => m.id === selectedMaterial) && list.length) setSelectedMaterial(list[0].id);
+  };
+
   /**
    * Snaps given coordinates to the nearest grid intersection if grid is enabled.
    * @param {number} x - X coordinate in pixels
@@ -113,94 +966,37 @@ const App = () => {
       : [x, y];
 
   /**
-   * Calculates resistance of a trace given its points, material, and width.
-   * @param {number[]} pts - Flat array of [x1,y1,x2,y2,...] in pixels
-   * @param {string} material - Material key
-   * @param {number} width - Width in meters
+   * Resistance the vias at the ends of a trace add to it. Each end on a via takes half of the barrel, so a path
+   * that changes layer through a via crosses the whole barrel once.
+   * @param {object} trace - Connection
    * @returns {number} Resistance in ohms
    */
-  const calculateResistance = (pts, material, width) => {
-    let length = 0;
-    for (let i = 0; i < pts.length - 2; i += 2) {
-      length += Math.hypot(pts[i+2] - pts[i], pts[i+3] - pts[i+1]);
-    }
-    length /= 1000; // Convert mm to m
-    const rho = materialProperties[material]?.resistivity;
-    return rho ? (rho * length) / (width * traceThickness) : 0;
-  };
-
-  /**
-   * Generates chamfered corner points for a given polyline.
-   * @param {number[]} pts - Flat array of points
-   * @returns {number[]} New flat array including chamfer offsets
-   */
-  const getChamferPoints = pts => {
-    if (!pts || pts.length < 6) return pts;
-    const out = [pts[0], pts[1]];
-    const n   = pts.length / 2;
-    for (let i = 1; i < n - 1; i++) {
-      const x0 = pts[2*(i-1)], y0 = pts[2*(i-1)+1];
-      const x1 = pts[2*i],     y1 = pts[2*i+1];
-      const x2 = pts[2*(i+1)], y2 = pts[2*(i+1)+1];
-      const d1 = Math.hypot(x0-x1, y0-y1), d2 = Math.hypot(x2-x1, y2-y1);
-      if (d1 && d2) {
-        const ux1 = (x0-x1)/d1, uy1 = (y0-y1)/d1;
-        const ux2 = (x2-x1)/d2, uy2 = (y2-y1)/d2;
-        out.push(x1 + ux1*chamferLength, y1 + uy1*chamferLength);
-        out.push(x1 + ux2*chamferLength, y1 + uy2*chamferLength);
-      } else {
-        out.push(x1, y1);
-      }
-    }
-    out.push(pts[pts.length-2], pts[pts.length-1]);
-    return out;
+  const viaResistanceOf = trace => {
+    const plating = materialProperties.copper || DEFAULT_MATERIALS[0];
+    return shapes
+      .filter(s => s.nodeType === "via" && (s.id === trace.node1Id || s.id === trace.node2Id))
+      .reduce((sum, via) => sum + viaResistance(padStackOf(via), plating.resistivity, layerStack.thickness) / 2, 0);
   };
 
   /**
-   * Generates filleted (rounded) corner points for a given polyline.
-   * @param {number[]} pts - Flat array of points
-   * @returns {number[]} New flat array including fillet approximations
+   * Calculates resistance of a trace along its drawn geometry (corner style included), material and width,
+   * plus the vias it ends on. With a temperature rise the trace is corrected to the operating temperature.
+   * @param {object} trace - Connection
+   * @param {number} [width] - Width in meters, defaults to the trace's width
+   * @returns {number} Resistance in ohms
    */
-  const getFilletPoints = pts => {
-    if (!pts || pts.length < 6) return pts;
-    const out = [pts[0], pts[1]];
-    const n   = pts.length / 2;
-    for (let i = 1; i < n - 1; i++) {
-      const [x0,y0,x1,y1,x2,y2] = pts.slice(2*(i-1), 2*(i+2));
-      const d0  = Math.hypot(x0-x1, y0-y1), d1 = Math.hypot(x2-x1, y2-y1);
-      if (d0 < 1e-6 || d1 < 1e-6) {
-        out.push(x1, y1);
-        continue;
-      }
-      const u0x = (x0-x1)/d0, u0y = (y0-y1)/d0;
-      const u1x = (x2-x1)/d1, u1y = (y2-y1)/d1;
-      const dot = Math.max(-1, Math.min(1, u0x*u1x + u0y*u1y));
-      const ang = Math.acos(dot);
-      const t   = filletRadius / Math.tan(ang/2);
-      const p0x = x1 + u0x*t, p0y = y1 + u0y*t;
-      const p2x = x1 + u1x*t, p2y = y1 + u1y*t;
-      const bisx= u0x + u1x, bisy= u0y + u1y;
-      const bl  = Math.hypot(bisx, bisy);
-      if (bl < 1e-6) {
-        out.push(x1, y1);
-        continue;
-      }
-      const ubx = bisx/bl, uby = bisy/bl;
-      const dist= filletRadius / Math.sin(ang/2);
-      const cx  = x1 + ubx*dist, cy = y1 + uby*dist;
-      let start = Math.atan2(p0y-cy, p0x-cx);
-      let end   = Math.atan2(p2y-cy, p2x-cx);
-      let delta = end - start;
-      if (delta > Math.PI)  delta -= 2*Math.PI;
-      if (delta < -Math.PI) delta += 2*Math.PI;
-      const steps = Math.max(4, Math.ceil(Math.abs(delta)/(Math.PI/12)));
-      for (let s = 0; s <= steps; s++) {
-        const a = start + (delta*s)/steps;
-        out.push(cx + Math.cos(a)*filletRadius, cy + Math.sin(a)*filletRadius);
-      }
-    }
-    out.push(pts[pts.length-2], pts[pts.length-1]);
-    return out;
+  const calculateResistance = (trace, width = trace.width) =>
+    conductorResistance(materialProperties[trace.material], pxToM(styledLength(trace)), width, trace.tempRise) +
+    viaResistanceOf(trace);
+
+  /**
+   * Shows the resistance of a trace in the resistance field.
+   * @param {object} trace - Connection
+   */
+  const showResistance = trace => {
+    const R = Number(calculateResistance(trace).toFixed(2));
+    setResistance(R);
+    setTempResistance(R.toString());
   };
 
   /**
@@ -208,21 +1004,57 @@ const App = () => {
    * @param {string} type - "power" or "ground"
    */
   const addNode = type => {
-    let x = Math.random()*600, y = Math.random()*400;
+    let x = Math.random()*boardWidthPx, y = Math.random()*boardHeightPx;
     if (showGrid) [x,y] = snapToGrid(x,y);
     const node = {
       id: Date.now(),
       type: "node",
       nodeType: type,
       x, y,
-      radius: 10,
+      radius: mmToPx(DEFAULT_PAD_STACK.padDiameter / 2),
+      padStack: { ...DEFAULT_PAD_STACK },
       color: type==="power"?"red":"black",
       layer: "footprint"
     };
-    axios.post("http://127.0.0.1:5050/shapes", node)
-      .then(() => setShapes(prev => [...prev, node]));
+    createShape(node, `Add ${type} node`);
   };
 
+  /**
+   * Applies a new pad stack to a node. The drawn pad size follows the pad diameter.
+   * @param {object} node - Node as currently stored
+   * @param {object} padStack - New pad stack (diameters in mm)
+   */
+  const handlePadStackChange = (node, padStack) => {
+    const updated = { ...node, padStack, radius: nodeRadius(padStack) };
+    setShapes(prev => prev.map(s => s.id === node.id ? updated : s));
+    setSelectedNode(updated);
+    record("Edit pad stack", { shapes: [node] }, { shapes: [updated] });
+    persistShape(node, { padStack, radius: updated.radius });
+  };
+
+  /**
+   * A new trace on the routing layer with the current material, width and corner style.
+   * @param {number} id - Shape id
+   * @param {number[]} points - Flat [x1,y1,...] array from node1 to node2
+   * @param {number} node1Id - Start node
+   * @param {number} node2Id - End node
+   * @returns {object} Connection
+   */
+  const newTrace = (id, points, node1Id, node2Id) => ({
+    id,
+    type: "connection",
+    points,
+    node1Id,
+    node2Id,
+    material: selectedMaterial,
+    width: traceWidth,
+    cornerStyle: lineType,
+    chamferLength,
+    filletRadius,
+    color: materialProperties[selectedMaterial].color,
+    layer: routingLayer
+  });
+
   /**
    * Handles clicking on a node: starts or completes a connection.
    * @param {object} n - Node object
@@ -230,174 +1062,791 @@ const App = () => {
   const handleNodeClick = n => {
     if (isAddingLabel) return;
     setSelectedLabel(null);
+    setSelectedComponent(null);
+    setSelection(EMPTY_SELECTION);
     if (!selectedNode) {
       // Begin new connection
       setSelectedNode(n);
       setSelectedConnection(null);
       setActivePath([n.x, n.y]);
     } else if (selectedNode.id !== n.id) {
-      // Finish connection
-      const [nx,ny] = showGrid ? snapToGrid(n.x,n.y) : [n.x,n.y];
-      const pts = [...activePath, nx, ny];
-      const conn = {
-        id: Date.now(),
-        type: "connection",
-        points: pts,
-        node1Id: selectedNode.id,
-        node2Id: n.id,
-        material: selectedMaterial,
-        width: traceWidth,
-        color: materialProperties[selectedMaterial].color,
-        layer: "f_lig"
-      };
-      axios.post("http://127.0.0.1:5050/shapes", conn)
-        .then(() => setShapes(prev => [...prev, conn]));
+      // Finish connection on the node itself; component pads are often off the grid
+      const conn = newTrace(Date.now(), [...activePath, n.x, n.y], selectedNode.id, n.id);
+      createShape(conn, "Add connection");
       setSelectedNode(null);
       setActivePath([]);
     }
   };
 
   /**
-   * Selects a connection for width/resistance editing.
-   * @param {object} c - Connection object
+   * Switches the copper layer new traces go on. While routing, the trace so far ends in a via at the cursor
+   * and routing carries on from the via on the new layer.
+   * @param {string} layer - Copper layer id
+   */
+  const handleRoutingLayerChange = layer => {
+    if (layer === routingLayer) return;
+    setRoutingLayer(layer);
+    if (!selectedNode || !mousePosition) return;
+    const [x, y] = snapToGrid(mousePosition.x, mousePosition.y);
+    // Still on the start pad: nothing to drop, the trace simply starts on the new layer
+    if (activePath.length === 2 && activePath[0] === x && activePath[1] === y) return;
+    const id  = Date.now();
+    const via = {
+      id,
+      type: "node",
+      nodeType: "via",
+      x, y,
+      radius: mmToPx(viaPadStack.padDiameter / 2),
+      padStack: { ...viaPadStack },
+      color: VIA_COLOR,
+      layer: "footprint"
+    };
+    const trace  = newTrace(id + 1, [...activePath, x, y], selectedNode.id, id);
+    const before = { shapes: [] };
+    const after  = { shapes: [via, trace] };
+    applySnapshot(before, after);
+    record("Add via", before, after);
+    setSelectedNode(via);
+    setActivePath([x, y]);
+  };
+
+  /**
+   * Places the selected library footprint with its origin at (x, y) and selects it.
+   * @param {number} x - Origin x in pixels
+   * @param {number} y - Origin y in pixels
+   */
+  const placeSelectedFootprint = (x, y) => {
+    const footprint = findFootprint(selectedFootprint);
+    const { component, pads } = placeFootprint(footprint, {
+      x, y, rotation: placeRotation, refdes: nextRefdes(footprint.prefix, shapes), firstId: Date.now()
+    });
+    const before = { shapes: [] };
+    const after  = { shapes: [component, ...pads] };
+    applySnapshot(before, after);
+    record(`Place ${component.refdes}`, before, after);
+    setIsPlacingFootprint(false);
+    setSelectedComponent(component);
+  };
+
+  /**
+   * Selects a component by its body.
+   * @param {KonvaEvent} e - Konva mouse event
+   * @param {object} c - Component
+   */
+  const handleComponentClick = (e, c) => {
+    if (e.evt.shiftKey) return handleShiftClick("shape", c.id);
+    clearSingleSelection();
+    setSelection(EMPTY_SELECTION);
+    setSelectedComponent(c);
+  };
+
+  /**
+   * Applies edits from the component panel. The pads move to their new places, turn and change side with the
+   * component, and the traces on them follow.
+   * @param {object} c - Component as currently stored
+   * @param {object} changes - New { refdes, x, y, rotation, mirrored }
+   */
+  const handleComponentChange = (c, changes) => {
+    const updated   = { ...c, ...changes };
+    const positions = padPositions(updated);
+    const placement = padPlacement(updated);
+    let next = shapes.map(s => s.id === c.id ? updated : s);
+    padsOf(shapes, c.id).forEach(p => {
+      const at = positions.get(p.padName);
+      if (at) next = moveNode(next, p.id, at.x, at.y);
+      if (p.padRotation !== placement.padRotation || p.side !== placement.side) {
+        next = next.map(s => s.id === p.id ? { ...s, ...placement } : s);
+      }
+    });
+    const changed = next.filter((s, i) => s !== shapes[i]);
+    const before  = { shapes: changed.map(s => shapes.find(o => o.id === s.id)) };
+    const after   = { shapes: changed };
+    applySnapshot(before, after);
+    record(`Edit ${updated.refdes}`, before, after);
+    setSelectedComponent(updated);
+  };
+
+  /**
+   * Selects a connection for width/resistance editing, or an outline or zone for editing its corners and vertices.
+   * @param {object} c - Connection, outline or zone
    */
   const handleConnectionClick = c => {
+    setSelection(EMPTY_SELECTION);
     setSelectedConnection(c);
     setSelectedNode(null);
     setSelectedLabel(null);
-    setTraceWidth(c.width);
-    const R = calculateResistance(c.points, c.material, c.width);
-    setResistance(Number(R.toFixed(2)));
-    setTempResistance(Number(R.toFixed(2)).toString());
+    setSelectedComponent(null);
+    if (c.width) setTraceWidth(c.width);
+    const corner = cornerOf(c);
+    setLineType(corner.cornerStyle);
+    setChamferLength(corner.chamferLength);
+    setFilletRadius(corner.filletRadius);
+    if (c.type === "connection") showResistance(c);
   };
 
   /**
    * Updates trace width slider and recalculates resistance.
+   * The first change of a slider drag remembers the original trace for commitWidthChange.
    * @param {number} val - New width in meters
    */
   const handleWidthChange = val => {
     setTraceWidth(val);
-    if (!selectedConnection || selectedConnection.layer==="outline") return;
+    if (selectedConnection?.type !== "connection") return;
+    if (!widthEditOrigin.current) widthEditOrigin.current = selectedConnection;
     const updated = { ...selectedConnection, width: val };
     setShapes(prev => prev.map(s => s.id===updated.id ? updated : s));
     setSelectedConnection(updated);
-    const R = calculateResistance(updated.points, updated.material, val);
-    setResistance(Number(R.toFixed(2)));
-    setTempResistance(Number(R.toFixed(2)).toString());
+    showResistance(updated);
+  };
+
+  /**
+   * Saves the width of the selected trace once the slider is released.
+   */
+  const commitWidthChange = () => {
+    const original = widthEditOrigin.current;
+    widthEditOrigin.current = null;
+    if (!original || selectedConnection?.id !== original.id) return;
+    if (original.width !== selectedConnection.width) {
+      persistShape(original, { width: selectedConnection.width });
+      record(
+        "Change trace width",
+        { shapes: [original] },
+        { shapes: [selectedConnection] },
+        `width:${original.id}`
+      );
+    }
+  };
+
+  /**
+   * Changes the corner style used for new traces and, while one is selected, of the selected trace or outline.
+   * A slider drag passes commit = false and is saved once released by commitCornerChange.
+   * @param {object} changes - Any of { cornerStyle, chamferLength, filletRadius } (lengths in px)
+   * @param {boolean} [commit] - Save and record the change right away
+   */
+  const handleCornerChange = (changes, commit = true) => {
+    const setters = { cornerStyle: setLineType, chamferLength: setChamferLength, filletRadius: setFilletRadius };
+    Object.entries(changes).forEach(([key, value]) => setters[key](value));
+    if (!selectedConnection) return;
+    if (!cornerEditOrigin.current) cornerEditOrigin.current = selectedConnection;
+    const updated = { ...selectedConnection, ...changes };
+    setShapes(prev => prev.map(s => s.id === updated.id ? updated : s));
+    setSelectedConnection(updated);
+    if (updated.type === "connection") showResistance(updated);
+    if (commit) commitCornerChange(updated);
+  };
+
+  /**
+   * Saves the corner style of the selected trace or outline after a change or slider drag.
+   * @param {object} [updated] - Shape after the change, defaults to the selected connection
+   */
+  const commitCornerChange = (updated = selectedConnection) => {
+    const original = cornerEditOrigin.current;
+    cornerEditOrigin.current = null;
+    if (!original || updated?.id !== original.id) return;
+    const changes = Object.fromEntries(
+      Object.keys(DEFAULT_CORNER).filter(key => updated[key] !== original[key]).map(key => [key, updated[key]])
+    );
+    if (!Object.keys(changes).length) return;
+    persistShape(original, changes);
+    record("Change corner style", { shapes: [original] }, { shapes: [updated] }, `corner:${original.id}`);
+  };
+
+  /**
+   * Handles user editing resistance; recalculates width accordingly.
+   */
+  const handleResistanceBlur = () => {
+    if (selectedConnection?.type !== "connection") return;
+    const Rval = parseFloat(tempResistance);
+    if (isNaN(Rval) || Rval <= 0) {
+      setTempResistance(resistance.toString());
+      return;
+    }
+    // The trace's own resistance is inversely proportional to width; via resistance stays fixed
+    const viaR = viaResistanceOf(selectedConnection);
+    const newW = (calculateResistance(selectedConnection, 1) - viaR) / (Rval - viaR);
+    if (!(newW > 0)) {
+      setTempResistance(resistance.toString());
+      return;
+    }
+    setSelectedTraceWidth(newW, "Change trace resistance");
+    setResistance(Rval);
+  };
+
+  /**
+   * Sets the width of the selected trace as one recorded, saved change.
+   * @param {number} width - New width in meters
+   * @param {string} label - History label
+   */
+  const setSelectedTraceWidth = (width, label) => {
+    const original = selectedConnection;
+    handleWidthChange(width);
+    widthEditOrigin.current = null;
+    persistShape(original, { width });
+    record(label, { shapes: [original] }, { shapes: [{ ...original, width }] });
+  };
+
+  /**
+   * Stores the target current and allowed temperature rise of the selected trace.
+   * @param {object} changes - { targetCurrent, tempRise }
+   */
+  const handleCapacityChange = changes => {
+    const original = selectedConnection;
+    const updated  = { ...original, ...changes };
+    setShapes(prev => prev.map(s => s.id === updated.id ? updated : s));
+    handleConnectionClick(updated);
+    record("Edit trace current", { shapes: [original] }, { shapes: [updated] });
+    persistShape(original, changes);
+  };
+
+  /**
+   * Resizes the board of the open project.
+   * @param {{width: number, height: number}} size - Board size in mm
+   */
+  const handleBoardSizeChange = size => {
+    const previous = boardSize;
+    setBoardSize(size);
+    syncChange(saveBoardSize(currentProject.id, size), () => setBoardSize(previous));
+  };
+
+  /**
+   * Changes the copper layer stack of the open project. Layers that still carry traces cannot be removed.
+   * @param {{copperLayers: number, thickness: number}} stack - Layer count and board thickness in mm
+   */
+  const handleLayerStackChange = stack => {
+    const kept  = copperLayers(stack);
+    const stuck = shapes.find(s => s.type === "connection" && !kept.includes(s.layer));
+    if (stuck) {
+      window.alert(`Move or delete the traces on ${layerLabel(stuck.layer)} before removing that layer.`);
+      return;
+    }
+    const zone = shapes.find(s => s.type === "zone" && !kept.includes(s.copperLayer));
+    if (zone) {
+      window.alert(`Move or delete the zones on ${layerLabel(zone.copperLayer)} before removing that layer.`);
+      return;
+    }
+    const previous = layerStack;
+    setLayerStack(stack);
+    if (!kept.includes(routingLayer)) setRoutingLayer("f_lig");
+    syncChange(saveLayerStack(currentProject.id, stack), () => setLayerStack(previous));
+  };
+
+  /**
+   * Changes the pad or drill size given to new vias.
+   * @param {object} changes - padDiameter and/or drillDiameter in mm
+   */
+  const handleViaPadStackChange = changes => {
+    const next = { ...viaPadStack, ...changes };
+    const msg  = validatePadStack(next);
+    if (msg) window.alert(msg);
+    else setViaPadStack(next);
+  };
+
+  /**
+   * Zooms so the whole board and every shape on it fit in the canvas.
+   */
+  const zoomToFit = () => setView(fitView(boundsOf(shapes, boardSize), STAGE_WIDTH_PX, STAGE_HEIGHT_PX));
+
+  /**
+   * Mouse wheel handler: zooms in or out around the cursor.
+   * @param {KonvaEvent} e - Konva wheel event
+   */
+  const handleWheel = e => {
+    e.evt.preventDefault();
+    const pointer = e.target.getStage().getPointerPosition();
+    setView(v => zoomAt(v, pointer, e.evt.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP));
+  };
+
+  /**
+   * Keeps the view in step while the stage is dragged for panning. Node drags bubble up here too and are ignored.
+   * @param {KonvaEvent} e - Konva drag event
+   */
+  const handleStageDrag = e => {
+    const stage = e.target.getStage();
+    if (e.target === stage) setView(v => ({ ...v, x: stage.x(), y: stage.y() }));
+  };
+
+  /**
+   * Stage click handler: places labels, outline and zone points, or clears selection.
+   * @param {KonvaEvent} e - Konva mouse event
+   */
+  const handleStageClick = e => {
+    const stage = e.target.getStage(); if (!stage || isPanning) return;
+    if (boxSelected.current) {
+      boxSelected.current = false;
+      return;
+    }
+    const pos = toWorld(view, stage.getPointerPosition());
+    if (bgCalibration) {
+      // Points on the image itself, not on the grid
+      handleCalibrationClick(pos);
+      return;
+    }
+    const [x,y] = showGrid ? snapToGrid(pos.x,pos.y) : [pos.x,pos.y];
+
+    if (isAddingLabel) {
+      // Type the text in place
+      setLabelEditor({ label: { x, y, text: "", fontSize: labelFontSize }, isNew: true });
+      setIsAddingLabel(false);
+      return;
+    }
+
+    if (isPlacingFootprint) {
+      placeSelectedFootprint(x, y);
+      return;
+    }
+
+    if (isDrawingOutline || isDrawingZone) {
+      // Add point to outline or zone path
+      setOutlinePath(prev => [...prev, x, y]);
+    } else if (selectedNode) {
+      // Add intermediate point to connection
+      setActivePath(prev => [...prev, x, y]);
+    } else if (e.target === stage || e.target.hasName("background")) {
+      // Click on empty space or the background image clears selections
+      setSelectedNode(null);
+      setSelectedConnection(null);
+      setSelectedLabel(null);
+      setSelectedComponent(null);
+      setSelection(EMPTY_SELECTION);
+      setActivePath([]);
+      setOutlinePath([]);
+      setIsDrawingOutline(false);
+      setIsDrawingZone(false);
+    }
+  };
+
+  /**
+   * Mouse move handler: shares the cursor and updates preview lines, the footprint being placed and the rubber band.
+   * @param {KonvaEvent} e - Konva mouse event
+   */
+  const handleMouseMove = e => {
+    const stage = e.target.getStage(); if (!stage) return;
+    const pos = toWorld(view, stage.getPointerPosition());
+    shareCursor(pos);
+    if (
+      !selectedNode && !isDrawingOutline && !isDrawingZone && !isAddingLabel && !isPlacingFootprint && !bgCalibration &&
+      !selectionBox
+    ) {
+      return;
+    }
+    if (selectionBox) setSelectionBox(b => ({ ...b, x2: pos.x, y2: pos.y }));
+    else setMousePosition(pos);
+  };
+
+  /**
+   * Starts a rubber band when the mouse goes down on empty canvas outside any drawing mode.
+   * @param {KonvaEvent} e - Konva mouse event
+   */
+  const handleStageMouseDown = e => {
+    const stage = e.target.getStage();
+    if (
+      e.target !== stage || isPanning || selectedNode || isDrawingOutline || isDrawingZone || isAddingLabel ||
+      isPlacingFootprint || bgCalibration
+    ) return;
+    const pos = toWorld(view, stage.getPointerPosition());
+    setSelectionBox({ x1: pos.x, y1: pos.y, x2: pos.x, y2: pos.y });
+  };
+
+  /**
+   * Ends a rubber band: selects what it encloses, added to the selection with shift held.
+   * A band of a few pixels is a plain click and left to handleStageClick.
+   * @param {KonvaEvent} e - Konva mouse event
+   */
+  const handleStageMouseUp = e => {
+    if (!selectionBox) return;
+    setSelectionBox(null);
+    const { x1, y1, x2, y2 } = selectionBox;
+    if (Math.hypot(x2 - x1, y2 - y1) * view.scale < 4) return;
+    const boxed = selectionInRect(shapes, labels, selectionBox, styledPoints);
+    setSelection(sel => e.evt.shiftKey ? mergeSelections(sel, boxed) : boxed);
+    clearSingleSelection();
+    boxSelected.current = true;
+  };
+
+  /**
+   * Finishes drawing an outline or zone by closing loop and saving shape.
+   */
+  const finishOutline = () => {
+    const drawingZone = isDrawingZone;
+    setOutlinePath([]);
+    setIsDrawingOutline(false);
+    setIsDrawingZone(false);
+    if (outlinePath.length < (drawingZone ? 6 : 4)) return;
+    const [sx,sy] = outlinePath;
+    const closed = [...outlinePath, sx, sy];
+    if (drawingZone) {
+      createShape(newZone(closed), "Add zone");
+      return;
+    }
+    const shape = {
+      id: Date.now(),
+      type: "outline",
+      points: closed,
+      width: traceWidth,
+      cornerStyle: lineType,
+      chamferLength,
+      filletRadius,
+      color: "limegreen",
+      layer: "outline"
+    };
+    createShape(shape, "Add outline");
+  };
+
+  /**
+   * A new zone on the routing layer with the current corner style. It takes the highlighted net, or else the
+   * first ground net, and the design rule clearance.
+   * @param {number[]} points - Closed loop
+   * @returns {object} Zone
+   */
+  const newZone = points => {
+    const net = selectedNet || nets.find(n => n.hasGround);
+    return {
+      id: Date.now(),
+      type: "zone",
+      points,
+      nodeId: net ? net.nodeIds[0] : null,
+      copperLayer: routingLayer,
+      clearance: drcRules.clearance,
+      thermalWidth: DEFAULT_ZONE.thermalWidth,
+      cornerStyle: lineType,
+      chamferLength,
+      filletRadius,
+      color: ZONE_COLOR,
+      layer: "zone"
+    };
+  };
+
+  /**
+   * Applies the settings of the selected zone from the zone panel.
+   * @param {object} zone - Zone as currently stored
+   * @param {object} changes - Any of { nodeId, copperLayer, clearance, thermalWidth }
+   */
+  const handleZoneChange = (zone, changes) => {
+    const updated = { ...zone, ...changes };
+    setShapes(prev => prev.map(s => s.id === zone.id ? updated : s));
+    setSelectedConnection(updated);
+    record("Edit zone", { shapes: [zone] }, { shapes: [updated] });
+    persistShape(zone, changes);
+  };
+
+  /**
+   * Labels anchored to nodes about to be deleted, as they are and detached where they stand.
+   * @param {object[]} removedShapes - Shapes being deleted; only nodes matter
+   * @param {object[]} [candidates] - Labels that may be affected, all by default
+   * @returns {{anchored: object[], detached: object[]}}
+   */
+  const labelsOnNodes = (removedShapes, candidates = labels) => {
+    const nodeIds  = removedShapes.filter(s => s.type === "node").map(s => s.id);
+    const detached = detachLabels(candidates, shapes, nodeIds);
+    return { anchored: detached.map(d => labels.find(l => l.id === d.id)), detached };
+  };
+
+  /**
+   * Changes the text, style or anchor of a label as one undo step. Anchoring to another node, or to none, keeps
+   * the label where it is on the canvas.
+   * @param {object} label - Label before the change
+   * @param {object} changes - Changed fields
+   * @param {string} [historyLabel] - History label
+   */
+  const handleLabelChange = (label, changes, historyLabel = "Edit label") => {
+    const { x, y, nodeId } = changes.nodeId === undefined ? label : anchorLabel(label, shapes, changes.nodeId);
+    const showNet = nodeId != null && Boolean(changes.showNet ?? label.showNet);
+    const updated = { ...label, ...changes, x, y, nodeId, showNet };
+    setSelectedLabel(s => (s?.id === label.id ? updated : s));
+    applySnapshot({ labels: [label] }, { labels: [updated] });
+    record(historyLabel, { labels: [label] }, { labels: [updated] });
+  };
+
+  /**
+   * Finishes typing a label on the canvas: adds the new label or changes the text of the edited one.
+   * An empty text adds nothing and leaves an existing label as it was.
+   * @param {string} text - Typed text
+   */
+  const commitLabelEditor = text => {
+    const { label, isNew } = labelEditor;
+    setLabelEditor(null);
+    if (!text.trim()) return;
+    if (isNew) {
+      const added = { ...label, id: Date.now(), text };
+      setLabels(prev => [...prev, added]);
+      record("Add label", { labels: [] }, { labels: [added] });
+      syncChange(
+        addLabel(currentProject.id, added),
+        () => setLabels(prev => prev.filter(l => l.id !== added.id))
+      );
+      return;
+    }
+    const current = labels.find(l => l.id === label.id);
+    if (current && text !== current.text) handleLabelChange(current, { text }, "Edit label text");
+  };
+
+  /**
+   * Deletes the selection, or else the currently selected component, node, connection, or label.
+   * Deleting a pad deletes its whole component; labels anchored to deleted nodes are detached where they stand and
+   * zones on them move to another node of the net (see reassignZones).
+   */
+  const handleDelete = () => {
+    if (hasSelection) {
+      const removed = selectedItems(shapes, labels, selection);
+      const freed   = labelsOnNodes(removed.shapes, labels.filter(l => !removed.labels.includes(l)));
+      const moved   = reassignZones(shapes, removed.shapes.map(s => s.id));
+      const before  = { shapes: [...removed.shapes, ...moved.zones], labels: [...removed.labels, ...freed.anchored] };
+      const after   = { shapes: moved.reassigned, labels: freed.detached };
+      applySnapshot(before, after);
+      record(`Delete ${removed.shapes.length + removed.labels.length} items`, before, after);
+      setSelection(EMPTY_SELECTION);
+    } else if (selectedComponent || selectedNode?.componentId !== undefined) {
+      const cid       = selectedComponent ? selectedComponent.id : selectedNode.componentId;
+      const component = shapes.find(s => s.id === cid);
+      const parts     = selectedItems(shapes, [], { shapeIds: [cid], labelIds: [] }).shapes;
+      const freed     = labelsOnNodes(parts);
+      const moved     = reassignZones(shapes, parts.map(s => s.id));
+      const before    = { shapes: [...parts, ...moved.zones], labels: freed.anchored };
+      const after     = { shapes: moved.reassigned, labels: freed.detached };
+      applySnapshot(before, after);
+      record(`Delete ${component?.refdes || "component"}`, before, after);
+      setSelectedComponent(null);
+      setSelectedNode(null);
+      setActivePath([]);
+    } else if (selectedNode) {
+      const nid = selectedNode.id;
+      const removed = shapes.filter(s =>
+        s.id === nid ||
+        (s.type === "connection" && (s.node1Id === nid || s.node2Id === nid))
+      );
+      // The server detaches the node's labels and moves its zones the same way
+      const freed = labelsOnNodes(removed);
+      const moved = reassignZones(shapes, removed.map(s => s.id));
+      setShapes(prev => restoreItems(prev.filter(s => !removed.some(r => r.id === s.id)), moved.reassigned));
+      setLabels(prev => restoreItems(prev, freed.detached));
+      setSelectedNode(null);
+      setActivePath([]);
+      record(
+        "Delete node",
+        { shapes: [...removed, ...moved.zones], labels: freed.anchored },
+        { shapes: moved.reassigned, labels: freed.detached }
+      );
+      syncChange(deleteShape(currentProject.id, nid), () => {
+        setShapes(prev => restoreItems(prev, [...removed, ...moved.zones]));
+        setLabels(prev => restoreItems(prev, freed.anchored));
+      });
+    } else if (selectedConnection) {
+      const removed = shapes.find(s => s.id === selectedConnection.id);
+      setShapes(prev => prev.filter(s => s.id !== selectedConnection.id));
+      setSelectedConnection(null);
+      record(`Delete ${removed.type}`, { shapes: [removed] }, { shapes: [] });
+      syncChange(
+        deleteShape(currentProject.id, removed.id),
+        () => setShapes(prev => restoreItems(prev, [removed]))
+      );
+    } else if (selectedLabel) {
+      const removed = labels.find(l => l.id === selectedLabel.id);
+      setLabels(prev => prev.filter(l => l.id !== selectedLabel.id));
+      setSelectedLabel(null);
+      record("Delete label", { labels: [removed] }, { labels: [] });
+      syncChange(
+        deleteLabel(currentProject.id, removed.id),
+        () => setLabels(prev => restoreItems(prev, [removed]))
+      );
+    }
+  };
+
+  /**
+   * Replaces the points of the selected trace or outline locally, updating the shown resistance.
+   * @param {number[]} points - New points
+   * @returns {object} Updated shape
+   */
+  const setSelectedPoints = points => {
+    const updated = { ...selectedConnection, points };
+    setShapes(prev => prev.map(s => s.id === updated.id ? updated : s));
+    setSelectedConnection(updated);
+    if (updated.type === "connection") showResistance(updated);
+    return updated;
+  };
+
+  /**
+   * Saves edited points of a trace or outline as one undo step.
+   * @param {object} original - Shape before the edit
+   * @param {object} updated - Shape after the edit
+   * @param {string} label - History label
+   */
+  const saveVertexEdit = (original, updated, label) => {
+    persistShape(original, { points: updated.points });
+    record(label, { shapes: [original] }, { shapes: [updated] });
+  };
+
+  /**
+   * Moves a vertex of the selected trace or outline with its handle, snapped to the grid.
+   * @param {KonvaEvent} e - Konva drag event
+   * @param {number} index - Vertex index
+   */
+  const handleVertexDrag = (e, index) => {
+    if (!vertexEditOrigin.current) vertexEditOrigin.current = selectedConnection;
+    const [x, y] = snapToGrid(e.target.x(), e.target.y());
+    e.target.position({ x, y });
+    setSelectedPoints(moveVertex(selectedConnection, index, x, y));
+  };
+
+  /**
+   * Saves a vertex drag.
+   */
+  const handleVertexDragEnd = () => {
+    const original = vertexEditOrigin.current;
+    vertexEditOrigin.current = null;
+    if (original && selectedConnection?.id === original.id) saveVertexEdit(original, selectedConnection, "Move vertex");
+  };
+
+  /**
+   * Double-click on a trace or outline: selects it and adds a vertex where it was clicked.
+   * @param {KonvaEvent} e - Konva mouse event
+   * @param {object} shape - Connection or outline
+   */
+  const handleVertexInsert = (e, shape) => {
+    const pos = toWorld(view, e.target.getStage().getPointerPosition());
+    const [x, y] = snapToGrid(pos.x, pos.y);
+    const updated = { ...shape, points: insertVertex(shape, x, y) };
+    setShapes(prev => prev.map(s => s.id === updated.id ? updated : s));
+    handleConnectionClick(updated);
+    saveVertexEdit(shape, updated, "Add vertex");
+  };
+
+  /**
+   * Double-click on a vertex handle: removes the vertex when the shape stays valid without it.
+   * @param {number} index - Vertex index
+   */
+  const handleVertexRemove = index => {
+    const points = removeVertex(selectedConnection, index);
+    if (!points) return;
+    const original = selectedConnection;
+    saveVertexEdit(original, setSelectedPoints(points), "Remove vertex");
+  };
+
+  /**
+   * Clears the single node, connection, label and component selection, e.g. when a multi-selection takes over.
+   */
+  const clearSingleSelection = () => {
+    setSelectedNode(null);
+    setSelectedConnection(null);
+    setSelectedLabel(null);
+    setSelectedComponent(null);
+    setActivePath([]);
+  };
+
+  /**
+   * The single selection as a selection object, for adding it to a multi-selection or copying it.
+   * @returns {{shapeIds: number[], labelIds: number[]}}
+   */
+  const singleSelection = () => ({
+    shapeIds: [selectedNode, selectedConnection, selectedComponent].filter(Boolean).map(s => s.id),
+    labelIds: selectedLabel ? [selectedLabel.id] : []
+  });
+
+  /**
+   * Shift-click: adds an item to the multi-selection or removes it. A single selection becomes part of it.
+   * @param {"shape"|"label"} kind
+   * @param {number} id - Shape or label id
+   */
+  const handleShiftClick = (kind, id) => {
+    const single = singleSelection();
+    setSelection(sel => toggleSelected(mergeSelections(sel, single), kind, id));
+    clearSingleSelection();
+  };
+
+  /**
+   * Saves a moved selection as one undo step.
+   * @param {{shapes: object[], labels: object[]}} before - Lists before the move
+   * @param {{shapes: object[], labels: object[]}} after - Lists after the move, see moveSelection
+   * @param {string} [label] - History label
+   */
+  const commitSelectionMove = (before, after, label = "Move selection") => {
+    const changed = (list, prev) => list.filter((item, i) => item !== prev[i]);
+    const to   = { shapes: changed(after.shapes, before.shapes), labels: changed(after.labels, before.labels) };
+    const from = {
+      shapes: to.shapes.map(s => before.shapes.find(b => b.id === s.id)),
+      labels: to.labels.map(l => before.labels.find(b => b.id === l.id))
+    };
+    if (!to.shapes.length && !to.labels.length) return;
+    applySnapshot(from, to);
+    record(label, from, to);
+  };
+
+  /**
+   * Starts dragging the whole selection from one of its nodes or labels, or a component from its body or a pad.
+   * @param {KonvaEvent} e - Konva drag event
+   * @param {{shapeIds: number[], labelIds: number[]}} [dragged] - What moves, the multi-selection by default
+   * @param {string} [label] - History label
+   */
+  const handleGroupDragStart = (e, dragged = selection, label) => {
+    groupDragOrigin.current = { shapes, labels, dragged, label, x: e.target.x(), y: e.target.y() };
   };
 
   /**
-   * Handles user editing resistance; recalculates width accordingly.
+   * Moves the selection along with the dragged item, in whole grid steps when the grid is on.
+   * @param {KonvaEvent} e - Konva drag event
    */
-  const handleResistanceBlur = () => {
-    if (!selectedConnection || selectedConnection.layer==="outline") return;
-    const Rval = parseFloat(tempResistance);
-    if (isNaN(Rval) || Rval <= 0) {
-      setTempResistance(resistance.toString());
-      return;
-    }
-    let length = 0;
-    selectedConnection.points.forEach((_,i,arr) => {
-      if (i%2===0 && i < arr.length-2) {
-        length += Math.hypot(arr[i+2]-arr[i], arr[i+3]-arr[i+1]);
-      }
-    });
-    length /= 1000;
-    const rho = materialProperties[selectedConnection.material].resistivity;
-    const newW = (rho * length) / (Rval * traceThickness);
-    handleWidthChange(newW);
-    setResistance(Rval);
+  const handleGroupDrag = e => {
+    const origin = groupDragOrigin.current;
+    if (!origin) return;
+    let [dx, dy] = [e.target.x() - origin.x, e.target.y() - origin.y];
+    if (showGrid) [dx, dy] = snapToGrid(dx, dy);
+    const moved = moveSelection(origin.shapes, origin.labels, origin.dragged, dx, dy);
+    setShapes(moved.shapes);
+    setLabels(moved.labels);
   };
 
   /**
-   * Stage click handler: places labels, outline points, or clears selection.
-   * @param {KonvaEvent} e - Konva mouse event
+   * Saves the selection after a drag as one undo step.
    */
-  const handleStageClick = e => {
-    const stage = e.target.getStage(); if (!stage) return;
-    const pos = stage.getPointerPosition();
-    const [x,y] = showGrid ? snapToGrid(pos.x,pos.y) : [pos.x,pos.y];
-
-    if (isAddingLabel) {
-      // Prompt for label text
-      const txt = window.prompt("Enter label text:", "");
-      if (txt) setLabels(prev => [...prev, { id:Date.now(), x, y, text:txt, fontSize:labelFontSize }]);
-      setIsAddingLabel(false);
-      return;
-    }
-
-    if (isDrawingOutline) {
-      // Add point to outline path
-      setOutlinePath(prev => [...prev, x, y]);
-    } else if (selectedNode) {
-      // Add intermediate point to connection
-      setActivePath(prev => [...prev, x, y]);
-    } else if (e.target === stage) {
-      // Click on empty space clears selections
-      setSelectedNode(null);
-      setSelectedConnection(null);
-      setSelectedLabel(null);
-      setActivePath([]);
-      setOutlinePath([]);
-      setIsDrawingOutline(false);
-    }
+  const handleGroupDragEnd = () => {
+    const origin = groupDragOrigin.current;
+    groupDragOrigin.current = null;
+    if (origin) commitSelectionMove(origin, { shapes, labels }, origin.label);
   };
 
   /**
-   * Mouse move handler: updates preview lines.
-   * @param {KonvaEvent} e - Konva mouse event
+   * Copies the selection, or else the selected node, connection or label, to the clipboard.
    */
-  const handleMouseMove = e => {
-    if (!selectedNode && !isDrawingOutline && !isAddingLabel) return;
-    const stage = e.target.getStage(); if (!stage) return;
-    setMousePosition(stage.getPointerPosition());
+  const copySelected = () => {
+    const sel = hasSelection ? selection : singleSelection();
+    const copied = copySelection(shapes, labels, sel);
+    if (copied.shapes.length || copied.labels.length) clipboard.current = copied;
   };
 
   /**
-   * Finishes drawing an outline by closing loop and saving shape.
+   * Pastes the clipboard one grid step down and right of the copy and selects the pasted items.
+   * Pasting again steps further, so repeated pastes do not pile up. Pasted components get free reference designators.
    */
-  const finishOutline = () => {
-    if (outlinePath.length < 4) {
-      setOutlinePath([]);
-      setIsDrawingOutline(false);
-      return;
-    }
-    const [sx,sy] = outlinePath;
-    const closed = [...outlinePath, sx, sy];
-    const shape = {
-      id: Date.now(),
-      type: "outline",
-      points: closed,
-      width: traceWidth,
-      color: "limegreen",
-      layer: "outline"
-    };
-    axios.post("http://127.0.0.1:5050/shapes", shape)
-      .then(() => setShapes(prev => [...prev, shape]));
-    setOutlinePath([]);
-    setIsDrawingOutline(false);
+  const pasteClipboard = () => {
+    if (!clipboard.current) return;
+    const copy   = pasteItems(clipboard.current, { dx: gridSpacing, dy: gridSpacing });
+    const pasted = { ...copy, shapes: renumberComponents(copy.shapes, shapes) };
+    const before = { shapes: [], labels: [] };
+    applySnapshot(before, pasted);
+    record(`Paste ${pasted.shapes.length + pasted.labels.length} items`, before, pasted);
+    clipboard.current = pasted;
+    setSelection({ shapeIds: pasted.shapes.map(s => s.id), labelIds: pasted.labels.map(l => l.id) });
+    clearSingleSelection();
   };
 
   /**
-   * Deletes the currently selected node, connection, or label.
+   * Remembers a node and its attached traces before a drag so the move can be saved or rolled back.
+   * @param {object} n - Node object
    */
-  const handleDelete = () => {
-    if (selectedNode) {
-      const nid = selectedNode.id;
-      setShapes(prev => prev.filter(s =>
-        s.id !== nid &&
-        !(s.type === "connection" && (s.node1Id === nid || s.node2Id === nid))
-      ));
-      setSelectedNode(null);
-    } else if (selectedConnection) {
-      setShapes(prev => prev.filter(s => s.id !== selectedConnection.id));
-      setSelectedConnection(null);
-    } else if (selectedLabel) {
-      setLabels(prev => prev.filter(l => l.id !== selectedLabel.id));
-      setSelectedLabel(null);
-    }
+  const handleNodeDragStart = n => {
+    dragOrigin.current = attachedShapes(n);
   };
 
+  /**
+   * A node and the traces attached to it.
+   * @param {object} n - Node object
+   * @returns {object[]}
+   */
+  const attachedShapes = n =>
+    shapes.filter(s =>
+      s.id === n.id ||
+      (s.type === "connection" && (s.node1Id === n.id || s.node2Id === n.id))
+    );
+
   /**
    * Handles dragging a node and updates connected lines.
    * @param {KonvaEvent} e - Konva drag event
@@ -406,64 +1855,184 @@ const App = () => {
   const handleNodeDrag = (e,n) => {
     let x = e.target.x(), y = e.target.y();
     if (showGrid) [x,y] = snapToGrid(x,y);
-    setShapes(prev => prev.map(s => {
-      if (s.id === n.id) return { ...s, x, y };
-      if (s.type === "connection") {
-        const pts = [...s.points];
-        if (s.node1Id === n.id) { pts[0] = x; pts[1] = y; }
-        if (s.node2Id === n.id) { pts[pts.length-2] = x; pts[pts.length-1] = y; }
-        return { ...s, points: pts };
-      }
-      return s;
-    }));
+    setShapes(prev => moveNode(prev, n.id, x, y));
+  };
+
+  /**
+   * Saves the final position of a dragged node and the new endpoints of its traces.
+   * The whole drag becomes a single undo step.
+   */
+  const handleNodeDragEnd = () => {
+    const originals = dragOrigin.current || [];
+    dragOrigin.current = null;
+    const moved = originals.map(orig => shapes.find(s => s.id === orig.id)).filter(Boolean);
+    const node  = moved.find(s => s.type === "node");
+    const start = originals.find(s => s.type === "node");
+    if (!node || (node.x === start.x && node.y === start.y)) return;
+    saveNodeMove(originals, moved);
+  };
+
+  /**
+   * Records and saves a moved node together with its traces.
+   * @param {object[]} originals - Node and traces before the move
+   * @param {object[]} moved - The same shapes after the move
+   */
+  const saveNodeMove = (originals, moved) => {
+    record("Move node", { shapes: originals }, { shapes: moved });
+    moved.forEach(current => {
+      const changes = current.type === "node"
+        ? { x: current.x, y: current.y }
+        : { points: current.points };
+      syncChange(
+        updateShape(currentProject.id, current.id, changes),
+        () => setShapes(prev => restoreItems(prev, originals))
+      );
+    });
+  };
+
+  /**
+   * Moves a node to typed coordinates.
+   * @param {object} n - Node as currently stored
+   * @param {number} x - New x in pixels
+   * @param {number} y - New y in pixels
+   */
+  const handleNodePositionChange = (n, x, y) => {
+    const originals = attachedShapes(n);
+    const next      = moveNode(shapes, n.id, x, y);
+    setShapes(next);
+    setSelectedNode(next.find(s => s.id === n.id));
+    setActivePath([x, y]);
+    saveNodeMove(originals, originals.map(o => next.find(s => s.id === o.id)));
+  };
+
+  /**
+   * Shows the background image at a placement as one undo step. The background stays in this browser; it is saved
+   * in project files but not on the server.
+   * @param {string} label - History label
+   * @param {HTMLImageElement|null} image - Image, null to remove it
+   * @param {object|null} placement - Placement in mm, see background.js
+   * @param {string} [mergeKey] - Merges quick successive changes, e.g. while dragging the opacity slider
+   */
+  const setBackground = (label, image, placement, mergeKey) => {
+    record(
+      label,
+      { background: { image: bgImageObj, placement: bgPlacement } },
+      { background: { image, placement } },
+      mergeKey
+    );
+    setBgImageObj(image);
+    setBgPlacement(placement);
   };
 
   /**
-   * Handles background image file selection and user-specified sizing.
+   * Loads a background image, SVG drawing or PDF page chosen in the file input.
+   * Drawings of known size are placed at 1:1 from the board origin; anything else is fitted onto the board and
+   * calibrated from two points.
    * @param {Event} e - File input change event
    */
   const handleImageUpload = e => {
     const file = e.target.files[0];
+    e.target.value = "";
     if (!file) return;
-    const img = new window.Image();
-    const url = URL.createObjectURL(file);
-    img.src = url;
-    img.onload = () => {
-      const wcm = parseFloat(window.prompt("Image width (cm):", "10")) || 0;
-      const hcm = parseFloat(window.prompt("Image height (cm):", "10")) || 0;
-      setBgImageObj(img);
-      setBgImageSizeCm({ width: wcm, height: hcm });
+    const fail = () => window.alert(`Could not read "${file.name}" as an image.`);
+    readBackgroundFile(file)
+      .then(({ dataUrl, sizeMm }) => {
+        // Kept as a data URL so the image can be embedded in saved project files
+        const img = new window.Image();
+        img.onload = () => {
+          // SVGs without a size of their own load as 0 × 0 and start out square
+          const natural = { width: img.naturalWidth || 1, height: img.naturalHeight || 1 };
+          setBackground("Load background image", img, placeBackground(sizeMm || fitSize(natural, boardSize)));
+          if (!sizeMm) startCalibration();
+        };
+        img.onerror = fail;
+        img.src     = dataUrl;
+      })
+      .catch(fail);
+  };
+
+  /**
+   * Starts two-point calibration of the background image: the next two clicks pick the points.
+   */
+  const startCalibration = () => {
+    setBgCalibration([]);
+    setActiveLayers(l => ({ ...l, imageLayer: true }));
+  };
+
+  /**
+   * Takes a calibration point; after the second one asks for their real distance and scales the image to match.
+   * @param {{x: number, y: number}} pos - Clicked point in canvas pixels
+   */
+  const handleCalibrationClick = pos => {
+    if (!bgCalibration.length) {
+      setBgCalibration([pos]);
+      return;
+    }
+    setBgCalibration(null);
+    setMousePosition(null);
+    // Typed in the display unit unless another unit is given, e.g. "10 cm"
+    const unit = DISPLAY_UNITS[displayUnit].label;
+    const text = window.prompt(`Real distance between the two points (${unit}, or e.g. "10 cm"):`, "");
+    if (text === null) return;
+    const placement = calibratePlacement(bgPlacement, bgCalibration[0], pos, parseLength(text, displayUnit));
+    if (placement) setBackground("Calibrate background image", bgImageObj, placement);
+    else window.alert("Click two different points and enter a distance greater than zero.");
+  };
+
+  /**
+   * Where a label's text is drawn, or its outline with some padding around the text.
+   * @param {object} label
+   * @param {number} [pad] - Padding in pixels
+   * @returns {{x: number, y: number, width: number, height: number, offsetX: number, offsetY: number, rotation: number}}
+   *   Konva props; the text itself only takes the position, rotation and offsetX
+   */
+  const labelBox = (label, pad = 0) => {
+    const l     = withDefaults(label);
+    const at    = labelPosition(l, shapes);
+    const width = measureText(labelText(l, nets), l.fontSize, l.fontFamily);
+    return {
+      x: at.x,
+      y: at.y,
+      width:  width + pad * 2,
+      height: l.fontSize + pad * 2,
+      offsetX: alignOffset(l, width) + pad,
+      offsetY: pad,
+      rotation: l.rotation
     };
   };
 
   /**
-   * Renders grid lines and numeric labels.
-   * Labels only on every other line if spacing ≤ 20px.
+   * Renders the grid lines in view over the board, with numeric labels in the display unit along the top
+   * and left edge of the view. Lines and labels keep their screen size at any zoom; labels are thinned out
+   * when lines are closer than 25 screen pixels.
    */
   const drawGrid = () => {
     const lines = [];
-    const skipOdd = gridSpacing <= 20;
-    for (let x = 0; x <= 600; x += gridSpacing) {
+    const { scale } = view;
+    const from  = toWorld(view, { x: 0, y: 0 });
+    const to    = toWorld(view, { x: STAGE_WIDTH_PX, y: STAGE_HEIGHT_PX });
+    const every = Math.ceil(25 / (gridSpacing * scale)); // Label every n-th line
+    const first = min => Math.max(0, Math.ceil(min / gridSpacing));
+    const label = v => formatLength(pxToMm(v), displayUnit, false);
+    for (let i = first(from.x); i * gridSpacing <= Math.min(boardWidthPx, to.x); i++) {
+      const x = i * gridSpacing;
       lines.push(
-        <Line key={`gx${x}`} points={[x,0,x,400]} stroke="#ddd" strokeWidth={0.5}/>
+        <Line key={`gx${i}`} points={[x,0,x,boardHeightPx]} stroke="#ddd" strokeWidth={0.5/scale}/>
       );
-      const idx = Math.round(x / gridSpacing);
-      if (!skipOdd || idx % 2 === 0) {
-        const cm = (x/PIXELS_PER_CM).toFixed(1).replace(/\.0$/,"");
+      if (i % every === 0) {
         lines.push(
-          <Text key={`gxlabel${x}`} x={x+2} y={0} text={cm} fontSize={12}/>
+          <Text key={`gxlabel${i}`} x={x+2/scale} y={Math.max(0, from.y)} text={label(x)} fontSize={12/scale}/>
         );
       }
     }
-    for (let y = 0; y <= 400; y += gridSpacing) {
+    for (let i = first(from.y); i * gridSpacing <= Math.min(boardHeightPx, to.y); i++) {
+      const y = i * gridSpacing;
       lines.push(
-        <Line key={`gy${y}`} points={[0,y,600,y]} stroke="#ddd" strokeWidth={0.5}/>
+        <Line key={`gy${i}`} points={[0,y,boardWidthPx,y]} stroke="#ddd" strokeWidth={0.5/scale}/>
       );
-      const idx = Math.round(y / gridSpacing);
-      if (!skipOdd || idx % 2 === 0) {
-        const cm = (y/PIXELS_PER_CM).toFixed(1).replace(/\.0$/,"");
+      if (i % every === 0) {
         lines.push(
-          <Text key={`gylabel${y}`} x={0} y={y+2} text={cm} fontSize={12}/>
+          <Text key={`gylabel${i}`} x={Math.max(0, from.x)} y={y+2/scale} text={label(y)} fontSize={12/scale}/>
         );
       }
     }
@@ -492,44 +2061,180 @@ const App = () => {
     setExportDialog({ open:false, type:null });
     setTimeout(() => {
       if (type === "png") {
-        const uri    = stageRef.current.toDataURL();
-        const link   = document.createElement("a");
-        link.download = "diagram.png";
-        link.href     = uri;
-        link.click();
+        // The board area at 100 % zoom, whatever the current view
+        const { scale, x, y } = view;
+        // Other users' cursors and selections are not part of the design
+        const peerLayers = stageRef.current.find(".peers");
+        peerLayers.forEach(l => l.hide());
+        const url = stageRef.current.toDataURL({
+          x, y, width: boardWidthPx * scale, height: boardHeightPx * scale, pixelRatio: 1 / scale
+        });
+        peerLayers.forEach(l => l.show());
+        downloadFile(url, "diagram.png");
       } else if (type === "svg") {
-        let svg = `<?xml version="1.0" encoding="utf-8"?><svg width="${STAGE_WIDTH_CM}cm" height="${STAGE_HEIGHT_CM}cm" viewBox="0 0 600 400" xmlns="http://www.w3.org/2000/svg">`;
+        let svg = `<?xml version="1.0" encoding="utf-8"?><svg width="${boardSize.width}mm" height="${boardSize.height}mm" viewBox="0 0 ${boardWidthPx} ${boardHeightPx}" xmlns="http://www.w3.org/2000/svg">`;
         shapes.filter(s=>s.layer==="footprint").forEach(n=>{
           svg += `<circle cx="${n.x}" cy="${n.y}" r="${n.radius}" fill="${n.color}"/>`;
         });
-        shapes.filter(s=>s.layer==="f_lig"||s.layer==="outline").forEach(t=>{
+        // Zone fills under the traces
+        shapes.filter(s=>s.type==="zone").forEach(z=>{
+          const fill = fillZone(z, shapes, { edgeClearance: drcRules.edgeClearance, pointsOf: styledPoints });
+          svg += `<path d="${fillPath(fill)}" fill="${z.color}"/>`;
+          fill.spokes.forEach(([x1,y1,x2,y2])=>{
+            svg += `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${z.color}" stroke-width="${fill.spokeWidth}"/>`;
+          });
+        });
+        shapes.filter(s=>isCopperLayer(s.layer)||s.layer==="outline").forEach(t=>{
           const color = t.layer==="outline"?"limegreen":t.color;
-          const w     = (t.width||0.005)*1000;
-          const pts   = t.points.filter((_,i)=>i%2===0)
-                            .map((_,i)=>`${t.points[2*i]},${t.points[2*i+1]}`)
+          const w     = widthToPx(widthOf(t));
+          const drawn = styledPoints(t);
+          const pts   = drawn.filter((_,i)=>i%2===0)
+                            .map((_,i)=>`${drawn[2*i]},${drawn[2*i+1]}`)
                             .join(" ");
           svg += `<polyline points="${pts}" fill="none" stroke="${color}" stroke-width="${w}" stroke-linejoin="round"/>`;
         });
-        labels.forEach(l=>{
-          svg += `<text x="${l.x}" y="${l.y+l.fontSize}" font-size="${l.fontSize}" fill="black">${l.text}</text>`;
+        labels.map(withDefaults).forEach(l=>{
+          const { x, y } = labelPosition(l, shapes);
+          const anchor   = { left: "start", center: "middle", right: "end" }[l.align];
+          const turn     = l.rotation ? ` transform="rotate(${l.rotation} ${x} ${y})"` : "";
+          const fill     = l.layer === "documentation" ? DOCUMENTATION_COLOR : "black";
+          svg += `<text x="${x}" y="${y+l.fontSize}" font-family="${l.fontFamily}" font-size="${l.fontSize}" text-anchor="${anchor}" fill="${fill}"${turn}>${escapeXml(labelText(l, nets))}</text>`;
         });
         svg += `</svg>`;
-        const blob = new Blob([svg], { type: "image/svg+xml;charset=utf-8" });
-        const url  = URL.createObjectURL(blob);
-        const link = document.createElement("a");
-        link.download = "diagram.svg";
-        link.href     = url;
-        link.click();
-        URL.revokeObjectURL(url);
+        downloadFile(new Blob([svg], { type: "image/svg+xml;charset=utf-8" }), "diagram.svg");
       }
       // restore background layer visibility
       setActiveLayers(l => ({ ...l, imageLayer: prev }));
     }, 100);
   };
 
+  /**
+   * Builds the 1:1 print drawing chosen in the print dialog.
+   * @param {object} options - { layers, mirror, drillMarks, title } from PrintDialog
+   * @returns {string} SVG document
+   */
+  const buildPrint = options => buildPrintSvg(shapes, labels, {
+    ...options, boardSize, edgeClearance: drcRules.edgeClearance, pointsOf: styledPoints, netNames
+  });
+
+  /**
+   * Prints the design at 1:1 scale, or saves it as PDF from the browser's print dialog.
+   * @param {object} options - { layers, mirror, drillMarks, title } from PrintDialog
+   */
+  const handlePrint = options => {
+    const { width, height } = printSize(boardSize, options.title !== null);
+    setShowPrintDialog(false);
+    printSvg(buildPrint(options), options.title || fileStem(currentProject?.name), width > height);
+  };
+
+  /**
+   * Downloads the 1:1 print drawing as an SVG file sized in mm.
+   * @param {object} options - { layers, mirror, drillMarks, title } from PrintDialog
+   */
+  const downloadPrintSvg = options => {
+    const svg = `<?xml version="1.0" encoding="utf-8"?>\n${buildPrint(options)}`;
+    setShowPrintDialog(false);
+    downloadFile(new Blob([svg], { type: "image/svg+xml;charset=utf-8" }), `${fileStem(currentProject?.name)}-print.svg`);
+  };
+
+  /**
+   * Shapes with trace, outline and zone points in their rendered corner style, for exports.
+   * @returns {object[]}
+   */
+  const getStyledShapes = () =>
+    shapes.map(s => s.points ? { ...s, points: styledPoints(s) } : s);
+
+  /**
+   * Exports the design as a KiCad board file.
+   */
+  const exportKicad = () => {
+    const pcb = exportKicadPcb(getStyledShapes(), labels, netNames, layerStack);
+    downloadFile(new Blob([pcb], { type: "text/plain;charset=utf-8" }), `${fileStem(currentProject?.name)}.kicad_pcb`);
+  };
+
+  /**
+   * Adds the contents of a KiCad board file to the open project as one undoable step.
+   * @param {Event} e - File input change event
+   */
+  const handleKicadImport = e => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text()
+      .then(text => {
+        const imported = importKicadPcb(text);
+        const before   = { shapes: [], labels: [] };
+        const after    = { shapes: imported.shapes, labels: imported.labels };
+        applySnapshot(before, after);
+        record(`Import ${file.name}`, before, after);
+        if (imported.layerStack.copperLayers > layerStack.copperLayers) {
+          handleLayerStackChange({ ...layerStack, copperLayers: imported.layerStack.copperLayers });
+        }
+        if (imported.skipped) {
+          window.alert(`${imported.skipped} track(s) did not run between two pads and were skipped.`);
+        }
+      })
+      .catch(err => window.alert(`Could not import ${file.name}: ${err.message}`));
+  };
+
+  /**
+   * Exports copper, solder mask and board profile Gerber layers plus a job file as one zip.
+   * Traces are written in their rendered corner style and zones poured with the design's edge clearance.
+   */
+  const exportGerber = () => {
+    const stem   = fileStem(currentProject?.name);
+    const files  = buildGerberFiles(getStyledShapes(), {
+      projectName: stem, heightPx: boardHeightPx, layerStack, edgeClearance: drcRules.edgeClearance
+    });
+    const zip    = new JSZip();
+    Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+    zip.generateAsync({ type: "blob" })
+      .then(blob => downloadFile(blob, `${stem}-gerber.zip`));
+  };
+
   return (
     <div>
-      <h2>ECAD Tool</h2>
+      <h2>ECAD Tool{currentProject && ` — ${currentProject.name}`}</h2>
+
+      {/* Server rejected a change; it has been rolled back */}
+      {syncError && (
+        <div className="sync-error">
+          Change not saved: {syncError}
+          <button onClick={() => setSyncError(null)}>Dismiss</button>
+        </div>
+      )}
+
+      {/* Material library modal */}
+      {showMaterials && (
+        <MaterialLibrary
+          materials={materials}
+          onChange={handleMaterialsChange}
+          onClose={() => setShowMaterials(false)}
+        />
+      )}
+
+      {/* Project picker modal */}
+      {showProjectPicker && (
+        <ProjectPicker
+          currentId={currentProject?.id ?? null}
+          onOpen={openProject}
+          onClose={currentProject ? () => setShowProjectPicker(false) : undefined}
+          onOpenFile={() => projectFileInputRef.current.click()}
+          onDeleted={handleProjectDeleted}
+        />
+      )}
+
+      {/* 1:1 print export modal */}
+      {showPrintDialog && (
+        <PrintDialog
+          layers={stackLayers}
+          defaultLayer={routingLayer}
+          defaultTitle={currentProject?.name || "Untitled"}
+          onPrint={handlePrint}
+          onDownload={downloadPrintSvg}
+          onClose={() => setShowPrintDialog(false)}
+        />
+      )}
 
       {/* Export confirmation modal */}
       {exportDialog.open && (
@@ -545,19 +2250,83 @@ const App = () => {
       <div className="controls">
         {/* Top row buttons */}
         <div className="controls-row">
+          <button onClick={() => setShowProjectPicker(true)}>Projects</button>
+          <button onClick={saveProjectFile}>Save Project</button>
+          <button onClick={() => projectFileInputRef.current.click()}>Open Project</button>
           <button onClick={() => handleExport("png")}>Export PNG</button>
           <button onClick={() => handleExport("svg")}>Export SVG</button>
+          <button onClick={() => setShowPrintDialog(true)}>Print / PDF…</button>
+          <button onClick={exportGerber}>Export Gerber</button>
+          <button onClick={exportKicad}>Export KiCad</button>
+          <button onClick={() => kicadInputRef.current.click()}>Import KiCad</button>
+          <button onClick={zoomToFit}>Zoom to Fit</button>
+          <span className="zoom-level" title="Mouse wheel zooms, hold space and drag to pan">
+            {Math.round(view.scale * 100)} %
+          </span>
+          {/* Hidden file input for project files */}
+          <input
+            type="file"
+            accept=".json,application/json"
+            ref={projectFileInputRef}
+            style={{ display: "none" }}
+            onChange={handleProjectFileOpen}
+          />
+          {/* Hidden file input for KiCad boards */}
+          <input
+            type="file"
+            accept=".kicad_pcb"
+            ref={kicadInputRef}
+            style={{ display: "none" }}
+            onChange={handleKicadImport}
+          />
           <button onClick={() => addNode("power")}>Add Power Node</button>
           <button onClick={() => addNode("ground")}>Add Ground Node</button>
+          <label>
+            Footprint:
+            <select value={selectedFootprint} onChange={e => setSelectedFootprint(e.target.value)}>
+              {[...new Set(FOOTPRINTS.map(f => f.category))].map(category => (
+                <optgroup key={category} label={category}>
+                  {FOOTPRINTS.filter(f => f.category === category).map(f => (
+                    <option key={f.id} value={f.id}>{f.name}</option>
+                  ))}
+                </optgroup>
+              ))}
+            </select>
+          </label>
+          <button
+            onClick={() => {
+              setIsPlacingFootprint(p => !p);
+              clearSingleSelection();
+              setSelection(EMPTY_SELECTION);
+            }}
+          >
+            {isPlacingFootprint ? "Cancel Placing" : "Place Footprint"}
+          </button>
           <button
             onClick={handleDelete}
-            disabled={!selectedNode && !selectedConnection && !selectedLabel}
+            disabled={!selectedNode && !selectedConnection && !selectedLabel && !selectedComponent && !hasSelection}
           >
             Delete
           </button>
-          <button onClick={() => isDrawingOutline ? finishOutline() : setIsDrawingOutline(true)}>
+          <button
+            onClick={copySelected}
+            disabled={!selectedNode && !selectedConnection && !selectedLabel && !selectedComponent && !hasSelection}
+          >
+            Copy
+          </button>
+          <button onClick={pasteClipboard}>Paste</button>
+          <button
+            onClick={() => isDrawingOutline ? finishOutline() : setIsDrawingOutline(true)}
+            disabled={isDrawingZone}
+          >
             {isDrawingOutline ? "Finish Outline" : "Add Outline"}
           </button>
+          <button
+            onClick={() => isDrawingZone ? finishOutline() : setIsDrawingZone(true)}
+            disabled={isDrawingOutline}
+          >
+            {isDrawingZone ? "Finish Zone" : "Add Zone"}
+          </button>
           <button
             onClick={() => {
               setIsAddingLabel(true);
@@ -572,7 +2341,7 @@ const App = () => {
           {/* Hidden file input for background image */}
           <input
             type="file"
-            accept="image/*"
+            accept="image/*,.svg,.pdf,application/pdf"
             ref={fileInputRef}
             style={{ display: "none" }}
             onChange={handleImageUpload}
@@ -588,13 +2357,15 @@ const App = () => {
               onChange={() => setActiveLayers(l => ({ ...l, footprint: !l.footprint }))}
             /> Footprint
           </label>
-          <label>
-            <input
-              type="checkbox"
-              checked={activeLayers.f_lig}
-              onChange={() => setActiveLayers(l => ({ ...l, f_lig: !l.f_lig }))}
-            /> F.LIG
-          </label>
+          {stackLayers.map(layer => (
+            <label key={layer}>
+              <input
+                type="checkbox"
+                checked={activeLayers[layer] !== false}
+                onChange={() => setActiveLayers(l => ({ ...l, [layer]: l[layer] === false }))}
+              /> {layerLabel(layer)}
+            </label>
+          ))}
           <label>
             <input
               type="checkbox"
@@ -607,7 +2378,14 @@ const App = () => {
               type="checkbox"
               checked={activeLayers.labelLayer}
               onChange={() => setActiveLayers(l => ({ ...l, labelLayer: !l.labelLayer }))}
-            /> Labels
+            /> Silkscreen
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={activeLayers.docLayer}
+              onChange={() => setActiveLayers(l => ({ ...l, docLayer: !l.docLayer }))}
+            /> Documentation
           </label>
           <label>
             <input
@@ -628,7 +2406,69 @@ const App = () => {
         {/* Settings sliders & dropdowns */}
         <div className="controls-row">
           <label>
-            Grid Spacing: {gridSpacing.toFixed(0)}px
+            Units:
+            <select value={displayUnit} onChange={e => setDisplayUnit(e.target.value)}>
+              {Object.entries(DISPLAY_UNITS).map(([key, u]) => (
+                <option key={key} value={key}>{u.label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Board:
+            <LengthInput
+              valueMm={boardSize.width}
+              unit={displayUnit}
+              minMm={1}
+              onCommit={mm => handleBoardSizeChange({ ...boardSize, width: mm })}
+            />
+            ×
+            <LengthInput
+              valueMm={boardSize.height}
+              unit={displayUnit}
+              minMm={1}
+              onCommit={mm => handleBoardSizeChange({ ...boardSize, height: mm })}
+            />
+          </label>
+          <label>
+            Copper Layers:
+            <select
+              value={layerStack.copperLayers}
+              onChange={e => handleLayerStackChange({ ...layerStack, copperLayers: Number(e.target.value) })}
+            >
+              {LAYER_COUNTS.map(n => <option key={n} value={n}>{n}</option>)}
+            </select>
+            Thickness:
+            <LengthInput
+              valueMm={layerStack.thickness}
+              unit={displayUnit}
+              minMm={0.1}
+              onCommit={mm => handleLayerStackChange({ ...layerStack, thickness: mm })}
+            />
+          </label>
+          <label>
+            Routing Layer:
+            <select value={routingLayer} onChange={e => handleRoutingLayerChange(e.target.value)}>
+              {stackLayers.map(layer => <option key={layer} value={layer}>{layerLabel(layer)}</option>)}
+            </select>
+          </label>
+          <label>
+            Via Pad / Drill:
+            <LengthInput
+              valueMm={viaPadStack.padDiameter}
+              unit={displayUnit}
+              minMm={0.01}
+              onCommit={mm => handleViaPadStackChange({ padDiameter: mm })}
+            />
+            /
+            <LengthInput
+              valueMm={viaPadStack.drillDiameter}
+              unit={displayUnit}
+              minMm={0.01}
+              onCommit={mm => handleViaPadStackChange({ drillDiameter: mm })}
+            />
+          </label>
+          <label>
+            Grid Spacing:
             <input
               type="range"
               min={5}
@@ -637,6 +2477,12 @@ const App = () => {
               value={gridSpacing}
               onChange={e => setGridSpacing(Number(e.target.value))}
             />
+            <LengthInput
+              valueMm={pxToMm(gridSpacing)}
+              unit={displayUnit}
+              minMm={pxToMm(2)}
+              onCommit={mm => setGridSpacing(mmToPx(mm))}
+            />
           </label>
           <label>
             Material:
@@ -644,34 +2490,67 @@ const App = () => {
               value={selectedMaterial}
               onChange={e => setSelectedMaterial(e.target.value)}
             >
-              {Object.keys(materialProperties).map(m => (
-                <option key={m} value={m}>{m}</option>
+              {materials.map(m => (
+                <option key={m.id} value={m.id}>{m.name} ({thicknessLabel(m.thickness)})</option>
               ))}
             </select>
+            <button onClick={() => setShowMaterials(true)}>Edit…</button>
           </label>
           <label>
             Line Type:
             <select
               value={lineType}
-              onChange={e => setLineType(e.target.value)}
+              onChange={e => handleCornerChange({ cornerStyle: e.target.value })}
             >
-              <option value="linear">Linear</option>
-              <option value="chamfer">Chamfer</option>
-              <option value="fillet">Fillet</option>
-              <option value="bezier">Bezier</option>
+              {Object.entries(CORNER_STYLES).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
             </select>
           </label>
-          <label>
-            Chamfer Length: {chamferLength.toFixed(0)}px
-            <input
-              type="range"
-              min={0}
-              max={gridSpacing/2}
-              step={1}
-              value={chamferLength}
-              onChange={e => setChamferLength(Number(e.target.value))}
-            />
-          </label>
+          {lineType === "chamfer" && (
+            <label>
+              Chamfer Length:
+              <input
+                type="range"
+                min={0}
+                max={gridSpacing/2}
+                step={1}
+                value={chamferLength}
+                onChange={e => handleCornerChange({ chamferLength: Number(e.target.value) }, false)}
+                onMouseUp={() => commitCornerChange()}
+                onTouchEnd={() => commitCornerChange()}
+                onKeyUp={() => commitCornerChange()}
+              />
+              <LengthInput
+                valueMm={pxToMm(chamferLength)}
+                unit={displayUnit}
+                minMm={0}
+                onCommit={mm => handleCornerChange({ chamferLength: mmToPx(mm) })}
+              />
+            </label>
+          )}
+          {lineType === "fillet" && (
+            <label>
+              Fillet Radius:
+              <input
+                type="range"
+                min={0}
+                max={gridSpacing}
+                step={1}
+                value={filletRadius}
+                onChange={e => handleCornerChange({ filletRadius: Number(e.target.value) }, false)}
+                onMouseUp={() => commitCornerChange()}
+                onTouchEnd={() => commitCornerChange()}
+                onKeyUp={() => commitCornerChange()}
+              />
+              <LengthInput
+                valueMm={pxToMm(filletRadius)}
+                unit={displayUnit}
+                minMm={0}
+                onCommit={mm => handleCornerChange({ filletRadius: mmToPx(mm) })}
+              />
+            </label>
+          )}
           <label>
             Font Size:
             <select
@@ -687,12 +2566,23 @@ const App = () => {
             Trace Width:
             <input
               type="range"
-              min={0.001}
-              max={0.05}
-              step={0.001}
-              disabled={!selectedConnection || selectedConnection.layer==="outline"}
+              min={0.0001}
+              max={0.01}
+              step={0.0001}
+              disabled={selectedConnection?.type !== "connection"}
               value={traceWidth}
               onChange={e => handleWidthChange(Number(e.target.value))}
+              onMouseUp={commitWidthChange}
+              onTouchEnd={commitWidthChange}
+              onKeyUp={commitWidthChange}
+            />
+            <LengthInput
+              valueMm={traceWidth * 1000}
+              unit={displayUnit}
+              minMm={0.001}
+              onCommit={mm => selectedConnection?.type === "connection"
+                ? setSelectedTraceWidth(mm / 1000, "Change trace width")
+                : setTraceWidth(mm / 1000)}
             />
           </label>
           <label>
@@ -700,7 +2590,7 @@ const App = () => {
             <input
               type="text"
               value={tempResistance}
-              disabled={!selectedConnection || selectedConnection.layer==="outline"}
+              disabled={selectedConnection?.type !== "connection"}
               onChange={e => setTempResistance(e.target.value)}
               onBlur={handleResistanceBlur}
             />
@@ -708,171 +2598,603 @@ const App = () => {
         </div>
       </div>
 
-      {/* Main Konva stage */}
-      <Stage
-        ref={stageRef}           /* Stage ref for export */
-        width={600}              /* Canvas width in px */
-        height={400}             /* Canvas height in px */
-        onClick={handleStageClick} /* Handle stage clicks */
-        onMouseMove={handleMouseMove} /* Handle mouse movement */
-        style={{ border: "1px solid #ccc" }} /* Canvas border */
-      >
-        {/* Background Image Layer */}
-        {activeLayers.imageLayer && bgImageObj && (
-          <Layer>
-            <KonvaImage
-              image={bgImageObj} /* HTMLImageElement source */
-              x={0}
-              y={0}
-              width={bgImageSizeCm.width * PIXELS_PER_CM}   /* Width in px */
-              height={bgImageSizeCm.height * PIXELS_PER_CM} /* Height in px */
-            />
-          </Layer>
-        )}
-
-        {/* Grid Layer */}
-        {showGrid && <Layer>{drawGrid()}</Layer>}
-
-        {/* Labels Layer */}
-        {activeLayers.labelLayer && (
-          <Layer>
-            {labels.map(lbl => {
-              const pad = 4;
-              const w   = lbl.text.length * (lbl.fontSize * 0.6) + pad*2;
-              const h   = lbl.fontSize + pad*2;
-              const isSel = selectedLabel?.id === lbl.id;
-              return (
-                <React.Fragment key={lbl.id}>
-                  {isSel && <Rect x={lbl.x-pad} y={lbl.y-pad} width={w} height={h} stroke="black" strokeWidth={1}/>}
-                  <Text
-                    x={lbl.x} y={lbl.y}
-                    text={lbl.text} fontSize={lbl.fontSize} fill="black"
-                    onClick={() => {
-                      setSelectedLabel(lbl);
-                      setSelectedNode(null);
-                      setSelectedConnection(null);
-                    }}
-                  />
-                </React.Fragment>
-              );
-            })}
+      <div className="workspace">
+        {/* Main Konva stage */}
+        <Stage
+          ref={stageRef}           /* Stage ref for export */
+          width={STAGE_WIDTH_PX}   /* Viewport width in px */
+          height={STAGE_HEIGHT_PX} /* Viewport height in px */
+          scaleX={view.scale}      /* Zoom */
+          scaleY={view.scale}
+          x={view.x}               /* Pan */
+          y={view.y}
+          draggable={isPanning}    /* Space-drag pans */
+          onDragMove={handleStageDrag}
+          onDragEnd={handleStageDrag}
+          onWheel={handleWheel}    /* Zoom around the cursor */
+          onClick={handleStageClick} /* Handle stage clicks */
+          onMouseDown={handleStageMouseDown} /* Start a rubber band */
+          onMouseMove={handleMouseMove} /* Handle mouse movement */
+          onMouseUp={handleStageMouseUp} /* Finish a rubber band */
+          onMouseLeave={() => shareCursor(null)} /* Hide the cursor from other users */
+          className={isPanning ? "stage panning" : "stage"}
+        >
+          {/* Board area */}
+          <Layer listening={false}>
+            <Rect x={0} y={0} width={boardWidthPx} height={boardHeightPx} fill="white" stroke="#999" strokeWidth={1/view.scale}/>
           </Layer>
-        )}
-
-        {/* F.LIG Layer */}
-        {activeLayers.f_lig && (
-          <Layer>
-            {shapes.filter(s => s.layer==="f_lig").map(line => {
-              const pts = lineType === "chamfer"
-                ? getChamferPoints(line.points)
-                : lineType === "fillet"
-                  ? getFilletPoints(line.points)
-                  : line.points;
-              const baseW = (line.width||0.005)*1000;
-              const isSel = selectedConnection?.id === line.id;
-              const common = {
-                points: pts,
-                hitStrokeWidth: HIT_STROKE,
-                lineJoin: lineType==="linear"?"miter":"round",
-                strokeCap: lineType==="linear"?undefined:"round",
-                bezier: lineType==="bezier",
-                tension: lineType==="bezier"?1:undefined,
-                onClick: () => handleConnectionClick(line)
-              };
-              return (
-                <React.Fragment key={line.id}>
-                  {isSel && <Line {...common} stroke="black" strokeWidth={baseW+2}/>}
-                  <Line {...common} stroke={line.color} strokeWidth={baseW}/>
-                </React.Fragment>
-              );
-            })}
-            {selectedNode && activePath.length>0 && (
-              <>
-                <Line points={activePath} stroke="green" strokeWidth={2} dash={[5,5]}/>
-                {mousePosition && (
-                  <Line points={[...activePath,mousePosition.x,mousePosition.y]} stroke="green" strokeWidth={2} dash={[5,5]}/>
+
+          {/* Background Image Layer */}
+          {activeLayers.imageLayer && bgImageObj && (
+            <Layer>
+              <KonvaImage
+                name="background"
+                image={bgImageObj} /* HTMLImageElement source */
+                x={mmToPx(bgPlacement.x)}        /* Centre in px */
+                y={mmToPx(bgPlacement.y)}
+                width={mmToPx(bgPlacement.width)}
+                height={mmToPx(bgPlacement.height)}
+                offsetX={mmToPx(bgPlacement.width) / 2}
+                offsetY={mmToPx(bgPlacement.height) / 2}
+                rotation={bgPlacement.rotation}
+                opacity={bgPlacement.opacity}
+                listening={!bgPlacement.locked}  /* Locked: clicks fall through to the canvas */
+                draggable={!bgPlacement.locked && !bgCalibration && !isPanning}
+                onDragEnd={e => setBackground(
+                  "Move background image", bgImageObj, { ...bgPlacement, x: pxToMm(e.target.x()), y: pxToMm(e.target.y()) }
                 )}
-              </>
-            )}
-          </Layer>
-        )}
-
-        {/* Footprint Layer */}
-        {activeLayers.footprint && (
-          <Layer>
-            {shapes.filter(s => s.layer==="footprint").map(n => (
-              <Circle
-                key={n.id}
-                x={n.x} y={n.y}
-                radius={n.radius}
-                fill={n.color}
-                stroke={selectedNode?.id===n.id?"black":"transparent"}
-                strokeWidth={3}
-                hitStrokeWidth={HIT_STROKE}
-                draggable
-                onClick={() => handleNodeClick(n)}
-                onDragMove={e => handleNodeDrag(e, n)}
               />
-            ))}
-          </Layer>
-        )}
-
-        {/* Outline Layer */}
-        {activeLayers.outlineLayer && (
-          <Layer>
-            {shapes.filter(s => s.layer==="outline").map(o => {
-              const pts = lineType === "chamfer"
-                ? getChamferPoints(o.points)
-                : lineType === "fillet"
-                  ? getFilletPoints(o.points)
-                  : o.points;
-              const w     = (o.width||0.005)*1000;
-              const isSel = selectedConnection?.id === o.id;
-              const common = {
-                points: pts,
-                hitStrokeWidth: HIT_STROKE,
-                lineJoin: lineType==="linear"?"miter":"round",
-                strokeCap: lineType==="linear"?undefined:"round",
-                bezier: lineType==="bezier",
-                tension: lineType==="bezier"?1:undefined,
-                onClick: () => handleConnectionClick(o)
-              };
-              return (
-                <React.Fragment key={o.id}>
-                  {isSel && <Line {...common} stroke="black" strokeWidth={w+2}/>}
-                  <Line {...common} stroke="limegreen" strokeWidth={w}/>
-                </React.Fragment>
-              );
-            })}
-            {isDrawingOutline && outlinePath.length>0 && (
-              <>
+              {/* Calibration points and the line to the second one */}
+              {bgCalibration?.map((p, i) => (
+                <Circle key={i} x={p.x} y={p.y} radius={4 / view.scale} stroke="magenta" strokeWidth={1.5 / view.scale} listening={false}/>
+              ))}
+              {bgCalibration?.length === 1 && mousePosition && (
+                <Line
+                  points={[bgCalibration[0].x, bgCalibration[0].y, mousePosition.x, mousePosition.y]}
+                  stroke="magenta"
+                  strokeWidth={1.5 / view.scale}
+                  dash={[5 / view.scale, 5 / view.scale]}
+                  listening={false}
+                />
+              )}
+            </Layer>
+          )}
+
+          {/* Grid Layer */}
+          {showGrid && <Layer listening={false}>{drawGrid()}</Layer>}
+
+          {/* Labels Layer: silkscreen and documentation labels; a selected anchored label points to its node */}
+          {(activeLayers.labelLayer || activeLayers.docLayer) && (
+            <Layer>
+              {labels.filter(l => activeLayers[withDefaults(l).layer === "documentation" ? "docLayer" : "labelLayer"]).map(lbl => {
+                const style = withDefaults(lbl);
+                const text  = labelBox(lbl);
+                const node  = shapes.find(s => s.type === "node" && s.id === lbl.nodeId);
+                const isSel = selectedLabel?.id === lbl.id || selectedLabelIds.has(lbl.id);
+                return (
+                  <React.Fragment key={lbl.id}>
+                    {isSel && <Rect {...labelBox(lbl, 4)} stroke="black" strokeWidth={1}/>}
+                    {isSel && node && (
+                      <Line
+                        points={[node.x, node.y, text.x, text.y]}
+                        stroke="gray" strokeWidth={1 / view.scale} dash={[4 / view.scale, 4 / view.scale]}
+                      />
+                    )}
+                    <Text
+                      x={text.x} y={text.y} rotation={text.rotation} offsetX={text.offsetX}
+                      text={labelText(lbl, nets)} fontSize={style.fontSize} fontFamily={style.fontFamily}
+                      fill={style.layer === "documentation" ? DOCUMENTATION_COLOR : "black"}
+                      visible={labelEditor?.label.id !== lbl.id} /* Hidden while its text is typed in place */
+                      draggable={!isPanning}
+                      onDragStart={e => (selectedLabelIds.has(lbl.id)
+                        ? handleGroupDragStart(e)
+                        : handleGroupDragStart(e, { shapeIds: [], labelIds: [lbl.id] }, "Move label"))}
+                      onDragMove={handleGroupDrag}
+                      onDragEnd={handleGroupDragEnd}
+                      onDblClick={() => setLabelEditor({ label: lbl, isNew: false })}
+                      onClick={e => {
+                        if (e.evt.shiftKey) return handleShiftClick("label", lbl.id);
+                        setSelectedLabel(lbl);
+                        setSelectedNode(null);
+                        setSelectedConnection(null);
+                        setSelection(EMPTY_SELECTION);
+                      }}
+                    />
+                  </React.Fragment>
+                );
+              })}
+            </Layer>
+          )}
+
+          {/* Copper layers, bottom first; layers other than the routing layer are dimmed */}
+          {[...stackLayers].reverse().filter(layer => activeLayers[layer] !== false).map(layer => (
+            <Layer key={layer} opacity={layer === routingLayer ? 1 : 0.45}>
+              {/* Copper pour zones: the fill and its thermal spokes, and the dashed zone border to select it by */}
+              {shapes.filter(s => s.type === "zone" && s.copperLayer === layer).map(z => {
+                const fill  = zoneFills.get(z.id);
+                const isSel = selectedConnection?.id === z.id || selectedShapeIds.has(z.id);
+                const inNet = selectedNet?.nodeIds.includes(z.nodeId);
+                return (
+                  <React.Fragment key={z.id}>
+                    {fill && <Path data={fillPath(fill)} fill={z.color} opacity={0.5} listening={false}/>}
+                    {fill?.spokes.map((spoke, i) => (
+                      <Line key={i} points={spoke} stroke={z.color} strokeWidth={fill.spokeWidth} opacity={0.5} listening={false}/>
+                    ))}
+                    <Line
+                      points={styledPoints(z)}
+                      stroke={isSel ? "black" : inNet ? "cyan" : z.color}
+                      strokeWidth={(isSel ? 2 : 1) / view.scale}
+                      dash={[6 / view.scale, 4 / view.scale]}
+                      hitStrokeWidth={hitStroke}
+                      onClick={e => e.evt.shiftKey ? handleShiftClick("shape", z.id) : handleConnectionClick(z)}
+                      onDblClick={e => handleVertexInsert(e, z)}
+                    />
+                  </React.Fragment>
+                );
+              })}
+              {shapes.filter(s => s.layer===layer).map(line => {
+                const round = cornerOf(line).cornerStyle !== "linear";
+                const baseW = widthToPx(widthOf(line));
+                const isSel = selectedConnection?.id === line.id || selectedShapeIds.has(line.id);
+                const inNet = selectedNet?.connectionIds.includes(line.id);
+                const tooNarrow = checkTraceCapacity(line, thicknessOf(line.material), ipcStandard)?.tooNarrow;
+                const common = {
+                  points: styledPoints(line),
+                  hitStrokeWidth: hitStroke,
+                  lineJoin: round ? "round" : "miter",
+                  strokeCap: round ? "round" : undefined,
+                  onClick: e => e.evt.shiftKey ? handleShiftClick("shape", line.id) : handleConnectionClick(line),
+                  onDblClick: e => handleVertexInsert(e, line)
+                };
+                return (
+                  <React.Fragment key={line.id}>
+                    {inNet && <Line {...common} stroke="cyan" strokeWidth={baseW+8} opacity={0.6} listening={false}/>}
+                    {tooNarrow && <Line {...common} stroke="red" strokeWidth={baseW+6} dash={[6,4]} listening={false}/>}
+                    {isSel && <Line {...common} stroke="black" strokeWidth={baseW+2}/>}
+                    <Line {...common} stroke={dcColors.get(line.id) || line.color} strokeWidth={baseW}/>
+                  </React.Fragment>
+                );
+              })}
+              {/* Autorouter proposal */}
+              {routeProposal?.layer === layer && routeProposal.routes.map(r => (
+                <Line
+                  key={`${r.node1Id}-${r.node2Id}`}
+                  points={r.points}
+                  stroke="magenta"
+                  strokeWidth={widthToPx(traceWidth)}
+                  opacity={0.7}
+                  dash={[6,4]}
+                  listening={false}
+                />
+              ))}
+              {layer === routingLayer && selectedNode && activePath.length>0 && (
+                <>
+                  <Line points={activePath} stroke="green" strokeWidth={2} dash={[5,5]}/>
+                  {mousePosition && (
+                    <Line points={[...activePath,mousePosition.x,mousePosition.y]} stroke="green" strokeWidth={2} dash={[5,5]}/>
+                  )}
+                </>
+              )}
+              {/* Zone being drawn */}
+              {layer === routingLayer && isDrawingZone && outlinePath.length>0 && (
                 <Line
-                  points={outlinePath}
-                  stroke="limegreen"
-                  strokeWidth={traceWidth*1000}
+                  points={mousePosition ? [...outlinePath,mousePosition.x,mousePosition.y] : outlinePath}
+                  stroke={ZONE_COLOR}
+                  strokeWidth={2 / view.scale}
                   dash={[5,5]}
-                  lineJoin="miter"
-                  strokeCap="butt"
                 />
-                {mousePosition && (
+              )}
+            </Layer>
+          ))}
+
+          {/* Footprint Layer */}
+          {activeLayers.footprint && (
+            <Layer>
+              {/* Component bodies: a frame around the pads with the reference designator */}
+              {shapes.filter(s => s.type === "component").map(c => {
+                const pads = padsOf(shapes, c.id);
+                if (!pads.length) return null;
+                const margin = mmToPx(0.5);
+                const left   = Math.min(...pads.map(p => p.x - p.radius)) - margin;
+                const top    = Math.min(...pads.map(p => p.y - p.radius)) - margin;
+                const right  = Math.max(...pads.map(p => p.x + p.radius)) + margin;
+                const bottom = Math.max(...pads.map(p => p.y + p.radius)) + margin;
+                const isSel  = selectedComponent?.id === c.id || selectedShapeIds.has(c.id);
+                return (
+                  <React.Fragment key={c.id}>
+                    <Rect
+                      x={left} y={top} width={right - left} height={bottom - top}
+                      stroke={isSel ? "black" : "saddlebrown"}
+                      strokeWidth={isSel ? 2 : 1}
+                      fill="rgba(205,133,63,0.12)"
+                      draggable={!isPanning}
+                      onClick={e => handleComponentClick(e, c)}
+                      onDragStart={e => isSel && hasSelection
+                        ? handleGroupDragStart(e)
+                        : handleGroupDragStart(e, { shapeIds: [c.id], labelIds: [] }, `Move ${c.refdes}`)}
+                      onDragMove={handleGroupDrag}
+                      onDragEnd={handleGroupDragEnd}
+                    />
+                    <Text x={left} y={top - 12} text={c.refdes} fontSize={10} fill="saddlebrown" listening={false}/>
+                  </React.Fragment>
+                );
+              })}
+              {shapes.filter(s => s.layer==="footprint").map(n => {
+                const stack = padStackOf(n);
+                const inSelection = selectedShapeIds.has(n.id) || selectedShapeIds.has(n.componentId);
+                const pad = {
+                  x: n.x, y: n.y,
+                  fill: n.color,
+                  stroke: selectedNode?.id===n.id || inSelection
+                    ? "black"
+                    : selectedNet?.nodeIds.includes(n.id) ? "cyan" : "transparent",
+                  strokeWidth: 3,
+                  hitStrokeWidth: hitStroke,
+                  draggable: !isPanning,
+                  onClick: e => e.evt.shiftKey ? handleShiftClick("shape", n.id) : handleNodeClick(n),
+                  // A node of the multi-selection drags the whole selection, a pad drags its component
+                  ...(inSelection
+                    ? { onDragStart: handleGroupDragStart, onDragMove: handleGroupDrag, onDragEnd: handleGroupDragEnd }
+                    : n.componentId !== undefined
+                      ? {
+                          onDragStart: e => handleGroupDragStart(
+                            e,
+                            { shapeIds: [n.componentId], labelIds: [] },
+                            `Move ${shapes.find(s => s.id === n.componentId)?.refdes || "component"}`
+                          ),
+                          onDragMove: handleGroupDrag,
+                          onDragEnd: handleGroupDragEnd
+                        }
+                      : {
+                          onDragStart: () => handleNodeDragStart(n),
+                          onDragMove: e => handleNodeDrag(e, n),
+                          onDragEnd: handleNodeDragEnd
+                        })
+                };
+                return (
+                  <React.Fragment key={n.id}>
+                    {stack.shape === "circle"
+                      ? <Circle {...pad} radius={n.radius}/>
+                      : (() => {
+                        const w = mmToPx(padSize(stack).width), h = mmToPx(padSize(stack).height);
+                        return <Rect {...pad} width={w} height={h} offsetX={w / 2} offsetY={h / 2} rotation={n.padRotation || 0}/>;
+                      })()}
+                    {/* Drill hole; non-plated holes get a grey rim */}
+                    {stack.drillDiameter > 0 && (
+                      <Circle
+                        x={n.x} y={n.y}
+                        radius={mmToPx(stack.drillDiameter / 2)}
+                        fill="white"
+                        stroke={stack.plated ? undefined : "gray"}
+                        strokeWidth={1}
+                        listening={false}
+                      />
+                    )}
+                    {/* Solved node voltage */}
+                    {dcResult && dcOverlay !== "off" && dcResult.voltages.get(n.id) != null && (
+                      <Text
+                        x={n.x + n.radius + 2} y={n.y - n.radius - 12}
+                        text={`${dcResult.voltages.get(n.id).toFixed(2)} V`}
+                        fontSize={11}
+                        fill="darkblue"
+                        listening={false}
+                      />
+                    )}
+                  </React.Fragment>
+                );
+              })}
+              {/* Footprint being placed, following the cursor */}
+              {isPlacingFootprint && mousePosition && (() => {
+                const [x, y] = snapToGrid(mousePosition.x, mousePosition.y);
+                const { pads } = placeFootprint(findFootprint(selectedFootprint), {
+                  x, y, rotation: placeRotation, refdes: "", firstId: 0
+                });
+                return pads.map(p => (
+                  <Circle key={p.id} x={p.x} y={p.y} radius={p.radius} fill={PAD_COLOR} opacity={0.5} listening={false}/>
+                ));
+              })()}
+            </Layer>
+          )}
+
+          {/* Outline Layer */}
+          {activeLayers.outlineLayer && (
+            <Layer>
+              {shapes.filter(s => s.layer==="outline").map(o => {
+                const round = cornerOf(o).cornerStyle !== "linear";
+                const w     = widthToPx(widthOf(o));
+                const isSel = selectedConnection?.id === o.id || selectedShapeIds.has(o.id);
+                const common = {
+                  points: styledPoints(o),
+                  hitStrokeWidth: hitStroke,
+                  lineJoin: round ? "round" : "miter",
+                  strokeCap: round ? "round" : undefined,
+                  onClick: e => e.evt.shiftKey ? handleShiftClick("shape", o.id) : handleConnectionClick(o),
+                  onDblClick: e => handleVertexInsert(e, o)
+                };
+                return (
+                  <React.Fragment key={o.id}>
+                    {isSel && <Line {...common} stroke="black" strokeWidth={w+2}/>}
+                    <Line {...common} stroke="limegreen" strokeWidth={w}/>
+                  </React.Fragment>
+                );
+              })}
+              {isDrawingOutline && outlinePath.length>0 && (
+                <>
                   <Line
-                    points={[...outlinePath,mousePosition.x,mousePosition.y]}
+                    points={outlinePath}
                     stroke="limegreen"
-                    strokeWidth={traceWidth*1000}
+                    strokeWidth={widthToPx(traceWidth)}
                     dash={[5,5]}
                     lineJoin="miter"
                     strokeCap="butt"
                   />
-                )}
-              </>
-            )}
-          </Layer>
-        )}
-      </Stage>
+                  {mousePosition && (
+                    <Line
+                      points={[...outlinePath,mousePosition.x,mousePosition.y]}
+                      stroke="limegreen"
+                      strokeWidth={widthToPx(traceWidth)}
+                      dash={[5,5]}
+                      lineJoin="miter"
+                      strokeCap="butt"
+                    />
+                  )}
+                </>
+              )}
+            </Layer>
+          )}
+
+          {/* Vertex handles of the selected trace, outline or zone */}
+          {selectedConnection && shapes.some(s => s.id === selectedConnection.id) && (
+            <Layer>
+              {editableVertices(selectedConnection).map(i => (
+                <Rect
+                  key={i}
+                  x={selectedConnection.points[2*i]}
+                  y={selectedConnection.points[2*i+1]}
+                  width={8 / view.scale}
+                  height={8 / view.scale}
+                  offsetX={4 / view.scale}
+                  offsetY={4 / view.scale}
+                  fill="white"
+                  stroke="dodgerblue"
+                  strokeWidth={1.5 / view.scale}
+                  draggable={!isPanning}
+                  onDragMove={e => handleVertexDrag(e, i)}
+                  onDragEnd={handleVertexDragEnd}
+                  onDblClick={() => handleVertexRemove(i)}
+                />
+              ))}
+            </Layer>
+          )}
+
+          {/* DRC markers */}
+          {drcViolations && drcViolations.length > 0 && (
+            <Layer>
+              {drcViolations.map(v => (
+                <Circle
+                  key={v.id}
+                  x={v.x} y={v.y}
+                  radius={(v.id === selectedViolationId ? 12 : 8) / view.scale}
+                  stroke="red"
+                  strokeWidth={2 / view.scale}
+                  fill={v.id === selectedViolationId ? "rgba(255,0,0,0.25)" : undefined}
+                  dash={[4,2]}
+                  hitStrokeWidth={hitStroke}
+                  onClick={() => handleViolationSelect(v)}
+                />
+              ))}
+            </Layer>
+          )}
+
+          {/* Other users: their selections outlined and their cursors named, each in their own color */}
+          {Object.keys(peers).length > 0 && (
+            <Layer name="peers" listening={false}>
+              {Object.values(peers).map(peer => {
+                const color  = peerColor(peer.clientId);
+                const ids    = new Set(peer.selection.shapeIds);
+                const picked = shapes.filter(s => ids.has(s.id) || (s.type === "node" && ids.has(s.componentId)));
+                return (
+                  <React.Fragment key={peer.clientId}>
+                    {picked.map(s => (s.type === "node"
+                      ? <Circle key={s.id} x={s.x} y={s.y} radius={s.radius + 3 / view.scale} stroke={color} strokeWidth={2 / view.scale}/>
+                      : s.points && (
+                        <Line
+                          key={s.id}
+                          points={styledPoints(s)}
+                          closed={s.type !== "connection"}
+                          stroke={color}
+                          strokeWidth={(s.type === "connection" ? widthToPx(widthOf(s)) : 0) + 4 / view.scale}
+                          opacity={0.6}
+                        />
+                      )))}
+                    {labels.filter(l => peer.selection.labelIds.includes(l.id)).map(l => (
+                      <Rect key={`label-${l.id}`} {...labelBox(l, 4)} stroke={color} strokeWidth={1 / view.scale}/>
+                    ))}
+                    {peer.cursor && (
+                      <>
+                        <Line
+                          x={peer.cursor.x} y={peer.cursor.y}
+                          points={[0, 0, 0, 16, 4, 12, 11, 12]} closed fill={color}
+                          scaleX={1 / view.scale} scaleY={1 / view.scale}
+                        />
+                        <Text
+                          x={peer.cursor.x + 12 / view.scale} y={peer.cursor.y + 12 / view.scale}
+                          text={peer.name} fontSize={12 / view.scale} fill={color}
+                        />
+                      </>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </Layer>
+          )}
+
+          {/* Rubber band selection */}
+          {selectionBox && (
+            <Layer listening={false}>
+              <Rect
+                x={Math.min(selectionBox.x1, selectionBox.x2)}
+                y={Math.min(selectionBox.y1, selectionBox.y2)}
+                width={Math.abs(selectionBox.x2 - selectionBox.x1)}
+                height={Math.abs(selectionBox.y2 - selectionBox.y1)}
+                stroke="dodgerblue"
+                strokeWidth={1 / view.scale}
+                dash={[4 / view.scale, 4 / view.scale]}
+                fill="rgba(30,144,255,0.1)"
+              />
+            </Layer>
+          )}
+        </Stage>
+
+        {/* Label text typed in place, over the label */}
+        {labelEditor && (() => {
+          const l  = withDefaults(labelEditor.label);
+          const at = labelPosition(l, shapes);
+          return (
+            <input
+              key={labelEditor.label.id ?? "new"}
+              className="label-editor"
+              autoFocus
+              defaultValue={l.text}
+              style={{
+                left: at.x * view.scale + view.x,
+                top:  at.y * view.scale + view.y,
+                fontSize: l.fontSize * view.scale,
+                fontFamily: l.fontFamily,
+                transform: `rotate(${l.rotation}deg) translateX(${-alignOffset(l, 100)}%)`
+              }}
+              onKeyDown={e => {
+                if (e.key === "Enter") e.target.blur();
+                if (e.key === "Escape") {
+                  e.stopPropagation(); // Keep the selection
+                  labelEditCancelled.current = true;
+                  e.target.blur();
+                }
+              }}
+              onBlur={e => {
+                if (labelEditCancelled.current) setLabelEditor(null);
+                else commitLabelEditor(e.target.value);
+                labelEditCancelled.current = false;
+              }}
+            />
+          );
+        })()}
+
+        {/* Side panels */}
+        <div className="side-panels">
+          {currentProject && (
+            <CollabPanel
+              online={collabOnline}
+              peers={Object.values(peers)}
+              name={userName}
+              onNameChange={handleUserNameChange}
+            />
+          )}
+          {selectedNode && shapes.some(s => s.id === selectedNode.id) && (
+            <PadStackPanel
+              node={shapes.find(s => s.id === selectedNode.id)}
+              unit={displayUnit}
+              onApply={stack => handlePadStackChange(shapes.find(s => s.id === selectedNode.id), stack)}
+              onMove={selectedNode.componentId === undefined
+                ? (x, y) => handleNodePositionChange(shapes.find(s => s.id === selectedNode.id), x, y)
+                : undefined}
+            />
+          )}
+          {selectedComponent && shapes.some(s => s.id === selectedComponent.id) && (
+            <ComponentPanel
+              component={shapes.find(s => s.id === selectedComponent.id)}
+              unit={displayUnit}
+              onApply={changes => handleComponentChange(shapes.find(s => s.id === selectedComponent.id), changes)}
+            />
+          )}
+          {selectedLabel && labels.some(l => l.id === selectedLabel.id) && (
+            <LabelPanel
+              label={labels.find(l => l.id === selectedLabel.id)}
+              nets={nets}
+              nodeLabel={id => nodeLabels(shapes).get(id) || `#${id}`}
+              onApply={changes => handleLabelChange(labels.find(l => l.id === selectedLabel.id), changes)}
+            />
+          )}
+          {selectedConnection?.type === "zone" && shapes.some(s => s.id === selectedConnection.id) && (
+            <ZonePanel
+              zone={shapes.find(s => s.id === selectedConnection.id)}
+              nets={nets}
+              layers={stackLayers}
+              unit={displayUnit}
+              rects={zoneFills.get(selectedConnection.id)?.rects.length}
+              onApply={changes => handleZoneChange(shapes.find(s => s.id === selectedConnection.id), changes)}
+            />
+          )}
+          {isCopperLayer(selectedConnection?.layer) && (
+            <CapacityPanel
+              trace={selectedConnection}
+              thickness={thicknessOf(selectedConnection.material)}
+              standard={ipcStandard}
+              unit={displayUnit}
+              onStandardChange={setIpcStandard}
+              onApply={handleCapacityChange}
+              onSetWidth={width => setSelectedTraceWidth(width, "Widen trace for current")}
+            />
+          )}
+          <NetPanel
+            nets={nets}
+            selectedKey={selectedNet ? selectedNetKey : null}
+            onSelect={setSelectedNetKey}
+            onRename={handleNetRename}
+            onExport={exportNetlistFile}
+          />
+          <AutoroutePanel
+            selectedNodes={selectedNodeIds.length}
+            unrouted={unroutedPairs(shapes, netNames).length}
+            layerName={layerLabel(routingLayer)}
+            proposal={routeProposal}
+            stale={routeShapes !== shapes}
+            nodeLabel={id => nodeLabels(shapes).get(id) || `#${id}`}
+            onRouteSelected={() => handleAutoroute(pairsForNodes(shapes, selectedNodeIds))}
+            onRouteUnrouted={() => handleAutoroute(unroutedPairs(shapes, netNames))}
+            onAccept={acceptRoutes}
+            onReject={() => setRouteProposal(null)}
+          />
+          <DrcPanel
+            rules={drcRules}
+            unit={displayUnit}
+            onApplyRules={handleDrcRulesChange}
+            violations={drcViolations}
+            stale={drcShapes !== shapes}
+            selectedId={selectedViolationId}
+            onRun={handleRunDrc}
+            onSelect={handleViolationSelect}
+          />
+          <CircuitPanel
+            shapes={shapes}
+            loads={loads}
+            result={dcResult}
+            stale={dcShapes !== shapes}
+            overlay={dcOverlay}
+            onOverlayChange={setDcOverlay}
+            onVoltageChange={handleSupplyVoltageChange}
+            onLoadsChange={handleLoadsChange}
+            onSolve={handleSolveDc}
+          />
+          {bgImageObj && bgPlacement && (
+            <BackgroundPanel
+              placement={bgPlacement}
+              unit={displayUnit}
+              calibrationPoints={bgCalibration?.length ?? null}
+              onChange={(label, placement, mergeKey) => setBackground(label, bgImageObj, placement, mergeKey)}
+              onCalibrate={startCalibration}
+              onCancelCalibration={() => setBgCalibration(null)}
+              onRemove={() => {
+                setBgCalibration(null);
+                setBackground("Remove background image", null, null);
+              }}
+            />
+          )}
+          <HistoryPanel past={history.past} future={history.future} onStep={stepHistory}/>
+        </div>
+      </div>
     </div>
   );
 };
 
 export default App;
-
-export default App;
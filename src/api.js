@@ -0,0 +1,306 @@
+import axios from "axios";
+import { createPending, markSent, settle, receiveChange, itemKey } from "./utils/collab";
+
+// Base URL of the ecad-backend server
+export const API_URL = "http://127.0.0.1:5050";
+
+// Identifies this browser tab, so that its own changes can be told apart when the server broadcasts them
+export const CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Delay before reconnecting to the collaboration channel after the connection dropped (ms)
+const RECONNECT_MS = 2000;
+
+// Changes of this client the server has not broadcast back yet, see utils/collab.js
+const pendingChanges = createPending();
+
+// Receives server versions held back while changes were in flight, set while a project is joined
+let onSettled = null;
+
+/**
+ * Sends a change to the items of a project, keeping track of it until its broadcast comes back.
+ * @param {object[]} items - { kind, id } of the items changed
+ * @param {function(object): Promise} send - Makes the request with the given axios config
+ * @returns {Promise}
+ */
+const tracked = (items, send) => {
+  const keys = items.map(itemKey);
+  markSent(pendingChanges, keys);
+  return send({ headers: { "X-Client-Id": CLIENT_ID } }).catch(err => {
+    // Handed over after the caller has rolled back its local change
+    const held = settle(pendingChanges, keys);
+    const receiver = onSettled;
+    if (held.length && receiver) setTimeout(() => receiver(held));
+    throw err;
+  });
+};
+
+/**
+ * Saves fields of a project.
+ * @param {string} id - Project id
+ * @param {object} changes - Fields to overwrite
+ * @returns {Promise<object>} Updated project metadata
+ */
+const patchProject = (id, changes) =>
+  tracked(Object.keys(changes).map(field => ({ kind: "project", id: field })), config =>
+    axios.patch(`${API_URL}/projects/${id}`, changes, config)).then(res => res.data);
+
+/**
+ * Lists all stored projects (metadata only).
+ * @returns {Promise<object[]>}
+ */
+export const listProjects = () =>
+  axios.get(`${API_URL}/projects`).then(res => res.data);
+
+/**
+ * Creates a new project, empty unless shapes and labels are given.
+ * @param {string} name - Project name
+ * @param {object} [design] - { shapes, labels, netNames, drcRules, boardSize, layerStack, loads } to start with
+ * @returns {Promise<object>} Created project metadata
+ */
+export const createProject = (name, design = {}) =>
+  axios.post(`${API_URL}/projects`, { name, ...design }).then(res => res.data);
+
+/**
+ * Loads a project including its shapes.
+ * @param {string} id - Project id
+ * @returns {Promise<object>}
+ */
+export const getProject = id =>
+  axios.get(`${API_URL}/projects/${id}`).then(res => res.data);
+
+/**
+ * Renames a project.
+ * @param {string} id - Project id
+ * @param {string} name - New name
+ * @returns {Promise<object>} Updated project metadata
+ */
+export const renameProject = (id, name) =>
+  axios.patch(`${API_URL}/projects/${id}`, { name }).then(res => res.data);
+
+/**
+ * Stores the user-given net names of a project.
+ * @param {string} id - Project id
+ * @param {Object<string, string>} netNames - Names by net key
+ * @returns {Promise<object>} Updated project metadata
+ */
+export const saveNetNames = (id, netNames) =>
+  patchProject(id, { netNames });
+
+/**
+ * Saves the design rules of a project.
+ * @param {string} id - Project id
+ * @param {object} drcRules - Rule values in mm
+ * @returns {Promise<object>} Updated project metadata
+ */
+export const saveDrcRules = (id, drcRules) =>
+  patchProject(id, { drcRules });
+
+/**
+ * Saves the board size of a project.
+ * @param {string} id - Project id
+ * @param {{width: number, height: number}} boardSize - Board size in mm
+ * @returns {Promise<object>} Updated project metadata
+ */
+export const saveBoardSize = (id, boardSize) =>
+  patchProject(id, { boardSize });
+
+/**
+ * Saves the copper layer stack of a project.
+ * @param {string} id - Project id
+ * @param {{copperLayers: number, thickness: number}} layerStack - Layer count and board thickness in mm
+ * @returns {Promise<object>} Updated project metadata
+ */
+export const saveLayerStack = (id, layerStack) =>
+  patchProject(id, { layerStack });
+
+/**
+ * Saves the loads used by DC analysis of a project.
+ * @param {string} id - Project id
+ * @param {object[]} loads - Loads between nodes
+ * @returns {Promise<object>} Updated project metadata
+ */
+export const saveLoads = (id, loads) =>
+  patchProject(id, { loads });
+
+/**
+ * Copies a project and all of its shapes.
+ * @param {string} id - Source project id
+ * @param {string} [name] - Name of the copy
+ * @returns {Promise<object>} Copied project metadata
+ */
+export const duplicateProject = (id, name) =>
+  axios.post(`${API_URL}/projects/${id}/duplicate`, { name }).then(res => res.data);
+
+/**
+ * Deletes a project.
+ * @param {string} id - Project id
+ * @returns {Promise<object>}
+ */
+export const deleteProject = id =>
+  axios.delete(`${API_URL}/projects/${id}`).then(res => res.data);
+
+/**
+ * Adds a shape to a project.
+ * @param {string} projectId - Project id
+ * @param {object} shape - Node, connection or outline
+ * @returns {Promise<object>}
+ */
+export const addShape = (projectId, shape) =>
+  tracked([{ kind: "shape", id: shape.id }], config =>
+    axios.post(`${API_URL}/projects/${projectId}/shapes`, shape, config)).then(res => res.data);
+
+/**
+ * Updates some fields of a shape.
+ * @param {string} projectId - Project id
+ * @param {number} id - Shape id
+ * @param {object} changes - Fields to overwrite
+ * @returns {Promise<object>}
+ */
+export const updateShape = (projectId, id, changes) =>
+  tracked([{ kind: "shape", id }], config =>
+    axios.patch(`${API_URL}/projects/${projectId}/shapes/${id}`, changes, config)).then(res => res.data);
+
+/**
+ * Deletes a shape. Deleting a node also deletes its connections on the server.
+ * @param {string} projectId - Project id
+ * @param {number} id - Shape id
+ * @returns {Promise<object>} Response listing the removed shape ids
+ */
+export const deleteShape = (projectId, id) =>
+  tracked([{ kind: "shape", id }], config =>
+    axios.delete(`${API_URL}/projects/${projectId}/shapes/${id}`, config)).then(res => res.data);
+
+/**
+ * Adds a label to a project.
+ * @param {string} projectId - Project id
+ * @param {object} label - Label object
+ * @returns {Promise<object>}
+ */
+export const addLabel = (projectId, label) =>
+  tracked([{ kind: "label", id: label.id }], config =>
+    axios.post(`${API_URL}/projects/${projectId}/labels`, label, config)).then(res => res.data);
+
+/**
+ * Updates some fields of a label.
+ * @param {string} projectId - Project id
+ * @param {number} id - Label id
+ * @param {object} changes - Fields to overwrite
+ * @returns {Promise<object>}
+ */
+export const updateLabel = (projectId, id, changes) =>
+  tracked([{ kind: "label", id }], config =>
+    axios.patch(`${API_URL}/projects/${projectId}/labels/${id}`, changes, config)).then(res => res.data);
+
+/**
+ * Deletes a label.
+ * @param {string} projectId - Project id
+ * @param {number} id - Label id
+ * @returns {Promise<object>}
+ */
+export const deleteLabel = (projectId, id) =>
+  tracked([{ kind: "label", id }], config =>
+    axios.delete(`${API_URL}/projects/${projectId}/labels/${id}`, config)).then(res => res.data);
+
+/**
+ * Extracts a readable message from a failed request.
+ * @param {Error} err - Axios error
+ * @returns {string}
+ */
+export const errorMessage = err =>
+  err.response?.data?.error || err.message || "Request failed";
+
+/**
+ * Replaces a whole shape.
+ * @param {string} projectId - Project id
+ * @param {object} shape - Complete shape, matched by id
+ * @returns {Promise<object>}
+ */
+export const replaceShape = (projectId, shape) =>
+  tracked([{ kind: "shape", id: shape.id }], config =>
+    axios.put(`${API_URL}/projects/${projectId}/shapes/${shape.id}`, shape, config)).then(res => res.data);
+
+/**
+ * Lists the shared material library.
+ * @returns {Promise<object[]>}
+ */
+export const listMaterials = () =>
+  axios.get(`${API_URL}/materials`).then(res => res.data);
+
+/**
+ * Adds a material to the library.
+ * @param {object} material - Complete material with a new id
+ * @returns {Promise<object>} Stored material
+ */
+export const addMaterial = material =>
+  axios.post(`${API_URL}/materials`, material).then(res => res.data.material);
+
+/**
+ * Updates fields of a material.
+ * @param {string} id - Material id
+ * @param {object} changes - Fields to change
+ * @returns {Promise<object>} Stored material
+ */
+export const updateMaterial = (id, changes) =>
+  axios.patch(`${API_URL}/materials/${id}`, changes).then(res => res.data.material);
+
+/**
+ * Deletes a material that no trace uses.
+ * @param {string} id - Material id
+ * @returns {Promise<object>}
+ */
+export const deleteMaterial = id =>
+  axios.delete(`${API_URL}/materials/${id}`).then(res => res.data);
+
+/**
+ * Joins the collaboration channel of a project. Changes anyone makes to the project come back as the server's
+ * versions of the items they touched, merged with the changes this client has in flight (see utils/collab.js).
+ * The channel reconnects by itself after the connection drops.
+ * @param {string} projectId - Project id
+ * @param {object} handlers
+ * @param {function(object[]):void} handlers.onItems - Items to apply: { kind, id, value }, value null when deleted
+ * @param {function(object):void} handlers.onPresence - "welcome", "presence" and "leave" messages about other users
+ * @param {function(boolean):void} handlers.onStatus - true once joined, after which the project should be reloaded
+ *   since changes may have been missed; false when the connection dropped
+ * @returns {{sendPresence: function(object):void, leave: function():void}} sendPresence shares { name, cursor,
+ *   selection } with the other users, leave closes the channel
+ */
+export const joinProject = (projectId, { onItems, onPresence, onStatus }) => {
+  const url = `${API_URL.replace(/^http/, "ws")}/collab?project=${encodeURIComponent(projectId)}&client=${CLIENT_ID}`;
+  let socket = null;
+  let retry  = null;
+  let left   = false;
+
+  const connect = () => {
+    socket = new WebSocket(url);
+    socket.onmessage = e => {
+      const message = JSON.parse(e.data);
+      if (message.type === "change") {
+        const items = receiveChange(pendingChanges, message, CLIENT_ID);
+        if (items.length) onItems(items);
+      } else {
+        onPresence(message);
+        if (message.type === "welcome") onStatus(true);
+      }
+    };
+    socket.onclose = e => {
+      if (left) return;
+      onStatus(false);
+      // The project is gone; retrying would not help
+      if (e.code !== 4004) retry = setTimeout(connect, RECONNECT_MS);
+    };
+  };
+
+  onSettled = onItems;
+  connect();
+  return {
+    sendPresence: presence => {
+      if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type: "presence", ...presence }));
+    },
+    leave: () => {
+      left = true;
+      clearTimeout(retry);
+      socket.close();
+      if (onSettled === onItems) onSettled = null;
+    }
+  };
+};
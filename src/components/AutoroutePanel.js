@@ -0,0 +1,56 @@
+import React from "react";
+
+/**
+ * Side panel for the autorouter: starts a run and shows the proposed routes until they are accepted or rejected.
+ * @param {object} props
+ * @param {number} props.selectedNodes - Number of selected nodes and pads
+ * @param {number} props.unrouted - Number of connections between nets of the same name still to route
+ * @param {string} props.layerName - Display name of the routing layer
+ * @param {object|null} props.proposal - Result of the last run ({ routes, failed }), null when there is none
+ * @param {boolean} props.stale - True when the design changed since the run
+ * @param {function(number): string} props.nodeLabel - Display name of a node, e.g. "R1.2"
+ * @param {function():void} props.onRouteSelected - Routes between the selected nodes
+ * @param {function():void} props.onRouteUnrouted - Routes the unrouted connections
+ * @param {function():void} props.onAccept - Adds the proposed routes as traces
+ * @param {function():void} props.onReject - Discards the proposed routes
+ */
+const AutoroutePanel = ({
+  selectedNodes, unrouted, layerName, proposal, stale, nodeLabel,
+  onRouteSelected, onRouteUnrouted, onAccept, onReject
+}) => (
+  <div className="side-panel autoroute-panel">
+    <h4>Autorouter</h4>
+    <p className="empty">
+      Routes on {layerName} along the grid with the current width and material, keeping the design rule clearances.
+    </p>
+    <div className="controls-row">
+      <button onClick={onRouteSelected} disabled={selectedNodes < 2 || !!proposal}>
+        Route Selected ({selectedNodes})
+      </button>
+      <button onClick={onRouteUnrouted} disabled={!unrouted || !!proposal}>
+        Route Unrouted ({unrouted})
+      </button>
+    </div>
+    {proposal && (
+      <>
+        <p className={proposal.failed.length ? "error" : "empty"}>
+          {proposal.routes.length} route(s) found{proposal.failed.length ? `, ${proposal.failed.length} failed` : ""}.
+          {stale && " The design changed since this run."}
+        </p>
+        <ul>
+          {proposal.failed.map(f => (
+            <li key={`${f.node1Id}-${f.node2Id}`}>
+              {nodeLabel(f.node1Id)} → {nodeLabel(f.node2Id)}: {f.reason}
+            </li>
+          ))}
+        </ul>
+        <div className="controls-row">
+          <button onClick={onAccept} disabled={stale || !proposal.routes.length}>Accept</button>
+          <button onClick={onReject}>Reject</button>
+        </div>
+      </>
+    )}
+  </div>
+);
+
+export default AutoroutePanel;
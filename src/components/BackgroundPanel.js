@@ -0,0 +1,89 @@
+import React from "react";
+import { scalePlacement } from "../utils/background";
+import LengthInput from "./LengthInput";
+
+/**
+ * Side panel placing the background reference image: position, size, rotation, opacity, locking and calibration.
+ * A locked image keeps its placement; only its opacity can still be changed.
+ * @param {object} props
+ * @param {object} props.placement - Placement in mm, see background.js
+ * @param {string} props.unit - Display unit for lengths
+ * @param {number|null} props.calibrationPoints - Points clicked so far while calibrating, null when not calibrating
+ * @param {function(string, object, string=):void} props.onChange - Called with a history label, the new placement and
+ *   a merge key for changes made by dragging a control
+ * @param {function():void} props.onCalibrate - Starts two-point calibration
+ * @param {function():void} props.onCancelCalibration
+ * @param {function():void} props.onRemove - Removes the background image
+ */
+const BackgroundPanel = ({ placement, unit, calibrationPoints, onChange, onCalibrate, onCancelCalibration, onRemove }) => {
+  const { locked } = placement;
+  const change = (label, changes, mergeKey) => onChange(label, { ...placement, ...changes }, mergeKey);
+
+  return (
+    <div className="side-panel background-panel">
+      <h4>Background Image</h4>
+      <label>
+        Centre X:
+        <LengthInput valueMm={placement.x} unit={unit} disabled={locked} onCommit={x => change("Move background image", { x })}/>
+      </label>
+      <label>
+        Centre Y:
+        <LengthInput valueMm={placement.y} unit={unit} disabled={locked} onCommit={y => change("Move background image", { y })}/>
+      </label>
+      <label>
+        Width:
+        <LengthInput
+          valueMm={placement.width}
+          unit={unit}
+          minMm={0.01}
+          disabled={locked || !(placement.width > 0)}
+          onCommit={w => onChange("Resize background image", scalePlacement(placement, w / placement.width))}
+        />
+      </label>
+      <label>
+        Rotation:
+        <input
+          type="number"
+          step="0.5"
+          value={placement.rotation}
+          disabled={locked}
+          onChange={e => {
+            const rotation = parseFloat(e.target.value);
+            if (Number.isFinite(rotation)) change("Rotate background image", { rotation }, "background-rotation");
+          }}
+        /> °
+      </label>
+      <label>
+        Opacity:
+        <input
+          type="range"
+          min="0.1"
+          max="1"
+          step="0.05"
+          value={placement.opacity}
+          onChange={e => change("Change background opacity", { opacity: parseFloat(e.target.value) }, "background-opacity")}
+        /> {Math.round(placement.opacity * 100)} %
+      </label>
+      <label>
+        <input
+          type="checkbox"
+          checked={locked}
+          onChange={() => change(locked ? "Unlock background image" : "Lock background image", { locked: !locked })}
+        /> Locked
+      </label>
+      {calibrationPoints !== null && (
+        <p className="empty">
+          {calibrationPoints ? "Click the second point." : "Click a point on the image, then a second one a known distance away."}
+        </p>
+      )}
+      <div className="controls-row">
+        {calibrationPoints === null
+          ? <button onClick={onCalibrate} disabled={locked}>Calibrate…</button>
+          : <button onClick={onCancelCalibration}>Cancel Calibration</button>}
+        <button onClick={onRemove}>Remove</button>
+      </div>
+    </div>
+  );
+};
+
+export default BackgroundPanel;
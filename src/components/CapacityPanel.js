@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from "react";
+import { IPC_STANDARDS, AMBIENT_TEMP_C, checkTraceCapacity, minTraceWidthMm } from "../utils/ipc";
+import { formatLength } from "../utils/units";
+
+const draftOf = trace => ({ targetCurrent: trace.targetCurrent ?? "", tempRise: trace.tempRise ?? 10 });
+
+/**
+ * Side panel sizing the selected trace for a target current and allowed temperature rise.
+ * @param {object} props
+ * @param {object} props.trace - Selected connection
+ * @param {number} props.thickness - Conductor thickness in m
+ * @param {string} props.standard - "IPC-2221" or "IPC-2152"
+ * @param {string} props.unit - Display unit for widths
+ * @param {function(string):void} props.onStandardChange - Called with the new standard
+ * @param {function(object):void} props.onApply - Called with { targetCurrent, tempRise }, null values clear them
+ * @param {function(number):void} props.onSetWidth - Called with a new trace width in m
+ */
+const CapacityPanel = ({ trace, thickness, standard, unit, onStandardChange, onApply, onSetWidth }) => {
+  const [draft, setDraft] = useState(draftOf(trace));
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setDraft(draftOf(trace));
+    setError(null);
+  }, [trace]);
+
+  const handleApply = () => {
+    const targetCurrent = draft.targetCurrent === "" ? null : Number(draft.targetCurrent);
+    const tempRise      = Number(draft.tempRise);
+    const msg = targetCurrent !== null && !(targetCurrent > 0)
+      ? "Target current must be greater than 0"
+      : !(tempRise > 0) ? "Temperature rise must be greater than 0" : null;
+    setError(msg);
+    if (!msg) onApply({ targetCurrent, tempRise });
+  };
+
+  const capacity = checkTraceCapacity(trace, thickness, standard);
+  const internal = capacity && minTraceWidthMm(trace.targetCurrent, trace.tempRise, thickness, { standard, internal: true });
+
+  return (
+    <div className="side-panel capacity-panel">
+      <h4>Current Capacity</h4>
+      <label>
+        Target current (A):
+        <input
+          type="number"
+          min={0}
+          step={0.1}
+          placeholder="none"
+          value={draft.targetCurrent}
+          onChange={e => setDraft(d => ({ ...d, targetCurrent: e.target.value }))}
+        />
+      </label>
+      <label>
+        Allowed rise (°C):
+        <input
+          type="number"
+          min={1}
+          step={1}
+          value={draft.tempRise}
+          onChange={e => setDraft(d => ({ ...d, tempRise: e.target.value }))}
+        />
+      </label>
+      <label>
+        Standard:
+        <select value={standard} onChange={e => onStandardChange(e.target.value)}>
+          {IPC_STANDARDS.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+      </label>
+      {error && <p className="error">{error}</p>}
+      <button onClick={handleApply}>Apply</button>
+
+      {capacity && (
+        <>
+          <p>
+            Min width: {formatLength(capacity.minWidth, unit)} on this layer
+            {standard === "IPC-2221" && <> ({formatLength(internal, unit)} if internal)</>}
+            <br/>
+            Current width: {formatLength(capacity.width, unit)}
+          </p>
+          {capacity.tooNarrow && (
+            <>
+              <p className="error">Trace is too narrow for {trace.targetCurrent} A.</p>
+              <button onClick={() => onSetWidth(capacity.minWidth / 1000)}>Widen to minimum</button>
+            </>
+          )}
+        </>
+      )}
+      {trace.tempRise > 0 && (
+        <p className="empty">Resistance is given at {AMBIENT_TEMP_C + trace.tempRise} °C operating temperature.</p>
+      )}
+    </div>
+  );
+};
+
+export default CapacityPanel;
@@ -0,0 +1,143 @@
+import React, { useState } from "react";
+import { LOAD_KINDS, validateLoad } from "../utils/dcSolver";
+import { nodeLabels } from "../utils/netlist";
+
+const LOAD_UNITS = { resistance: "Ω", current: "A" };
+const OVERLAYS   = ["off", "voltage", "current"];
+
+const withUnit = (value, digits, unit) => value === null ? "—" : `${value.toFixed(digits)} ${unit}`;
+
+/**
+ * Side panel for DC analysis: supply voltages of power nodes, loads between nodes and the solver result.
+ * @param {object} props
+ * @param {object[]} props.shapes - All shapes (used for reference designators)
+ * @param {object[]} props.loads - Loads between nodes
+ * @param {object|null} props.result - Result of solveDc, null before the first run
+ * @param {boolean} props.stale - True when the design changed since the last run
+ * @param {string} props.overlay - Canvas overlay: "off", "voltage" or "current"
+ * @param {function(string):void} props.onOverlayChange - Called with the new overlay
+ * @param {function(object, number|null):void} props.onVoltageChange - Called with a power node and its new voltage
+ * @param {function(object[]):void} props.onLoadsChange - Called with the new list of loads
+ * @param {function():void} props.onSolve - Runs the analysis
+ */
+const CircuitPanel = ({ shapes, loads, result, stale, overlay, onOverlayChange, onVoltageChange, onLoadsChange, onSolve }) => {
+  const [draft, setDraft] = useState({ node1Id: "", node2Id: "", kind: "resistance", value: 10 }); // New load
+  const [error, setError] = useState(null);
+
+  // Power and ground nodes and component pads ("R1.2"); vias only pass current on
+  const nodes  = shapes.filter(s => s.type === "node" && s.nodeType !== "via");
+  const labels = nodeLabels(shapes);
+  const refOf  = id => labels.get(id) || `#${id}`;
+
+  const handleVoltageBlur = (node, text) => {
+    const voltage = text.trim() === "" ? null : Number(text);
+    if (voltage !== null && !Number.isFinite(voltage)) return;
+    if (voltage !== (Number.isFinite(node.voltage) ? node.voltage : null)) onVoltageChange(node, voltage);
+  };
+
+  const handleAddLoad = () => {
+    const load = { id: Date.now(), ...draft, node1Id: Number(draft.node1Id), node2Id: Number(draft.node2Id) };
+    const msg = !draft.node1Id || !draft.node2Id ? "Choose two nodes" : validateLoad(load);
+    setError(msg);
+    if (!msg) onLoadsChange([...loads, load]);
+  };
+
+  const loadResult = id => result?.loads.find(l => l.id === id);
+
+  return (
+    <div className="side-panel circuit-panel">
+      <h4>DC Analysis</h4>
+
+      <h5>Supplies</h5>
+      {nodes.filter(n => n.nodeType === "power").map(n => (
+        <label key={`${n.id}-${n.voltage}`}>
+          {refOf(n.id)} (V):
+          <input
+            type="number"
+            step={0.1}
+            placeholder="free"
+            defaultValue={Number.isFinite(n.voltage) ? n.voltage : ""}
+            onBlur={e => handleVoltageBlur(n, e.target.value)}
+          />
+        </label>
+      ))}
+      <p className="empty">Ground nodes are 0 V. Leave a power node empty to solve for it.</p>
+
+      <h5>Loads</h5>
+      <ul>
+        {loads.map(l => (
+          <li key={l.id}>
+            {refOf(l.node1Id)} → {refOf(l.node2Id)}: {l.value} {LOAD_UNITS[l.kind]}
+            {loadResult(l.id) && (
+              <span className="net-meta"> ({withUnit(loadResult(l.id).current, 3, "A")}, {withUnit(loadResult(l.id).power, 3, "W")})</span>
+            )}
+            <button className="link-button" onClick={() => onLoadsChange(loads.filter(x => x.id !== l.id))}>✕</button>
+          </li>
+        ))}
+      </ul>
+      <div className="load-form">
+        {["node1Id", "node2Id"].map(key => (
+          <select key={key} value={draft[key]} onChange={e => setDraft(d => ({ ...d, [key]: e.target.value }))}>
+            <option value="">{key === "node1Id" ? "from…" : "to…"}</option>
+            {nodes.map(n => <option key={n.id} value={n.id}>{refOf(n.id)}</option>)}
+          </select>
+        ))}
+        <select value={draft.kind} onChange={e => setDraft(d => ({ ...d, kind: e.target.value }))}>
+          {LOAD_KINDS.map(k => <option key={k} value={k}>{k}</option>)}
+        </select>
+        <input
+          type="number"
+          step={0.1}
+          value={draft.value}
+          onChange={e => setDraft(d => ({ ...d, value: Number(e.target.value) }))}
+        />
+        {LOAD_UNITS[draft.kind]}
+        <button onClick={handleAddLoad}>Add Load</button>
+      </div>
+      {error && <p className="error">{error}</p>}
+
+      <div className="controls-row">
+        <button onClick={onSolve} disabled={!nodes.length}>Solve</button>
+        <label>
+          Overlay:
+          <select value={overlay} onChange={e => onOverlayChange(e.target.value)}>
+            {OVERLAYS.map(o => <option key={o} value={o}>{o}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {result && (
+        <>
+          {stale && <p className="empty">The design changed since this run.</p>}
+          {result.warnings.map(w => <p key={w} className="error">{w}</p>)}
+          <table>
+            <thead><tr><th>Node</th><th>Voltage</th></tr></thead>
+            <tbody>
+              {nodes.map(n => (
+                <tr key={n.id}>
+                  <td>{refOf(n.id)}</td>
+                  <td>{withUnit(result.voltages.get(n.id) ?? null, 3, "V")}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <table>
+            <thead><tr><th>Trace</th><th>Current</th><th>IR drop</th><th>Power</th></tr></thead>
+            <tbody>
+              {result.traces.map(t => (
+                <tr key={t.id}>
+                  <td title={`Trace ${t.id}`}>{refOf(t.node1Id)}–{refOf(t.node2Id)}</td>
+                  <td>{withUnit(t.current, 3, "A")}</td>
+                  <td>{t.drop === null ? "—" : `${(Math.abs(t.drop) * 1000).toFixed(1)} mV`}</td>
+                  <td>{t.power === null ? "—" : `${(t.power * 1000).toFixed(1)} mW`}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CircuitPanel;
@@ -0,0 +1,31 @@
+import React from "react";
+import { peerColor } from "../utils/collab";
+
+/**
+ * Side panel listing the other users who have the project open, in the colors of their cursors and selections.
+ * @param {object} props
+ * @param {boolean} props.online - Connected to the collaboration channel?
+ * @param {object[]} props.peers - Other users: { clientId, name, cursor, selection }
+ * @param {string} props.name - Name this user is shown to the others by
+ * @param {function(string):void} props.onNameChange - Called with the typed name
+ */
+const CollabPanel = ({ online, peers, name, onNameChange }) => (
+  <div className="side-panel collab-panel">
+    <h4>Collaborators</h4>
+    {!online && <p className="error">Not connected; changes of others are not shown until reconnected.</p>}
+    <label>
+      Your Name:
+      <input value={name} maxLength={40} onChange={e => onNameChange(e.target.value)}/>
+    </label>
+    <ul>
+      {peers.map(p => (
+        <li key={p.clientId}>
+          <span className="swatch" style={{ background: peerColor(p.clientId) }}/> {p.name}
+        </li>
+      ))}
+    </ul>
+    {online && !peers.length && <p className="empty">Nobody else has this project open.</p>}
+  </div>
+);
+
+export default CollabPanel;
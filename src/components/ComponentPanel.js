@@ -0,0 +1,70 @@
+import React, { useState, useEffect } from "react";
+import { ROTATIONS, findFootprint } from "../utils/footprints";
+import { pxToMm, mmToPx } from "../utils/units";
+import LengthInput from "./LengthInput";
+
+/**
+ * Side panel editing the reference designator, placement and orientation of the selected component.
+ * Edits are kept as a draft until "Apply" so the pads move once, as one undo step.
+ * @param {object} props
+ * @param {object} props.component - Selected component
+ * @param {string} props.unit - Display unit for lengths
+ * @param {function(object):void} props.onApply - Called with the changed fields { refdes, x, y, rotation, mirrored }
+ */
+const ComponentPanel = ({ component, unit, onApply }) => {
+  const [draft, setDraft] = useState(component); // Component being edited
+  const [error, setError] = useState(null);     // Validation message for the draft
+
+  // Start over whenever another component is selected or the component changes elsewhere (undo, sync)
+  useEffect(() => {
+    setDraft(component);
+    setError(null);
+  }, [component]);
+
+  const update = changes => setDraft(d => ({ ...d, ...changes }));
+
+  const handleApply = () => {
+    const msg = draft.refdes.trim() ? null : "Reference designator must not be empty";
+    setError(msg);
+    if (!msg) {
+      const { refdes, x, y, rotation, mirrored } = draft;
+      onApply({ refdes: refdes.trim(), x, y, rotation, mirrored });
+    }
+  };
+
+  return (
+    <div className="side-panel pad-stack-panel">
+      <h4>Component {component.refdes}</h4>
+      <p>{findFootprint(component.footprint)?.name || component.footprint}</p>
+      <label>
+        Reference:
+        <input type="text" value={draft.refdes} onChange={e => update({ refdes: e.target.value })}/>
+      </label>
+      <label>
+        X:
+        <LengthInput valueMm={pxToMm(draft.x)} unit={unit} onCommit={mm => update({ x: mmToPx(mm) })}/>
+      </label>
+      <label>
+        Y:
+        <LengthInput valueMm={pxToMm(draft.y)} unit={unit} onCommit={mm => update({ y: mmToPx(mm) })}/>
+      </label>
+      <label>
+        Rotation:
+        <select value={draft.rotation} onChange={e => update({ rotation: Number(e.target.value) })}>
+          {ROTATIONS.map(r => <option key={r} value={r}>{r}°</option>)}
+        </select>
+      </label>
+      <label>
+        <input
+          type="checkbox"
+          checked={draft.mirrored}
+          onChange={e => update({ mirrored: e.target.checked })}
+        /> Mirrored
+      </label>
+      {error && <p className="error">{error}</p>}
+      <button onClick={handleApply}>Apply</button>
+    </div>
+  );
+};
+
+export default ComponentPanel;
@@ -0,0 +1,75 @@
+import React, { useState, useEffect } from "react";
+import { DRC_RULE_FIELDS, validateDrcRules } from "../utils/drc";
+import LengthInput from "./LengthInput";
+
+/**
+ * Side panel with the project's design rules and the result of the last DRC run.
+ * Rule edits are kept as a draft until "Apply", like the pad stack panel.
+ * @param {object} props
+ * @param {object} props.rules - Current rules (mm)
+ * @param {string} props.unit - Display unit for the rule values
+ * @param {function(object):void} props.onApplyRules - Called with the new rules
+ * @param {object[]|null} props.violations - Result of the last run, null before the first run
+ * @param {boolean} props.stale - True when the design changed since the last run
+ * @param {string|null} props.selectedId - Id of the highlighted violation
+ * @param {function():void} props.onRun - Runs the check
+ * @param {function(object):void} props.onSelect - Called with the clicked violation
+ */
+const DrcPanel = ({ rules, unit, onApplyRules, violations, stale, selectedId, onRun, onSelect }) => {
+  const [draft, setDraft] = useState(rules); // Rules being edited
+  const [error, setError] = useState(null);  // Validation message for the draft
+
+  useEffect(() => {
+    setDraft(rules);
+    setError(null);
+  }, [rules]);
+
+  const handleApply = () => {
+    const msg = validateDrcRules(draft);
+    setError(msg);
+    if (!msg) onApplyRules(draft);
+  };
+
+  return (
+    <div className="side-panel drc-panel">
+      <h4>Design Rules</h4>
+      {DRC_RULE_FIELDS.map(({ key, label }) => (
+        <label key={key}>
+          {label}:
+          <LengthInput
+            valueMm={draft[key]}
+            unit={unit}
+            minMm={0}
+            onCommit={mm => setDraft(d => ({ ...d, [key]: mm }))}
+          />
+        </label>
+      ))}
+      {error && <p className="error">{error}</p>}
+      <div className="controls-row">
+        <button onClick={handleApply}>Apply</button>
+        <button onClick={onRun}>Run DRC</button>
+      </div>
+      {violations && (
+        <>
+          <p className={violations.length ? "error" : "empty"}>
+            {violations.length ? `${violations.length} violation(s)` : "No violations."}
+            {stale && " The design changed since this run."}
+          </p>
+          <ul>
+            {violations.map(v => (
+              <li
+                key={v.id}
+                className={v.id === selectedId ? "current" : undefined}
+                onClick={() => onSelect(v)}
+              >
+                <span className="drc-rule">{v.rule}</span> {v.message}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DrcPanel;
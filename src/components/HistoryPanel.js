@@ -0,0 +1,38 @@
+import React from "react";
+
+/**
+ * Side panel listing undoable and redoable commands.
+ * Clicking an entry undoes or redoes everything up to and including it.
+ * @param {object} props
+ * @param {object[]} props.past - Applied commands, oldest first
+ * @param {object[]} props.future - Undone commands, next redo first
+ * @param {function(number):void} props.onStep - Called with -n to undo n steps or +n to redo n steps
+ */
+const HistoryPanel = ({ past, future, onStep }) => (
+  <div className="side-panel history-panel">
+    <h4>History</h4>
+    <div className="controls-row">
+      <button onClick={() => onStep(-1)} disabled={!past.length} title="Ctrl+Z">Undo</button>
+      <button onClick={() => onStep(1)} disabled={!future.length} title="Ctrl+Shift+Z">Redo</button>
+    </div>
+    <ol>
+      {past.map((cmd, i) => (
+        <li
+          key={`p${i}`}
+          className={i === past.length - 1 ? "current" : undefined}
+          onClick={() => onStep(i - past.length + 1)}
+        >
+          {cmd.label}
+        </li>
+      ))}
+      {future.map((cmd, i) => (
+        <li key={`f${i}`} className="undone" onClick={() => onStep(i + 1)}>
+          {cmd.label}
+        </li>
+      ))}
+    </ol>
+    {!past.length && !future.length && <p className="empty">Nothing to undo.</p>}
+  </div>
+);
+
+export default HistoryPanel;
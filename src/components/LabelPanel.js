@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from "react";
+import { LABEL_LAYERS, LABEL_FONTS, LABEL_ALIGNS, withDefaults, validateLabel } from "../utils/labels";
+import { netOfNode } from "../utils/netlist";
+
+/**
+ * Side panel editing the text, style, layer and anchor of the selected label.
+ * Edits are kept as a draft until "Apply" so they form one undo step.
+ * @param {object} props
+ * @param {object} props.label - Selected label
+ * @param {object[]} props.nets - Nets from extractNets, listing the nodes a label can be anchored to
+ * @param {function(number): string} props.nodeLabel - Name of a node, e.g. "R1.2"
+ * @param {function(object):void} props.onApply - Called with the changed fields { text, fontSize, fontFamily, align,
+ *   layer, rotation, nodeId, showNet }
+ */
+const LabelPanel = ({ label, nets, nodeLabel, onApply }) => {
+  const [draft, setDraft] = useState(() => withDefaults(label)); // Label being edited
+  const [error, setError] = useState(null);                      // Validation message for the draft
+
+  // Start over whenever another label is selected or the label changes elsewhere (undo, drag, sync)
+  useEffect(() => {
+    setDraft(withDefaults(label));
+    setError(null);
+  }, [label]);
+
+  const update = changes => setDraft(d => ({ ...d, ...changes }));
+  const net    = draft.nodeId == null ? undefined : netOfNode(nets, draft.nodeId);
+
+  const handleApply = () => {
+    const msg = validateLabel(draft);
+    setError(msg);
+    if (!msg) {
+      const { text, fontSize, fontFamily, align, layer, rotation, nodeId, showNet } = draft;
+      onApply({ text, fontSize, fontFamily, align, layer, rotation, nodeId, showNet: showNet && nodeId != null });
+    }
+  };
+
+  return (
+    <div className="side-panel label-panel">
+      <h4>Label</h4>
+      <label>
+        Text:
+        <input value={draft.text} onChange={e => update({ text: e.target.value })}/>
+      </label>
+      <label>
+        Layer:
+        <select value={draft.layer} onChange={e => update({ layer: e.target.value })}>
+          {LABEL_LAYERS.map(l => <option key={l.id} value={l.id}>{l.label}</option>)}
+        </select>
+      </label>
+      <label>
+        Font:
+        <select value={draft.fontFamily} onChange={e => update({ fontFamily: e.target.value })}>
+          {LABEL_FONTS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+        </select>
+        <input
+          type="number"
+          min="1"
+          value={draft.fontSize}
+          onChange={e => update({ fontSize: Number(e.target.value) })}
+        /> px
+      </label>
+      <label>
+        Alignment:
+        <select value={draft.align} onChange={e => update({ align: e.target.value })}>
+          {LABEL_ALIGNS.map(a => <option key={a} value={a}>{a[0].toUpperCase() + a.slice(1)}</option>)}
+        </select>
+      </label>
+      <label>
+        Rotation:
+        <input
+          type="number"
+          step="15"
+          value={draft.rotation}
+          onChange={e => update({ rotation: e.target.value === "" ? NaN : Number(e.target.value) })}
+        /> °
+      </label>
+      <label>
+        Anchor:
+        <select
+          value={draft.nodeId ?? ""}
+          onChange={e => update({ nodeId: e.target.value === "" ? null : Number(e.target.value) })}
+        >
+          <option value="">(none)</option>
+          {nets.map(n => (
+            <optgroup key={n.key} label={n.name}>
+              {n.nodeIds.map(id => <option key={id} value={id}>{nodeLabel(id)}</option>)}
+            </optgroup>
+          ))}
+        </select>
+      </label>
+      <label>
+        <input
+          type="checkbox"
+          checked={draft.showNet && draft.nodeId != null}
+          disabled={draft.nodeId == null}
+          onChange={e => update({ showNet: e.target.checked })}
+        /> Show Net Name{net && `: ${net.name}`}
+      </label>
+      {draft.showNet && draft.nodeId != null && (
+        <p className="empty">The label's own text comes back if it is detached from the node.</p>
+      )}
+      {error && <p className="error">{error}</p>}
+      <button onClick={handleApply}>Apply</button>
+    </div>
+  );
+};
+
+export default LabelPanel;
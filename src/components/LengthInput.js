@@ -0,0 +1,46 @@
+import React, { useState, useEffect } from "react";
+import { DISPLAY_UNITS, formatLength, parseLength } from "../utils/units";
+
+/**
+ * Text field for a length shown in the display unit.
+ * The typed value is committed on Enter or blur; a value with another unit ("10 mil", "0.5mm") is converted.
+ * Invalid or out-of-range input snaps back to the current value.
+ * @param {object} props
+ * @param {number} props.valueMm - Current value in mm
+ * @param {string} props.unit - Display unit, key of DISPLAY_UNITS
+ * @param {function(number):void} props.onCommit - Called with the new value in mm
+ * @param {number} [props.minMm] - Smallest accepted value in mm
+ * @param {boolean} [props.disabled]
+ */
+const LengthInput = ({ valueMm, unit, onCommit, minMm = -Infinity, disabled }) => {
+  const shown = formatLength(valueMm, unit, false);
+  const [text, setText] = useState(shown); // Text being typed
+
+  useEffect(() => setText(shown), [shown]);
+
+  const commit = () => {
+    const mm = parseLength(text, unit);
+    if (mm === null || mm < minMm) {
+      setText(shown);
+      return;
+    }
+    if (formatLength(mm, unit, false) !== shown) onCommit(mm);
+    else setText(shown);
+  };
+
+  return (
+    <span className="length-input">
+      <input
+        type="text"
+        value={text}
+        disabled={disabled}
+        onChange={e => setText(e.target.value)}
+        onBlur={commit}
+        onKeyDown={e => e.key === "Enter" && e.target.blur()}
+      />
+      {DISPLAY_UNITS[unit].label}
+    </span>
+  );
+};
+
+export default LengthInput;
@@ -0,0 +1,154 @@
+import React, { useState } from "react";
+import { addMaterial, updateMaterial, deleteMaterial, errorMessage } from "../api";
+import { MATERIAL_KINDS, COPPER_WEIGHTS, thicknessLabel, validateMaterial } from "../utils/materials";
+
+const NEW_MATERIAL = { id: "", name: "", kind: "metal", color: "#b87333", resistivity: 1.68e-8, tempco: 0.00393, thickness: 0.000035 };
+
+/**
+ * Modal editing the shared material library on the backend.
+ * @param {object} props
+ * @param {object[]} props.materials - Current library
+ * @param {function(object[]):void} props.onChange - Called with the library after a successful change
+ * @param {function():void} props.onClose - Closes the modal
+ */
+const MaterialLibrary = ({ materials, onChange, onClose }) => {
+  const [selectedId, setSelectedId] = useState(materials[0]?.id ?? null); // Material being edited, null for a new one
+  const [draft,      setDraft     ] = useState(materials[0] ?? NEW_MATERIAL);
+  const [error,      setError     ] = useState(null);
+
+  const isNew = selectedId === null;
+  const update = changes => setDraft(d => ({ ...d, ...changes }));
+  const weight = COPPER_WEIGHTS.find(w => Math.abs(w.thickness - draft.thickness) < 1e-9);
+
+  const select = material => {
+    setSelectedId(material ? material.id : null);
+    setDraft(material || NEW_MATERIAL);
+    setError(null);
+  };
+
+  const handleSave = () => {
+    const msg = validateMaterial(draft);
+    setError(msg);
+    if (msg) return;
+    const request = isNew
+      ? addMaterial(draft).then(saved => [...materials, saved])
+      : updateMaterial(selectedId, draft).then(saved => materials.map(m => m.id === selectedId ? saved : m));
+    request
+      .then(list => {
+        onChange(list);
+        setSelectedId(draft.id);
+      })
+      .catch(err => setError(errorMessage(err)));
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete material "${draft.name}"?`)) return;
+    deleteMaterial(selectedId)
+      .then(() => {
+        const list = materials.filter(m => m.id !== selectedId);
+        onChange(list);
+        select(list[0]);
+      })
+      .catch(err => setError(errorMessage(err)));
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal material-library">
+        <h3>Material Library</h3>
+        <div className="material-library-body">
+          <ul>
+            {materials.map(m => (
+              <li key={m.id} className={m.id === selectedId ? "current" : undefined} onClick={() => select(m)}>
+                <span className="swatch" style={{ background: m.color }}/> {m.name}
+                <span className="net-meta"> ({m.kind}, {thicknessLabel(m.thickness)})</span>
+              </li>
+            ))}
+            <li className={isNew ? "current" : undefined} onClick={() => select(null)}>+ New material</li>
+          </ul>
+
+          <div className="material-form">
+            <label>
+              Id:
+              <input value={draft.id} disabled={!isNew} onChange={e => update({ id: e.target.value })}/>
+            </label>
+            <label>
+              Name:
+              <input value={draft.name} onChange={e => update({ name: e.target.value })}/>
+            </label>
+            <label>
+              Kind:
+              <select value={draft.kind} onChange={e => update({ kind: e.target.value })}>
+                {MATERIAL_KINDS.map(k => <option key={k} value={k}>{k}</option>)}
+              </select>
+            </label>
+            <label>
+              Colour:
+              <input value={draft.color} onChange={e => update({ color: e.target.value })}/>
+            </label>
+            {draft.kind === "metal" ? (
+              <label>
+                Resistivity (Ω·m):
+                <input
+                  type="number"
+                  step="any"
+                  value={draft.resistivity ?? ""}
+                  onChange={e => update({ resistivity: Number(e.target.value) })}
+                />
+              </label>
+            ) : (
+              <label>
+                Sheet resistance (Ω/sq):
+                <input
+                  type="number"
+                  step="any"
+                  value={draft.sheetResistance ?? ""}
+                  onChange={e => update({ sheetResistance: Number(e.target.value) })}
+                />
+              </label>
+            )}
+            <label>
+              Temp. coefficient (1/°C):
+              <input
+                type="number"
+                step="any"
+                value={draft.tempco}
+                onChange={e => update({ tempco: Number(e.target.value) })}
+              />
+            </label>
+            <label>
+              Thickness:
+              <select
+                value={weight ? weight.label : "custom"}
+                onChange={e => {
+                  const w = COPPER_WEIGHTS.find(c => c.label === e.target.value);
+                  if (w) update({ thickness: w.thickness });
+                }}
+              >
+                {COPPER_WEIGHTS.map(w => <option key={w.label} value={w.label}>{w.label} copper</option>)}
+                <option value="custom">custom</option>
+              </select>
+              <input
+                type="number"
+                min={0}
+                step={0.5}
+                value={Number((draft.thickness * 1e6).toFixed(2))}
+                onChange={e => update({ thickness: Number(e.target.value) / 1e6 })}
+              /> µm
+            </label>
+            {error && <p className="error">{error}</p>}
+            <div className="controls-row">
+              <button onClick={handleSave}>{isNew ? "Add" : "Save"}</button>
+              {!isNew && <button onClick={handleDelete} disabled={materials.length < 2}>Delete</button>}
+            </div>
+          </div>
+        </div>
+        <div className="controls-row">
+          <button onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MaterialLibrary;
@@ -0,0 +1,47 @@
+import React from "react";
+
+/**
+ * Side panel listing the nets of the design.
+ * Clicking a net highlights it on the canvas; shorted power/ground nets are flagged.
+ * @param {object} props
+ * @param {object[]} props.nets - Nets from extractNets
+ * @param {string|null} props.selectedKey - Key of the highlighted net
+ * @param {function(string|null):void} props.onSelect - Called with a net key, or null to clear
+ * @param {function(object):void} props.onRename - Called with the net to rename
+ * @param {function():void} props.onExport - Exports the netlist
+ */
+const NetPanel = ({ nets, selectedKey, onSelect, onRename, onExport }) => {
+  const shorted = nets.filter(n => n.shorted);
+  return (
+    <div className="side-panel net-panel">
+      <h4>Nets</h4>
+      {shorted.length > 0 && (
+        <p className="error">
+          Power and ground shorted in: {shorted.map(n => n.name).join(", ")}
+        </p>
+      )}
+      <ul>
+        {nets.map(net => (
+          <li
+            key={net.key}
+            className={[net.key === selectedKey && "current", net.shorted && "shorted"].filter(Boolean).join(" ") || undefined}
+            onClick={() => onSelect(net.key === selectedKey ? null : net.key)}
+            onDoubleClick={() => onRename(net)}
+            title="Click to highlight, double-click to rename"
+          >
+            {net.name} <span className="net-meta">({net.nodeIds.length} nodes, {net.connectionIds.length} traces)</span>
+          </li>
+        ))}
+      </ul>
+      {!nets.length && <p className="empty">No nodes placed yet.</p>}
+      <div className="controls-row">
+        <button onClick={() => selectedKey && onRename(nets.find(n => n.key === selectedKey))} disabled={!selectedKey}>
+          Rename
+        </button>
+        <button onClick={onExport} disabled={!nets.length}>Export Netlist</button>
+      </div>
+    </div>
+  );
+};
+
+export default NetPanel;
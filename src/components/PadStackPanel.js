@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from "react";
+import { PAD_SHAPES, padStackOf, validatePadStack } from "../utils/drill";
+import { pxToMm, mmToPx } from "../utils/units";
+import LengthInput from "./LengthInput";
+
+/**
+ * Side panel editing the position and pad stack of the selected footprint node. Pads of a component move with
+ * their component, so they get no position fields.
+ * Pad stack edits are kept as a draft until "Apply" so invalid intermediate values never reach the design.
+ * @param {object} props
+ * @param {object} props.node - Selected node
+ * @param {string} props.unit - Display unit for lengths
+ * @param {function(object):void} props.onApply - Called with the new pad stack
+ * @param {function(number, number):void} [props.onMove] - Called with a new position in canvas pixels
+ */
+const PadStackPanel = ({ node, unit, onApply, onMove }) => {
+  const [draft, setDraft] = useState(padStackOf(node)); // Pad stack being edited
+  const [error, setError] = useState(null);             // Validation message for the draft
+
+  // Start over whenever another node is selected or the node changes elsewhere (undo, sync)
+  useEffect(() => {
+    setDraft(padStackOf(node));
+    setError(null);
+  }, [node]);
+
+  const update = changes => setDraft(d => ({ ...d, ...changes }));
+
+  // Only rect pads have a height of their own; a new rect pad starts out square
+  const changeShape = shape => setDraft(({ padHeight, ...d }) =>
+    (shape === "rect" ? { ...d, shape, padHeight: padHeight ?? d.padDiameter } : { ...d, shape }));
+  const rect = draft.shape === "rect";
+
+  const handleApply = () => {
+    const msg = validatePadStack(draft);
+    setError(msg);
+    if (!msg) onApply(draft);
+  };
+
+  return (
+    <div className="side-panel pad-stack-panel">
+      <h4>Pad Stack ({node.nodeType === "pad" ? `pad ${node.padName}` : `${node.nodeType} node`})</h4>
+      {onMove && (
+        <>
+          <label>
+            X:
+            <LengthInput valueMm={pxToMm(node.x)} unit={unit} onCommit={mm => onMove(mmToPx(mm), node.y)}/>
+          </label>
+          <label>
+            Y:
+            <LengthInput valueMm={pxToMm(node.y)} unit={unit} onCommit={mm => onMove(node.x, mmToPx(mm))}/>
+          </label>
+        </>
+      )}
+      <label>
+        Shape:
+        <select value={draft.shape} onChange={e => changeShape(e.target.value)}>
+          {PAD_SHAPES.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+      </label>
+      <label>
+        {rect ? "Pad width:" : "Pad diameter:"}
+        <LengthInput valueMm={draft.padDiameter} unit={unit} minMm={0} onCommit={mm => update({ padDiameter: mm })}/>
+      </label>
+      {rect && (
+        <label>
+          Pad height:
+          <LengthInput valueMm={draft.padHeight} unit={unit} minMm={0} onCommit={mm => update({ padHeight: mm })}/>
+        </label>
+      )}
+      <label>
+        Drill diameter (0 = SMD):
+        <LengthInput valueMm={draft.drillDiameter} unit={unit} minMm={0} onCommit={mm => update({ drillDiameter: mm })}/>
+      </label>
+      <label>
+        <input
+          type="checkbox"
+          checked={draft.plated}
+          onChange={e => update({ plated: e.target.checked })}
+        /> Plated
+      </label>
+      {error && <p className="error">{error}</p>}
+      <button onClick={handleApply}>Apply</button>
+    </div>
+  );
+};
+
+export default PadStackPanel;
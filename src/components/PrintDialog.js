@@ -0,0 +1,64 @@
+import React, { useState } from "react";
+import { PRINT_EXTRA_LAYERS } from "../utils/print";
+import { layerLabel } from "../utils/layers";
+
+/**
+ * Modal choosing what the 1:1 print export shows: layers, mirroring, drill-centre marks and the title block.
+ * @param {object} props
+ * @param {string[]} props.layers - Copper layer ids of the stack
+ * @param {string} props.defaultLayer - Copper layer selected to begin with, e.g. the routing layer
+ * @param {string} props.defaultTitle - Title block text to begin with, e.g. the project name
+ * @param {function(object):void} props.onPrint - Called with { layers, mirror, drillMarks, title } to print or save
+ *   as PDF; title is null without a title block
+ * @param {function(object):void} props.onDownload - Called with the same options to download the print SVG
+ * @param {function():void} props.onClose - Closes the modal
+ */
+const PrintDialog = ({ layers, defaultLayer, defaultTitle, onPrint, onDownload, onClose }) => {
+  const [selected,   setSelected  ] = useState([defaultLayer, "outline"]); // Layers to print
+  const [mirror,     setMirror    ] = useState(false);
+  const [drillMarks, setDrillMarks] = useState(true);
+  const [withTitle,  setWithTitle ] = useState(true);
+  const [title,      setTitle     ] = useState(defaultTitle);
+
+  const toggle  = id => setSelected(s => (s.includes(id) ? s.filter(l => l !== id) : [...s, id]));
+  const options = () => ({
+    // In stack order, whatever order they were ticked in
+    layers: [...layers, ...PRINT_EXTRA_LAYERS.map(l => l.id)].filter(id => selected.includes(id)),
+    mirror,
+    drillMarks,
+    title: withTitle ? title.trim() || defaultTitle : null
+  });
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal print-dialog">
+        <h3>Print / PDF (1:1)</h3>
+        <p className="empty">Print at 100 % ("actual size"), not "fit to page"; choose "Save as PDF" for a PDF.</p>
+        <h5>Layers</h5>
+        {[...layers.map(id => ({ id, label: layerLabel(id) })), ...PRINT_EXTRA_LAYERS].map(l => (
+          <label key={l.id}>
+            <input type="checkbox" checked={selected.includes(l.id)} onChange={() => toggle(l.id)}/> {l.label}
+          </label>
+        ))}
+        <h5>Options</h5>
+        <label>
+          <input type="checkbox" checked={mirror} onChange={() => setMirror(m => !m)}/> Mirror (toner transfer)
+        </label>
+        <label>
+          <input type="checkbox" checked={drillMarks} onChange={() => setDrillMarks(d => !d)}/> Drill-centre marks
+        </label>
+        <label>
+          <input type="checkbox" checked={withTitle} onChange={() => setWithTitle(t => !t)}/> Title block:
+          <input value={title} disabled={!withTitle} onChange={e => setTitle(e.target.value)}/>
+        </label>
+        <div className="controls-row">
+          <button onClick={() => onPrint(options())} disabled={!selected.length}>Print…</button>
+          <button onClick={() => onDownload(options())} disabled={!selected.length}>Download SVG</button>
+          <button onClick={onClose}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PrintDialog;
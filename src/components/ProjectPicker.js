@@ -0,0 +1,105 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  listProjects,
+  createProject,
+  renameProject,
+  duplicateProject,
+  deleteProject,
+  errorMessage
+} from "../api";
+
+/**
+ * Modal listing stored projects.
+ * Lets the user create, rename, duplicate, delete and open projects.
+ * @param {object} props
+ * @param {string|null} props.currentId - Id of the open project, if any
+ * @param {function(object):void} props.onOpen - Called with project metadata to open
+ * @param {function():void} [props.onClose] - Closes the picker; omitted when a project must be chosen
+ * @param {function(object):void} [props.onDeleted] - Called with the metadata of a deleted project
+ * @param {function():void} [props.onOpenFile] - Starts opening a project file from disk
+ */
+const ProjectPicker = ({ currentId, onOpen, onClose, onDeleted, onOpenFile }) => {
+  const [projects, setProjects] = useState([]);   // Project metadata list
+  const [newName,  setNewName ] = useState("");   // Name field for new projects
+  const [error,    setError   ] = useState(null); // Last backend error message
+
+  /**
+   * Reloads the project list from the backend.
+   */
+  const refresh = useCallback(() =>
+    listProjects()
+      .then(list => { setProjects(list); setError(null); })
+      .catch(() => setError("Could not reach the ECAD backend.")), []);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  /**
+   * Wraps a backend call so failures surface in the picker and the list refreshes afterwards.
+   * @param {Promise} promise
+   */
+  const run = promise =>
+    promise
+      .then(refresh)
+      .catch(err => setError(errorMessage(err)));
+
+  const handleCreate = () => {
+    const name = newName.trim();
+    if (!name) return;
+    createProject(name)
+      .then(project => { setNewName(""); onOpen(project); })
+      .catch(err => setError(errorMessage(err)));
+  };
+
+  const handleRename = p => {
+    const name = window.prompt("Rename project:", p.name);
+    if (name && name.trim() && name !== p.name) run(renameProject(p.id, name.trim()));
+  };
+
+  const handleDuplicate = p => {
+    const name = window.prompt("Name of the copy:", `${p.name} (copy)`);
+    if (name !== null) run(duplicateProject(p.id, name.trim()));
+  };
+
+  const handleDelete = p => {
+    if (!window.confirm(`Delete project "${p.name}"? This cannot be undone.`)) return;
+    run(deleteProject(p.id).then(() => onDeleted && onDeleted(p)));
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal project-picker">
+        <h3>Projects</h3>
+        {error && <p className="error">{error}</p>}
+        {projects.length === 0 && !error && <p>No projects yet. Create one below.</p>}
+        <ul>
+          {projects.map(p => (
+            <li key={p.id} className={p.id === currentId ? "current" : undefined}>
+              <span className="project-name">{p.name}</span>
+              <span className="project-meta">
+                {p.shapeCount} shapes · {new Date(p.updatedAt).toLocaleString()}
+              </span>
+              <button onClick={() => onOpen(p)}>Open</button>
+              <button onClick={() => handleRename(p)}>Rename</button>
+              <button onClick={() => handleDuplicate(p)}>Duplicate</button>
+              <button onClick={() => handleDelete(p)}>Delete</button>
+            </li>
+          ))}
+        </ul>
+        <div className="controls-row">
+          <input
+            type="text"
+            placeholder="New project name"
+            value={newName}
+            onChange={e => setNewName(e.target.value)}
+            onKeyDown={e => e.key === "Enter" && handleCreate()}
+          />
+          <button onClick={handleCreate} disabled={!newName.trim()}>Create</button>
+          {onOpenFile && <button onClick={onOpenFile}>Open File…</button>}
+          {onClose && <button onClick={onClose}>Cancel</button>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectPicker;
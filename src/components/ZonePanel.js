@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from "react";
+import { validateZone } from "../utils/zones";
+import { layerLabel } from "../utils/layers";
+import { netOfNode } from "../utils/netlist";
+import LengthInput from "./LengthInput";
+
+/**
+ * Side panel editing the net, copper layer and clearances of the selected copper pour zone.
+ * Edits are kept as a draft until "Apply" so the zone refills once, as one undo step.
+ * @param {object} props
+ * @param {object} props.zone - Selected zone
+ * @param {object[]} props.nets - Nets from extractNets
+ * @param {string[]} props.layers - Copper layer ids of the stack
+ * @param {string} props.unit - Display unit for lengths
+ * @param {number} [props.rects] - Number of fill rectangles, 0 when nothing could be poured; undefined until the
+ *   zone has been filled
+ * @param {function(object):void} props.onApply - Called with the changed fields { nodeId, copperLayer, clearance,
+ *   thermalWidth }
+ */
+const ZonePanel = ({ zone, nets, layers, unit, rects, onApply }) => {
+  const [draft, setDraft] = useState(zone); // Zone being edited
+  const [error, setError] = useState(null); // Validation message for the draft
+
+  // Start over whenever another zone is selected or the zone changes elsewhere (undo, sync)
+  useEffect(() => {
+    setDraft(zone);
+    setError(null);
+  }, [zone]);
+
+  const update = changes => setDraft(d => ({ ...d, ...changes }));
+  const netKey = netOfNode(nets, draft.nodeId)?.key || "";
+
+  const handleApply = () => {
+    const msg = validateZone(draft);
+    setError(msg);
+    if (!msg) {
+      const { nodeId, copperLayer, clearance, thermalWidth } = draft;
+      onApply({ nodeId, copperLayer, clearance, thermalWidth });
+    }
+  };
+
+  return (
+    <div className="side-panel pad-stack-panel">
+      <h4>Copper Zone</h4>
+      <label>
+        Net:
+        <select
+          value={netKey}
+          onChange={e => update({ nodeId: nets.find(n => n.key === e.target.value)?.nodeIds[0] ?? null })}
+        >
+          <option value="">(none)</option>
+          {nets.map(n => <option key={n.key} value={n.key}>{n.name}</option>)}
+        </select>
+      </label>
+      <label>
+        Layer:
+        <select value={draft.copperLayer} onChange={e => update({ copperLayer: e.target.value })}>
+          {layers.map(l => <option key={l} value={l}>{layerLabel(l)}</option>)}
+        </select>
+      </label>
+      <label>
+        Clearance:
+        <LengthInput valueMm={draft.clearance} unit={unit} minMm={0} onCommit={mm => update({ clearance: mm })}/>
+      </label>
+      <label>
+        Thermal Spoke Width:
+        <LengthInput valueMm={draft.thermalWidth} unit={unit} minMm={0.01} onCommit={mm => update({ thermalWidth: mm })}/>
+      </label>
+      {!netKey && <p className="empty">Without a net every pad is cleared and the zone is left floating.</p>}
+      {rects === 0 && <p className="error">Nothing could be poured; check the outline and clearances.</p>}
+      {error && <p className="error">{error}</p>}
+      <button onClick={handleApply}>Apply</button>
+    </div>
+  );
+};
+
+export default ZonePanel;
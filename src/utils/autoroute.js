@@ -0,0 +1,329 @@
+/**
+ * Grid autorouter: finds trace paths between nodes on the snap grid with A*.
+ *
+ * Routes run on one copper layer along grid points, in steps of 0° and 45°. A step is allowed when the new
+ * trace keeps the clearance to copper of other nets on that layer (traces and pads) and the edge clearance
+ * to the board outline. Copper of the nets being joined may be touched. Each route found becomes an obstacle
+ * for the routes after it, so the order of the pairs matters.
+ * Coordinates are canvas pixels, clearances mm and widths metres, like the rest of the design.
+ */
+import { mmToPx, widthToPx, widthOf } from "./units";
+import { padStackOf, padRadius, padOnLayer } from "./drill";
+import { extractNets } from "./netlist";
+import { segmentDistance, pointInPolygon } from "./drc";
+
+// Grids with more points than this are refused rather than freezing the editor
+export const MAX_GRID_POINTS = 250000;
+
+// The eight step directions; a direction and the one four places on are opposite
+const STEPS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+
+// Extra cost of a 45° bend in grid steps; bends sharper than 90° are not allowed
+const BEND_COST = 0.2;
+
+/**
+ * Shortest link from a set of nodes to any of several groups.
+ * @param {object[]} joined - Nodes already linked
+ * @param {object[][]} groups - Groups not yet linked
+ * @returns {{pair: number[], index: number}} Node ids of the link and the index of the group it reaches
+ */
+const closestLink = (joined, groups) => {
+  let best = { d: Infinity };
+  joined.forEach(n => groups.forEach((group, index) => group.forEach(m => {
+    const d = Math.hypot(n.x - m.x, n.y - m.y);
+    if (d < best.d) best = { d, pair: [n.id, m.id], index };
+  })));
+  return best;
+};
+
+/**
+ * Pairs of nodes that join groups of nodes into one net, shortest links first (a minimum spanning tree over
+ * the groups, like a ratsnest).
+ * @param {object[][]} groups - Nodes that are already connected, per group
+ * @returns {number[][]} [node1Id, node2Id] pairs
+ */
+export const ratsnest = groups => {
+  const pairs = [];
+  if (groups.length < 2) return pairs;
+  const joined = groups.slice(0, 1).flat();
+  const rest   = groups.slice(1);
+  while (rest.length) {
+    const { pair, index } = closestLink(joined, rest);
+    pairs.push(pair);
+    joined.push(...rest.splice(index, 1)[0]);
+  }
+  return pairs;
+};
+
+/**
+ * Connections still to be routed: nets that carry the same name but are not joined by copper.
+ * @param {object[]} shapes - All shapes
+ * @param {Object<string, string>} [netNames] - User-given names by net key
+ * @returns {number[][]} [node1Id, node2Id] pairs
+ */
+export const unroutedPairs = (shapes, netNames = {}) => {
+  const nodes  = new Map(shapes.filter(s => s.type === "node").map(n => [n.id, n]));
+  const byName = new Map();
+  extractNets(shapes, netNames).forEach(net => {
+    if (!byName.has(net.name)) byName.set(net.name, []);
+    byName.get(net.name).push(net.nodeIds.map(id => nodes.get(id)));
+  });
+  return [...byName.values()].flatMap(ratsnest);
+};
+
+/**
+ * Pairs that join the nets of some nodes, e.g. the selected ones.
+ * @param {object[]} shapes - All shapes
+ * @param {number[]} nodeIds - Nodes to connect
+ * @returns {number[][]} [node1Id, node2Id] pairs
+ */
+export const pairsForNodes = (shapes, nodeIds) => {
+  const wanted = new Set(nodeIds);
+  const nodes  = new Map(shapes.filter(s => s.type === "node").map(n => [n.id, n]));
+  const groups = extractNets(shapes)
+    .map(net => net.nodeIds.filter(id => wanted.has(id)).map(id => nodes.get(id)))
+    .filter(group => group.length);
+  return ratsnest(groups);
+};
+
+/**
+ * Minimal binary heap of [priority, value] entries.
+ * @returns {{push: function(number, number): void, pop: function(): number[]|undefined, size: function(): number}}
+ */
+const minHeap = () => {
+  const items = [];
+  const swap  = (i, j) => ([items[i], items[j]] = [items[j], items[i]]);
+  return {
+    size: () => items.length,
+    push: (priority, value) => {
+      items.push([priority, value]);
+      for (let i = items.length - 1; i > 0;) {
+        const parent = (i - 1) >> 1;
+        if (items[parent][0] <= items[i][0]) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop: () => {
+      const top  = items[0];
+      const last = items.pop();
+      if (items.length) {
+        items[0] = last;
+        for (let i = 0; ;) {
+          const l = 2 * i + 1, r = l + 1;
+          let m = i;
+          if (l < items.length && items[l][0] < items[m][0]) m = l;
+          if (r < items.length && items[r][0] < items[m][0]) m = r;
+          if (m === i) break;
+          swap(i, m);
+          i = m;
+        }
+      }
+      return top;
+    }
+  };
+};
+
+/**
+ * Drops points that lie on a straight line between their neighbours, and repeated points.
+ * @param {number[]} pts - Flat [x1,y1,x2,y2,...] array
+ * @returns {number[]}
+ */
+const simplify = pts => {
+  const out = [pts[0], pts[1]];
+  for (let i = 2; i < pts.length; i += 2) {
+    const n = out.length;
+    if (pts[i] === out[n - 2] && pts[i + 1] === out[n - 1]) continue;
+    if (n >= 4) {
+      const [ax, ay, bx, by] = out.slice(n - 4);
+      if (Math.abs((bx - ax) * (pts[i + 1] - ay) - (by - ay) * (pts[i] - ax)) < 1e-9) out.splice(n - 2, 2);
+    }
+    out.push(pts[i], pts[i + 1]);
+  }
+  return out;
+};
+
+/**
+ * Routes pairs of nodes, one after the other.
+ * @param {object[]} shapes - All shapes
+ * @param {number[][]} pairs - [node1Id, node2Id] pairs to connect
+ * @param {object} options
+ * @param {number} options.grid - Grid spacing in pixels
+ * @param {number} options.width - Trace width in metres
+ * @param {string} [options.layer] - Copper layer to route on
+ * @param {number} [options.clearance] - Gap to copper of other nets in mm
+ * @param {number} [options.edgeClearance] - Gap to the board outline in mm
+ * @param {{x: number, y: number, width: number, height: number}} [options.bounds] - Area to route in when there is
+ *   no outline, in pixels
+ * @param {function(object): number[]} [options.pointsOf] - Drawn points of a trace or outline (corner styles)
+ * @returns {{routes: object[], failed: object[]}} Routes: { node1Id, node2Id, points }; failed pairs:
+ *   { node1Id, node2Id, reason }
+ */
+export const autoroute = (shapes, pairs, {
+  grid, width, layer = "f_lig", clearance = 0, edgeClearance = 0, bounds, pointsOf = s => s.points
+}) => {
+  const half  = widthToPx(width) / 2;
+  const nodes = new Map(shapes.filter(s => s.type === "node").map(n => [n.id, n]));
+  const routes = [], failed = [];
+  const fail = (node1Id, node2Id, reason) => failed.push({ node1Id, node2Id, reason });
+
+  // Nets by node; joined as routes are found
+  const netOf = new Map();
+  extractNets(shapes).forEach(net => net.nodeIds.forEach(id => netOf.set(id, net.key)));
+  const join = (a, b) => {
+    const from = netOf.get(b), to = netOf.get(a);
+    netOf.forEach((key, id) => key === from && netOf.set(id, to));
+  };
+
+  // Routing area: the outline, or else the given bounds
+  const outline = shapes.find(s => s.type === "outline" && s.points.length >= 6);
+  const poly    = outline ? pointsOf(outline) : null;
+  const corners = poly || [bounds.x, bounds.y, bounds.x + bounds.width, bounds.y + bounds.height];
+  const xs = corners.filter((_, i) => i % 2 === 0), ys = corners.filter((_, i) => i % 2 === 1);
+  const x0 = Math.ceil(Math.min(...xs) / grid) * grid, y0 = Math.ceil(Math.min(...ys) / grid) * grid;
+  const nx = Math.floor((Math.max(...xs) - x0) / grid) + 1;
+  const ny = Math.floor((Math.max(...ys) - y0) / grid) + 1;
+  if (nx * ny > MAX_GRID_POINTS || nx < 1 || ny < 1) {
+    pairs.forEach(([a, b]) => fail(a, b, "The grid is too fine for the board; use a larger grid spacing"));
+    return { routes, failed };
+  }
+  const cellX = c => x0 + (c % nx) * grid;
+  const cellY = c => y0 + Math.floor(c / nx) * grid;
+
+  // Obstacles, one per segment of copper or outline: the distance a trace centre must keep from the segment
+  // (its copper, the gap and half the new trace), a bounding box grown by that distance and the node it belongs to
+  const obstacles = [];
+  const addObstacle = (pts, r, gap, nodeId) => {
+    const reach = r + half + gap;
+    const segs  = pts.length === 2 ? [[...pts, ...pts]] : [];
+    for (let i = 0; i + 3 < pts.length; i += 2) segs.push(pts.slice(i, i + 4));
+    segs.forEach(seg => obstacles.push({
+      seg, reach, nodeId,
+      box: [
+        Math.min(seg[0], seg[2]) - reach, Math.min(seg[1], seg[3]) - reach,
+        Math.max(seg[0], seg[2]) + reach, Math.max(seg[1], seg[3]) + reach
+      ]
+    }));
+  };
+  shapes.filter(s => s.type === "connection" && s.layer === layer).forEach(c =>
+    addObstacle(pointsOf(c), widthToPx(widthOf(c)) / 2, mmToPx(clearance), c.node1Id));
+  nodes.forEach(n => {
+    if (!padOnLayer(n, layer)) return;
+    const r = mmToPx(padRadius(padStackOf(n)));
+    addObstacle([n.x, n.y], r, mmToPx(clearance), n.id);
+  });
+  if (poly) addObstacle([...poly, poly[0], poly[1]], 0, mmToPx(edgeClearance), undefined);
+
+  // Whether a trace segment keeps its distance to everything outside the given nets
+  const isClear = (seg, nets) => {
+    const [left, right] = seg[0] < seg[2] ? [seg[0], seg[2]] : [seg[2], seg[0]];
+    const [top, bottom] = seg[1] < seg[3] ? [seg[1], seg[3]] : [seg[3], seg[1]];
+    return obstacles.every(o =>
+      right < o.box[0] || left > o.box[2] || bottom < o.box[1] || top > o.box[3] ||
+      (o.nodeId !== undefined && nets.has(netOf.get(o.nodeId))) ||
+      segmentDistance(seg, o.seg) >= o.reach);
+  };
+
+  const inside = new Uint8Array(nx * ny); // 0 unknown, 1 inside, 2 outside
+  const isInside = c => {
+    if (!inside[c]) inside[c] = !poly || pointInPolygon(cellX(c), cellY(c), poly) ? 1 : 2;
+    return inside[c] === 1;
+  };
+
+  // Grid points near a node that a straight stub from the node reaches
+  const stubs = (n, nets) => {
+    const ci = Math.floor((n.x - x0) / grid), cj = Math.floor((n.y - y0) / grid);
+    const found = [];
+    for (let j = cj - 1; j <= cj + 2; j++) for (let i = ci - 1; i <= ci + 2; i++) {
+      if (i < 0 || j < 0 || i >= nx || j >= ny) continue;
+      const c = j * nx + i;
+      if (isInside(c) && isClear([n.x, n.y, cellX(c), cellY(c)], nets)) {
+        found.push({ c, cost: Math.hypot(cellX(c) - n.x, cellY(c) - n.y) });
+      }
+    }
+    return found;
+  };
+
+  pairs.forEach(([id1, id2]) => {
+    const a = nodes.get(id1), b = nodes.get(id2);
+    if (!a || !b) return fail(id1, id2, "Node no longer exists");
+    if (!padOnLayer(a, layer) || !padOnLayer(b, layer)) {
+      return fail(id1, id2, "Surface-mount pads can only be routed on the outer layer of their side");
+    }
+    const nets = new Set([netOf.get(id1), netOf.get(id2)]);
+    if (netOf.get(id1) === netOf.get(id2)) return fail(id1, id2, "Already connected");
+
+    const starts = stubs(a, nets), goals = new Map(stubs(b, nets).map(g => [g.c, g]));
+    if (!starts.length || !goals.size) return fail(id1, id2, "No free grid point next to a node");
+
+    // A* over (grid point, direction of arrival); direction 8 means "just left the node". The search ends at a
+    // final state reached from a goal grid point through its stub, so the stub to the node counts like any step.
+    const done  = nx * ny * 9;
+    const cost  = new Float64Array(done + 1).fill(Infinity);
+    const from  = new Int32Array(done + 1).fill(-1);
+    const edges = new Int8Array(nx * ny * 8); // 0 unknown, 1 clear, 2 blocked
+    // Grid distance to the cheapest goal plus its stub, which never overestimates what is left of the route
+    const estimates = new Float64Array(nx * ny).fill(-1);
+    const heuristic = c => {
+      if (estimates[c] < 0) {
+        estimates[c] = Math.min(...[...goals.values()].map(goal => {
+          const dx = Math.abs(cellX(c) - cellX(goal.c)), dy = Math.abs(cellY(c) - cellY(goal.c));
+          return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy) + goal.cost;
+        }));
+      }
+      return estimates[c];
+    };
+    const open = minHeap();
+    starts.forEach(({ c, cost: g }) => {
+      cost[c * 9 + 8] = g;
+      open.push(g + heuristic(c), c * 9 + 8);
+    });
+    let end = -1;
+    while (open.size()) {
+      const [f, state] = open.pop();
+      if (state === done) {
+        end = from[done];
+        break;
+      }
+      const c = Math.floor(state / 9), dir = state % 9;
+      if (f - heuristic(c) > cost[state] + 1e-9) continue;
+      if (goals.has(c) && cost[state] + goals.get(c).cost < cost[done]) {
+        cost[done] = cost[state] + goals.get(c).cost;
+        from[done] = state;
+        open.push(cost[done], done);
+      }
+      const ci = c % nx, cj = Math.floor(c / nx);
+      STEPS.forEach(([dx, dy], d) => {
+        const bend = dir === 8 ? 0 : Math.min((d - dir + 8) % 8, (dir - d + 8) % 8);
+        if (bend > 2) return;
+        const i = ci + dx, j = cj + dy;
+        if (i < 0 || j < 0 || i >= nx || j >= ny) return;
+        const next = j * nx + i;
+        if (!isInside(next)) return;
+        if (!edges[c * 8 + d]) {
+          edges[c * 8 + d] = isClear([cellX(c), cellY(c), cellX(next), cellY(next)], nets) ? 1 : 2;
+        }
+        if (edges[c * 8 + d] === 2) return;
+        const g = cost[state] + grid * (Math.hypot(dx, dy) + bend * BEND_COST);
+        const nextState = next * 9 + d;
+        if (g < cost[nextState]) {
+          cost[nextState] = g;
+          from[nextState] = state;
+          open.push(g + heuristic(next), nextState);
+        }
+      });
+    }
+    if (end < 0) return fail(id1, id2, "No path keeps the clearances");
+
+    const path = [];
+    for (let s = end; s >= 0; s = from[s]) {
+      const c = Math.floor(s / 9);
+      path.unshift(cellX(c), cellY(c));
+    }
+    const points = simplify([a.x, a.y, ...path, b.x, b.y]);
+    routes.push({ node1Id: id1, node2Id: id2, points });
+    addObstacle(points, half, mmToPx(clearance), id1);
+    join(id1, id2);
+  });
+  return { routes, failed };
+};
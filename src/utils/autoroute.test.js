@@ -0,0 +1,55 @@
+import { autoroute, unroutedPairs, pairsForNodes } from "./autoroute";
+import { runDrc } from "./drc";
+import { mmToPx } from "./units";
+
+const pad  = { shape: "circle", padDiameter: 1, drillDiameter: 0.5, plated: true };
+const node = (id, xMm, yMm) =>
+  ({ id, type: "node", nodeType: "power", x: mmToPx(xMm), y: mmToPx(yMm), radius: mmToPx(0.5), padStack: pad, layer: "footprint" });
+const trace = (id, node1Id, node2Id, ptsMm) =>
+  ({ id, type: "connection", points: ptsMm.map(mmToPx), node1Id, node2Id, width: 0.0005, layer: "f_lig" });
+const board = { id: 99, type: "outline", points: [0, 0, 100, 0, 100, 60, 0, 60, 0, 0].map(mmToPx), layer: "outline" };
+const options = { grid: mmToPx(2), width: 0.0005, clearance: 0.3 };
+
+test("routes go around copper of other nets and pass DRC", () => {
+  const shapes = [board, node(1, 10, 30), node(2, 90, 30), node(3, 50, 4), node(4, 50, 56), trace(5, 3, 4, [50, 4, 50, 56])];
+  const { routes, failed } = autoroute(shapes, [[1, 2]], options);
+  expect(failed).toEqual([]);
+  const [route] = routes;
+  expect(route.points.slice(0, 2)).toEqual([mmToPx(10), mmToPx(30)]);
+  expect(route.points.slice(-2)).toEqual([mmToPx(90), mmToPx(30)]);
+  const ys = route.points.filter((_, i) => i % 2);
+  expect(Math.min(...ys) < mmToPx(4) || Math.max(...ys) > mmToPx(56)).toBe(true);
+
+  const routed = { ...trace(6, 1, 2, []), points: route.points };
+  expect(runDrc([...shapes, routed])).toEqual([]);
+});
+
+test("the stub into the far node counts towards the route", () => {
+  const shapes = [board, node(1, 24, 31.5), node(2, 30, 18)];
+  const { routes: [route] } = autoroute(shapes, [[1, 2]], options);
+  // Ending at the first grid point reached, (30, 22) mm straight below the node, made the route 0.65 mm longer
+  expect(route.points.slice(-4)).toEqual([mmToPx(28), mmToPx(22), mmToPx(30), mmToPx(18)]);
+});
+
+test("pairs without a path fail and later routes avoid earlier ones", () => {
+  const wall   = [board, node(1, 10, 30), node(2, 90, 30), node(3, 50, 0), node(4, 50, 60), trace(5, 3, 4, [50, 0, 50, 60])];
+  expect(autoroute(wall, [[1, 2]], options).failed).toEqual([{ node1Id: 1, node2Id: 2, reason: "No path keeps the clearances" }]);
+
+  const crossing = [board, node(1, 2, 30), node(2, 98, 30), node(3, 50, 10), node(4, 50, 50)];
+  const { routes, failed } = autoroute(crossing, [[1, 2], [3, 4]], options);
+  expect(routes).toHaveLength(1);
+  expect(failed[0]).toMatchObject({ node1Id: 3, node2Id: 4 });
+});
+
+test("nodes on the same net are not routed again and huge grids are refused", () => {
+  const shapes = [board, node(1, 10, 30), node(2, 90, 30), trace(3, 1, 2, [10, 30, 90, 30])];
+  expect(autoroute(shapes, [[1, 2]], options).failed[0].reason).toBe("Already connected");
+  expect(autoroute(shapes, [[1, 2]], { ...options, grid: 0.1 }).failed[0].reason).toMatch(/grid is too fine/);
+});
+
+test("unrouted pairs join nets of the same name, nearest nodes first", () => {
+  const shapes = [node(1, 0, 0), node(2, 10, 0), node(3, 50, 0), node(4, 12, 0), trace(5, 1, 2, [0, 0, 10, 0])];
+  expect(unroutedPairs(shapes, { "net-1": "VCC", "net-3": "VCC", "net-4": "VCC" })).toEqual([[2, 4], [4, 3]]);
+  expect(unroutedPairs(shapes)).toEqual([]);
+  expect(pairsForNodes(shapes, [1, 3])).toEqual([[1, 3]]);
+});
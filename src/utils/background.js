@@ -0,0 +1,147 @@
+/**
+ * Background reference image: a photo, scan or drawing shown under the design to trace over.
+ *
+ * Its placement is kept in mm like the board: { x, y } is the centre of the image, { width, height } its size,
+ * rotation is in degrees clockwise about the centre and opacity runs from 0 to 1. A locked image cannot be dragged
+ * (or clicked) on the canvas. Raster images carry no real-world size and are calibrated from two points a known
+ * distance apart; SVG drawings sized in physical units and PDF pages are placed at 1:1.
+ */
+import { pxToMm } from "./units";
+
+export const DEFAULT_OPACITY = 1;
+
+// Resolution PDF pages are rendered at (dots per inch)
+export const PDF_DPI = 150;
+
+// Length of one unit of SVG width and height attributes (mm); px and unitless sizes have no physical size
+const SVG_UNITS_MM = { mm: 1, cm: 10, in: 25.4, pt: 25.4 / 72, pc: 25.4 / 6 };
+
+/**
+ * Placement of an image of the given size with its top left corner at the board origin.
+ * @param {{width: number, height: number}} sizeMm - Size of the image in mm
+ * @returns {object} Placement, unrotated, opaque and unlocked
+ */
+export const placeBackground = sizeMm => ({
+  x: sizeMm.width / 2,
+  y: sizeMm.height / 2,
+  width:  sizeMm.width,
+  height: sizeMm.height,
+  rotation: 0,
+  opacity:  DEFAULT_OPACITY,
+  locked:   false
+});
+
+/**
+ * Size that fits an image of unknown scale onto the board, keeping its aspect ratio; a starting point for calibration.
+ * @param {{width: number, height: number}} natural - Size of the image in its own pixels
+ * @param {{width: number, height: number}} boardSize - Board size in mm
+ * @returns {{width: number, height: number}} Size in mm
+ */
+export const fitSize = (natural, boardSize) => {
+  const k = Math.min(boardSize.width / natural.width, boardSize.height / natural.height);
+  return { width: natural.width * k, height: natural.height * k };
+};
+
+/**
+ * Scales an image about its centre, e.g. when a new width is typed.
+ * @param {object} placement
+ * @param {number} factor - Scale factor
+ * @returns {object} New placement
+ */
+export const scalePlacement = (placement, factor) => ({
+  ...placement,
+  width:  placement.width * factor,
+  height: placement.height * factor
+});
+
+/**
+ * Two-point calibration: scales the image about the first point so the two points end up the given distance apart.
+ * The first point stays where it is, so it can be a feature already lined up with the design.
+ * @param {object} placement
+ * @param {{x: number, y: number}} p1 - First point in canvas pixels
+ * @param {{x: number, y: number}} p2 - Second point in canvas pixels
+ * @param {number} distanceMm - Real distance between the points
+ * @returns {object|null} New placement, or null if the points coincide or the distance is not positive
+ */
+export const calibratePlacement = (placement, p1, p2, distanceMm) => {
+  const measured = pxToMm(Math.hypot(p2.x - p1.x, p2.y - p1.y));
+  if (!(measured > 0) || !(distanceMm > 0)) return null;
+  const k  = distanceMm / measured;
+  const ax = pxToMm(p1.x);
+  const ay = pxToMm(p1.y);
+  return {
+    ...scalePlacement(placement, k),
+    x: ax + (placement.x - ax) * k,
+    y: ay + (placement.y - ay) * k
+  };
+};
+
+/**
+ * Physical size of an SVG drawing from the width and height of its root element.
+ * @param {string} text - SVG document
+ * @returns {{width: number, height: number}|null} Size in mm, or null unless both are given in mm, cm, in, pt or pc
+ */
+export const svgSize = text => {
+  const root = /<svg\b[^>]*>/i.exec(text)?.[0];
+  if (!root) return null;
+  const length = name => {
+    const m = new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+(?:e[+-]?\\d+)?)\\s*(mm|cm|in|pt|pc)\\s*["']`, "i").exec(root);
+    return m ? parseFloat(m[1]) * SVG_UNITS_MM[m[2].toLowerCase()] : null;
+  };
+  const width  = length("width");
+  const height = length("height");
+  return width > 0 && height > 0 ? { width, height } : null;
+};
+
+/**
+ * Reads a file as a data URL.
+ * @param {Blob} file
+ * @returns {Promise<string>}
+ */
+const readDataUrl = file => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload  = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+/**
+ * Renders the first page of a PDF to a PNG at PDF_DPI.
+ * pdf.js is loaded on first use only.
+ * @param {Blob} file
+ * @returns {Promise<{dataUrl: string, sizeMm: {width: number, height: number}}>}
+ */
+const renderPdfPage = async file => {
+  const pdfjs = await import("pdfjs-dist/webpack");
+  const pdf   = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  try {
+    const page     = await pdf.getPage(1);
+    const points   = page.getViewport({ scale: 1 }); // 72 points per inch
+    const viewport = page.getViewport({ scale: PDF_DPI / 72 });
+    const canvas   = document.createElement("canvas");
+    canvas.width   = Math.ceil(viewport.width);
+    canvas.height  = Math.ceil(viewport.height);
+    await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+    return {
+      dataUrl: canvas.toDataURL("image/png"),
+      sizeMm:  { width: points.width * 25.4 / 72, height: points.height * 25.4 / 72 }
+    };
+  } finally {
+    pdf.destroy();
+  }
+};
+
+/**
+ * Reads a background file: any image the browser shows, an SVG drawing or the first page of a PDF.
+ * @param {File} file
+ * @returns {Promise<{dataUrl: string, sizeMm: ({width: number, height: number}|null)}>} Image as a data URL and its
+ *   real size, null when it has to be calibrated
+ */
+export const readBackgroundFile = async file => {
+  if (file.type === "application/pdf" || /\.pdf$/i.test(file.name)) return renderPdfPage(file);
+  if (file.type === "image/svg+xml" || /\.svg$/i.test(file.name)) {
+    const text = await file.text();
+    return { dataUrl: await readDataUrl(new Blob([text], { type: "image/svg+xml" })), sizeMm: svgSize(text) };
+  }
+  return { dataUrl: await readDataUrl(file), sizeMm: null };
+};
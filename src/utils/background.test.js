@@ -0,0 +1,38 @@
+import { placeBackground, fitSize, scalePlacement, calibratePlacement, svgSize } from "./background";
+import { mmToPx } from "./units";
+
+test("images are placed from the board origin or fitted onto the board", () => {
+  expect(placeBackground({ width: 40, height: 20 })).toEqual({
+    x: 20, y: 10, width: 40, height: 20, rotation: 0, opacity: 1, locked: false
+  });
+  expect(fitSize({ width: 1000, height: 500 }, { width: 200, height: 150 })).toEqual({ width: 200, height: 100 });
+  expect(fitSize({ width: 300, height: 600 }, { width: 200, height: 150 })).toEqual({ width: 75, height: 150 });
+  expect(scalePlacement(placeBackground({ width: 40, height: 20 }), 2)).toMatchObject({ x: 20, y: 10, width: 80, height: 40 });
+});
+
+test("two-point calibration scales the image about the first point", () => {
+  const placement = { ...placeBackground({ width: 40, height: 20 }), rotation: 30, opacity: 0.5, locked: true };
+  // Two points 10 mm apart on screen that are really 25 mm apart
+  const p1 = { x: mmToPx(10), y: mmToPx(10) };
+  const p2 = { x: mmToPx(16), y: mmToPx(18) };
+  const calibrated = calibratePlacement(placement, p1, p2, 25);
+  expect(calibrated.width).toBeCloseTo(100);
+  expect(calibrated.height).toBeCloseTo(50);
+  // The centre moves away from the first point by the same factor
+  expect(calibrated.x).toBeCloseTo(10 + 10 * 2.5);
+  expect(calibrated.y).toBeCloseTo(10);
+  expect(calibrated).toMatchObject({ rotation: 30, opacity: 0.5, locked: true });
+
+  expect(calibratePlacement(placement, p1, p1, 25)).toBeNull();
+  expect(calibratePlacement(placement, p1, p2, 0)).toBeNull();
+});
+
+test("SVG drawings have a real size only when given in physical units", () => {
+  expect(svgSize(`<?xml version="1.0"?><svg xmlns="http://www.w3.org/2000/svg" width="50mm" height='3cm'>`))
+    .toEqual({ width: 50, height: 30 });
+  expect(svgSize(`<svg width="2in" height="72pt" stroke-width="3">`)).toEqual({ width: 50.8, height: 25.4 });
+  expect(svgSize(`<svg width="200" height="100">`)).toBeNull();
+  expect(svgSize(`<svg width="100%" height="50mm">`)).toBeNull();
+  expect(svgSize(`<svg viewBox="0 0 10 10">`)).toBeNull();
+  expect(svgSize("not an svg")).toBeNull();
+});
@@ -0,0 +1,133 @@
+/**
+ * Real-time collaboration: merging changes other users make to the open project, and their cursors and selections.
+ *
+ * The server applies changes in the order they arrive and broadcasts each one to every client viewing the project,
+ * the sender included, as
+ *   { type: "change", clientId, items: [{ kind, id, value }] }
+ * with kind "shape", "label" or "project" (id is then the project field, e.g. "netNames") and value the stored item
+ * after the change, null when it was deleted. Concurrent edits of one item are thereby resolved by the server's
+ * order: the last change to arrive wins, field by field for partial updates. Every client ends up with the
+ * server's version:
+ * - items with no change of this client in flight are applied as they come;
+ * - while changes of this client to an item are in flight, its local version is kept and the newest server version
+ *   remembered;
+ * - when the last of them comes back, or fails, the remembered server version is applied.
+ */
+
+// Colors of other users' cursors and selections
+export const PEER_COLORS = ["crimson", "teal", "darkviolet", "olive", "deeppink", "steelblue", "chocolate", "seagreen"];
+
+/**
+ * Key of an item in the pending changes.
+ * @param {{kind: string, id: (number|string)}} item
+ * @returns {string}
+ */
+export const itemKey = ({ kind, id }) => `${kind}:${id}`;
+
+/**
+ * Creates the record of changes this client has in flight.
+ * @returns {Map<string, {count: number, latest: object|null}>} Number of changes in flight and newest server
+ *   version by item key
+ */
+export const createPending = () => new Map();
+
+/**
+ * Notes changes sent to the server.
+ * @param {Map} pending - From createPending, updated in place
+ * @param {string[]} keys - Keys of the items the request changes
+ */
+export const markSent = (pending, keys) => keys.forEach(key => {
+  const entry = pending.get(key) || { count: 0, latest: null };
+  entry.count += 1;
+  pending.set(key, entry);
+});
+
+/**
+ * Notes changes that came back from the server or failed.
+ * @param {Map} pending - From createPending, updated in place
+ * @param {string[]} keys - Keys of the items the request changed
+ * @returns {object[]} Server versions to apply for items that have nothing in flight any more
+ */
+export const settle = (pending, keys) => keys.flatMap(key => {
+  const entry = pending.get(key);
+  if (!entry) return [];
+  entry.count -= 1;
+  if (entry.count > 0) return [];
+  pending.delete(key);
+  return entry.latest ? [entry.latest] : [];
+});
+
+/**
+ * Handles a change broadcast by the server.
+ * @param {Map} pending - From createPending, updated in place
+ * @param {{clientId: string, items: object[]}} change - Change message
+ * @param {string} ownId - Client id of this client
+ * @returns {object[]} Items to apply now
+ */
+export const receiveChange = (pending, { clientId, items }, ownId) => items.flatMap(item => {
+  const key   = itemKey(item);
+  const entry = pending.get(key);
+  if (!entry) return [item];
+  entry.latest = item;
+  return clientId === ownId ? settle(pending, [key]) : [];
+});
+
+/**
+ * Applies server versions to a list of shapes or labels.
+ * @param {object[]} list - Current items
+ * @param {object[]} items - { id, value } with value null for a deleted item
+ * @returns {object[]} Updated list, the same list when nothing changed
+ */
+export const mergeItems = (list, items) => items.reduce((out, { id, value }) => {
+  const current = out.find(i => i.id === id);
+  if (value === null) return current ? out.filter(i => i !== current) : out;
+  if (!current) return [...out, value];
+  return JSON.stringify(current) === JSON.stringify(value) ? out : out.map(i => (i === current ? value : i));
+}, list);
+
+/**
+ * Follows a selected shape or label through server versions.
+ * @param {object|null} selected - Selected item
+ * @param {object[]} items - { id, value } of the same kind
+ * @returns {object|null} The new version, null when it was deleted, or the item itself when it did not change
+ */
+export const refreshSelected = (selected, items) => {
+  const item = selected && [...items].reverse().find(i => i.id === selected.id);
+  return item ? item.value : selected;
+};
+
+/**
+ * Updates the other users viewing the project from a presence message.
+ * "welcome" lists everyone present when joining, "presence" is a user's name, cursor and selection, "leave" a user
+ * who closed the project.
+ * @param {Object<string, object>} peers - Users by client id: { clientId, name, cursor, selection }
+ * @param {object} message - Message from the server
+ * @returns {Object<string, object>}
+ */
+export const updatePeers = (peers, message) => {
+  switch (message.type) {
+    case "welcome":
+      return Object.fromEntries(message.peers.map(p => [p.clientId, p]));
+    case "presence": {
+      const { clientId, name, cursor, selection } = message;
+      return { ...peers, [clientId]: { clientId, name, cursor, selection } };
+    }
+    case "leave": {
+      const { [message.clientId]: gone, ...rest } = peers;
+      return gone ? rest : peers;
+    }
+    default:
+      return peers;
+  }
+};
+
+/**
+ * Color of a user, the same on every client.
+ * @param {string} clientId
+ * @returns {string}
+ */
+export const peerColor = clientId => {
+  let hash = 0;
+  for (const ch of clientId) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return PEER_COLORS[hash % PEER_COLORS.length];
+};
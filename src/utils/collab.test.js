@@ -0,0 +1,80 @@
+import {
+  PEER_COLORS,
+  itemKey,
+  createPending,
+  markSent,
+  settle,
+  receiveChange,
+  mergeItems,
+  refreshSelected,
+  updatePeers,
+  peerColor
+} from "./collab";
+
+const node   = (id, x = 0) => ({ id, type: "node", x, y: 0 });
+const change = (clientId, ...items) => ({ type: "change", clientId, items });
+const shape  = (id, value) => ({ kind: "shape", id, value });
+
+test("changes of other users apply unless this client has changes to the item in flight", () => {
+  const pending = createPending();
+  expect(receiveChange(pending, change("b", shape(1, node(1, 5))), "a")).toEqual([shape(1, node(1, 5))]);
+
+  markSent(pending, [itemKey(shape(1))]);
+  expect(receiveChange(pending, change("b", shape(1, node(1, 7))), "a")).toEqual([]);
+  // The echo of the own change carries the server's version, which includes the other change when it came first
+  expect(receiveChange(pending, change("a", shape(1, node(1, 9))), "a")).toEqual([shape(1, node(1, 9))]);
+  expect(pending.size).toBe(0);
+});
+
+test("concurrent edits of one item end with the server's order on both clients", () => {
+  const [a, b] = [createPending(), createPending()];
+  markSent(a, ["shape:1"]);
+  markSent(b, ["shape:1"]);
+  // The server got A's change first, then B's; both clients see the broadcasts in that order
+  const first  = change("a", shape(1, node(1, 10)));
+  const second = change("b", shape(1, node(1, 20)));
+  const seenByA = [...receiveChange(a, first, "a"), ...receiveChange(a, second, "a")];
+  const seenByB = [...receiveChange(b, first, "b"), ...receiveChange(b, second, "b")];
+  expect(seenByA.at(-1)).toEqual(shape(1, node(1, 20)));
+  expect(seenByB).toEqual([shape(1, node(1, 20))]);
+});
+
+test("several changes in flight keep the local version until the last one is back", () => {
+  const pending = createPending();
+  markSent(pending, ["shape:1"]);
+  markSent(pending, ["shape:1"]);
+  expect(receiveChange(pending, change("a", shape(1, node(1, 1))), "a")).toEqual([]);
+  expect(receiveChange(pending, change("a", shape(1, node(1, 2))), "a")).toEqual([shape(1, node(1, 2))]);
+
+  // A failed change hands over what others did meanwhile; without that there is nothing to apply
+  markSent(pending, ["shape:1", "shape:2"]);
+  receiveChange(pending, change("b", shape(1, null)), "a");
+  expect(settle(pending, ["shape:1", "shape:2"])).toEqual([shape(1, null)]);
+  expect(pending.size).toBe(0);
+});
+
+test("merging server versions into shapes and the selection", () => {
+  const list = [node(1), node(2)];
+  expect(mergeItems(list, [{ id: 1, value: node(1) }])).toBe(list);
+  expect(mergeItems(list, [{ id: 1, value: node(1, 5) }, { id: 2, value: null }, { id: 3, value: node(3) }]))
+    .toEqual([node(1, 5), node(3)]);
+  expect(mergeItems(list, [{ id: 4, value: null }])).toBe(list);
+
+  expect(refreshSelected(node(1), [{ id: 1, value: node(1, 5) }])).toEqual(node(1, 5));
+  expect(refreshSelected(node(2), [{ id: 2, value: null }])).toBeNull();
+  expect(refreshSelected(null, [{ id: 2, value: null }])).toBeNull();
+});
+
+test("peers follow welcome, presence and leave messages and keep their color", () => {
+  const selection = { shapeIds: [1], labelIds: [] };
+  let peers = updatePeers({}, { type: "welcome", peers: [{ clientId: "b", name: "Bo", cursor: null, selection }] });
+  peers = updatePeers(peers, { type: "presence", clientId: "c", name: "Cy", cursor: { x: 1, y: 2 }, selection });
+  expect(Object.keys(peers)).toEqual(["b", "c"]);
+  expect(peers.c.cursor).toEqual({ x: 1, y: 2 });
+  peers = updatePeers(peers, { type: "leave", clientId: "b" });
+  expect(Object.keys(peers)).toEqual(["c"]);
+  expect(updatePeers(peers, { type: "leave", clientId: "x" })).toBe(peers);
+
+  expect(PEER_COLORS).toContain(peerColor("c"));
+  expect(peerColor("some-client")).toBe(peerColor("some-client"));
+});
@@ -0,0 +1,203 @@
+/**
+ * Corner styles of traces and outlines.
+ *
+ * Each connection and outline stores its own style: cornerStyle plus chamferLength and filletRadius in canvas
+ * pixels. styledPoints turns the stored vertices into the polyline that is drawn, checked and exported, so the
+ * canvas, DRC, resistance and every export agree on one geometry. Chamfers and fillets are limited to half of
+ * the shorter adjacent segment so neighbouring corners never overlap.
+ */
+import { PIXELS_PER_CM, polylineLength } from "./units";
+
+// Corner styles in display order
+export const CORNER_STYLES = {
+  linear:  "Linear",
+  chamfer: "Chamfer",
+  fillet:  "Fillet",
+  bezier:  "Bezier"
+};
+
+export const DEFAULT_CORNER = {
+  cornerStyle:   "linear",
+  chamferLength: PIXELS_PER_CM / 2, // Distance from the corner to each end of the chamfer, px
+  filletRadius:  PIXELS_PER_CM / 2  // Radius of the rounded corner, px
+};
+
+const ARC_STEP    = Math.PI / 12; // Fillet arcs are drawn with one point per 15°
+const CURVE_STEPS = 16;           // Points per Bezier curve piece
+const EPS         = 1e-6;
+
+/**
+ * Corner style of a shape, with defaults for shapes saved before styles were stored per shape.
+ * @param {object} shape - Connection or outline
+ * @returns {{cornerStyle: string, chamferLength: number, filletRadius: number}}
+ */
+export const cornerOf = shape => ({
+  cornerStyle:   CORNER_STYLES[shape.cornerStyle] ? shape.cornerStyle : DEFAULT_CORNER.cornerStyle,
+  chamferLength: shape.chamferLength ?? DEFAULT_CORNER.chamferLength,
+  filletRadius:  shape.filletRadius ?? DEFAULT_CORNER.filletRadius
+});
+
+/**
+ * Walks the inner vertices of a polyline.
+ * @param {number[]} pts - Flat [x1,y1,x2,y2,...] array
+ * @param {function(object): void} visit - Called with { x, y, u0x, u0y, u1x, u1y, angle, limit } per corner,
+ *   u0/u1 the unit vectors towards the previous and next vertex, angle the angle between them and limit the
+ *   longest cut that stays within half of both segments. Degenerate corners get angle null.
+ */
+const eachCorner = (pts, visit) => {
+  for (let i = 2; i + 3 < pts.length; i += 2) {
+    const [x0, y0, x, y, x2, y2] = pts.slice(i - 2, i + 4);
+    const d0 = Math.hypot(x0 - x, y0 - y), d1 = Math.hypot(x2 - x, y2 - y);
+    if (d0 < EPS || d1 < EPS) {
+      visit({ x, y, angle: null });
+      continue;
+    }
+    const u0x = (x0 - x) / d0, u0y = (y0 - y) / d0;
+    const u1x = (x2 - x) / d1, u1y = (y2 - y) / d1;
+    const angle = Math.acos(Math.max(-1, Math.min(1, u0x * u1x + u0y * u1y)));
+    // Straight through or folding back: nothing to cut
+    const straight = Math.PI - angle < EPS || angle < EPS;
+    visit({ x, y, u0x, u0y, u1x, u1y, angle: straight ? null : angle, limit: Math.min(d0, d1) / 2 });
+  }
+};
+
+/**
+ * Cuts every corner of a polyline with a straight chamfer.
+ * @param {number[]} pts - Flat array of points
+ * @param {number} length - Distance from the corner to each end of the chamfer, px
+ * @returns {number[]} Drawn points
+ */
+export const chamferPoints = (pts, length) => {
+  if (pts.length < 6) return pts;
+  const out = [pts[0], pts[1]];
+  eachCorner(pts, ({ x, y, u0x, u0y, u1x, u1y, angle, limit }) => {
+    const c = angle === null ? 0 : Math.min(length, limit);
+    if (c < EPS) out.push(x, y);
+    else out.push(x + u0x * c, y + u0y * c, x + u1x * c, y + u1y * c);
+  });
+  out.push(pts[pts.length - 2], pts[pts.length - 1]);
+  return out;
+};
+
+/**
+ * Geometry of the fillet arc at a corner, or null when the corner stays sharp.
+ * @returns {{cx: number, cy: number, r: number, start: number, delta: number, t: number}|null}
+ *   Centre, radius, start angle and signed sweep, plus t, the distance from the corner to each tangent point
+ */
+const filletArc = ({ x, y, u0x, u0y, u1x, u1y, angle, limit }, radius) => {
+  if (angle === null || radius < EPS) return null;
+  const t = Math.min(radius / Math.tan(angle / 2), limit);
+  const r = t * Math.tan(angle / 2);
+  const bx = u0x + u1x, by = u0y + u1y;
+  const bl = Math.hypot(bx, by);
+  const dist = r / Math.sin(angle / 2);
+  const cx = x + (bx / bl) * dist, cy = y + (by / bl) * dist;
+  const start = Math.atan2(y + u0y * t - cy, x + u0x * t - cx);
+  let delta = Math.atan2(y + u1y * t - cy, x + u1x * t - cx) - start;
+  if (delta > Math.PI)  delta -= 2 * Math.PI;
+  if (delta < -Math.PI) delta += 2 * Math.PI;
+  return { cx, cy, r, start, delta, t };
+};
+
+/**
+ * Rounds every corner of a polyline with a circular arc tangent to both segments.
+ * @param {number[]} pts - Flat array of points
+ * @param {number} radius - Fillet radius, px
+ * @returns {number[]} Drawn points, arcs approximated by short segments
+ */
+export const filletPoints = (pts, radius) => {
+  if (pts.length < 6) return pts;
+  const out = [pts[0], pts[1]];
+  eachCorner(pts, corner => {
+    const arc = filletArc(corner, radius);
+    if (!arc) {
+      out.push(corner.x, corner.y);
+      return;
+    }
+    const steps = Math.max(4, Math.ceil(Math.abs(arc.delta) / ARC_STEP));
+    for (let s = 0; s <= steps; s++) {
+      const a = arc.start + (arc.delta * s) / steps;
+      out.push(arc.cx + Math.cos(a) * arc.r, arc.cy + Math.sin(a) * arc.r);
+    }
+  });
+  out.push(pts[pts.length - 2], pts[pts.length - 1]);
+  return out;
+};
+
+/**
+ * Control points of the smooth curve through a vertex, as Konva computes them for a tensioned line.
+ * @returns {number[]} [before x, before y, after x, after y]
+ */
+const controlPoints = (x0, y0, x1, y1, x2, y2, tension) => {
+  const d01 = Math.hypot(x1 - x0, y1 - y0), d12 = Math.hypot(x2 - x1, y2 - y1);
+  const fa = (tension * d01) / (d01 + d12), fb = (tension * d12) / (d01 + d12);
+  return [x1 - fa * (x2 - x0), y1 - fa * (y2 - y0), x1 + fb * (x2 - x0), y1 + fb * (y2 - y0)];
+};
+
+/**
+ * Samples a quadratic (3 points) or cubic (4 points) Bezier curve, without its start point.
+ * @param {number[]} c - Flat control points
+ * @param {number[]} out - Receives the sampled points
+ */
+const sampleCurve = (c, out) => {
+  for (let s = 1; s <= CURVE_STEPS; s++) {
+    const t = s / CURVE_STEPS, m = 1 - t;
+    const w = c.length === 6 ? [m * m, 2 * m * t, t * t] : [m * m * m, 3 * m * m * t, 3 * m * t * t, t * t * t];
+    out.push(
+      w.reduce((sum, wi, i) => sum + wi * c[2 * i], 0),
+      w.reduce((sum, wi, i) => sum + wi * c[2 * i + 1], 0)
+    );
+  }
+};
+
+/**
+ * Smooth curve through all vertices, the same curve Konva draws for a line with this tension.
+ * @param {number[]} pts - Flat array of points
+ * @param {number} [tension]
+ * @returns {number[]} Drawn points, curves approximated by short segments
+ */
+export const splinePoints = (pts, tension = 1) => {
+  if (pts.length < 6) return pts;
+  const n = pts.length;
+  // Konva's tension points: [before, vertex, after] for every inner vertex
+  const tp = [];
+  for (let i = 2; i < n - 2; i += 2) {
+    const cp = controlPoints(...pts.slice(i - 2, i + 4), tension);
+    if (!cp.some(Number.isNaN)) tp.push(cp[0], cp[1], pts[i], pts[i + 1], cp[2], cp[3]);
+  }
+  if (!tp.length) return pts;
+  const out = [pts[0], pts[1]];
+  sampleCurve([pts[0], pts[1], tp[0], tp[1], tp[2], tp[3]], out);
+  for (let i = 2; i + 9 < tp.length; i += 6) sampleCurve(tp.slice(i, i + 8), out);
+  sampleCurve([tp[tp.length - 4], tp[tp.length - 3], tp[tp.length - 2], tp[tp.length - 1], pts[n - 2], pts[n - 1]], out);
+  return out;
+};
+
+/**
+ * Polyline of a trace or outline as drawn in its corner style.
+ * @param {object} shape - Connection or outline
+ * @returns {number[]} Flat point array in pixels
+ */
+export const styledPoints = shape => {
+  const { cornerStyle, chamferLength, filletRadius } = cornerOf(shape);
+  if (cornerStyle === "chamfer") return chamferPoints(shape.points, chamferLength);
+  if (cornerStyle === "fillet")  return filletPoints(shape.points, filletRadius);
+  if (cornerStyle === "bezier")  return splinePoints(shape.points);
+  return shape.points;
+};
+
+/**
+ * Length of a trace or outline as drawn. Fillets are measured along the true arc, not its segments.
+ * @param {object} shape - Connection or outline
+ * @returns {number} Length in pixels
+ */
+export const styledLength = shape => {
+  const { cornerStyle, filletRadius } = cornerOf(shape);
+  if (cornerStyle !== "fillet") return polylineLength(styledPoints(shape));
+  let length = polylineLength(shape.points);
+  eachCorner(shape.points, corner => {
+    const arc = filletArc(corner, filletRadius);
+    if (arc) length += arc.r * Math.abs(arc.delta) - 2 * arc.t;
+  });
+  return length;
+};
@@ -0,0 +1,39 @@
+import { styledPoints, styledLength, cornerOf, DEFAULT_CORNER } from "./corners";
+
+// An L-shaped trace with one right-angle corner, 60 px per leg
+const trace = { points: [0, 0, 60, 0, 60, 60] };
+
+test("shapes without a stored style are drawn linear", () => {
+  expect(cornerOf(trace)).toEqual(DEFAULT_CORNER);
+  expect(styledPoints(trace)).toBe(trace.points);
+  expect(styledLength(trace)).toBe(120);
+});
+
+test("chamfers cut the corner with a straight segment", () => {
+  const chamfered = { ...trace, cornerStyle: "chamfer", chamferLength: 10 };
+  expect(styledPoints(chamfered)).toEqual([0, 0, 50, 0, 60, 10, 60, 60]);
+  expect(styledLength(chamfered)).toBeCloseTo(100 + 10 * Math.SQRT2);
+});
+
+test("fillet length follows the true arc", () => {
+  const filleted = { ...trace, cornerStyle: "fillet", filletRadius: 20 };
+  // Two 40 px legs plus a quarter circle of radius 20
+  expect(styledLength(filleted)).toBeCloseTo(80 + Math.PI * 10);
+  const pts = styledPoints(filleted);
+  expect(pts.slice(0, 4)).toEqual([0, 0, 40, 0]);
+  expect(pts[pts.length - 3]).toBeCloseTo(20);
+});
+
+test("corners never cut more than half of a segment", () => {
+  const short = { points: [0, 0, 10, 0, 10, 60], cornerStyle: "chamfer", chamferLength: 30 };
+  expect(styledPoints(short)).toEqual([0, 0, 5, 0, 10, 5, 10, 60]);
+});
+
+test("bezier curves pass through every vertex", () => {
+  const curved = styledPoints({ ...trace, cornerStyle: "bezier" });
+  expect(curved.length).toBeGreaterThan(trace.points.length);
+  expect(curved.slice(-2)).toEqual([60, 60]);
+  const pairs = [];
+  for (let i = 0; i < curved.length; i += 2) pairs.push(`${Math.round(curved[i])},${Math.round(curved[i + 1])}`);
+  expect(pairs).toContain("60,0");
+});
@@ -0,0 +1,169 @@
+/**
+ * DC nodal analysis over the trace network.
+ *
+ * Ground nodes are the 0 V reference and power nodes with a `voltage` are ideal supplies. Every other node
+ * is solved for. Traces are resistors; loads placed between two nodes are either a resistance (Ω) or a
+ * constant current (A) flowing from node1 through the load to node2.
+ * Nodes that have no resistive path to a ground or supply node cannot be solved and get a voltage of null.
+ */
+
+export const LOAD_KINDS = ["resistance", "current"];
+
+// Resistance used for traces of unknown or ideal material, to keep the matrix solvable
+const MIN_RESISTANCE = 1e-6;
+
+/**
+ * Checks a load for impossible values.
+ * @param {object} load - { node1Id, node2Id, kind, value }
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateLoad = load => {
+  if (!LOAD_KINDS.includes(load.kind)) return `Load kind must be one of: ${LOAD_KINDS.join(", ")}`;
+  if (load.node1Id === load.node2Id) return "A load needs two different nodes";
+  if (!Number.isFinite(load.value)) return "Load value must be a number";
+  if (load.kind === "resistance" && !(load.value > 0)) return "Load resistance must be greater than 0";
+  return null;
+};
+
+/**
+ * Solves A x = b in place by Gaussian elimination with partial pivoting.
+ * @param {number[][]} A - Square matrix
+ * @param {number[]} b - Right-hand side
+ * @returns {number[]|null} Solution, or null when the matrix is singular
+ */
+const solveLinear = (A, b) => {
+  const n = b.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+    if (Math.abs(A[pivot][col]) < 1e-15) return null;
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = A[r][col] / A[col][col];
+      if (!f) continue;
+      for (let c = col; c < n; c++) A[r][c] -= f * A[col][c];
+      b[r] -= f * b[col];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = b[r];
+    for (let c = r + 1; c < n; c++) sum -= A[r][c] * x[c];
+    x[r] = sum / A[r][r];
+  }
+  return x;
+};
+
+/**
+ * Runs DC nodal analysis.
+ * @param {object[]} shapes - All shapes
+ * @param {object[]} loads - Loads: { id, node1Id, node2Id, kind, value }
+ * @param {function(object): number} resistanceOf - Resistance of a trace in Ω
+ * @returns {object} {
+ *   voltages: Map<nodeId, number|null>,
+ *   traces: [{ id, node1Id, node2Id, resistance, current, drop, power }] (current flows from node1 to node2),
+ *   loads: [{ id, current, drop, power }],
+ *   warnings: string[]
+ * }
+ */
+export const solveDc = (shapes, loads, resistanceOf) => {
+  const nodes    = shapes.filter(s => s.type === "node");
+  const nodeIds  = new Set(nodes.map(n => n.id));
+  const fixed    = new Map(nodes
+    .filter(n => n.nodeType === "ground" || Number.isFinite(n.voltage))
+    .map(n => [n.id, n.nodeType === "ground" ? 0 : n.voltage]));
+  const warnings = [];
+
+  // Resistive branches: traces and resistance loads
+  const traces = shapes
+    .filter(s => s.type === "connection" && nodeIds.has(s.node1Id) && nodeIds.has(s.node2Id))
+    .map(c => ({ shape: c, resistance: Math.max(resistanceOf(c) || 0, MIN_RESISTANCE) }));
+  const validLoads = loads.filter(l => nodeIds.has(l.node1Id) && nodeIds.has(l.node2Id) && !validateLoad(l));
+  if (validLoads.length < loads.length) warnings.push(`${loads.length - validLoads.length} load(s) ignored: missing node or invalid value`);
+  const branches = [
+    ...traces.map(t => ({ a: t.shape.node1Id, b: t.shape.node2Id, g: 1 / t.resistance })),
+    ...validLoads.filter(l => l.kind === "resistance").map(l => ({ a: l.node1Id, b: l.node2Id, g: 1 / l.value }))
+  ];
+
+  // Only nodes with a resistive path to a fixed node can be solved
+  const reachable = new Set(fixed.keys());
+  const queue = [...fixed.keys()];
+  while (queue.length) {
+    const id = queue.shift();
+    branches.forEach(({ a, b }) => {
+      const other = a === id ? b : b === id ? a : null;
+      if (other !== null && !reachable.has(other)) {
+        reachable.add(other);
+        queue.push(other);
+      }
+    });
+  }
+  const unknowns = nodes.filter(n => reachable.has(n.id) && !fixed.has(n.id)).map(n => n.id);
+  const index    = new Map(unknowns.map((id, i) => [id, i]));
+  const floating = nodes.length - reachable.size;
+  if (floating > 0) warnings.push(`${floating} node(s) have no path to ground or a supply and were not solved`);
+
+  // Conductance matrix over the unknown nodes, fixed voltages moved to the right-hand side
+  const G = unknowns.map(() => new Array(unknowns.length).fill(0));
+  const I = new Array(unknowns.length).fill(0);
+  const stamp = (id, otherId, g) => {
+    if (!index.has(id)) return;
+    const i = index.get(id);
+    G[i][i] += g;
+    if (index.has(otherId)) G[i][index.get(otherId)] -= g;
+    else if (fixed.has(otherId)) I[i] += g * fixed.get(otherId);
+  };
+  branches.forEach(({ a, b, g }) => {
+    if (!reachable.has(a) || !reachable.has(b)) return;
+    stamp(a, b, g);
+    stamp(b, a, g);
+  });
+  validLoads.filter(l => l.kind === "current").forEach(l => {
+    if (!reachable.has(l.node1Id) || !reachable.has(l.node2Id)) {
+      warnings.push(`Current load ${l.id} touches an unsolved node and was ignored`);
+      return;
+    }
+    if (index.has(l.node1Id)) I[index.get(l.node1Id)] -= l.value;
+    if (index.has(l.node2Id)) I[index.get(l.node2Id)] += l.value;
+  });
+
+  const x = unknowns.length ? solveLinear(G, I) : [];
+  if (!x) warnings.push("The network could not be solved");
+  const voltages = new Map(nodes.map(n => [
+    n.id,
+    fixed.has(n.id) ? fixed.get(n.id) : x && index.has(n.id) ? x[index.get(n.id)] : null
+  ]));
+
+  const volt = id => voltages.get(id);
+  const solved = (a, b) => volt(a) !== null && volt(b) !== null;
+  return {
+    voltages,
+    traces: traces.map(({ shape: c, resistance }) => {
+      const trace = { id: c.id, node1Id: c.node1Id, node2Id: c.node2Id, resistance };
+      if (!solved(c.node1Id, c.node2Id)) return { ...trace, current: null, drop: null, power: null };
+      const drop    = volt(c.node1Id) - volt(c.node2Id);
+      const current = drop / resistance;
+      return { ...trace, current, drop, power: current * drop };
+    }),
+    loads: validLoads.map(l => {
+      if (!solved(l.node1Id, l.node2Id)) return { id: l.id, current: null, drop: null, power: null };
+      const drop    = volt(l.node1Id) - volt(l.node2Id);
+      const current = l.kind === "resistance" ? drop / l.value : l.value;
+      return { id: l.id, current, drop, power: current * drop };
+    }),
+    warnings
+  };
+};
+
+/**
+ * Maps a value within [min, max] to a blue (low) to red (high) colour for the canvas overlay.
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {string} CSS colour
+ */
+export const heatColor = (value, min, max) => {
+  const t = max > min ? Math.min(1, Math.max(0, (value - min) / (max - min))) : 1;
+  return `hsl(${Math.round(240 * (1 - t))}, 90%, 50%)`;
+};
@@ -0,0 +1,52 @@
+import { solveDc, validateLoad, heatColor } from "./dcSolver";
+
+const node = (id, nodeType, voltage) => ({ id, type: "node", nodeType, voltage, x: 0, y: 0, radius: 5, layer: "footprint" });
+const trace = (id, node1Id, node2Id, resistance) =>
+  ({ id, type: "connection", points: [0, 0, 1, 1], node1Id, node2Id, resistance, layer: "f_lig" });
+const resistanceOf = c => c.resistance;
+
+test("a supply feeding a resistive load through two traces divides the voltage", () => {
+  // 5 V -> 0.5 Ω -> node 2 -> 9 Ω load -> node 3 -> 0.5 Ω -> ground
+  const shapes = [node(1, "power", 5), node(2, "power"), node(3, "power"), node(4, "ground"),
+    trace(10, 1, 2, 0.5), trace(11, 3, 4, 0.5)];
+  const loads = [{ id: 20, node1Id: 2, node2Id: 3, kind: "resistance", value: 9 }];
+  const result = solveDc(shapes, loads, resistanceOf);
+
+  expect(result.voltages.get(2)).toBeCloseTo(4.75);
+  expect(result.voltages.get(3)).toBeCloseTo(0.25);
+  const t = result.traces.find(r => r.id === 10);
+  expect(t.current).toBeCloseTo(0.5);
+  expect(t.drop).toBeCloseTo(0.25);
+  expect(t.power).toBeCloseTo(0.125);
+  expect(result.loads[0].power).toBeCloseTo(2.25);
+  expect(result.warnings).toEqual([]);
+});
+
+test("current loads draw a fixed current and the drop follows from the trace", () => {
+  const shapes = [node(1, "power", 3.3), node(2, "power"), node(3, "ground"), trace(10, 1, 2, 0.2)];
+  const loads = [{ id: 20, node1Id: 2, node2Id: 3, kind: "current", value: 1.5 }];
+  const result = solveDc(shapes, loads, resistanceOf);
+  expect(result.voltages.get(2)).toBeCloseTo(3.0);
+  expect(result.traces[0].current).toBeCloseTo(1.5);
+});
+
+test("nodes without a path to a supply or ground stay unsolved", () => {
+  const shapes = [node(1, "power", 5), node(2, "ground"), trace(10, 1, 2, 1), node(3, "power"), node(4, "power"), trace(11, 3, 4, 1)];
+  const result = solveDc(shapes, [], resistanceOf);
+  expect(result.voltages.get(3)).toBeNull();
+  expect(result.traces.find(r => r.id === 11).current).toBeNull();
+  expect(result.traces.find(r => r.id === 10).current).toBeCloseTo(5);
+  expect(result.warnings[0]).toMatch(/2 node\(s\)/);
+});
+
+test("loads are validated", () => {
+  expect(validateLoad({ node1Id: 1, node2Id: 2, kind: "resistance", value: 10 })).toBeNull();
+  expect(validateLoad({ node1Id: 1, node2Id: 1, kind: "resistance", value: 10 })).toMatch(/two different/);
+  expect(validateLoad({ node1Id: 1, node2Id: 2, kind: "resistance", value: 0 })).toMatch(/greater than 0/);
+  expect(validateLoad({ node1Id: 1, node2Id: 2, kind: "power", value: 1 })).toMatch(/kind/);
+});
+
+test("overlay colours run from blue to red", () => {
+  expect(heatColor(0, 0, 10)).toBe("hsl(240, 90%, 50%)");
+  expect(heatColor(10, 0, 10)).toBe("hsl(0, 90%, 50%)");
+});
@@ -0,0 +1,50 @@
+import { escapeXml } from "./print";
+
+/**
+ * Saves a Blob or data URL as a file through a temporary download link.
+ * @param {Blob|string} data - File contents, or a data URL
+ * @param {string} filename - Suggested file name
+ */
+export const downloadFile = (data, filename) => {
+  const url  = typeof data === "string" ? data : URL.createObjectURL(data);
+  const link = document.createElement("a");
+  link.download = filename;
+  link.href     = url;
+  link.click();
+  if (typeof data !== "string") URL.revokeObjectURL(url);
+};
+
+/**
+ * Prints an SVG at its own size through the browser's print dialog, which can also save it as PDF.
+ * @param {string} svg - SVG document without an XML declaration
+ * @param {string} title - Document title, which browsers suggest as the PDF file name
+ * @param {boolean} landscape - Print on landscape pages
+ */
+export const printSvg = (svg, title, landscape) => {
+  const frame = document.createElement("iframe");
+  frame.style.position   = "fixed";
+  frame.style.width      = "0";
+  frame.style.height     = "0";
+  frame.style.border     = "0";
+  frame.style.visibility = "hidden";
+  frame.srcdoc = [
+    "<!DOCTYPE html><html><head>",
+    `<title>${escapeXml(title)}</title>`,
+    `<style>@page { size: ${landscape ? "landscape" : "portrait"}; margin: 10mm } body { margin: 0 }</style>`,
+    `</head><body>${svg}</body></html>`
+  ].join("");
+  frame.onload = () => {
+    frame.contentWindow.addEventListener("afterprint", () => frame.remove());
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  };
+  document.body.appendChild(frame);
+};
+
+/**
+ * Turns a project name into a safe file name stem.
+ * @param {string} name - Project name
+ * @returns {string}
+ */
+export const fileStem = name =>
+  (name || "diagram").trim().replace(/[^\w.-]+/g, "_") || "diagram";
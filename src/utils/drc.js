@@ -0,0 +1,220 @@
+/**
+ * Design rule check (DRC) over the shapes of a design.
+ *
+ * All rule values and reported distances are in mm. Canvas coordinates are converted with pxToMm and
+ * trace widths follow the same convention as the fabrication exports (see widthToMm and widthOf).
+ * Square pads are treated as the circle around them, which errs on the safe side.
+ */
+import { pxToMm, widthToMm, widthOf } from "./units";
+import { padStackOf, padRadius, padOnLayer } from "./drill";
+import { extractNets, netOfNode } from "./netlist";
+
+export const DEFAULT_DRC_RULES = {
+  clearance: 0.3,      // Minimum copper-to-copper gap between different nets
+  minTraceWidth: 0.25, // Narrowest allowed trace
+  edgeClearance: 0     // Minimum gap between copper and the board outline
+};
+
+// Rule inputs shown in the DRC panel, in display order
+export const DRC_RULE_FIELDS = [
+  { key: "clearance",     label: "Clearance" },
+  { key: "minTraceWidth", label: "Min trace width" },
+  { key: "edgeClearance", label: "Edge clearance" }
+];
+
+/**
+ * Checks DRC rules for impossible values.
+ * @param {object} rules - Rule values in mm
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateDrcRules = rules => {
+  const bad = DRC_RULE_FIELDS.find(({ key }) => !(Number.isFinite(rules[key]) && rules[key] >= 0));
+  return bad ? `${bad.label} must be a number of at least 0` : null;
+};
+
+const EPS = 1e-9;
+
+/**
+ * Splits a flat point array into segments [x1, y1, x2, y2].
+ * @param {number[]} pts - Flat [x1,y1,x2,y2,...] array
+ * @returns {number[][]}
+ */
+const segmentsOf = pts => {
+  const out = [];
+  for (let i = 0; i + 3 < pts.length; i += 2) out.push([pts[i], pts[i + 1], pts[i + 2], pts[i + 3]]);
+  return out;
+};
+
+/**
+ * Distance from a point to a segment.
+ * @returns {number}
+ */
+const pointSegmentDistance = (px, py, [x1, y1, x2, y2]) => {
+  const dx = x2 - x1, dy = y2 - y1;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 < EPS ? 0 : Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / len2));
+  return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+};
+
+const cross = (ax, ay, bx, by, cx, cy) => (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+
+/**
+ * Whether two segments cross or touch.
+ * @returns {boolean}
+ */
+const segmentsIntersect = (a, b) => {
+  const d1 = cross(b[0], b[1], b[2], b[3], a[0], a[1]);
+  const d2 = cross(b[0], b[1], b[2], b[3], a[2], a[3]);
+  const d3 = cross(a[0], a[1], a[2], a[3], b[0], b[1]);
+  const d4 = cross(a[0], a[1], a[2], a[3], b[2], b[3]);
+  if (((d1 > EPS && d2 < -EPS) || (d1 < -EPS && d2 > EPS)) &&
+      ((d3 > EPS && d4 < -EPS) || (d3 < -EPS && d4 > EPS))) return true;
+  // Collinear or touching cases
+  return pointSegmentDistance(a[0], a[1], b) < EPS || pointSegmentDistance(a[2], a[3], b) < EPS ||
+         pointSegmentDistance(b[0], b[1], a) < EPS || pointSegmentDistance(b[2], b[3], a) < EPS;
+};
+
+/**
+ * Shortest distance between two segments, 0 when they cross.
+ * @param {number[]} a - Segment [x1, y1, x2, y2]
+ * @param {number[]} b - Segment [x1, y1, x2, y2]
+ * @returns {number}
+ */
+export const segmentDistance = (a, b) =>
+  segmentsIntersect(a, b)
+    ? 0
+    : Math.min(
+        pointSegmentDistance(a[0], a[1], b), pointSegmentDistance(a[2], a[3], b),
+        pointSegmentDistance(b[0], b[1], a), pointSegmentDistance(b[2], b[3], a)
+      );
+
+/**
+ * Closest pair of segments between two polylines.
+ * @returns {{distance: number, x: number, y: number}} Distance and a point between the two
+ */
+const closestApproach = (segsA, segsB) => {
+  let best = { distance: Infinity, x: 0, y: 0 };
+  segsA.forEach(a => segsB.forEach(b => {
+    const distance = segmentDistance(a, b);
+    if (distance < best.distance) {
+      best = { distance, x: (a[0] + a[2] + b[0] + b[2]) / 4, y: (a[1] + a[3] + b[1] + b[3]) / 4 };
+    }
+  }));
+  return best;
+};
+
+/**
+ * Whether a point lies inside a polygon (even-odd rule).
+ * @param {number} x
+ * @param {number} y
+ * @param {number[]} poly - Flat closed polygon
+ * @returns {boolean}
+ */
+export const pointInPolygon = (x, y, poly) => {
+  let inside = false;
+  for (let i = 0, j = poly.length - 2; i < poly.length; j = i, i += 2) {
+    const xi = poly[i], yi = poly[i + 1], xj = poly[j], yj = poly[j + 1];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+/**
+ * Runs all design rules.
+ * @param {object[]} shapes - All shapes
+ * @param {object} [rules] - Rule values in mm, see DEFAULT_DRC_RULES
+ * @param {object} [options]
+ * @param {function(object): number[]} [options.pointsOf] - Drawn points of a trace or outline (corner styles);
+ *   defaults to the stored points
+ * @returns {object[]} Violations: { id, rule, message, shapeIds, x, y } with x/y the marker position in pixels
+ */
+export const runDrc = (shapes, rules = DEFAULT_DRC_RULES, { pointsOf = s => s.points } = {}) => {
+  const { clearance, minTraceWidth, edgeClearance } = { ...DEFAULT_DRC_RULES, ...rules };
+  const violations = [];
+  const report = (rule, message, shapeIds, x, y) =>
+    violations.push({ id: `${rule}-${shapeIds.join("-")}`, rule, message, shapeIds, x, y });
+  const fmt = mm => `${mm.toFixed(3)} mm`;
+
+  const nodes   = shapes.filter(s => s.type === "node");
+  const nodeIds = new Set(nodes.map(n => n.id));
+  const traces  = shapes.filter(s => s.type === "connection").map(c => {
+    const pts = pointsOf(c);
+    return { shape: c, pts, segs: segmentsOf(pts.map(pxToMm)), width: widthToMm(widthOf(c)) };
+  });
+  const pads = nodes.map(n => ({
+    shape: n, x: pxToMm(n.x), y: pxToMm(n.y),
+    r: padRadius(padStackOf(n))
+  }));
+  const nets  = extractNets(shapes);
+  const netOf = c => netOfNode(nets, nodeIds.has(c.node1Id) ? c.node1Id : c.node2Id)?.key;
+
+  // Dangling node references
+  traces.forEach(({ shape: c, pts }) => {
+    const missing = [c.node1Id, c.node2Id].filter(id => !nodeIds.has(id));
+    if (missing.length) {
+      report("dangling", `Trace ${c.id} references missing node ${missing.join(", ")}`, [c.id], pts[0], pts[1]);
+    }
+  });
+
+  // Minimum width
+  traces.forEach(({ shape: c, pts, width }) => {
+    if (width < minTraceWidth - EPS) {
+      report("width", `Trace ${c.id} is ${fmt(width)} wide, minimum is ${fmt(minTraceWidth)}`,
+        [c.id], pts[0], pts[1]);
+    }
+  });
+
+  // Trace to trace on the same copper layer: touching copper without a shared node, or too close to another net
+  traces.forEach((a, i) => traces.slice(i + 1).forEach(b => {
+    if (a.shape.layer !== b.shape.layer) return;
+    const { distance, x, y } = closestApproach(a.segs, b.segs);
+    const gap = distance - (a.width + b.width) / 2;
+    const at = [x / pxToMm(1), y / pxToMm(1)];
+    const ids = [a.shape.id, b.shape.id];
+    const sharesNode = [a.shape.node1Id, a.shape.node2Id].some(id => id === b.shape.node1Id || id === b.shape.node2Id);
+    if (gap < EPS && !sharesNode) {
+      report("overlap", `Traces ${ids.join(" and ")} overlap without sharing a node`, ids, ...at);
+    } else if (gap >= EPS && gap < clearance - EPS && netOf(a.shape) !== netOf(b.shape)) {
+      report("clearance", `Traces ${ids.join(" and ")} are ${fmt(gap)} apart, clearance is ${fmt(clearance)}`, ids, ...at);
+    }
+  }));
+
+  // Trace to pad, skipping the pads of the trace's own net
+  traces.forEach(t => pads.forEach(p => {
+    if (netOf(t.shape) === netOfNode(nets, p.shape.id)?.key || !padOnLayer(p.shape, t.shape.layer)) return;
+    const distance = Math.min(...t.segs.map(s => pointSegmentDistance(p.x, p.y, s)));
+    const gap = distance - p.r - t.width / 2;
+    if (gap < clearance - EPS) {
+      const ids = [t.shape.id, p.shape.id];
+      report("clearance",
+        gap < EPS
+          ? `Trace ${t.shape.id} touches pad of node ${p.shape.id}`
+          : `Trace ${t.shape.id} is ${fmt(gap)} from pad of node ${p.shape.id}, clearance is ${fmt(clearance)}`,
+        ids, p.shape.x, p.shape.y);
+    }
+  }));
+
+  // Copper outside or crossing the board outline
+  const outline = shapes.find(s => s.type === "outline" && s.points.length >= 6);
+  if (outline) {
+    const poly  = pointsOf(outline).map(pxToMm);
+    const edges = segmentsOf([...poly, poly[0], poly[1]]);
+    const edgeDistance = segs => Math.min(...segs.flatMap(s => edges.map(e => segmentDistance(s, e))));
+    traces.forEach(({ shape: c, pts, segs, width }) => {
+      const outside = segs.some(s => !pointInPolygon(s[0], s[1], poly) || !pointInPolygon(s[2], s[3], poly));
+      if (outside || edgeDistance(segs) - width / 2 < edgeClearance - EPS) {
+        report("outline", `Trace ${c.id} ${outside ? "lies outside" : "crosses or is too close to"} the board outline`,
+          [c.id], pts[0], pts[1]);
+      }
+    });
+    pads.forEach(({ shape: n, x, y, r }) => {
+      const outside = !pointInPolygon(x, y, poly);
+      const gap = Math.min(...edges.map(e => pointSegmentDistance(x, y, e))) - r;
+      if (outside || gap < edgeClearance - EPS) {
+        report("outline", `Pad of node ${n.id} ${outside ? "lies outside" : "crosses or is too close to"} the board outline`,
+          [n.id], n.x, n.y);
+      }
+    });
+  }
+  return violations;
+};
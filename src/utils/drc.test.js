@@ -0,0 +1,65 @@
+import { runDrc, validateDrcRules, DEFAULT_DRC_RULES } from "./drc";
+import { mmToPx } from "./units";
+
+const pad  = { shape: "circle", padDiameter: 1, drillDiameter: 0.5, plated: true };
+const node = (id, xMm, yMm, nodeType = "power") =>
+  ({ id, type: "node", nodeType, x: mmToPx(xMm), y: mmToPx(yMm), radius: mmToPx(0.5), padStack: pad, layer: "footprint" });
+// Widths are stored like the app does: mm / 1000
+const trace = (id, node1Id, node2Id, ptsMm, widthMm = 0.5) =>
+  ({ id, type: "connection", points: ptsMm.map(mmToPx), node1Id, node2Id, width: widthMm / 1000, layer: "f_lig" });
+const board = { id: 99, type: "outline", points: [0, 0, 100, 0, 100, 100, 0, 100].map(mmToPx), layer: "outline" };
+
+const rulesOf = violations => violations.map(v => v.rule).sort();
+
+test("a clean design has no violations", () => {
+  const shapes = [board, node(1, 10, 10), node(2, 50, 10), trace(3, 1, 2, [10, 10, 50, 10])];
+  expect(runDrc(shapes)).toEqual([]);
+});
+
+test("narrow traces and dangling node references are reported", () => {
+  const shapes = [node(1, 10, 10), node(2, 50, 10), trace(3, 1, 2, [10, 10, 50, 10], 0.1), trace(4, 1, 7, [10, 10, 10, 50])];
+  const violations = runDrc(shapes);
+  expect(rulesOf(violations)).toEqual(["dangling", "width"]);
+  expect(violations.find(v => v.rule === "dangling").shapeIds).toEqual([4]);
+  expect(runDrc(shapes.slice(0, 3), { ...DEFAULT_DRC_RULES, minTraceWidth: 0.05 })).toEqual([]);
+});
+
+test("traces of different nets must keep their clearance", () => {
+  const shapes = [
+    node(1, 10, 10), node(2, 50, 10), trace(3, 1, 2, [10, 10, 50, 10]),
+    node(4, 10, 30, "ground"), node(5, 50, 30, "ground"), trace(6, 4, 5, [10, 30, 30, 10.7, 50, 30])
+  ];
+  const violations = runDrc(shapes);
+  expect(violations).toHaveLength(1);
+  expect(violations[0]).toMatchObject({ rule: "clearance", shapeIds: [3, 6] });
+  expect(runDrc(shapes, { ...DEFAULT_DRC_RULES, clearance: 0.1 })).toEqual([]);
+});
+
+test("crossing traces without a shared node overlap", () => {
+  const shapes = [
+    node(1, 10, 10), node(2, 50, 10), trace(3, 1, 2, [10, 10, 50, 10]),
+    node(4, 30, 0), node(5, 30, 30), trace(6, 4, 5, [30, 0, 30, 30])
+  ];
+  expect(rulesOf(runDrc(shapes))).toEqual(["overlap"]);
+  // The same crossing on the bottom copper is fine
+  shapes[5] = { ...shapes[5], layer: "b_lig" };
+  expect(runDrc(shapes)).toEqual([]);
+});
+
+test("traces passing too close to another net's pad are reported", () => {
+  const shapes = [node(1, 10, 10), node(2, 50, 10), trace(3, 1, 2, [10, 10, 50, 10]), node(4, 30, 11, "ground")];
+  const violations = runDrc(shapes);
+  expect(violations).toHaveLength(1);
+  expect(violations[0]).toMatchObject({ rule: "clearance", shapeIds: [3, 4] });
+});
+
+test("copper outside or crossing the outline is reported", () => {
+  const shapes = [board, node(1, 10, 10), node(2, 120, 10), trace(3, 1, 2, [10, 10, 120, 10])];
+  const violations = runDrc(shapes);
+  expect(violations.map(v => [v.rule, v.shapeIds])).toEqual([["outline", [3]], ["outline", [2]]]);
+});
+
+test("rules must be non-negative numbers", () => {
+  expect(validateDrcRules(DEFAULT_DRC_RULES)).toBeNull();
+  expect(validateDrcRules({ ...DEFAULT_DRC_RULES, clearance: -1 })).toMatch(/Clearance/);
+});
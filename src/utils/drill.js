@@ -0,0 +1,151 @@
+import { pxToMm, mmToPx, DEFAULT_BOARD_SIZE } from "./units";
+
+/**
+ * Pad stacks for footprint nodes and Excellon drill output.
+ *
+ * A pad stack is stored on a node as
+ * `padStack: { shape: "circle"|"square"|"rect", padDiameter, padHeight, drillDiameter, plated }`
+ * with sizes in millimetres. padDiameter is the diameter of a round pad and the side of a square one; a rect pad
+ * is padDiameter wide and padHeight tall, e.g. the long lands of an IC. padHeight is only stored for rect pads.
+ * A drill diameter of 0 means a surface-mount pad without a hole.
+ * A node turns its pad by padRotation degrees clockwise, and a surface-mount pad sits on the top copper unless
+ * its side is "bottom" (pads of a part mounted on the bottom); both fields are optional.
+ */
+
+export const PAD_SHAPES = ["circle", "square", "rect"];
+
+// Pad stack given to newly placed power and ground nodes
+export const DEFAULT_PAD_STACK = { shape: "circle", padDiameter: 3, drillDiameter: 1, plated: true };
+
+/**
+ * Returns the pad stack of a node, deriving one from its radius for nodes created before pad stacks existed.
+ * @param {object} node - Footprint node
+ * @returns {object} Pad stack
+ */
+export const padStackOf = node =>
+  node.padStack || { ...DEFAULT_PAD_STACK, padDiameter: Number(pxToMm(node.radius * 2).toFixed(3)) };
+
+/**
+ * Size of a pad as drawn.
+ * @param {object} stack - Pad stack
+ * @returns {{width: number, height: number}} Size in mm
+ */
+export const padSize = stack => ({
+  width:  stack.padDiameter,
+  height: stack.shape === "rect" ? stack.padHeight : stack.padDiameter
+});
+
+/**
+ * Radius of the circle around a pad. DRC, zones and the autorouter keep their clearances to it, which errs on the
+ * safe side for square and rect pads.
+ * @param {object} stack - Pad stack
+ * @returns {number} Radius in mm
+ */
+export const padRadius = stack => {
+  const { width, height } = padSize(stack);
+  return stack.shape === "circle" ? width / 2 : Math.hypot(width, height) / 2;
+};
+
+/**
+ * Whether the pad of a node reaches a copper layer: drilled pads and vias reach every layer, surface-mount pads only
+ * the outer layer of their side.
+ * @param {object} node - Footprint node
+ * @param {string} layer - Copper layer id, e.g. "b_lig"
+ * @returns {boolean}
+ */
+export const padOnLayer = (node, layer) =>
+  padStackOf(node).drillDiameter > 0 || layer === (node.side === "bottom" ? "b_lig" : "f_lig");
+
+/**
+ * Radius a node gets for its pad stack: half the longer side of the pad.
+ * @param {object} stack - Pad stack
+ * @returns {number} Radius in pixels
+ */
+export const nodeRadius = stack => {
+  const { width, height } = padSize(stack);
+  return mmToPx(Math.max(width, height) / 2);
+};
+
+/**
+ * Checks a pad stack for physically impossible values.
+ * @param {object} stack - Pad stack
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validatePadStack = stack => {
+  if (!PAD_SHAPES.includes(stack.shape)) return `Pad shape must be one of: ${PAD_SHAPES.join(", ")}`;
+  if (!(stack.padDiameter > 0)) {
+    return stack.shape === "rect" ? "Pad width must be greater than 0" : "Pad diameter must be greater than 0";
+  }
+  if (stack.shape === "rect" && !(stack.padHeight > 0)) return "Pad height must be greater than 0";
+  if (!(stack.drillDiameter >= 0)) return "Drill diameter cannot be negative";
+  const { width, height } = padSize(stack);
+  if (stack.plated && stack.drillDiameter >= Math.min(width, height)) {
+    return "A plated hole must be smaller than its pad";
+  }
+  return null;
+};
+
+/**
+ * Groups drilled nodes into tools by hole diameter, vias apart from component holes.
+ * @param {object[]} nodes - Nodes with a hole
+ * @returns {{diameter: number, via: boolean, nodes: object[]}[]} Tools sorted by diameter, component holes first
+ */
+const groupByTool = nodes => {
+  const tools = new Map();
+  nodes.forEach(n => {
+    const diameter = Number(padStackOf(n).drillDiameter.toFixed(3));
+    const via = n.nodeType === "via";
+    const key = `${diameter}:${via}`;
+    if (!tools.has(key)) tools.set(key, { diameter, via, nodes: [] });
+    tools.get(key).nodes.push(n);
+  });
+  return [...tools.values()].sort((a, b) => a.diameter - b.diameter || a.via - b.via);
+};
+
+/**
+ * Writes an Excellon drill file for either the plated or non-plated holes.
+ * Coordinates are metric decimal with the same origin and Y flip as the Gerber layers.
+ * @param {object[]} shapes - All shapes
+ * @param {object} options
+ * @param {boolean} options.plated - true for PTH, false for NPTH
+ * @param {number} [options.copperLayers] - Copper layer count; holes span from layer 1 to this one
+ * @param {number} [options.heightPx] - Board height in pixels, used to flip Y
+ * @param {Date} [options.date] - Creation date written into the header
+ * @returns {string} Drill file contents
+ */
+export const buildExcellon = (
+  shapes,
+  { plated, copperLayers = 2, heightPx = mmToPx(DEFAULT_BOARD_SIZE.height), date = new Date() }
+) => {
+  const drilled = shapes.filter(s =>
+    s.layer === "footprint" &&
+    padStackOf(s).drillDiameter > 0 &&
+    Boolean(padStackOf(s).plated) === plated
+  );
+  const tools = groupByTool(drilled);
+  const kind  = plated ? `Plated,1,${copperLayers},PTH` : `NonPlated,1,${copperLayers},NPTH`;
+  const fn    = t => `${plated ? "Plated,PTH" : "NonPlated,NPTH"},${t.via ? "ViaDrill" : "ComponentDrill"}`;
+  const num   = v => v.toFixed(3);
+
+  const lines = [
+    "M48",
+    "; DRILL file {ECAD Tool}",
+    "; FORMAT={-:-/ absolute / metric / decimal}",
+    `; #@! TF.CreationDate,${date.toISOString()}`,
+    "; #@! TF.GenerationSoftware,ECAD Tool,ecad-frontend",
+    `; #@! TF.FileFunction,${kind}`,
+    "FMAT,2",
+    "METRIC"
+  ];
+  tools.forEach((t, i) => {
+    lines.push(`; #@! TA.AperFunction,${fn(t)}`);
+    lines.push(`T${i + 1}C${num(t.diameter)}`);
+  });
+  lines.push("%", "G90", "G05");
+  tools.forEach((t, i) => {
+    lines.push(`T${i + 1}`);
+    t.nodes.forEach(n => lines.push(`X${num(pxToMm(n.x))}Y${num(pxToMm(heightPx - n.y))}`));
+  });
+  lines.push("M30", "");
+  return lines.join("\n");
+};
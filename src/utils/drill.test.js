@@ -0,0 +1,65 @@
+import { buildExcellon, padStackOf, padRadius, nodeRadius, padOnLayer, validatePadStack, DEFAULT_PAD_STACK } from "./drill";
+
+const date = new Date("2025-01-01T00:00:00Z");
+const pad = (id, x, y, padStack) => ({ id, type: "node", x, y, radius: 10, layer: "footprint", padStack });
+
+test("plated holes are grouped into tools by diameter", () => {
+  const shapes = [
+    pad(1, 30, 370, { shape: "circle", padDiameter: 2, drillDiameter: 1, plated: true }),
+    pad(2, 60, 370, { shape: "circle", padDiameter: 2, drillDiameter: 0.8, plated: true }),
+    pad(3, 90, 370, { shape: "circle", padDiameter: 2, drillDiameter: 1, plated: true }),
+    pad(4, 90, 340, { shape: "circle", padDiameter: 3, drillDiameter: 3, plated: false })
+  ];
+  const drl = buildExcellon(shapes, { plated: true, heightPx: 400, date });
+  expect(drl).toContain("METRIC");
+  expect(drl).toContain("T1C0.800");
+  expect(drl).toContain("T2C1.000");
+  expect(drl).toContain("T1\nX20.000Y10.000\nT2\nX10.000Y10.000\nX30.000Y10.000");
+  expect(drl).not.toContain("X30.000Y20.000");
+  expect(drl.trim().endsWith("M30")).toBe(true);
+
+  const npth = buildExcellon(shapes, { plated: false, heightPx: 400, date });
+  expect(npth).toContain("TF.FileFunction,NonPlated,1,2,NPTH");
+  expect(npth).toContain("X30.000Y20.000");
+});
+
+test("vias get their own tools tagged as via drills", () => {
+  const via = { ...pad(2, 60, 370, { shape: "circle", padDiameter: 2, drillDiameter: 1, plated: true }), nodeType: "via" };
+  const drl = buildExcellon([pad(1, 30, 370, via.padStack), via], { plated: true, heightPx: 400, date });
+  expect(drl).toContain("; #@! TA.AperFunction,Plated,PTH,ComponentDrill\nT1C1.000\n; #@! TA.AperFunction,Plated,PTH,ViaDrill\nT2C1.000");
+  expect(drl).toContain("T1\nX10.000Y10.000\nT2\nX20.000Y10.000");
+});
+
+test("surface-mount pads are not drilled", () => {
+  const smd = pad(1, 30, 370, { shape: "square", padDiameter: 2, drillDiameter: 0, plated: false });
+  expect(buildExcellon([smd], { plated: false, date })).not.toMatch(/^T1/m);
+});
+
+test("surface-mount pads are on the outer layer of their side, drilled pads on every layer", () => {
+  const smd = pad(1, 30, 370, { shape: "square", padDiameter: 2, drillDiameter: 0, plated: true });
+  expect(["f_lig", "in1_lig", "b_lig"].filter(l => padOnLayer(smd, l))).toEqual(["f_lig"]);
+  expect(["f_lig", "in1_lig", "b_lig"].filter(l => padOnLayer({ ...smd, side: "bottom" }, l))).toEqual(["b_lig"]);
+  const tht = pad(2, 30, 370, { shape: "circle", padDiameter: 2, drillDiameter: 1, plated: true });
+  expect(["f_lig", "in1_lig", "b_lig"].filter(l => padOnLayer({ ...tht, side: "bottom" }, l))).toHaveLength(3);
+});
+
+test("nodes without a pad stack derive one from their radius", () => {
+  const legacy = { id: 1, type: "node", x: 0, y: 0, radius: 15, layer: "footprint" };
+  expect(padStackOf(legacy)).toEqual({ ...DEFAULT_PAD_STACK, padDiameter: 10 });
+});
+
+test("plated holes must be smaller than their pad", () => {
+  expect(validatePadStack(DEFAULT_PAD_STACK)).toBeNull();
+  expect(validatePadStack({ ...DEFAULT_PAD_STACK, drillDiameter: 3 })).toMatch(/smaller/);
+});
+
+test("rect pads have a width and a height", () => {
+  const land = { shape: "rect", padDiameter: 1.5, padHeight: 0.6, drillDiameter: 0, plated: true };
+  expect(validatePadStack(land)).toBeNull();
+  expect(validatePadStack({ ...land, padHeight: undefined })).toMatch(/height/);
+  expect(validatePadStack({ ...land, drillDiameter: 0.8 })).toMatch(/smaller/);
+  // The circle around the pad and the node radius from the longer side
+  expect(padRadius(land)).toBeCloseTo(Math.hypot(1.5, 0.6) / 2);
+  expect(padRadius({ shape: "square", padDiameter: 2 })).toBeCloseTo(Math.SQRT2);
+  expect(nodeRadius(land)).toBeCloseTo(2.25);
+});
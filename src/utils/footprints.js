@@ -0,0 +1,274 @@
+import { mmToPx } from "./units";
+import { nodeRadius } from "./drill";
+
+/**
+ * Footprint library and placed components.
+ *
+ * A placed footprint is stored as one "component" shape plus one node per pad:
+ *   component: { id, type: "component", footprint, refdes, x, y, rotation, mirrored, pads: [{ name, x, y }],
+ *                layer: "component" }
+ *   pad node:  { id, type: "node", nodeType: "pad", componentId, padName, x, y, radius, padStack, padRotation,
+ *                side, color, layer: "footprint" }
+ * Pad offsets on the component are in mm relative to its origin and copied from the library when it is placed,
+ * so a component keeps its pads even if the library changes. Traces connect to the pad nodes, which keeps
+ * nets, DRC, DC analysis and the fabrication exports working per pad.
+ * Rotation is in degrees, clockwise on screen; mirroring flips the footprint left to right before rotating.
+ * The pads turn with their component (padRotation) and a mirrored component sits on the bottom of the board, so its
+ * pads are on the "bottom" side.
+ */
+
+export const PAD_COLOR = "peru";
+
+export const ROTATIONS = [0, 90, 180, 270];
+
+/**
+ * Surface-mount pad stack.
+ * @param {number} size - Pad size in mm
+ * @returns {object}
+ */
+const smd = size => ({ shape: "square", padDiameter: size, drillDiameter: 0, plated: true });
+
+/**
+ * Rectangular surface-mount pad stack, the land of an IC pin.
+ * @param {number} width - Pad size along x in mm
+ * @param {number} height - Pad size along y in mm
+ * @returns {object}
+ */
+const smdRect = (width, height) => ({ shape: "rect", padDiameter: width, padHeight: height, drillDiameter: 0, plated: true });
+
+/**
+ * Plated through-hole pad stack.
+ * @param {number} size - Pad diameter in mm
+ * @param {number} drill - Hole diameter in mm
+ * @param {boolean} [square] - Square pad, used to mark pin 1
+ * @returns {object}
+ */
+const tht = (size, drill, square = false) =>
+  ({ shape: square ? "square" : "circle", padDiameter: size, drillDiameter: drill, plated: true });
+
+/**
+ * Two pads side by side, e.g. chip resistors and radial capacitors.
+ * @param {number} pitch - Pad centre distance in mm
+ * @param {object} stack1 - Pad stack of pad 1
+ * @param {object} [stack2] - Pad stack of pad 2
+ * @returns {object[]} Pads
+ */
+const twoPads = (pitch, stack1, stack2 = stack1) => [
+  { name: "1", x: -pitch / 2, y: 0, padStack: stack1 },
+  { name: "2", x: pitch / 2, y: 0, padStack: stack2 }
+];
+
+/**
+ * A single row of through-hole pins, pin 1 at the top with a square pad.
+ * @param {number} count - Number of pins
+ * @param {number} pitch - Pin distance in mm
+ * @param {number} size - Pad diameter in mm
+ * @param {number} drill - Hole diameter in mm
+ * @returns {object[]} Pads
+ */
+const singleRow = (count, pitch, size, drill) =>
+  Array.from({ length: count }, (_, i) => ({
+    name: String(i + 1),
+    x: 0,
+    y: (i - (count - 1) / 2) * pitch,
+    padStack: tht(size, drill, i === 0)
+  }));
+
+/**
+ * Small-outline IC: pins down the left side, then up the right side.
+ * @param {number} count - Number of pins
+ * @returns {object[]} Pads
+ */
+const soic = count => {
+  const half = count / 2;
+  return Array.from({ length: count }, (_, i) => {
+    const left = i < half;
+    const row  = left ? i : count - 1 - i;
+    return { name: String(i + 1), x: left ? -2.7 : 2.7, y: (row - (half - 1) / 2) * 1.27, padStack: smdRect(1.55, 0.6) };
+  });
+};
+
+/**
+ * Quad flat no-lead IC: pins counter-clockwise from the top of the left side, plus the exposed pad.
+ * @param {number} count - Number of perimeter pins
+ * @param {number} body - Body size in mm
+ * @param {number} exposed - Exposed pad size in mm
+ * @returns {object[]} Pads
+ */
+const qfn = (count, body, exposed) => {
+  const side  = count / 4;
+  const pitch = 0.5;
+  const edge  = body / 2 - 0.05;
+  const along = i => (i - (side - 1) / 2) * pitch;
+  const pins  = Array.from({ length: count }, (_, i) => {
+    const s = Math.floor(i / side), k = i % side;
+    const [x, y] = [[-edge, along(k)], [along(k), edge], [edge, -along(k)], [-along(k), -edge]][s];
+    // Lands run across their side of the body
+    return { name: String(i + 1), x, y, padStack: s % 2 ? smdRect(0.25, 0.8) : smdRect(0.8, 0.25) };
+  });
+  return [...pins, { name: String(count + 1), x: 0, y: 0, padStack: smd(exposed) }];
+};
+
+/**
+ * The built-in footprints. Each entry: { id, name, category, prefix, pads: [{ name, x, y, padStack }] }
+ * with pad positions in mm around the footprint origin.
+ */
+export const FOOTPRINTS = [
+  { id: "R_0603", name: "Resistor 0603 (SMD)", category: "Resistors", prefix: "R", pads: twoPads(1.6, smd(0.9)) },
+  { id: "R_0805", name: "Resistor 0805 (SMD)", category: "Resistors", prefix: "R", pads: twoPads(1.9, smd(1.2)) },
+  { id: "R_1206", name: "Resistor 1206 (SMD)", category: "Resistors", prefix: "R", pads: twoPads(3, smd(1.6)) },
+  {
+    id: "R_Axial_P10.16mm", name: "Resistor axial, 10.16 mm (TH)", category: "Resistors", prefix: "R",
+    pads: twoPads(10.16, tht(1.6, 0.8))
+  },
+  { id: "C_0603", name: "Capacitor 0603 (SMD)", category: "Capacitors", prefix: "C", pads: twoPads(1.6, smd(0.9)) },
+  { id: "C_0805", name: "Capacitor 0805 (SMD)", category: "Capacitors", prefix: "C", pads: twoPads(1.9, smd(1.2)) },
+  { id: "C_1206", name: "Capacitor 1206 (SMD)", category: "Capacitors", prefix: "C", pads: twoPads(3, smd(1.6)) },
+  {
+    id: "C_Radial_P2.50mm", name: "Capacitor radial, 2.5 mm (TH)", category: "Capacitors", prefix: "C",
+    pads: twoPads(2.5, tht(1.6, 0.8, true), tht(1.6, 0.8))
+  },
+  {
+    id: "C_Radial_P5.00mm", name: "Capacitor radial, 5 mm (TH)", category: "Capacitors", prefix: "C",
+    pads: twoPads(5, tht(1.6, 0.8, true), tht(1.6, 0.8))
+  },
+  ...[2, 3, 4, 6, 8].map(n => ({
+    id: `PinHeader_1x0${n}_P2.54mm`, name: `Pin header 1×${n}, 2.54 mm`, category: "Headers", prefix: "J",
+    pads: singleRow(n, 2.54, 1.7, 1)
+  })),
+  ...[8, 14, 16].map(n => ({ id: `SOIC-${n}`, name: `SOIC-${n}`, category: "ICs", prefix: "U", pads: soic(n) })),
+  { id: "QFN-16_3x3mm", name: "QFN-16, 3 × 3 mm", category: "ICs", prefix: "U", pads: qfn(16, 3, 1.7) },
+  { id: "QFN-32_5x5mm", name: "QFN-32, 5 × 5 mm", category: "ICs", prefix: "U", pads: qfn(32, 5, 3.1) },
+  ...[2, 3].map(n => ({
+    id: `TerminalBlock_1x0${n}_P5.08mm`, name: `Screw terminal ${n}-pin, 5.08 mm`, category: "Connectors", prefix: "J",
+    pads: singleRow(n, 5.08, 2.6, 1.3)
+  })),
+  ...[2, 4].map(n => ({
+    id: `JST_XH_1x0${n}_P2.50mm`, name: `JST XH ${n}-pin, 2.5 mm`, category: "Connectors", prefix: "J",
+    pads: singleRow(n, 2.5, 1.7, 0.95)
+  }))
+];
+
+/**
+ * Looks up a library footprint.
+ * @param {string} id - Footprint id
+ * @returns {object|undefined}
+ */
+export const findFootprint = id => FOOTPRINTS.find(f => f.id === id);
+
+/**
+ * Offset of a pad from its component's origin after mirroring and rotation.
+ * @param {{x: number, y: number}} pad - Pad offset in mm
+ * @param {{rotation: number, mirrored: boolean}} component
+ * @returns {[number, number]} Offset in canvas pixels
+ */
+export const padOffset = (pad, { rotation = 0, mirrored = false }) => {
+  const a = (rotation * Math.PI) / 180;
+  const x = mirrored ? -pad.x : pad.x;
+  const round = v => Math.round(v * 1e6) / 1e6;
+  return [
+    mmToPx(round(x * Math.cos(a) - pad.y * Math.sin(a))),
+    mmToPx(round(x * Math.sin(a) + pad.y * Math.cos(a)))
+  ];
+};
+
+/**
+ * Where each pad of a component belongs.
+ * @param {object} component - Component shape
+ * @returns {Map<string, {x: number, y: number}>} Pad name to position in canvas pixels
+ */
+export const padPositions = component =>
+  new Map(component.pads.map(p => {
+    const [dx, dy] = padOffset(p, component);
+    return [p.name, { x: component.x + dx, y: component.y + dy }];
+  }));
+
+/**
+ * How the pads of a component are turned and which side of the board they are on.
+ * @param {{rotation: number, mirrored: boolean}} component
+ * @returns {{padRotation: number, side: string}} Fields of the pad nodes
+ */
+export const padPlacement = ({ rotation = 0, mirrored = false }) => ({
+  padRotation: rotation,
+  side: mirrored ? "bottom" : "top"
+});
+
+/**
+ * Next free reference designator for a prefix, e.g. "R3" when R1 and R2 exist.
+ * @param {string} prefix - e.g. "R"
+ * @param {object[]} shapes - All shapes
+ * @returns {string}
+ */
+export const nextRefdes = (prefix, shapes) => {
+  const pattern = new RegExp(`^${prefix}(\\d+)$`);
+  const used = shapes
+    .filter(s => s.type === "component")
+    .map(s => Number(pattern.exec(s.refdes)?.[1] || 0));
+  return `${prefix}${Math.max(0, ...used) + 1}`;
+};
+
+/**
+ * Creates the shapes of a newly placed footprint.
+ * @param {object} footprint - Library entry
+ * @param {object} placement
+ * @param {number} placement.x - Origin x in pixels
+ * @param {number} placement.y - Origin y in pixels
+ * @param {string} placement.refdes - Reference designator
+ * @param {number} [placement.rotation] - Degrees clockwise
+ * @param {boolean} [placement.mirrored]
+ * @param {number} [placement.firstId] - Id of the component; its pads get the ids after it
+ * @returns {{component: object, pads: object[]}}
+ */
+export const placeFootprint = (footprint, { x, y, refdes, rotation = 0, mirrored = false, firstId = Date.now() }) => {
+  const component = {
+    id: firstId,
+    type: "component",
+    footprint: footprint.id,
+    refdes,
+    x, y,
+    rotation,
+    mirrored,
+    pads: footprint.pads.map(p => ({ name: p.name, x: p.x, y: p.y })),
+    layer: "component"
+  };
+  const positions = padPositions(component);
+  const pads = footprint.pads.map((p, i) => ({
+    id: firstId + 1 + i,
+    type: "node",
+    nodeType: "pad",
+    componentId: component.id,
+    padName: p.name,
+    ...positions.get(p.name),
+    radius: nodeRadius(p.padStack),
+    padStack: { ...p.padStack },
+    ...padPlacement(component),
+    color: PAD_COLOR,
+    layer: "footprint"
+  }));
+  return { component, pads };
+};
+
+/**
+ * Pad nodes of a component.
+ * @param {object[]} shapes - All shapes
+ * @param {number} componentId
+ * @returns {object[]}
+ */
+export const padsOf = (shapes, componentId) => shapes.filter(s => s.type === "node" && s.componentId === componentId);
+
+/**
+ * Gives components new reference designators that do not clash with the existing ones, e.g. after pasting.
+ * @param {object[]} added - New shapes
+ * @param {object[]} existing - Shapes already in the design
+ * @returns {object[]} The new shapes with renumbered components
+ */
+export const renumberComponents = (added, existing) => {
+  const taken = [...existing];
+  return added.map(s => {
+    if (s.type !== "component") return s;
+    const prefix  = /^[A-Za-z]*/.exec(s.refdes)[0] || "U";
+    const updated = { ...s, refdes: nextRefdes(prefix, taken) };
+    taken.push(updated);
+    return updated;
+  });
+};
@@ -0,0 +1,53 @@
+import { FOOTPRINTS, findFootprint, padPositions, padPlacement, placeFootprint, nextRefdes, renumberComponents } from "./footprints";
+import { validatePadStack } from "./drill";
+import { mmToPx } from "./units";
+
+test("every library footprint has uniquely named, valid pads", () => {
+  FOOTPRINTS.forEach(f => {
+    expect(new Set(f.pads.map(p => p.name)).size).toBe(f.pads.length);
+    f.pads.forEach(p => expect(validatePadStack(p.padStack)).toBeNull());
+  });
+  expect(findFootprint("QFN-16_3x3mm").pads).toHaveLength(17);
+});
+
+test("IC lands are long rectangles running across their side of the body", () => {
+  const soic = findFootprint("SOIC-8").pads[0].padStack;
+  expect(soic).toMatchObject({ shape: "rect", padDiameter: 1.55, padHeight: 0.6 });
+  const qfn = findFootprint("QFN-16_3x3mm").pads;
+  expect(qfn[0].padStack).toMatchObject({ shape: "rect", padDiameter: 0.8, padHeight: 0.25 }); // Left side
+  expect(qfn[4].padStack).toMatchObject({ shape: "rect", padDiameter: 0.25, padHeight: 0.8 }); // Bottom side
+});
+
+test("placing a footprint creates a component and one node per pad", () => {
+  const { component, pads } = placeFootprint(findFootprint("R_0805"), { x: 90, y: 90, refdes: "R1", firstId: 10 });
+  expect(component).toMatchObject({ id: 10, type: "component", refdes: "R1", layer: "component" });
+  expect(pads.map(p => [p.id, p.padName, p.componentId, p.x, p.y])).toEqual([
+    [11, "1", 10, 90 - mmToPx(0.95), 90],
+    [12, "2", 10, 90 + mmToPx(0.95), 90]
+  ]);
+});
+
+test("pads follow rotation and mirroring", () => {
+  const { component } = placeFootprint(findFootprint("SOIC-8"), { x: 0, y: 0, refdes: "U1" });
+  const pin1 = c => padPositions(c).get("1");
+  expect(pin1(component)).toEqual({ x: mmToPx(-2.7), y: mmToPx(-1.905) });
+  // A quarter turn clockwise puts pin 1 at the top right
+  expect(pin1({ ...component, rotation: 90 })).toEqual({ x: mmToPx(1.905), y: mmToPx(-2.7) });
+  expect(pin1({ ...component, mirrored: true })).toEqual({ x: mmToPx(2.7), y: mmToPx(-1.905) });
+});
+
+test("pads turn with their component and a mirrored one is on the bottom", () => {
+  const top = placeFootprint(findFootprint("SOIC-8"), { x: 0, y: 0, refdes: "U1" });
+  expect(top.pads[0]).toMatchObject({ padRotation: 0, side: "top" });
+  const bottom = placeFootprint(findFootprint("SOIC-8"), { x: 0, y: 0, refdes: "U1", rotation: 90, mirrored: true });
+  expect(bottom.pads[0]).toMatchObject({ padRotation: 90, side: "bottom" });
+  expect(padPlacement(bottom.component)).toEqual({ padRotation: 90, side: "bottom" });
+});
+
+test("reference designators count up per prefix", () => {
+  const shapes = [{ type: "component", refdes: "R1" }, { type: "component", refdes: "R7" }, { type: "component", refdes: "C2" }];
+  expect(nextRefdes("R", shapes)).toBe("R8");
+  expect(nextRefdes("U", shapes)).toBe("U1");
+  const pasted = renumberComponents([{ type: "component", refdes: "R1" }, { type: "component", refdes: "R7" }], shapes);
+  expect(pasted.map(c => c.refdes)).toEqual(["R8", "R9"]);
+});
@@ -0,0 +1,315 @@
+import { pxToMm, mmToPx, widthToMm, widthOf, DEFAULT_BOARD_SIZE } from "./units";
+import { padStackOf, padSize, padOnLayer, buildExcellon } from "./drill";
+import { DEFAULT_LAYER_STACK, copperLayers } from "./layers";
+import { fillZone } from "./zones";
+
+/**
+ * Gerber RS-274X (X2) fabrication output.
+ * Canvas pixels are converted to millimetres and the Y axis is flipped so the board reads
+ * the same way up as on screen (Gerber Y grows upwards, canvas Y downwards).
+ */
+
+const SOFTWARE_VERSION = "0.1.0";
+
+// Aperture used to draw the board profile, in mm
+export const PROFILE_APERTURE_MM = 0.1;
+
+/**
+ * Formats a millimetre value for the 4.6 coordinate format (leading zeros omitted).
+ * @param {number} mm - Value in mm
+ * @returns {string}
+ */
+const coord = mm => String(Math.round(mm * 1e6));
+
+/**
+ * Formats a millimetre value for aperture definitions.
+ * @param {number} mm - Value in mm
+ * @returns {string}
+ */
+const size = mm => Number(mm.toFixed(6)).toString();
+
+/**
+ * Converts a canvas point to a Gerber coordinate block.
+ * @param {number} x - X in pixels
+ * @param {number} y - Y in pixels
+ * @param {number} heightPx - Board height in pixels, used to flip Y
+ * @returns {string} e.g. "X1000000Y2000000"
+ */
+const xy = (x, y, heightPx) => `X${coord(pxToMm(x))}Y${coord(pxToMm(heightPx - y))}`;
+
+/**
+ * Creates an aperture table that hands out one D-code per distinct shape, size and function.
+ * Circles take their diameter, squares their side and rects their width and height.
+ * @returns {{use: function(number, string, string=, number=): string, definitions: function(): string[]}}
+ */
+const createApertures = () => {
+  const codes = new Map();
+  return {
+    use: (diameterMm, fn, shape = "circle", heightMm = diameterMm) => {
+      const key = `${fn}:${shape}:${size(diameterMm)}:${size(heightMm)}`;
+      if (!codes.has(key)) codes.set(key, { code: `D${10 + codes.size}`, diameterMm, heightMm, fn, shape });
+      return codes.get(key).code;
+    },
+    definitions: () =>
+      [...codes.values()].flatMap(a => [
+        `%TA.AperFunction,${a.fn}*%`,
+        a.shape === "circle"
+          ? `%ADD${a.code.slice(1)}C,${size(a.diameterMm)}*%`
+          : `%ADD${a.code.slice(1)}R,${size(a.diameterMm)}X${size(a.heightMm)}*%`,
+        "%TD*%"
+      ])
+  };
+};
+
+/**
+ * Aperture function of a pad.
+ * @param {object} stack - Pad stack
+ * @returns {string}
+ */
+const padFunction = stack => (stack.drillDiameter > 0 ? "ComponentPad" : "SMDPad,CuDef");
+
+/**
+ * Flashes the pad of every footprint node, turned like the node. Quarter turns swap the aperture's width and
+ * height; other angles rotate the flash with a load-rotation (LR) block.
+ * @param {object[]} shapes - All shapes
+ * @param {object} apertures - Table from createApertures
+ * @param {number} heightPx - Board height in pixels, used to flip Y
+ * @param {function(object): string} fnOf - Aperture function for a pad stack
+ * @param {function(object, object): boolean} [include] - Filters by pad stack and node
+ * @returns {string[]} Graphics commands
+ */
+const flashPads = (shapes, apertures, heightPx, fnOf, include = () => true) =>
+  shapes.filter(s => s.layer === "footprint").flatMap(n => {
+    const stack = padStackOf(n);
+    if (!include(stack, n)) return [];
+    const { width, height } = padSize(stack);
+    // Clockwise on screen is clockwise on the board too, while Gerber angles turn anticlockwise
+    const turn = stack.shape === "circle" ? 0 : (360 - ((n.padRotation || 0) % 360 + 360) % 360) % 360;
+    const quarter = turn === 90 || turn === 270;
+    const flash = [
+      `${apertures.use(quarter ? height : width, fnOf(stack), stack.shape, quarter ? width : height)}*`,
+      `${xy(n.x, n.y, heightPx)}D03*`
+    ];
+    return turn % 90 ? [`%LR${size(turn)}*%`, ...flash, "%LR0*%"] : flash;
+  });
+
+/**
+ * Assembles a complete Gerber file from its parts.
+ * @param {string} fileFunction - X2 .FileFunction value, e.g. "Copper,L1,Top"
+ * @param {string} polarity - "Positive" or "Negative"
+ * @param {object} apertures - Table from createApertures
+ * @param {string[]} body - Graphics commands
+ * @param {object} options - { date }
+ * @returns {string}
+ */
+const gerberFile = (fileFunction, polarity, apertures, body, { date }) => [
+  `%TF.GenerationSoftware,ECAD Tool,ecad-frontend,${SOFTWARE_VERSION}*%`,
+  `%TF.CreationDate,${date.toISOString()}*%`,
+  `%TF.FileFunction,${fileFunction}*%`,
+  `%TF.FilePolarity,${polarity}*%`,
+  "%FSLAX46Y46*%",
+  "%MOMM*%",
+  "%LPD*%",
+  "G01*",
+  ...apertures.definitions(),
+  ...body,
+  "M02*",
+  ""
+].join("\n");
+
+/**
+ * Strokes a polyline with the current aperture.
+ * @param {number[]} pts - Flat [x1,y1,...] in pixels
+ * @param {number} heightPx - Board height in pixels, used to flip Y
+ * @returns {string[]} D02 move followed by D01 draws
+ */
+const strokePolyline = (pts, heightPx) => {
+  const out = [`${xy(pts[0], pts[1], heightPx)}D02*`];
+  for (let i = 2; i < pts.length; i += 2) out.push(`${xy(pts[i], pts[i + 1], heightPx)}D01*`);
+  return out;
+};
+
+/**
+ * X2 file function of a copper layer.
+ * @param {string} layer - Layer id
+ * @param {string[]} stack - All copper layer ids, top first
+ * @returns {string} e.g. "Copper,L2,Inr"
+ */
+const copperFunction = (layer, stack) => {
+  const index = stack.indexOf(layer);
+  const side  = index === 0 ? "Top" : index === stack.length - 1 ? "Bot" : "Inr";
+  return `Copper,L${index + 1},${side}`;
+};
+
+/**
+ * Pours the zones of a copper layer: every fill rectangle as a region, thermal spokes stroked.
+ * @param {object[]} shapes - All shapes
+ * @param {string} layer - Copper layer id
+ * @param {object} apertures - Table from createApertures
+ * @param {object} options - { heightPx, edgeClearance (mm) }
+ * @returns {string[]} Graphics commands
+ */
+const pourZones = (shapes, layer, apertures, { heightPx, edgeClearance = 0 }) =>
+  shapes.filter(s => s.type === "zone" && s.copperLayer === layer).flatMap(zone => {
+    const { rects, spokes, spokeWidth } = fillZone(zone, shapes, { edgeClearance });
+    const regions = rects.flatMap(([x, y, w, h]) =>
+      ["G36*", ...strokePolyline([x, y, x + w, y, x + w, y + h, x, y + h, x, y], heightPx), "G37*"]);
+    return [
+      ...(regions.length ? ["%TA.AperFunction,Conductor*%", ...regions, "%TD*%"] : []),
+      ...(spokes.length ? [`${apertures.use(pxToMm(spokeWidth), "Conductor")}*`] : []),
+      ...spokes.flatMap(s => strokePolyline(s, heightPx))
+    ];
+  });
+
+/**
+ * Writes one copper layer: its zones poured, its traces drawn with their real width and the pads present on it
+ * flashed. Drilled pads and vias reach every layer, surface-mount pads only the outer layer of their side.
+ * @param {object[]} shapes - All shapes
+ * @param {object} options - { heightPx, date, layer (default "f_lig"), layerStack, edgeClearance (mm) }
+ * @returns {string} Gerber file contents
+ */
+export const buildCopperLayer = (shapes, options) => {
+  const { layer = "f_lig", layerStack = DEFAULT_LAYER_STACK } = options;
+  const apertures = createApertures();
+  const body = pourZones(shapes, layer, apertures, options);
+  shapes.filter(s => s.layer === layer && s.points?.length >= 4).forEach(t => {
+    body.push(`${apertures.use(widthToMm(widthOf(t)), "Conductor")}*`);
+    body.push(...strokePolyline(t.points, options.heightPx));
+  });
+  // Non-plated holes at least as large as their pad carry no copper
+  body.push(...flashPads(
+    shapes, apertures, options.heightPx, padFunction,
+    (stack, n) => (stack.plated || stack.drillDiameter < stack.padDiameter) && padOnLayer(n, layer)
+  ));
+  return gerberFile(copperFunction(layer, copperLayers(layerStack)), "Positive", apertures, body, options);
+};
+
+/**
+ * Writes a solder mask: an opening flashed over every pad on that side, i.e. the drilled pads and the surface-mount
+ * pads of the parts mounted there; vias stay covered (tented) on both.
+ * @param {object[]} shapes - All shapes
+ * @param {object} options - { heightPx, date, side ("top" by default or "bottom") }
+ * @returns {string} Gerber file contents
+ */
+export const buildMaskLayer = (shapes, options) => {
+  const bottom = options.side === "bottom";
+  const apertures = createApertures();
+  const body = [];
+  body.push(...flashPads(
+    shapes, apertures, options.heightPx, padFunction,
+    (stack, n) => n.nodeType !== "via" && padOnLayer(n, bottom ? "b_lig" : "f_lig")
+  ));
+  return gerberFile(bottom ? "Soldermask,Bot" : "Soldermask,Top", "Negative", apertures, body, options);
+};
+
+/**
+ * Writes the board profile (Edge.Cuts) from the closed outline shapes.
+ * @param {object[]} shapes - All shapes
+ * @param {object} options - { heightPx, date }
+ * @returns {string} Gerber file contents
+ */
+export const buildProfileLayer = (shapes, options) => {
+  const apertures = createApertures();
+  const body = [];
+  shapes.filter(s => s.layer === "outline" && s.points?.length >= 4).forEach(o => {
+    body.push(`${apertures.use(PROFILE_APERTURE_MM, "Profile")}*`);
+    body.push(...strokePolyline(o.points, options.heightPx));
+  });
+  return gerberFile("Profile,NP", "Positive", apertures, body, options);
+};
+
+/**
+ * Bounding box of the board outline in mm, falling back to all shapes when there is no outline.
+ * @param {object[]} shapes - All shapes
+ * @returns {{X: number, Y: number}} Board size in mm
+ */
+const boardSize = shapes => {
+  const outlines = shapes.filter(s => s.layer === "outline");
+  const source   = outlines.length ? outlines : shapes;
+  const xs = [], ys = [];
+  source.forEach(s => {
+    if (s.points) s.points.forEach((v, i) => (i % 2 ? ys : xs).push(v));
+    else { xs.push(s.x); ys.push(s.y); }
+  });
+  if (!xs.length) return { X: 0, Y: 0 };
+  return {
+    X: Number(pxToMm(Math.max(...xs) - Math.min(...xs)).toFixed(3)),
+    Y: Number(pxToMm(Math.max(...ys) - Math.min(...ys)).toFixed(3))
+  };
+};
+
+/**
+ * Writes the Gerber job file (.gbrjob) describing the fabrication files.
+ * @param {object[]} shapes - All shapes
+ * @param {{path: string, fileFunction: string, polarity: string}[]} files - Layer files in the package
+ * @param {object} options - { projectName, date, layerStack }
+ * @returns {string} JSON job file
+ */
+export const buildJobFile = (shapes, files, { projectName, date, layerStack = DEFAULT_LAYER_STACK }) =>
+  JSON.stringify({
+    Header: {
+      GenerationSoftware: { Vendor: "ECAD Tool", Application: "ecad-frontend", Version: SOFTWARE_VERSION },
+      CreationDate: date.toISOString()
+    },
+    GeneralSpecs: {
+      ProjectId: { Name: projectName, GUID: "", Revision: "1" },
+      Size: boardSize(shapes),
+      LayerNumber: layerStack.copperLayers,
+      BoardThickness: layerStack.thickness
+    },
+    FilesAttributes: files.map(f => ({
+      Path: f.path,
+      FileFunction: f.fileFunction,
+      FilePolarity: f.polarity
+    }))
+  }, null, 2);
+
+/**
+ * Builds every file of the Gerber fabrication package, including Excellon drill files.
+ * @param {object[]} shapes - All shapes (trace, outline and zone points already in their rendered corner style)
+ * @param {object} options
+ * @param {string} options.projectName - Used for file names and the job file
+ * @param {number} [options.heightPx] - Board height in pixels, used to flip Y
+ * @param {{copperLayers: number, thickness: number}} [options.layerStack] - Copper layer stack
+ * @param {number} [options.edgeClearance] - Gap between zone fills and the board outline in mm
+ * @param {Date} [options.date] - Creation date written into the files
+ * @returns {Object<string, string>} Map of file name to contents
+ */
+export const buildGerberFiles = (shapes, {
+  projectName, heightPx = mmToPx(DEFAULT_BOARD_SIZE.height), layerStack = DEFAULT_LAYER_STACK, edgeClearance = 0,
+  date = new Date()
+}) => {
+  const opts   = { heightPx, date, layerStack, edgeClearance };
+  const stack  = copperLayers(layerStack);
+  // f_lig -> F_Cu, in1_lig -> In1_Cu, b_lig -> B_Cu
+  const fileName = layer => layer.replace(/^(\w)(\w*)_lig$/, (_, a, b) => `${a.toUpperCase()}${b}_Cu`);
+  const layers = [
+    ...stack.map(layer => ({
+      path: `${projectName}-${fileName(layer)}.gbr`,
+      fileFunction: copperFunction(layer, stack),
+      polarity: "Positive",
+      build: (s, o) => buildCopperLayer(s, { ...o, layer })
+    })),
+    { path: `${projectName}-F_Mask.gbr`,   fileFunction: "Soldermask,Top", polarity: "Negative", build: buildMaskLayer },
+    {
+      path: `${projectName}-B_Mask.gbr`,
+      fileFunction: "Soldermask,Bot",
+      polarity: "Negative",
+      build: (s, o) => buildMaskLayer(s, { ...o, side: "bottom" })
+    },
+    { path: `${projectName}-Edge_Cuts.gbr`, fileFunction: "Profile,NP",    polarity: "Positive", build: buildProfileLayer }
+  ];
+  const files = {};
+  layers.forEach(l => { files[l.path] = l.build(shapes, opts); });
+
+  const drills = [
+    { path: `${projectName}-PTH.drl`,  fileFunction: `Plated,1,${stack.length},PTH`,     polarity: "Positive", plated: true },
+    { path: `${projectName}-NPTH.drl`, fileFunction: `NonPlated,1,${stack.length},NPTH`, polarity: "Positive", plated: false }
+  ].filter(d => shapes.some(s =>
+    s.layer === "footprint" && padStackOf(s).drillDiameter > 0 && Boolean(padStackOf(s).plated) === d.plated
+  ));
+  drills.forEach(d => { files[d.path] = buildExcellon(shapes, { plated: d.plated, copperLayers: stack.length, ...opts }); });
+
+  files[`${projectName}-job.gbrjob`] = buildJobFile(shapes, [...layers, ...drills], { projectName, date, layerStack });
+  return files;
+};
@@ -0,0 +1,113 @@
+import { buildGerberFiles, buildCopperLayer, buildMaskLayer, buildProfileLayer } from "./gerber";
+
+const date = new Date("2025-01-01T00:00:00Z");
+const node = { id: 1, type: "node", x: 30, y: 370, radius: 15, layer: "footprint" };
+const trace = { id: 2, type: "connection", points: [30, 370, 60, 370], width: 0.0005, layer: "f_lig" };
+const outline = { id: 3, type: "outline", points: [0, 400, 300, 400, 300, 100, 0, 400], layer: "outline" };
+
+test("copper layer draws traces with their real width and flashes pads", () => {
+  const gbr = buildCopperLayer([node, trace], { heightPx: 400, date });
+  expect(gbr).toContain("%FSLAX46Y46*%");
+  expect(gbr).toContain("%MOMM*%");
+  expect(gbr).toContain("%ADD10C,0.5*%");  // 0.5 mm trace
+  expect(gbr).toContain("%ADD11C,10*%");   // 30 px diameter pad = 1 cm
+  // 30 px = 10 mm from the left, 30 px above the bottom edge = 10 mm
+  expect(gbr).toContain("X10000000Y10000000D02*");
+  expect(gbr).toContain("X20000000Y10000000D01*");
+  expect(gbr).toContain("X10000000Y10000000D03*");
+  expect(gbr.trim().endsWith("M02*")).toBe(true);
+});
+
+test("profile layer strokes the outline", () => {
+  const gbr = buildProfileLayer([outline], { heightPx: 400, date });
+  expect(gbr).toContain("%TF.FileFunction,Profile,NP*%");
+  expect(gbr).toContain("X0Y0D02*");
+  expect(gbr).toContain("X100000000Y0D01*");
+});
+
+test("package contains every layer and a job file listing them", () => {
+  const files = buildGerberFiles([node, trace, outline], { projectName: "demo", date });
+  expect(Object.keys(files)).toEqual([
+    "demo-F_Cu.gbr",
+    "demo-B_Cu.gbr",
+    "demo-F_Mask.gbr",
+    "demo-B_Mask.gbr",
+    "demo-Edge_Cuts.gbr",
+    "demo-PTH.drl",
+    "demo-job.gbrjob"
+  ]);
+  const job = JSON.parse(files["demo-job.gbrjob"]);
+  expect(job.GeneralSpecs.Size).toEqual({ X: 100, Y: 100 });
+  expect(job.FilesAttributes.map(f => f.FileFunction)).toContain("Copper,L1,Top");
+  expect(job.FilesAttributes.map(f => f.FileFunction)).toContain("Plated,1,2,PTH");
+  expect(job.FilesAttributes.map(f => f.FileFunction)).toContain("Soldermask,Bot");
+  expect(job.GeneralSpecs.LayerNumber).toBe(2);
+});
+
+test("each copper layer gets its own file with the pads that reach it", () => {
+  const smd = { id: 4, type: "node", x: 90, y: 370, radius: 3, layer: "footprint",
+    padStack: { shape: "circle", padDiameter: 2, drillDiameter: 0, plated: true } };
+  const bottom = { ...trace, id: 5, points: [30, 370, 30, 300], layer: "b_lig" };
+  const files = buildGerberFiles([node, smd, trace, bottom], {
+    projectName: "demo", heightPx: 400, date, layerStack: { copperLayers: 4, thickness: 1.2 }
+  });
+  expect(Object.keys(files).filter(f => /_Cu\.gbr$/.test(f))).toEqual(
+    ["demo-F_Cu.gbr", "demo-In1_Cu.gbr", "demo-In2_Cu.gbr", "demo-B_Cu.gbr"]);
+  expect(files["demo-In1_Cu.gbr"]).toContain("%TF.FileFunction,Copper,L2,Inr*%");
+  expect(files["demo-B_Cu.gbr"]).toContain("X10000000Y33333333D01*");
+  // The surface-mount pad is only on the top copper, the drilled one on every layer
+  expect(files["demo-F_Cu.gbr"]).toContain("SMDPad");
+  expect(files["demo-B_Cu.gbr"]).not.toContain("SMDPad");
+  expect(files["demo-In2_Cu.gbr"]).toContain("X10000000Y10000000D03*");
+  expect(JSON.parse(files["demo-job.gbrjob"]).GeneralSpecs).toMatchObject({ LayerNumber: 4, BoardThickness: 1.2 });
+});
+
+test("the bottom solder mask only opens drilled pads", () => {
+  const smd = { ...node, id: 4, x: 90, padStack: { shape: "circle", padDiameter: 2, drillDiameter: 0, plated: true } };
+  const via = { ...node, id: 5, x: 150, nodeType: "via", padStack: { shape: "circle", padDiameter: 0.8, drillDiameter: 0.4, plated: true } };
+  const top    = buildMaskLayer([node, smd, via], { heightPx: 400, date });
+  const bottom = buildMaskLayer([node, smd, via], { heightPx: 400, date, side: "bottom" });
+  expect(top).toContain("%TF.FileFunction,Soldermask,Top*%");
+  expect(bottom).toContain("%TF.FileFunction,Soldermask,Bot*%");
+  expect(bottom).toContain("%TF.FilePolarity,Negative*%");
+  expect(top.match(/D03\*/g)).toHaveLength(2);
+  expect(bottom.match(/D03\*/g)).toHaveLength(1);
+  expect(bottom).toContain("X10000000Y10000000D03*");
+});
+
+test("surface-mount pads of a part on the bottom go on the bottom copper and mask", () => {
+  const smd = { ...node, padStack: { shape: "circle", padDiameter: 2, drillDiameter: 0, plated: true }, side: "bottom" };
+  expect(buildCopperLayer([smd], { heightPx: 400, date, layer: "b_lig" })).toContain("X10000000Y10000000D03*");
+  expect(buildCopperLayer([smd], { heightPx: 400, date })).not.toContain("D03*");
+  expect(buildMaskLayer([smd], { heightPx: 400, date, side: "bottom" })).toContain("X10000000Y10000000D03*");
+  expect(buildMaskLayer([smd], { heightPx: 400, date })).not.toContain("D03*");
+});
+
+test("turned pads swap their aperture on quarter turns and rotate it otherwise", () => {
+  const land = { ...node, padStack: { shape: "rect", padDiameter: 1.55, padHeight: 0.6, drillDiameter: 0, plated: true } };
+  expect(buildCopperLayer([{ ...land, padRotation: 90 }], { heightPx: 400, date })).toContain("%ADD10R,0.6X1.55*%");
+  const slanted = buildCopperLayer([{ ...land, padRotation: 45 }], { heightPx: 400, date });
+  expect(slanted).toContain("%ADD10R,1.55X0.6*%");
+  expect(slanted).toContain("%LR315*%\nD10*\nX10000000Y10000000D03*\n%LR0*%");
+});
+
+test("square pads use a rectangle aperture", () => {
+  const square = { ...node, padStack: { shape: "square", padDiameter: 2, drillDiameter: 0.8, plated: true } };
+  expect(buildCopperLayer([square], { heightPx: 400, date })).toContain("%ADD10R,2X2*%");
+  const land = { ...node, padStack: { shape: "rect", padDiameter: 1.55, padHeight: 0.6, drillDiameter: 0, plated: true } };
+  expect(buildCopperLayer([land], { heightPx: 400, date })).toContain("%ADD10R,1.55X0.6*%");
+});
+
+test("zones are poured as regions on their copper layer with thermal spokes", () => {
+  const gnd  = { ...node, nodeType: "ground", padStack: { shape: "circle", padDiameter: 2, drillDiameter: 1, plated: true } };
+  const zone = {
+    id: 6, type: "zone", points: [0, 400, 90, 400, 90, 340, 0, 340, 0, 400], nodeId: 1,
+    copperLayer: "f_lig", clearance: 0.5, thermalWidth: 0.4, layer: "zone"
+  };
+  const files = buildGerberFiles([gnd, zone], { projectName: "demo", heightPx: 400, date });
+  const top   = files["demo-F_Cu.gbr"];
+  expect(top).toContain("%TA.AperFunction,Conductor*%\nG36*");
+  expect(top.match(/G36\*/g).length).toBe(top.match(/G37\*/g).length);
+  expect(top).toContain("%ADD10C,0.4*%"); // Thermal spokes
+  expect(files["demo-B_Cu.gbr"]).not.toContain("G36*");
+});
@@ -0,0 +1,93 @@
+/**
+ * Undo/redo history for canvas operations.
+ *
+ * Every operation is recorded as a command holding `before` and `after` snapshots of only the
+ * items it touched: `{ shapes?: object[], labels?: object[], background?: object }`.
+ * An item present in `after` but missing from `before` was created, one present only in `before`
+ * was deleted, and one in both was changed. Undo applies `before` over `after`; redo the reverse.
+ */
+
+// Maximum number of commands kept in the undo stack
+export const HISTORY_LIMIT = 100;
+
+// Commands with the same mergeKey recorded within this many ms are merged into one step
+export const MERGE_WINDOW_MS = 1000;
+
+export const emptyHistory = { past: [], future: [] };
+
+/**
+ * Adds a command to the history, clearing the redo stack.
+ * Consecutive commands with the same mergeKey inside MERGE_WINDOW_MS become one undo step.
+ * @param {{past: object[], future: object[]}} history
+ * @param {object} command - { label, before, after, mergeKey?, time }
+ * @returns {{past: object[], future: object[]}} New history
+ */
+export const recordCommand = (history, command) => {
+  const last = history.past[history.past.length - 1];
+  if (
+    last && command.mergeKey && last.mergeKey === command.mergeKey &&
+    command.time - last.time < MERGE_WINDOW_MS
+  ) {
+    const merged = { ...last, after: command.after, time: command.time };
+    return { past: [...history.past.slice(0, -1), merged], future: [] };
+  }
+  return { past: [...history.past, command].slice(-HISTORY_LIMIT), future: [] };
+};
+
+/**
+ * Moves the latest command to the redo stack.
+ * @returns {{history: object, command: object|null}} New history and the command to revert
+ */
+export const undoCommand = history => {
+  if (!history.past.length) return { history, command: null };
+  const command = history.past[history.past.length - 1];
+  return {
+    history: { past: history.past.slice(0, -1), future: [command, ...history.future] },
+    command
+  };
+};
+
+/**
+ * Moves the next command back to the undo stack.
+ * @returns {{history: object, command: object|null}} New history and the command to re-apply
+ */
+export const redoCommand = history => {
+  if (!history.future.length) return { history, command: null };
+  const [command, ...future] = history.future;
+  return {
+    history: { past: [...history.past, command], future },
+    command
+  };
+};
+
+/**
+ * Replaces the items of one snapshot with those of another in a list.
+ * @param {object[]} list - Current shapes or labels
+ * @param {object[]} from - Items as they are now
+ * @param {object[]} to - Items as they should become
+ * @returns {object[]} Updated list
+ */
+export const applyItems = (list, from = [], to = []) => {
+  const target  = new Map(to.map(item => [item.id, item]));
+  const removed = new Set(from.filter(item => !target.has(item.id)).map(item => item.id));
+  const kept    = list
+    .filter(item => !removed.has(item.id))
+    .map(item => target.get(item.id) ?? item);
+  return [...kept, ...to.filter(item => !list.some(l => l.id === item.id))];
+};
+
+/**
+ * Works out the server calls needed to turn one snapshot into another.
+ * @param {object[]} from - Items as they are now
+ * @param {object[]} to - Items as they should become
+ * @returns {{create: object[], update: object[], remove: object[]}}
+ */
+export const planItemChanges = (from = [], to = []) => {
+  const fromIds = new Set(from.map(item => item.id));
+  const toIds   = new Set(to.map(item => item.id));
+  return {
+    create: to.filter(item => !fromIds.has(item.id)),
+    update: to.filter(item => fromIds.has(item.id)),
+    remove: from.filter(item => !toIds.has(item.id))
+  };
+};
@@ -0,0 +1,77 @@
+import {
+  emptyHistory,
+  recordCommand,
+  undoCommand,
+  redoCommand,
+  applyItems,
+  planItemChanges
+} from "./history";
+import { reassignZones } from "./zones";
+
+const node = (id, x = 0) => ({ id, type: "node", x, y: 0 });
+
+test("undo and redo move commands between the stacks", () => {
+  const cmd = { label: "Add node", before: { shapes: [] }, after: { shapes: [node(1)] }, time: 0 };
+  let history = recordCommand(emptyHistory, cmd);
+
+  const undone = undoCommand(history);
+  expect(undone.command).toBe(cmd);
+  expect(undone.history.past).toHaveLength(0);
+
+  const redone = redoCommand(undone.history);
+  expect(redone.command).toBe(cmd);
+  expect(redone.history.future).toHaveLength(0);
+});
+
+test("recording a command clears the redo stack", () => {
+  const a = { label: "A", before: {}, after: {}, time: 0 };
+  const b = { label: "B", before: {}, after: {}, time: 5000 };
+  const { history } = undoCommand(recordCommand(emptyHistory, a));
+  expect(recordCommand(history, b)).toEqual({ past: [b], future: [] });
+});
+
+test("commands with the same merge key close together become one step", () => {
+  const first  = { label: "Width", before: { shapes: [node(1, 0)] }, after: { shapes: [node(1, 5)] }, mergeKey: "w1", time: 0 };
+  const second = { label: "Width", before: { shapes: [node(1, 5)] }, after: { shapes: [node(1, 9)] }, mergeKey: "w1", time: 500 };
+  const history = recordCommand(recordCommand(emptyHistory, first), second);
+  expect(history.past).toHaveLength(1);
+  expect(history.past[0].before.shapes[0].x).toBe(0);
+  expect(history.past[0].after.shapes[0].x).toBe(9);
+});
+
+test("applyItems creates, updates and deletes items", () => {
+  const list = [node(1), node(2)];
+  const result = applyItems(list, [node(1), node(2)], [node(2, 7), node(3)]);
+  expect(result).toEqual([node(2, 7), node(3)]);
+});
+
+test("planItemChanges splits a snapshot change into server calls", () => {
+  const plan = planItemChanges([node(1), node(2)], [node(2, 7), node(3)]);
+  expect(plan.create.map(s => s.id)).toEqual([3]);
+  expect(plan.update.map(s => s.id)).toEqual([2]);
+  expect(plan.remove.map(s => s.id)).toEqual([1]);
+});
+
+test("undoing a node delete puts back the zone that was on it", () => {
+  const zone    = { id: 9, type: "zone", nodeId: 1, points: [] };
+  const trace   = { id: 5, type: "connection", node1Id: 1, node2Id: 2 };
+  const shapes  = [node(1), node(2), trace, zone];
+  const removed = [node(1), trace];
+  const { zones, reassigned } = reassignZones(shapes, removed.map(s => s.id));
+  const cmd = {
+    label: "Delete node",
+    before: { shapes: [...removed, ...zones] },
+    after: { shapes: reassigned },
+    time: 0
+  };
+
+  const deleted = applyItems(shapes, cmd.before.shapes, cmd.after.shapes);
+  expect(deleted).toEqual([node(2), { ...zone, nodeId: 2 }]);
+
+  const { command } = undoCommand(recordCommand(emptyHistory, cmd));
+  expect(applyItems(deleted, command.after.shapes, command.before.shapes)).toEqual(expect.arrayContaining(shapes));
+  // The node comes back before the zone is pointed at it again
+  const plan = planItemChanges(command.after.shapes, command.before.shapes);
+  expect(plan.create.map(s => s.id)).toEqual([1, 5]);
+  expect(plan.update).toEqual([zone]);
+});
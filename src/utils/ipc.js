@@ -0,0 +1,78 @@
+/**
+ * Trace current capacity and temperature rise after IPC-2221 and IPC-2152.
+ *
+ * IPC-2221 uses I = k * ΔT^0.44 * A^0.725 with A in mil² and k = 0.048 for external, 0.024 for internal layers.
+ * IPC-2152 uses the common curve fit of its baseline chart, which the standard applies to internal and
+ * external conductors alike (internal traces run cooler, so the external chart is the safe side).
+ */
+import { widthToMm, widthOf } from "./units";
+
+export const IPC_STANDARDS = ["IPC-2221", "IPC-2152"];
+
+export const AMBIENT_TEMP_C   = 25; // Assumed board ambient temperature
+export const REFERENCE_TEMP_C = 20; // Temperature the material resistivities are given at
+
+const MM_PER_MIL = 0.0254;
+
+/**
+ * Whether a copper layer is buried inside the board.
+ * @param {string} layer - Shape layer
+ * @returns {boolean}
+ */
+export const isInternalLayer = layer => layer !== "f_lig" && layer !== "b_lig";
+
+/**
+ * Minimum conductor cross-section for a current.
+ * @param {number} current - Current in A
+ * @param {number} tempRise - Allowed temperature rise in °C
+ * @param {object} [options]
+ * @param {string} [options.standard] - "IPC-2221" or "IPC-2152"
+ * @param {boolean} [options.internal] - Internal layer (IPC-2221 only)
+ * @returns {number} Cross-section in mil²
+ */
+export const minCrossSection = (current, tempRise, { standard = "IPC-2221", internal = false } = {}) => {
+  if (standard === "IPC-2152") {
+    return (117.555 * tempRise ** -0.913 + 1.15) * current ** (0.84 * tempRise ** -0.018 + 1.159);
+  }
+  const k = internal ? 0.024 : 0.048;
+  return (current / (k * tempRise ** 0.44)) ** (1 / 0.725);
+};
+
+/**
+ * Minimum trace width for a current at a given copper thickness.
+ * @param {number} current - Current in A
+ * @param {number} tempRise - Allowed temperature rise in °C
+ * @param {number} thickness - Conductor thickness in m
+ * @param {object} [options] - See minCrossSection
+ * @returns {number} Width in mm
+ */
+export const minTraceWidthMm = (current, tempRise, thickness, options) => {
+  const thicknessMil = (thickness * 1000) / MM_PER_MIL;
+  return (minCrossSection(current, tempRise, options) / thicknessMil) * MM_PER_MIL;
+};
+
+/**
+ * Resistance multiplier at the operating temperature, R(T) = R20 * (1 + α (T - 20 °C)).
+ * Without a temperature rise the resistance stays at the reference temperature.
+ * @param {number} tempco - Temperature coefficient α in 1/°C
+ * @param {number} [tempRise] - Temperature rise above ambient in °C
+ * @param {number} [ambient] - Ambient temperature in °C
+ * @returns {number} Factor to apply to the resistance at 20 °C
+ */
+export const temperatureFactor = (tempco, tempRise, ambient = AMBIENT_TEMP_C) =>
+  tempRise == null ? 1 : 1 + (tempco || 0) * (ambient + tempRise - REFERENCE_TEMP_C);
+
+/**
+ * Checks a trace against the current it has to carry.
+ * @param {object} trace - Connection with optional targetCurrent (A) and tempRise (°C)
+ * @param {number} thickness - Conductor thickness in m
+ * @param {string} [standard] - "IPC-2221" or "IPC-2152"
+ * @returns {{minWidth: number, width: number, tooNarrow: boolean}|null} Widths in mm, null without a target
+ */
+export const checkTraceCapacity = (trace, thickness, standard) => {
+  if (!(trace.targetCurrent > 0) || !(trace.tempRise > 0)) return null;
+  const minWidth = minTraceWidthMm(trace.targetCurrent, trace.tempRise, thickness,
+    { standard, internal: isInternalLayer(trace.layer) });
+  const width = widthToMm(widthOf(trace));
+  return { minWidth, width, tooNarrow: width < minWidth };
+};
@@ -0,0 +1,35 @@
+import { minCrossSection, minTraceWidthMm, temperatureFactor, checkTraceCapacity } from "./ipc";
+
+const OZ1 = 0.000035; // 1 oz copper in m
+
+test("IPC-2221 needs a larger cross-section on internal layers", () => {
+  // 1 A at 10 °C rise on an external layer is about 16 mil²
+  expect(minCrossSection(1, 10)).toBeCloseTo(16.3, 0);
+  expect(minCrossSection(1, 10, { internal: true })).toBeGreaterThan(minCrossSection(1, 10) * 2.5);
+});
+
+test("IPC-2152 gives a width in the same range as IPC-2221 externally", () => {
+  const w2221 = minTraceWidthMm(1, 10, OZ1);
+  const w2152 = minTraceWidthMm(1, 10, OZ1, { standard: "IPC-2152" });
+  expect(w2221).toBeCloseTo(0.3, 1);
+  expect(Math.abs(w2152 - w2221) / w2221).toBeLessThan(0.2);
+});
+
+test("thicker copper and a larger temperature rise allow narrower traces", () => {
+  expect(minTraceWidthMm(2, 10, OZ1 * 2)).toBeCloseTo(minTraceWidthMm(2, 10, OZ1) / 2);
+  expect(minTraceWidthMm(2, 30, OZ1)).toBeLessThan(minTraceWidthMm(2, 10, OZ1));
+});
+
+test("resistance rises with the operating temperature", () => {
+  // Copper at 25 °C ambient + 20 °C rise = 45 °C
+  expect(temperatureFactor(0.00393, 20)).toBeCloseTo(1 + 0.00393 * 25);
+  expect(temperatureFactor(0.00393, 0, 20)).toBe(1);
+  expect(temperatureFactor(0.00393, undefined)).toBe(1);
+});
+
+test("traces narrower than their target current needs are flagged", () => {
+  const trace = { layer: "f_lig", width: 0.0002, targetCurrent: 2, tempRise: 10 };
+  expect(checkTraceCapacity(trace, OZ1).tooNarrow).toBe(true);
+  expect(checkTraceCapacity({ ...trace, width: 0.002 }, OZ1).tooNarrow).toBe(false);
+  expect(checkTraceCapacity({ ...trace, targetCurrent: undefined }, OZ1)).toBeNull();
+});
@@ -0,0 +1,617 @@
+import { pxToMm, mmToPx, widthToMm, widthOf } from "./units";
+import { padStackOf, padSize, nodeRadius } from "./drill";
+import { extractNets, referenceOf, standaloneNodes } from "./netlist";
+import { PAD_COLOR, padsOf } from "./footprints";
+import { DEFAULT_LAYER_STACK, LAYER_COUNTS, VIA_COLOR, copperLayers } from "./layers";
+import { ZONE_COLOR } from "./zones";
+import { withDefaults, labelPosition, labelText } from "./labels";
+
+/**
+ * KiCad .kicad_pcb export and import.
+ *
+ * KiCad and the canvas share the same orientation (Y grows downwards), so only the unit changes:
+ * pixels become millimetres and trace widths go from metres to millimetres.
+ *   connection         <-> segment on F.Cu, In1.Cu, ... or B.Cu (f_lig, in1_lig, ..., b_lig)
+ *   node               <-> footprint with one pad
+ *   component + pads   <-> footprint with several pads, on B.Cu when the component is mirrored
+ *   via node           <-> via
+ *   outline            <-> gr_line on Edge.Cuts
+ *   zone               <-> zone on its copper layer (KiCad refills it)
+ *   label              <-> gr_text on F.SilkS (silkscreen) or Dwgs.User (documentation)
+ * Text and pad angles turn the other way: KiCad counts degrees counter-clockwise, labels and pads clockwise.
+ */
+
+const KICAD_VERSION = "20221018";
+
+// Distance (mm) within which two track ends are considered the same point
+const JOIN_TOLERANCE_MM = 0.01;
+
+/**
+ * Quotes a string for an S-expression.
+ * @param {string} s
+ * @returns {string}
+ */
+const q = s => `"${String(s).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+
+/**
+ * Formats a millimetre value with at most 4 decimals.
+ * @param {number} v
+ * @returns {string}
+ */
+const mm = v => Number(v.toFixed(4)).toString();
+
+/**
+ * Formats a canvas point as KiCad millimetre coordinates.
+ * @param {number} x - X in pixels
+ * @param {number} y - Y in pixels
+ * @returns {string} "x y" in mm
+ */
+const pt = (x, y) => `${mm(pxToMm(x))} ${mm(pxToMm(y))}`;
+
+/**
+ * KiCad name of a copper layer.
+ * @param {string} layer - Layer id, e.g. "in2_lig"
+ * @returns {string} e.g. "In2.Cu"
+ */
+const kicadLayer = layer => {
+  const inner = /^in(\d+)_lig$/.exec(layer);
+  if (inner) return `In${inner[1]}.Cu`;
+  return layer === "b_lig" ? "B.Cu" : "F.Cu";
+};
+
+/**
+ * Converts between clockwise and KiCad's counter-clockwise degrees, either way.
+ * @param {number} degrees
+ * @returns {number} Angle in [0, 360)
+ */
+const turnAround = degrees => (360 - ((degrees % 360) + 360) % 360) % 360;
+
+/**
+ * Copper layer id of a KiCad layer name.
+ * @param {string} name - e.g. "B.Cu"
+ * @returns {string} e.g. "b_lig"
+ */
+const layerFromKicad = name => {
+  const inner = /^In(\d+)\.Cu$/.exec(name);
+  if (inner) return `in${inner[1]}_lig`;
+  return name === "B.Cu" ? "b_lig" : "f_lig";
+};
+
+/**
+ * Writes one pad of a footprint from its pad stack.
+ * @param {string} name - Pad name
+ * @param {object} stack - Pad stack
+ * @param {object} node - Pad node, for its pad stack, padRotation and side
+ * @param {string} at - Position in the footprint, "x y" in mm
+ * @param {number} net - Net number
+ * @param {string} netName - Net name
+ * @returns {string}
+ */
+const padLine = (name, node, at, net, netName) => {
+  const stack = padStackOf(node);
+  const kind  = stack.drillDiameter <= 0 ? "smd" : stack.plated ? "thru_hole" : "np_thru_hole";
+  const shape = stack.shape === "circle" ? "circle" : "rect";
+  const { width, height } = padSize(stack);
+  // KiCad stores the pad angle on the board, footprint rotation included
+  const angle = turnAround(node.padRotation || 0);
+  const drill = kind === "smd" ? "" : ` (drill ${mm(stack.drillDiameter)})`;
+  const side  = node.side === "bottom" ? "B" : "F";
+  const layers = kind === "smd" ? `"${side}.Cu" "${side}.Paste" "${side}.Mask"` : `"*.Cu" "*.Mask"`;
+  return `    (pad ${q(name)} ${kind} ${shape} (at ${at}${angle ? ` ${mm(angle)}` : ""}) (size ${mm(width)} ${mm(height)})${drill} (layers ${layers}) (net ${net} ${q(netName)}))`;
+};
+
+/**
+ * Writes a footprint with its reference and value texts around the given pad lines.
+ * @param {string} name - Library name
+ * @param {string} at - Position and angle, e.g. "10 20 90"
+ * @param {string} ref - Reference designator
+ * @param {string} value - Value text
+ * @param {string[]} pads - Lines from padLine
+ * @param {boolean} [bottom] - Whether the footprint is on the bottom of the board
+ * @returns {string}
+ */
+const footprintBlock = (name, at, ref, value, pads, bottom = false) => [
+  `  (footprint ${q(`ECAD:${name}`)} (layer ${bottom ? '"B.Cu"' : '"F.Cu"'}) (at ${at})`,
+  `    (property "Reference" ${q(ref)} (at 0 -2) (layer "F.SilkS") (effects (font (size 1 1) (thickness 0.15))))`,
+  `    (property "Value" ${q(value)} (at 0 2) (layer "F.Fab") (effects (font (size 1 1) (thickness 0.15))))`,
+  ...pads,
+  "  )"
+].join("\n");
+
+/**
+ * Writes the footprint of a stand-alone node: a single pad built from its pad stack.
+ * @param {object} n - Node
+ * @param {string} ref - Reference designator
+ * @param {number} net - Net number
+ * @param {string} netName - Net name
+ * @returns {string}
+ */
+const footprint = (n, ref, net, netName) =>
+  footprintBlock(`${n.nodeType}_node`, pt(n.x, n.y), ref, n.nodeType, [padLine("1", n, "0 0", net, netName)],
+    n.side === "bottom");
+
+/**
+ * Writes a placed component. Pads keep their library offsets (mirrored when the component is) and KiCad applies
+ * the rotation, which it counts counter-clockwise. A mirrored component is placed on the bottom.
+ * @param {object} c - Component
+ * @param {object[]} pads - Its pad nodes
+ * @param {function(number): number} netOf - Net number of a node id
+ * @param {string[]} names - Net names by number
+ * @returns {string}
+ */
+const componentFootprint = (c, pads, netOf, names) => {
+  const angle = turnAround(c.rotation);
+  const lines = c.pads.map(p => {
+    const node = pads.find(n => n.padName === p.name);
+    if (!node) return null;
+    const net = netOf(node.id);
+    return padLine(p.name, node, `${mm(c.mirrored ? -p.x : p.x)} ${mm(p.y)}`, net, names[net]);
+  }).filter(Boolean);
+  return footprintBlock(c.footprint, `${pt(c.x, c.y)}${angle ? ` ${mm(angle)}` : ""}`, c.refdes, c.footprint, lines,
+    Boolean(c.mirrored));
+};
+
+/**
+ * Serializes the design as a KiCad 7 board file.
+ * @param {object[]} shapes - All shapes (trace points already in their rendered corner style)
+ * @param {object[]} labels - Canvas labels
+ * @param {Object<string, string>} [netNames] - User-given net names by net key
+ * @param {{copperLayers: number, thickness: number}} [layerStack] - Copper layer stack
+ * @returns {string} .kicad_pcb contents
+ */
+export const exportKicadPcb = (shapes, labels, netNames = {}, layerStack = DEFAULT_LAYER_STACK) => {
+  const nets  = extractNets(shapes, netNames);
+  const names = ["", ...nets.map(n => n.name)];
+  const netOf = new Map(nets.flatMap((net, i) => net.nodeIds.map(id => [id, i + 1])));
+  const out = [
+    `(kicad_pcb (version ${KICAD_VERSION}) (generator ecad_tool)`,
+    `  (general (thickness ${mm(layerStack.thickness)}))`,
+    "  (paper \"A4\")",
+    "  (layers",
+    ...copperLayers(layerStack).map((l, i, all) =>
+      `    (${i === all.length - 1 ? 31 : i} ${q(kicadLayer(l))} signal)`),
+    "    (37 \"F.SilkS\" user \"F.Silkscreen\")",
+    "    (38 \"B.Mask\" user)",
+    "    (39 \"F.Mask\" user)",
+    "    (40 \"Dwgs.User\" user \"User.Drawings\")",
+    "    (44 \"Edge.Cuts\" user)",
+    "    (49 \"F.Fab\" user)",
+    "  )",
+    "  (setup (pad_to_mask_clearance 0))",
+    ...names.map((name, i) => `  (net ${i} ${q(name)})`)
+  ];
+
+  standaloneNodes(shapes).forEach((n, i) => {
+    const net = netOf.get(n.id);
+    out.push(footprint(n, referenceOf(n, i), net, names[net]));
+  });
+
+  shapes.filter(s => s.type === "component").forEach(c => {
+    out.push(componentFootprint(c, padsOf(shapes, c.id), id => netOf.get(id), names));
+  });
+
+  shapes.filter(s => s.type === "node" && s.nodeType === "via").forEach(v => {
+    const stack = padStackOf(v);
+    out.push(`  (via (at ${pt(v.x, v.y)}) (size ${mm(stack.padDiameter)}) (drill ${mm(stack.drillDiameter)}) (layers "F.Cu" "B.Cu") (net ${netOf.get(v.id)}))`);
+  });
+
+  shapes.filter(s => s.type === "connection" && s.points?.length >= 4).forEach(c => {
+    const net = netOf.get(c.node1Id) ?? 0;
+    for (let i = 0; i < c.points.length - 2; i += 2) {
+      const [x1, y1, x2, y2] = c.points.slice(i, i + 4);
+      if (x1 === x2 && y1 === y2) continue;
+      out.push(`  (segment (start ${pt(x1, y1)}) (end ${pt(x2, y2)}) (width ${mm(widthToMm(widthOf(c)))}) (layer ${q(kicadLayer(c.layer))}) (net ${net}))`);
+    }
+  });
+
+  shapes.filter(s => s.type === "zone" && s.points?.length >= 6).forEach(z => {
+    const net  = netOf.get(z.nodeId) ?? 0;
+    const gap  = mm(z.clearance);
+    const pts  = [];
+    // KiCad closes the polygon itself, so the repeated start point is left out
+    for (let i = 0; i < z.points.length - 2; i += 2) pts.push(`(xy ${pt(z.points[i], z.points[i + 1])})`);
+    out.push([
+      `  (zone (net ${net}) (net_name ${q(names[net])}) (layer ${q(kicadLayer(z.copperLayer))}) (hatch edge 0.5)`,
+      `    (connect_pads (clearance ${gap})) (min_thickness 0.25)`,
+      `    (fill yes (thermal_gap ${gap}) (thermal_bridge_width ${mm(z.thermalWidth)}))`,
+      `    (polygon (pts ${pts.join(" ")}))`,
+      "  )"
+    ].join("\n"));
+  });
+
+  shapes.filter(s => s.type === "outline" && s.points?.length >= 4).forEach(o => {
+    for (let i = 0; i < o.points.length - 2; i += 2) {
+      const [x1, y1, x2, y2] = o.points.slice(i, i + 4);
+      if (x1 === x2 && y1 === y2) continue;
+      out.push(`  (gr_line (start ${pt(x1, y1)}) (end ${pt(x2, y2)}) (stroke (width 0.1) (type solid)) (layer "Edge.Cuts"))`);
+    }
+  });
+
+  // Anchored labels at their node, with the net name they show
+  labels.map(withDefaults).forEach(l => {
+    const h     = mm(pxToMm(l.fontSize));
+    const at    = labelPosition(l, shapes);
+    const angle = l.rotation ? ` ${mm(-l.rotation)}` : "";
+    const layer = l.layer === "documentation" ? "Dwgs.User" : "F.SilkS";
+    const just  = l.align === "center" ? "top" : `${l.align} top`;
+    out.push(`  (gr_text ${q(labelText(l, nets))} (at ${pt(at.x, at.y)}${angle}) (layer ${q(layer)}) (effects (font (size ${h} ${h}) (thickness 0.15)) (justify ${just})))`);
+  });
+
+  out.push(")", "");
+  return out.join("\n");
+};
+
+/**
+ * Parses an S-expression document into nested arrays of strings.
+ * @param {string} text - File contents
+ * @returns {Array} Root list, e.g. ["kicad_pcb", ["version", "20221018"], ...]
+ */
+export const parseSexpr = text => {
+  const stack = [[]];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === "(") {
+      const list = [];
+      stack[stack.length - 1].push(list);
+      stack.push(list);
+      i++;
+    } else if (ch === ")") {
+      if (stack.length === 1) throw new Error(`Unexpected ")" at offset ${i}`);
+      stack.pop();
+      i++;
+    } else if (ch === "\"") {
+      let s = "";
+      i++;
+      while (i < text.length && text[i] !== "\"") {
+        if (text[i] === "\\" && i + 1 < text.length) {
+          i++;
+          s += text[i] === "n" ? "\n" : text[i];
+        } else {
+          s += text[i];
+        }
+        i++;
+      }
+      if (i >= text.length) throw new Error("Unterminated string");
+      stack[stack.length - 1].push(s);
+      i++;
+    } else if (/\s/.test(ch)) {
+      i++;
+    } else {
+      let atom = "";
+      while (i < text.length && !/[\s()"]/.test(text[i])) atom += text[i++];
+      stack[stack.length - 1].push(atom);
+    }
+  }
+  if (stack.length !== 1) throw new Error("Unbalanced parentheses");
+  const [root] = stack[0];
+  if (!Array.isArray(root)) throw new Error("Not an S-expression document");
+  return root;
+};
+
+/**
+ * Returns the first child list with the given name.
+ * @param {Array} node - Parsed list
+ * @param {string} name - Child name
+ * @returns {Array|undefined}
+ */
+const child = (node, name) => node.find(c => Array.isArray(c) && c[0] === name);
+
+/**
+ * Returns all child lists with the given name.
+ * @param {Array} node - Parsed list
+ * @param {string} name - Child name
+ * @returns {Array[]}
+ */
+const children = (node, name) => node.filter(c => Array.isArray(c) && c[0] === name);
+
+/**
+ * Reads "(name x y [angle])" as numbers.
+ * @param {Array} node - Parent list
+ * @param {string} name - Child name, e.g. "at" or "start"
+ * @returns {number[]|null}
+ */
+const coords = (node, name) => {
+  const c = child(node, name);
+  return c ? c.slice(1).map(Number) : null;
+};
+
+/**
+ * Layer of a board item, from "(layer X)" or the first entry of "(layers ...)".
+ * @param {Array} node - Parsed item
+ * @returns {string}
+ */
+const layerOf = node => (child(node, "layer") || child(node, "layers") || [])[1];
+
+/**
+ * Reference designator of a footprint, from a KiCad 7 property or an older fp_text.
+ * @param {Array} fp - Parsed footprint
+ * @returns {string|undefined}
+ */
+const referenceText = fp =>
+  (children(fp, "property").find(p => p[1] === "Reference") ||
+    children(fp, "fp_text").find(t => t[1] === "reference"))?.[2];
+
+/**
+ * Chains line segments that share end points into polylines.
+ * Chains pass through points where exactly two segments meet and stop at branches, dead ends and stop points.
+ * @param {{a: number[], b: number[], width?: number}[]} segments - Segments in mm
+ * @param {function(number[]): string|null} [stopAt] - Returns a key for points where chains must end (pads)
+ * @returns {{points: number[][], closed: boolean, width?: number, start: string|null, end: string|null}[]}
+ */
+const chainSegments = (segments, stopAt = () => null) => {
+  const gridKey = p => `${Math.round(p[0] / JOIN_TOLERANCE_MM)},${Math.round(p[1] / JOIN_TOLERANCE_MM)}`;
+  const keyOf   = p => stopAt(p) ?? gridKey(p);
+  const segs    = segments.filter(s => s.a && s.b && keyOf(s.a) !== keyOf(s.b));
+
+  // Point key -> indices of segments ending there
+  const ends = new Map();
+  segs.forEach((s, i) => [s.a, s.b].forEach(p => {
+    const k = keyOf(p);
+    if (!ends.has(k)) ends.set(k, []);
+    ends.get(k).push(i);
+  }));
+  const passThrough = p => !stopAt(p) && ends.get(keyOf(p)).length === 2;
+  const used = new Set();
+
+  const walk = (idx, from) => {
+    const points   = [from];
+    const startKey = keyOf(from);
+    let cur = from;
+    for (;;) {
+      used.add(idx);
+      const s    = segs[idx];
+      const next = keyOf(s.a) === keyOf(cur) ? s.b : s.a;
+      points.push(next);
+      const closed = keyOf(next) === startKey;
+      const onward = ends.get(keyOf(next)).filter(j => !used.has(j));
+      if (closed || !passThrough(next) || onward.length !== 1) {
+        return { points, closed, width: segs[idx].width, start: stopAt(from), end: stopAt(next) };
+      }
+      idx = onward[0];
+      cur = next;
+    }
+  };
+
+  const chains = [];
+  // Open chains are walked from their ends; whatever is left afterwards forms closed loops
+  segs.forEach((s, i) => [s.a, s.b].forEach(p => {
+    if (!used.has(i) && !passThrough(p)) chains.push(walk(i, p));
+  }));
+  segs.forEach((s, i) => {
+    if (!used.has(i)) chains.push(walk(i, s.a));
+  });
+  return chains;
+};
+
+/**
+ * Makes the pad names of a footprint unique, as components look their pads up by name: repeats of a name, e.g. the
+ * several "EP" pads of one exposed pad, get "_2", "_3", ... appended.
+ * @param {string[]} names - Pad names in footprint order
+ * @returns {string[]}
+ */
+const uniquePadNames = names => {
+  const used = new Set();
+  return names.map(name => {
+    let unique = name;
+    for (let k = 2; used.has(unique); k++) unique = `${name}_${k}`;
+    used.add(unique);
+    return unique;
+  });
+};
+
+/**
+ * Reads a KiCad board into the shapes/labels model.
+ * Footprint pads and vias become nodes; pads without a number and non-plated holes (mounting holes) stay stand-alone
+ * nodes rather than component pads. Copper tracks that run from one pad or via to another become
+ * connections on their layer, Edge.Cuts lines become outlines, copper zones become zones on the net of one of its
+ * pads and gr_text becomes labels.
+ * @param {string} text - .kicad_pcb contents
+ * @param {object} [options]
+ * @param {number} [options.firstId] - First id handed out to imported items
+ * @returns {{shapes: object[], labels: object[], layerStack: object, skipped: number}} Imported design, the
+ *   layer stack it needs and the number of tracks that could not be attached to two pads
+ */
+export const importKicadPcb = (text, { firstId = Date.now() } = {}) => {
+  const root = parseSexpr(text);
+  if (root[0] !== "kicad_pcb") throw new Error("Not a KiCad board file (missing kicad_pcb)");
+  let nextId = firstId;
+  const shapes = [];
+  const labels = [];
+
+  // Nets named like ground nets decide the node type
+  const netNames = new Map(children(root, "net").map(n => [n[1], n[2] || ""]));
+  const netNodes = new Map(); // First node on each net number, which zones take their net from
+
+  // Footprint pads -> nodes, positions in mm. Footprints with several numbered pads become components.
+  const pads = [];
+  children(root, "footprint").concat(children(root, "module")).forEach(fp => {
+    const [fx = 0, fy = 0, rot = 0] = coords(fp, "at") || [];
+    const a = (rot * Math.PI) / 180;
+    // Footprints flipped to the bottom keep their pad offsets mirrored, like mirrored components
+    const bottom = layerOf(fp) === "B.Cu";
+    const fpPads = children(fp, "pad");
+    const pins = fpPads.filter(p => String(p[1]).trim() !== "" && p[2] !== "np_thru_hole");
+    const pinNames = uniquePadNames(pins.map(p => String(p[1])));
+    const component = pins.length > 1 ? {
+      id: nextId++,
+      type: "component",
+      footprint: String(fp[1]).replace(/^[^:]*:/, ""),
+      refdes: referenceText(fp) || "U?",
+      x: mmToPx(fx),
+      y: mmToPx(fy),
+      rotation: turnAround(rot),
+      mirrored: bottom,
+      pads: pins.map((p, i) => {
+        const [px = 0, py = 0] = coords(p, "at") || [];
+        return { name: pinNames[i], x: bottom ? -px : px, y: py };
+      }),
+      layer: "component"
+    } : null;
+    if (component) shapes.push(component);
+    fpPads.forEach(p => {
+      const [px = 0, py = 0, padAngle = 0] = coords(p, "at") || [];
+      const x = fx + px * Math.cos(a) + py * Math.sin(a);
+      const y = fy - px * Math.sin(a) + py * Math.cos(a);
+      const [w = 1.5, h = w] = coords(p, "size") || [];
+      const drill   = child(p, "drill");
+      const netRef  = child(p, "net");
+      const netName = netRef ? (netRef[2] ?? netNames.get(netRef[1]) ?? "") : "";
+      const ground  = /gnd|ground|vss/i.test(netName);
+      const padDiameter = Math.max(w, h);
+      const rect = p[3] === "rect" || p[3] === "roundrect";
+      const padStack = {
+        ...(rect && w !== h
+          ? { shape: "rect", padDiameter: w, padHeight: h }
+          : { shape: rect ? "square" : "circle", padDiameter }),
+        drillDiameter: drill ? Number(drill.find((v, i) => i > 0 && !isNaN(Number(v)))) || 0 : 0,
+        plated: p[2] !== "np_thru_hole"
+      };
+      const pin = component ? pins.indexOf(p) : -1;
+      const node = {
+        id: nextId++,
+        type: "node",
+        nodeType: pin >= 0 ? "pad" : ground ? "ground" : "power",
+        ...(pin >= 0 && { componentId: component.id, padName: pinNames[pin] }),
+        x: mmToPx(x),
+        y: mmToPx(y),
+        radius: nodeRadius(padStack),
+        padStack,
+        padRotation: turnAround(padAngle),
+        side: bottom ? "bottom" : "top",
+        color: pin >= 0 ? PAD_COLOR : ground ? "black" : "red",
+        layer: "footprint"
+      };
+      shapes.push(node);
+      pads.push({ node, x, y, r: padDiameter / 2 });
+      if (netRef && !netNodes.has(netRef[1])) netNodes.set(netRef[1], node.id);
+    });
+  });
+
+  // Vias -> via nodes, joined to tracks like pads
+  children(root, "via").forEach(v => {
+    const [x = 0, y = 0] = coords(v, "at") || [];
+    const [padDiameter = 0.8] = coords(v, "size") || [];
+    const [drillDiameter = 0.4] = coords(v, "drill") || [];
+    const node = {
+      id: nextId++,
+      type: "node",
+      nodeType: "via",
+      x: mmToPx(x),
+      y: mmToPx(y),
+      radius: mmToPx(padDiameter / 2),
+      padStack: { shape: "circle", padDiameter, drillDiameter, plated: true },
+      color: VIA_COLOR,
+      layer: "footprint"
+    };
+    shapes.push(node);
+    pads.push({ node, x, y, r: padDiameter / 2 });
+    const netRef = child(v, "net");
+    if (netRef && !netNodes.has(netRef[1])) netNodes.set(netRef[1], node.id);
+  });
+
+  // Copper tracks -> connections between pads, chained per layer
+  const padAt = p => {
+    const hit = pads.find(pd => Math.hypot(pd.x - p[0], pd.y - p[1]) <= pd.r + JOIN_TOLERANCE_MM);
+    return hit ? `pad:${hit.node.id}` : null;
+  };
+  const tracks = children(root, "segment")
+    .filter(s => /\.Cu$/.test(layerOf(s) || ""))
+    .map(s => ({
+      a: coords(s, "start"), b: coords(s, "end"), width: (coords(s, "width") || [0.25])[0],
+      layer: layerFromKicad(layerOf(s))
+    }));
+  const trackLayers = [...new Set(tracks.map(t => t.layer))];
+  let skipped = 0;
+  trackLayers.flatMap(layer =>
+    chainSegments(tracks.filter(t => t.layer === layer), padAt).map(chain => ({ ...chain, layer }))
+  ).forEach(chain => {
+    if (!chain.start || !chain.end || chain.start === chain.end) {
+      skipped++;
+      return;
+    }
+    const n1 = pads.find(pd => `pad:${pd.node.id}` === chain.start).node;
+    const n2 = pads.find(pd => `pad:${pd.node.id}` === chain.end).node;
+    const inner = chain.points.slice(1, -1).flatMap(([x, y]) => [mmToPx(x), mmToPx(y)]);
+    shapes.push({
+      id: nextId++,
+      type: "connection",
+      points: [n1.x, n1.y, ...inner, n2.x, n2.y],
+      node1Id: n1.id,
+      node2Id: n2.id,
+      material: "copper",
+      width: chain.width / 1000,
+      color: "orange",
+      layer: chain.layer
+    });
+  });
+
+  // Edge.Cuts lines and rectangles -> closed outlines
+  const edges = children(root, "gr_line")
+    .filter(l => layerOf(l) === "Edge.Cuts")
+    .map(l => ({ a: coords(l, "start"), b: coords(l, "end") }));
+  children(root, "gr_rect").filter(r => layerOf(r) === "Edge.Cuts").forEach(r => {
+    const [x1, y1] = coords(r, "start");
+    const [x2, y2] = coords(r, "end");
+    edges.push({ a: [x1, y1], b: [x2, y1] }, { a: [x2, y1], b: [x2, y2] }, { a: [x2, y2], b: [x1, y2] }, { a: [x1, y2], b: [x1, y1] });
+  });
+  chainSegments(edges).filter(c => c.closed && c.points.length >= 4).forEach(chain => {
+    shapes.push({
+      id: nextId++,
+      type: "outline",
+      points: chain.points.flatMap(([x, y]) => [mmToPx(x), mmToPx(y)]),
+      width: 0.001,
+      color: "limegreen",
+      layer: "outline"
+    });
+  });
+
+  // Copper zones -> zones, the outline of the first polygon
+  children(root, "zone").filter(z => /\.Cu$/.test(layerOf(z) || "")).forEach(z => {
+    const pts = child(child(z, "polygon") || [], "pts");
+    if (!pts || children(pts, "xy").length < 3) return;
+    const [clearance = 0.5] = coords(child(z, "connect_pads") || [], "clearance") || [];
+    const [thermalWidth = 0.5] = coords(child(z, "fill") || [], "thermal_bridge_width") || [];
+    const points = children(pts, "xy").flatMap(p => [mmToPx(Number(p[1])), mmToPx(Number(p[2]))]);
+    shapes.push({
+      id: nextId++,
+      type: "zone",
+      points: [...points, points[0], points[1]],
+      nodeId: netNodes.get(child(z, "net")?.[1]) ?? null,
+      copperLayer: layerFromKicad(layerOf(z)),
+      clearance,
+      thermalWidth,
+      color: ZONE_COLOR,
+      layer: "zone"
+    });
+  });
+
+  // Board text -> labels; text on layers other than the silkscreen becomes documentation
+  children(root, "gr_text").forEach(t => {
+    const [x = 0, y = 0, angle = 0] = coords(t, "at") || [];
+    const effects = child(t, "effects");
+    const font    = effects && child(effects, "font");
+    const size    = font && coords(font, "size");
+    const justify = (effects && child(effects, "justify")) || [];
+    labels.push({
+      id: nextId++,
+      x: mmToPx(x),
+      y: mmToPx(y),
+      text: t[1],
+      fontSize: Math.max(6, Math.round(mmToPx(size ? size[1] : 1))),
+      rotation: angle ? -angle : 0,
+      align: justify.includes("left") ? "left" : justify.includes("right") ? "right" : "center",
+      layer: /SilkS$/.test(layerOf(t) || "") ? "silkscreen" : "documentation"
+    });
+  });
+
+  // Enough copper layers for every track, and the board thickness when the file gives one
+  const inner = Math.max(0, ...trackLayers.map(l => Number(/^in(\d+)_lig$/.exec(l)?.[1] || 0)));
+  const [thickness] = coords(child(root, "general") || [], "thickness") || [];
+  const layerStack = {
+    copperLayers: LAYER_COUNTS.find(n => n >= inner + 2) || LAYER_COUNTS[LAYER_COUNTS.length - 1],
+    thickness: thickness > 0 ? thickness : DEFAULT_LAYER_STACK.thickness
+  };
+
+  return { shapes, labels, layerStack, skipped };
+};
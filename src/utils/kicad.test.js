@@ -0,0 +1,159 @@
+import { exportKicadPcb, importKicadPcb, parseSexpr } from "./kicad";
+import { findFootprint, placeFootprint, padPositions } from "./footprints";
+
+const power  = { id: 1, type: "node", nodeType: "power",  x: 30, y: 30, radius: 4.5, color: "red",   layer: "footprint",
+  padStack: { shape: "circle", padDiameter: 3, drillDiameter: 1, plated: true } };
+const ground = { id: 2, type: "node", nodeType: "ground", x: 90, y: 60, radius: 4.5, color: "black", layer: "footprint",
+  padStack: { shape: "square", padDiameter: 3, drillDiameter: 0, plated: true } };
+const trace  = { id: 3, type: "connection", points: [30, 30, 90, 30, 90, 60], node1Id: 1, node2Id: 2,
+  material: "copper", width: 0.0005, color: "orange", layer: "f_lig" };
+const outline = { id: 4, type: "outline", points: [0, 0, 150, 0, 150, 120, 0, 120, 0, 0], width: 0.001, color: "limegreen", layer: "outline" };
+const label  = { id: 5, x: 15, y: 90, text: "VIN \"5V\"", fontSize: 15 };
+
+test("parseSexpr reads nested lists and quoted strings", () => {
+  expect(parseSexpr('(a (b 1 "two \\"2\\"") c)')).toEqual(["a", ["b", "1", 'two "2"'], "c"]);
+  expect(() => parseSexpr("(a (b)")).toThrow(/Unbalanced/);
+});
+
+test("export writes segments, footprints, edge cuts and text in millimetres", () => {
+  const pcb = exportKicadPcb([power, ground, trace, outline], [label]);
+  expect(pcb).toContain('(segment (start 10 10) (end 30 10) (width 0.5) (layer "F.Cu") (net 1))');
+  expect(pcb).toContain('(pad "1" thru_hole circle (at 0 0) (size 3 3) (drill 1)');
+  expect(pcb).toContain('(pad "1" smd rect');
+  expect(pcb).toContain('(gr_line (start 0 0) (end 50 0)');
+  expect(pcb).toContain('(gr_text "VIN \\"5V\\"" (at 5 30)');
+});
+
+test("import restores the shapes and labels of an exported board", () => {
+  const pcb = exportKicadPcb([power, ground, trace, outline], [label]);
+  const { shapes, labels, skipped } = importKicadPcb(pcb, { firstId: 100 });
+  expect(skipped).toBe(0);
+
+  const nodes = shapes.filter(s => s.type === "node");
+  expect(nodes.map(n => [n.x, n.y, n.padStack.shape])).toEqual([[30, 30, "circle"], [90, 60, "square"]]);
+
+  const [conn] = shapes.filter(s => s.type === "connection");
+  expect(conn.points.map(v => Math.round(v))).toEqual([30, 30, 90, 30, 90, 60]);
+  expect(conn.width).toBeCloseTo(0.0005);
+  expect([conn.node1Id, conn.node2Id].sort()).toEqual(nodes.map(n => n.id).sort());
+
+  const [edge] = shapes.filter(s => s.type === "outline");
+  expect(edge.points.length).toBe(10);
+
+  expect(labels[0].text).toBe('VIN "5V"');
+});
+
+test("tracks keep their copper layer and vias round-trip", () => {
+  const via    = { id: 6, type: "node", nodeType: "via", x: 90, y: 30, radius: 1.2, color: "goldenrod", layer: "footprint",
+    padStack: { shape: "circle", padDiameter: 0.8, drillDiameter: 0.4, plated: true } };
+  const top    = { ...trace, points: [30, 30, 90, 30], node2Id: 6 };
+  const bottom = { ...trace, id: 7, points: [90, 30, 90, 60], node1Id: 6, layer: "in2_lig" };
+  const pcb = exportKicadPcb([power, ground, via, top, bottom], [], {}, { copperLayers: 4, thickness: 1.2 });
+  expect(pcb).toContain('(2 "In2.Cu" signal)');
+  expect(pcb).toContain('(via (at 30 10) (size 0.8) (drill 0.4) (layers "F.Cu" "B.Cu") (net 1))');
+  expect(pcb).toContain('(layer "In2.Cu")');
+
+  const { shapes, layerStack, skipped } = importKicadPcb(pcb, { firstId: 100 });
+  expect(skipped).toBe(0);
+  expect(layerStack).toEqual({ copperLayers: 4, thickness: 1.2 });
+  expect(shapes.filter(s => s.nodeType === "via")).toHaveLength(1);
+  expect(shapes.filter(s => s.type === "connection").map(c => c.layer).sort()).toEqual(["f_lig", "in2_lig"]);
+});
+
+test("components export as one footprint and import with their pads", () => {
+  const { component, pads } = placeFootprint(findFootprint("SOIC-8"), { x: 60, y: 60, refdes: "U1", rotation: 90, firstId: 10 });
+  const toPin = { ...trace, points: [30, 30, pads[0].x, pads[0].y], node2Id: pads[0].id };
+  const pcb = exportKicadPcb([power, component, ...pads, toPin], []);
+  expect(pcb).toContain('(footprint "ECAD:SOIC-8" (layer "F.Cu") (at 20 20 270)');
+  expect(pcb).toContain('(property "Reference" "U1"');
+
+  const { shapes, skipped } = importKicadPcb(pcb, { firstId: 100 });
+  expect(skipped).toBe(0);
+  const [imported] = shapes.filter(s => s.type === "component");
+  expect(imported).toMatchObject({ footprint: "SOIC-8", refdes: "U1", rotation: 90, x: 60, y: 60 });
+  // Pads carry the board angle of the footprint, like KiCad writes them
+  expect(pcb).toContain('smd rect (at -2.7 -1.905 270) (size 1.55 0.6) (layers "F.Cu" "F.Paste" "F.Mask")');
+  const importedPads = shapes.filter(s => s.componentId === imported.id);
+  expect(importedPads.map(p => p.padName)).toEqual(pads.map(p => p.padName));
+  expect(importedPads[0].padStack).toEqual(pads[0].padStack);
+  expect(importedPads[0]).toMatchObject({ padRotation: 90, side: "top" });
+  importedPads.forEach((p, i) => {
+    expect(p.x).toBeCloseTo(pads[i].x);
+    expect(p.y).toBeCloseTo(pads[i].y);
+  });
+  const [conn] = shapes.filter(s => s.type === "connection");
+  expect(conn.node2Id).toBe(importedPads[0].id);
+});
+
+test("mirrored components go on the bottom and come back mirrored", () => {
+  const { component, pads } = placeFootprint(findFootprint("SOIC-8"), { x: 60, y: 60, refdes: "U1", mirrored: true, firstId: 10 });
+  const pcb = exportKicadPcb([component, ...pads], []);
+  expect(pcb).toContain('(footprint "ECAD:SOIC-8" (layer "B.Cu") (at 20 20)');
+  expect(pcb).toContain('smd rect (at 2.7 -1.905) (size 1.55 0.6) (layers "B.Cu" "B.Paste" "B.Mask")');
+
+  const { shapes } = importKicadPcb(pcb, { firstId: 100 });
+  const [imported] = shapes.filter(s => s.type === "component");
+  expect(imported).toMatchObject({ mirrored: true, pads: component.pads });
+  const importedPads = shapes.filter(s => s.componentId === imported.id);
+  expect(importedPads.every(p => p.side === "bottom")).toBe(true);
+  importedPads.forEach((p, i) => {
+    expect(p.x).toBeCloseTo(pads[i].x);
+    expect(p.y).toBeCloseTo(pads[i].y);
+  });
+});
+
+test("mounting holes stay stand-alone nodes and repeated pad numbers get unique names", () => {
+  const pcb = `(kicad_pcb (footprint "Package_TO_SOT_SMD:SOT-223" (at 10 10)
+    (property "Reference" "U2")
+    (pad "1" smd rect (at -2.3 3.15) (size 1 1.5) (layers "F.Cu"))
+    (pad "2" smd rect (at 0 3.15) (size 1 1.5) (layers "F.Cu"))
+    (pad "2" smd rect (at 0 -3.15) (size 3.3 1.5) (layers "F.Cu"))
+    (pad "" np_thru_hole circle (at 5 0) (size 3 3) (drill 3) (layers "*.Cu"))))`;
+  const { shapes } = importKicadPcb(pcb, { firstId: 100 });
+  const [component] = shapes.filter(s => s.type === "component");
+  expect(component.pads.map(p => p.name)).toEqual(["1", "2", "2_2"]);
+  const pins = shapes.filter(s => s.componentId === component.id);
+  expect(pins.map(p => p.padName)).toEqual(["1", "2", "2_2"]);
+  const positions = padPositions(component);
+  pins.forEach(p => {
+    expect(positions.get(p.padName).x).toBeCloseTo(p.x);
+    expect(positions.get(p.padName).y).toBeCloseTo(p.y);
+  });
+
+  const [hole] = shapes.filter(s => s.type === "node" && s.componentId === undefined);
+  expect(hole).toMatchObject({ nodeType: "power", x: 45, y: 30 });
+  expect(hole.padStack).toMatchObject({ drillDiameter: 3, plated: false });
+  expect(hole).not.toHaveProperty("padName");
+});
+
+test("zones round-trip with their net, layer and clearances", () => {
+  const zone = { id: 6, type: "zone", points: [0, 0, 150, 0, 150, 120, 0, 0], nodeId: 2, copperLayer: "b_lig",
+    clearance: 0.3, thermalWidth: 0.4, color: "darkorange", layer: "zone" };
+  const pcb = exportKicadPcb([power, ground, trace, zone], []);
+  expect(pcb).toContain('(zone (net 1) (net_name "PWR_1") (layer "B.Cu")');
+  expect(pcb).toContain("(polygon (pts (xy 0 0) (xy 50 0) (xy 50 40)))");
+
+  const { shapes } = importKicadPcb(pcb, { firstId: 100 });
+  const [imported] = shapes.filter(s => s.type === "zone");
+  expect(imported).toMatchObject({ points: zone.points, copperLayer: "b_lig", clearance: 0.3, thermalWidth: 0.4 });
+  expect(shapes.find(s => s.id === imported.nodeId).nodeType).toBe("power");
+});
+
+test("tracks that do not end on two pads are skipped", () => {
+  const pcb = '(kicad_pcb (segment (start 0 0) (end 5 0) (width 0.2) (layer "F.Cu") (net 0)))';
+  expect(importKicadPcb(pcb).skipped).toBe(1);
+  expect(() => importKicadPcb("(something_else)")).toThrow(/Not a KiCad board/);
+});
+
+test("label layer, rotation and alignment round-trip; anchored labels export at their node with the net name", () => {
+  const note = { id: 8, x: 60, y: 90, text: "rev B", fontSize: 15, rotation: 90, align: "right", layer: "documentation" };
+  const tag  = { id: 9, x: 0, y: -15, text: "tag", fontSize: 15, align: "center", nodeId: 1, showNet: true };
+  const pcb = exportKicadPcb([power, ground, trace], [note, tag], { "net-1": "VIN" });
+  expect(pcb).toContain('(gr_text "rev B" (at 20 30 -90) (layer "Dwgs.User")');
+  expect(pcb).toContain("(justify right top)");
+  expect(pcb).toContain('(gr_text "VIN" (at 10 5) (layer "F.SilkS")');
+
+  const { labels } = importKicadPcb(pcb, { firstId: 100 });
+  expect(labels[0]).toMatchObject({ x: 60, y: 90, rotation: 90, align: "right", layer: "documentation" });
+  expect(labels[1]).toMatchObject({ x: 30, y: 15, text: "VIN", rotation: 0, align: "center", layer: "silkscreen" });
+});
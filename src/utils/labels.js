@@ -0,0 +1,141 @@
+/**
+ * Canvas text labels.
+ *
+ * A label is { id, x, y, text, fontSize, rotation, fontFamily, align, layer, nodeId, showNet }. Only id, x, y, text and
+ * fontSize are required; the rest default to LABEL_DEFAULTS, which is how labels looked before they existed.
+ * - (x, y) is the anchor of the text: its top left, top centre or top right corner by align. The text turns about
+ *   it by rotation degrees clockwise.
+ * - layer is "silkscreen", printed on the board, or "documentation", notes that belong to the drawing only.
+ * - A label with a nodeId is anchored to that node and (x, y) is relative to the node, so the label follows it.
+ *   With showNet it reads the name of the node's net instead of its text. Deleting the node detaches the label
+ *   where it stands (see detachLabels); a label whose node is missing anyway is drawn at (x, y).
+ */
+import { netOfNode } from "./netlist";
+
+export const LABEL_LAYERS = [
+  { id: "silkscreen",    label: "Silkscreen" },
+  { id: "documentation", label: "Documentation" }
+];
+
+export const LABEL_FONTS = [
+  { id: "sans-serif", label: "Sans-serif" },
+  { id: "serif",      label: "Serif" },
+  { id: "monospace",  label: "Monospace" }
+];
+
+export const LABEL_ALIGNS = ["left", "center", "right"];
+
+export const LABEL_DEFAULTS = {
+  rotation:   0,
+  fontFamily: "sans-serif",
+  align:      "left",
+  layer:      "silkscreen",
+  nodeId:     null,
+  showNet:    false
+};
+
+// Documentation labels are drawn in this color on the canvas, silkscreen labels in black
+export const DOCUMENTATION_COLOR = "#2f6fbf";
+
+// Share of the text width left of the anchor, by alignment
+const ALIGN_SHARE = { left: 0, center: 0.5, right: 1 };
+
+/**
+ * A label with every optional field filled in.
+ * @param {object} label
+ * @returns {object}
+ */
+export const withDefaults = label => ({ ...LABEL_DEFAULTS, ...label });
+
+/**
+ * Node a label is anchored to.
+ * @param {object} label
+ * @param {object[]} shapes - All shapes
+ * @returns {object|undefined}
+ */
+const anchorNode = (label, shapes) =>
+  label.nodeId == null ? undefined : shapes.find(s => s.type === "node" && s.id === label.nodeId);
+
+/**
+ * Where a label's anchor is on the canvas.
+ * @param {object} label
+ * @param {object[]} shapes - All shapes
+ * @returns {{x: number, y: number}} Position in pixels
+ */
+export const labelPosition = (label, shapes) => {
+  const node = anchorNode(label, shapes);
+  return node ? { x: node.x + label.x, y: node.y + label.y } : { x: label.x, y: label.y };
+};
+
+/**
+ * Text a label shows: the net name of its node with showNet, its own text otherwise.
+ * @param {object} label
+ * @param {object[]} nets - Result of extractNets
+ * @returns {string}
+ */
+export const labelText = (label, nets) =>
+  (label.showNet && label.nodeId != null && netOfNode(nets, label.nodeId)?.name) || label.text;
+
+/**
+ * Anchors a label to a node, or detaches it with a null node id, without moving it on the canvas.
+ * @param {object} label
+ * @param {object[]} shapes - All shapes, including the label's current node
+ * @param {number|null} nodeId - Node to anchor to
+ * @returns {object} Updated label; showNet is cleared when detached
+ */
+export const anchorLabel = (label, shapes, nodeId) => {
+  const at   = labelPosition(label, shapes);
+  const node = anchorNode({ nodeId }, shapes);
+  return node
+    ? { ...label, nodeId, x: at.x - node.x, y: at.y - node.y }
+    : { ...label, nodeId: null, showNet: false, x: at.x, y: at.y };
+};
+
+/**
+ * Detaches the labels anchored to nodes about to be deleted, keeping them where they are.
+ * @param {object[]} labels - All labels
+ * @param {object[]} shapes - All shapes, still including the nodes
+ * @param {number[]} nodeIds - Nodes being deleted
+ * @returns {object[]} The detached labels
+ */
+export const detachLabels = (labels, shapes, nodeIds) =>
+  labels.filter(l => l.nodeId != null && nodeIds.includes(l.nodeId)).map(l => anchorLabel(l, shapes, null));
+
+/**
+ * Horizontal offset of the text from the anchor for its alignment.
+ * @param {object} label
+ * @param {number} width - Width of the shown text in pixels, see measureText
+ * @returns {number} Pixels of text left of the anchor
+ */
+export const alignOffset = (label, width) => width * ALIGN_SHARE[withDefaults(label).align];
+
+let measureContext = null; // Canvas context used to measure text
+
+/**
+ * Width of a text as the canvas draws it.
+ * @param {string} text
+ * @param {number} fontSize - Pixels
+ * @param {string} fontFamily
+ * @returns {number} Width in pixels
+ */
+export const measureText = (text, fontSize, fontFamily) => {
+  measureContext = measureContext || document.createElement("canvas").getContext("2d");
+  measureContext.font = `${fontSize}px ${fontFamily}`;
+  return measureContext.measureText(text).width;
+};
+
+/**
+ * Validates the style and anchor of a label.
+ * @param {object} label
+ * @returns {string|null} Error message, null when valid
+ */
+export const validateLabel = label => {
+  const l = withDefaults(label);
+  if (typeof l.text !== "string" || !l.text.trim()) return "Enter a text.";
+  if (!(l.fontSize > 0)) return "Font size must be greater than zero.";
+  if (!Number.isFinite(l.rotation)) return "Rotation must be a number.";
+  if (!LABEL_FONTS.some(f => f.id === l.fontFamily)) return "Unknown font.";
+  if (!LABEL_ALIGNS.includes(l.align)) return "Alignment must be left, center or right.";
+  if (!LABEL_LAYERS.some(layer => layer.id === l.layer)) return "Layer must be silkscreen or documentation.";
+  return null;
+};
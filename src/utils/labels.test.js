@@ -0,0 +1,58 @@
+import {
+  withDefaults,
+  labelPosition,
+  labelText,
+  anchorLabel,
+  detachLabels,
+  alignOffset,
+  validateLabel,
+  LABEL_DEFAULTS
+} from "./labels";
+import { extractNets } from "./netlist";
+
+const power  = { id: 1, type: "node", nodeType: "power", x: 30, y: 60 };
+const ground = { id: 2, type: "node", nodeType: "ground", x: 90, y: 60 };
+const shapes = [power, ground];
+const label  = { id: 5, x: 40, y: 50, text: "note", fontSize: 14 };
+
+test("older labels take the default style", () => {
+  expect(withDefaults(label)).toEqual({ ...LABEL_DEFAULTS, ...label });
+  expect(LABEL_DEFAULTS).toMatchObject({ rotation: 0, align: "left", layer: "silkscreen", nodeId: null });
+  expect(validateLabel(label)).toBeNull();
+});
+
+test("anchored labels sit relative to their node and can show its net name", () => {
+  const anchored = anchorLabel(label, shapes, 1);
+  expect(anchored).toMatchObject({ nodeId: 1, x: 10, y: -10 });
+  expect(labelPosition(anchored, shapes)).toEqual({ x: 40, y: 50 });
+  // The node moves, the label follows
+  expect(labelPosition(anchored, [{ ...power, x: 0, y: 0 }, ground])).toEqual({ x: 10, y: -10 });
+
+  const nets = extractNets(shapes, { "net-2": "0V" });
+  expect(labelText(anchored, nets)).toBe("note");
+  expect(labelText({ ...anchored, showNet: true }, nets)).toBe("PWR_1");
+  expect(labelText({ ...anchorLabel(label, shapes, 2), showNet: true }, nets)).toBe("0V");
+
+  // Anchoring to another node or to none keeps the label where it is
+  expect(labelPosition(anchorLabel(anchored, shapes, 2), shapes)).toEqual({ x: 40, y: 50 });
+  expect(anchorLabel({ ...anchored, showNet: true }, shapes, null)).toEqual({ ...label, nodeId: null, showNet: false });
+});
+
+test("deleting a node detaches its labels in place", () => {
+  const onPower  = anchorLabel(label, shapes, 1);
+  const onGround = { ...anchorLabel(label, shapes, 2), id: 6 };
+  expect(detachLabels([onPower, onGround, label], shapes, [1])).toEqual([{ ...label, nodeId: null, showNet: false }]);
+  // A label whose node is gone anyway stays drawn at its own coordinates
+  expect(labelPosition(onPower, [ground])).toEqual({ x: 10, y: -10 });
+});
+
+test("alignment and validation", () => {
+  expect(alignOffset(label, 80)).toBe(0);
+  expect(alignOffset({ ...label, align: "center" }, 80)).toBe(40);
+  expect(alignOffset({ ...label, align: "right" }, 80)).toBe(80);
+  expect(validateLabel({ ...label, text: " " })).toMatch(/text/);
+  expect(validateLabel({ ...label, align: "justify" })).toMatch(/Alignment/);
+  expect(validateLabel({ ...label, layer: "copper" })).toMatch(/Layer/);
+  expect(validateLabel({ ...label, fontFamily: "Comic" })).toMatch(/font/);
+  expect(validateLabel({ ...label, rotation: NaN })).toMatch(/Rotation/);
+});
@@ -0,0 +1,74 @@
+/**
+ * Copper layer stack and vias.
+ *
+ * A project stores its stack as `layerStack: { copperLayers, thickness }` with the board thickness in mm.
+ * Copper layers are named from the top: "f_lig", then the inner layers "in1_lig", "in2_lig", ..., then "b_lig".
+ * A via is a footprint node with nodeType "via"; its plated hole joins every copper layer.
+ */
+
+// Copper layer counts a board can be made with
+export const LAYER_COUNTS = [2, 4, 6, 8];
+
+export const DEFAULT_LAYER_STACK = { copperLayers: 2, thickness: 1.6 };
+
+// Pad stack given to newly dropped vias (mm)
+export const DEFAULT_VIA = { shape: "circle", padDiameter: 0.8, drillDiameter: 0.4, plated: true };
+
+// Copper plated onto the wall of a via hole, in mm (IPC-6012 class 2 minimum average)
+export const VIA_PLATING_MM = 0.025;
+
+export const VIA_COLOR = "goldenrod";
+
+/**
+ * Copper layer ids of a stack, top first.
+ * @param {{copperLayers: number}} [stack]
+ * @returns {string[]} e.g. ["f_lig", "in1_lig", "in2_lig", "b_lig"]
+ */
+export const copperLayers = (stack = DEFAULT_LAYER_STACK) => [
+  "f_lig",
+  ...Array.from({ length: Math.max(0, stack.copperLayers - 2) }, (_, i) => `in${i + 1}_lig`),
+  "b_lig"
+];
+
+/**
+ * Whether a layer id names a copper layer.
+ * @param {string} layer
+ * @returns {boolean}
+ */
+export const isCopperLayer = layer => /^(f|b|in[1-9]\d*)_lig$/.test(layer || "");
+
+/**
+ * Display name of a copper layer.
+ * @param {string} layer - Layer id
+ * @returns {string} e.g. "F.LIG", "In1.LIG", "B.LIG"
+ */
+export const layerLabel = layer => {
+  const inner = /^in(\d+)_lig$/.exec(layer);
+  if (inner) return `In${inner[1]}.LIG`;
+  return layer === "b_lig" ? "B.LIG" : "F.LIG";
+};
+
+/**
+ * Resistance of a via barrel from the top to the bottom copper, treating the plating as a copper tube.
+ * @param {object} padStack - Via pad stack (mm)
+ * @param {number} resistivity - Resistivity of the plating in Ω·m
+ * @param {number} thicknessMm - Board thickness in mm
+ * @returns {number} Resistance in ohms
+ */
+export const viaResistance = (padStack, resistivity, thicknessMm) => {
+  const outer = padStack.drillDiameter / 2 / 1000;
+  const inner = Math.max(0, outer - VIA_PLATING_MM / 1000);
+  return (resistivity * thicknessMm / 1000) / (Math.PI * (outer * outer - inner * inner));
+};
+
+/**
+ * Checks a layer stack.
+ * @param {object} stack
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateLayerStack = stack => {
+  if (!stack || typeof stack !== "object") return "Layer stack must be an object";
+  if (!LAYER_COUNTS.includes(stack.copperLayers)) return `Copper layers must be one of: ${LAYER_COUNTS.join(", ")}`;
+  if (!(stack.thickness > 0)) return "Board thickness must be greater than 0";
+  return null;
+};
@@ -0,0 +1,25 @@
+import { copperLayers, isCopperLayer, layerLabel, viaResistance, validateLayerStack, DEFAULT_VIA } from "./layers";
+
+test("stacks list their copper layers from the top", () => {
+  expect(copperLayers()).toEqual(["f_lig", "b_lig"]);
+  expect(copperLayers({ copperLayers: 4 })).toEqual(["f_lig", "in1_lig", "in2_lig", "b_lig"]);
+  expect(copperLayers({ copperLayers: 4 }).map(layerLabel)).toEqual(["F.LIG", "In1.LIG", "In2.LIG", "B.LIG"]);
+});
+
+test("only copper layer ids count as copper", () => {
+  expect(["f_lig", "b_lig", "in3_lig"].every(isCopperLayer)).toBe(true);
+  expect(["outline", "footprint", "in0_lig", undefined].some(isCopperLayer)).toBe(false);
+});
+
+test("a via barrel is a plated copper tube", () => {
+  // 0.4 mm hole, 25 µm plating, 1.6 mm board
+  const area = Math.PI * (0.0002 ** 2 - 0.000175 ** 2);
+  expect(viaResistance(DEFAULT_VIA, 1.68e-8, 1.6)).toBeCloseTo(1.68e-8 * 0.0016 / area, 9);
+  expect(viaResistance(DEFAULT_VIA, 1.68e-8, 0.8)).toBeCloseTo(viaResistance(DEFAULT_VIA, 1.68e-8, 1.6) / 2, 9);
+});
+
+test("stacks need a supported layer count and a thickness", () => {
+  expect(validateLayerStack({ copperLayers: 4, thickness: 1.6 })).toBeNull();
+  expect(validateLayerStack({ copperLayers: 3, thickness: 1.6 })).toMatch(/Copper layers/);
+  expect(validateLayerStack({ copperLayers: 2, thickness: 0 })).toMatch(/thickness/);
+});
@@ -0,0 +1,77 @@
+/**
+ * Trace materials: solid metals described by resistivity and printed inks described by sheet resistance.
+ *
+ * The library itself lives on the backend (GET /materials); DEFAULT_MATERIALS is used until it has loaded
+ * or when the backend cannot be reached, and is the same list the backend starts with (ecad-backend/materials.js,
+ * kept in step by materials.test.js). validateMaterial gives the material editor the backend's checks. Units: resistivity Ω·m at 20 °C, sheetResistance Ω/sq,
+ * tempco 1/°C, thickness m.
+ */
+import { temperatureFactor } from "./ipc";
+
+export const MATERIAL_KINDS = ["metal", "ink"];
+
+// Standard copper weights (oz/ft²) and their thickness in m
+export const COPPER_WEIGHTS = [
+  { label: "0.5 oz", thickness: 0.0000175 },
+  { label: "1 oz",   thickness: 0.000035  },
+  { label: "2 oz",   thickness: 0.00007   }
+];
+
+const OZ = COPPER_WEIGHTS[1].thickness; // Thickness of 1 oz/ft² copper
+
+export const DEFAULT_MATERIALS = [
+  { id: "copper",   name: "Copper",   kind: "metal", color: "orange",    resistivity: 1.68e-8, tempco: 0.00393, thickness: OZ },
+  { id: "aluminum", name: "Aluminum", kind: "metal", color: "gray",      resistivity: 2.82e-8, tempco: 0.00429, thickness: OZ },
+  { id: "gold",     name: "Gold",     kind: "metal", color: "yellow",    resistivity: 2.44e-8, tempco: 0.0034,  thickness: OZ },
+  { id: "silver",   name: "Silver",   kind: "metal", color: "lightgray", resistivity: 1.59e-8, tempco: 0.0038,  thickness: OZ },
+  { id: "silver-ink", name: "Silver ink", kind: "ink", color: "silver",  sheetResistance: 0.015, tempco: 0.001,   thickness: 0.00001 },
+  { id: "carbon-ink", name: "Carbon ink", kind: "ink", color: "dimgray", sheetResistance: 30,    tempco: -0.0005, thickness: 0.00001 }
+];
+
+/**
+ * Human-readable thickness, using the copper weight when it matches one.
+ * @param {number} thickness - Thickness in m
+ * @returns {string} e.g. "1 oz" or "12 µm"
+ */
+export const thicknessLabel = thickness => {
+  const weight = COPPER_WEIGHTS.find(w => Math.abs(w.thickness - thickness) < 1e-9);
+  return weight ? weight.label : `${Number((thickness * 1e6).toFixed(2))} µm`;
+};
+
+/**
+ * Sheet resistance of a material, derived from resistivity and thickness for metals.
+ * @param {object} material - Library entry
+ * @returns {number} Ω/sq at 20 °C
+ */
+export const sheetResistanceOf = material =>
+  material.kind === "ink" ? material.sheetResistance : material.resistivity / material.thickness;
+
+/**
+ * Resistance of a straight conductor.
+ * @param {object|undefined} material - Library entry
+ * @param {number} length - Length in m
+ * @param {number} width - Width in m
+ * @param {number} [tempRise] - Temperature rise above ambient in °C
+ * @returns {number} Resistance in Ω, 0 for an unknown material
+ */
+export const conductorResistance = (material, length, width, tempRise) => {
+  if (!material || !(width > 0)) return 0;
+  return (sheetResistanceOf(material) * length / width) * temperatureFactor(material.tempco, tempRise);
+};
+
+/**
+ * Checks a material for missing or impossible values.
+ * @param {object} material - Library entry
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateMaterial = material => {
+  if (!/^[a-z0-9-]+$/.test(material.id || "")) return "Id must be lowercase letters, digits and dashes";
+  if (!String(material.name || "").trim()) return "Name is required";
+  if (!MATERIAL_KINDS.includes(material.kind)) return `Kind must be one of: ${MATERIAL_KINDS.join(", ")}`;
+  if (!String(material.color || "").trim()) return "Color is required";
+  if (material.kind === "metal" && !(material.resistivity > 0)) return "Resistivity must be greater than 0";
+  if (material.kind === "ink" && !(material.sheetResistance > 0)) return "Sheet resistance must be greater than 0";
+  if (!Number.isFinite(material.tempco)) return "Temperature coefficient must be a number";
+  if (!(material.thickness > 0)) return "Thickness must be greater than 0";
+  return null;
+};
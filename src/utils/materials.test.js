@@ -0,0 +1,48 @@
+import { conductorResistance, thicknessLabel, validateMaterial, DEFAULT_MATERIALS } from "./materials";
+import { DEFAULT_MATERIALS as BACKEND_MATERIALS } from "../../ecad-backend/materials";
+import { validateMaterial as validateOnBackend } from "../../ecad-backend/validation";
+
+const copper = DEFAULT_MATERIALS.find(m => m.id === "copper");
+const ink    = { id: "carbon-ink", name: "Carbon ink", kind: "ink", color: "black", sheetResistance: 30, tempco: 0, thickness: 0.00001 };
+
+test("metal resistance follows resistivity, length, width and thickness", () => {
+  // 10 cm of 1 mm wide 1 oz copper is about 48 mΩ
+  expect(conductorResistance(copper, 0.1, 0.001)).toBeCloseTo(0.048, 3);
+  expect(conductorResistance({ ...copper, thickness: 0.00007 }, 0.1, 0.001)).toBeCloseTo(0.024, 3);
+});
+
+test("ink resistance counts squares of sheet resistance", () => {
+  // 10 squares of 30 Ω/sq
+  expect(conductorResistance(ink, 0.01, 0.001)).toBeCloseTo(300);
+  expect(conductorResistance(undefined, 0.01, 0.001)).toBe(0);
+});
+
+test("resistance is corrected for temperature rise", () => {
+  const cold = conductorResistance(copper, 0.1, 0.001);
+  expect(conductorResistance(copper, 0.1, 0.001, 20)).toBeCloseTo(cold * (1 + 0.00393 * 25));
+});
+
+test("thickness is shown as copper weight when it matches one", () => {
+  expect(thicknessLabel(0.000035)).toBe("1 oz");
+  expect(thicknessLabel(0.000012)).toBe("12 µm");
+});
+
+test("materials need the value that describes their kind", () => {
+  expect(validateMaterial(copper)).toBeNull();
+  expect(validateMaterial(ink)).toBeNull();
+  expect(validateMaterial({ ...ink, sheetResistance: undefined })).toMatch(/Sheet resistance/);
+  expect(validateMaterial({ ...copper, id: "Copper 2" })).toMatch(/Id/);
+});
+
+test("the offline materials are the ones the backend starts with and pass both checks", () => {
+  expect(DEFAULT_MATERIALS).toEqual(BACKEND_MATERIALS);
+  DEFAULT_MATERIALS.forEach(m => {
+    expect(validateMaterial(m)).toBeNull();
+    expect(validateOnBackend(m)).toEqual([]);
+  });
+  [{ ...ink, color: "" }, { ...copper, resistivity: 0 }, { ...ink, kind: "paste" }, { ...copper, thickness: -1 }]
+    .forEach(m => {
+      expect(validateMaterial(m)).not.toBeNull();
+      expect(validateOnBackend(m)).not.toEqual([]);
+    });
+});
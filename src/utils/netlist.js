@@ -0,0 +1,150 @@
+/**
+ * Net extraction: groups nodes joined by connections into nets.
+ *
+ * Each net is identified by a key derived from its lowest node id, so a name the user gives a net
+ * stays attached to it while traces are added or removed elsewhere.
+ */
+
+/**
+ * Reference designator of a stand-alone node, numbered by its position among the nodes that are neither vias nor
+ * component pads (see standaloneNodes).
+ * @param {object} node - Node
+ * @param {number} index - Zero-based index among the nodes
+ * @returns {string} e.g. "PWR1" or "GND2"
+ */
+export const referenceOf = (node, index) =>
+  `${node.nodeType === "ground" ? "GND" : "PWR"}${index + 1}`;
+
+/**
+ * Power and ground nodes, i.e. the nodes that are neither vias nor pads of a component.
+ * @param {object[]} shapes - All shapes
+ * @returns {object[]}
+ */
+export const standaloneNodes = shapes =>
+  shapes.filter(s => s.type === "node" && s.nodeType !== "via" && s.componentId === undefined);
+
+/**
+ * Reference designator and pin of every node that appears in a netlist: components give their refdes and
+ * the pad name, stand-alone nodes their own reference and pin "1".
+ * @param {object[]} shapes - All shapes
+ * @returns {Map<number, {ref: string, pin: string}>} By node id
+ */
+export const nodePins = shapes => {
+  const components = new Map(shapes.filter(s => s.type === "component").map(c => [c.id, c]));
+  const pins = new Map(standaloneNodes(shapes).map((n, i) => [n.id, { ref: referenceOf(n, i), pin: "1" }]));
+  shapes
+    .filter(s => s.type === "node" && components.has(s.componentId))
+    .forEach(p => pins.set(p.id, { ref: components.get(p.componentId).refdes, pin: p.padName }));
+  return pins;
+};
+/**
+ * Display names of the nodes in nodePins: "R1.2" for a component pad, "PWR1" for a stand-alone node.
+ * @param {object[]} shapes - All shapes
+ * @returns {Map<number, string>} By node id
+ */
+export const nodeLabels = shapes => {
+  const padIds = new Set(shapes.filter(s => s.type === "node" && s.componentId !== undefined).map(s => s.id));
+  return new Map([...nodePins(shapes)].map(([id, p]) => [id, padIds.has(id) ? `${p.ref}.${p.pin}` : p.ref]));
+};
+
+/**
+ * Finds the nets of a design.
+ * @param {object[]} shapes - All shapes
+ * @param {Object<string, string>} [netNames] - User-given names by net key
+ * @returns {object[]} Nets: { key, name, nodeIds, connectionIds, hasPower, hasGround, shorted }
+ */
+export const extractNets = (shapes, netNames = {}) => {
+  const nodes  = shapes.filter(s => s.type === "node");
+  const parent = new Map(nodes.map(n => [n.id, n.id]));
+  const root   = id => {
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  };
+  const connections = shapes.filter(s =>
+    s.type === "connection" && parent.has(s.node1Id) && parent.has(s.node2Id)
+  );
+  connections.forEach(c => {
+    const a = root(c.node1Id), b = root(c.node2Id);
+    if (a !== b) parent.set(Math.max(a, b), Math.min(a, b));
+  });
+
+  const groups = new Map();
+  nodes.forEach(n => {
+    const r = root(n.id);
+    if (!groups.has(r)) groups.set(r, { nodes: [], connectionIds: [] });
+    groups.get(r).nodes.push(n);
+  });
+  connections.forEach(c => groups.get(root(c.node1Id)).connectionIds.push(c.id));
+
+  // Automatic names: GND, GND_2, ... for ground nets, PWR_1, PWR_2, ... for other nets with a power node and
+  // NET_1, NET_2, ... for nets that only join pads and vias
+  let grounds = 0, powers = 0, others = 0;
+  return [...groups.values()]
+    .sort((a, b) => Math.min(...a.nodes.map(n => n.id)) - Math.min(...b.nodes.map(n => n.id)))
+    .map(g => {
+      const key       = `net-${Math.min(...g.nodes.map(n => n.id))}`;
+      const hasPower  = g.nodes.some(n => n.nodeType === "power");
+      const hasGround = g.nodes.some(n => n.nodeType === "ground");
+      const auto = hasGround && !hasPower
+        ? (++grounds === 1 ? "GND" : `GND_${grounds}`)
+        : hasPower ? `PWR_${++powers}` : `NET_${++others}`;
+      return {
+        key,
+        name: netNames[key] || auto,
+        nodeIds: g.nodes.map(n => n.id),
+        connectionIds: g.connectionIds,
+        hasPower,
+        hasGround,
+        shorted: hasPower && hasGround
+      };
+    });
+};
+
+/**
+ * Finds the net a node belongs to.
+ * @param {object[]} nets - Result of extractNets
+ * @param {number} nodeId - Node id
+ * @returns {object|undefined}
+ */
+export const netOfNode = (nets, nodeId) => nets.find(n => n.nodeIds.includes(nodeId));
+
+/**
+ * Quotes a string for an S-expression.
+ * @param {string} s
+ * @returns {string}
+ */
+const q = s => `"${String(s).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+/**
+ * Writes the nets as a KiCad S-expression netlist (.net), which schematic tools can compare against.
+ * Each component is one part with a pin per pad; vias are board features rather than components and are left out.
+ * @param {object[]} shapes - All shapes
+ * @param {object[]} nets - Result of extractNets
+ * @param {object} options - { projectName, date }
+ * @returns {string} Netlist text
+ */
+export const exportNetlist = (shapes, nets, { projectName, date = new Date() }) => {
+  const pins = nodePins(shapes);
+  const out = [
+    "(export (version \"E\")",
+    `  (design (source ${q(projectName)}) (date ${q(date.toISOString())}) (tool "ECAD Tool"))`,
+    "  (components"
+  ];
+  standaloneNodes(shapes).forEach(n => {
+    out.push(`    (comp (ref ${q(pins.get(n.id).ref)}) (value ${q(n.nodeType)}) (footprint ${q(`ECAD:${n.nodeType}_node`)}))`);
+  });
+  shapes.filter(s => s.type === "component").forEach(c => {
+    out.push(`    (comp (ref ${q(c.refdes)}) (value ${q(c.footprint)}) (footprint ${q(`ECAD:${c.footprint}`)}))`);
+  });
+  out.push("  )", "  (nets");
+  nets.forEach((net, i) => {
+    out.push(`    (net (code ${q(i + 1)}) (name ${q(net.name)})`);
+    net.nodeIds.filter(id => pins.has(id)).forEach(id => {
+      const { ref, pin } = pins.get(id);
+      out.push(`      (node (ref ${q(ref)}) (pin ${q(pin)}))`);
+    });
+    out.push("    )");
+  });
+  out.push("  )", ")", "");
+  return out.join("\n");
+};
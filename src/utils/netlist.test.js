@@ -0,0 +1,38 @@
+import { extractNets, exportNetlist, netOfNode } from "./netlist";
+
+const node = (id, nodeType) => ({ id, type: "node", nodeType, x: 0, y: 0, radius: 5, layer: "footprint" });
+const conn = (id, node1Id, node2Id) => ({ id, type: "connection", points: [0, 0, 1, 1], node1Id, node2Id, layer: "f_lig" });
+
+const shapes = [
+  node(1, "power"), node(2, "power"), node(3, "ground"), node(4, "ground"), node(5, "power"),
+  conn(10, 1, 2), conn(11, 3, 4), conn(12, 99, 5)
+];
+
+test("connected nodes form one net with an automatic name", () => {
+  const nets = extractNets(shapes);
+  expect(nets.map(n => [n.name, n.nodeIds])).toEqual([
+    ["PWR_1", [1, 2]],
+    ["GND", [3, 4]],
+    ["PWR_2", [5]]
+  ]);
+  expect(nets[0].connectionIds).toEqual([10]);
+  // A connection to a missing node joins nothing
+  expect(nets[2].connectionIds).toEqual([]);
+});
+
+test("user names stick to a net by its key", () => {
+  const nets = extractNets(shapes, { "net-3": "0V" });
+  expect(netOfNode(nets, 4).name).toBe("0V");
+});
+
+test("power and ground joined together are flagged as shorted", () => {
+  const nets = extractNets([...shapes, conn(13, 2, 3)]);
+  expect(nets[0].shorted).toBe(true);
+  expect(nets[0].nodeIds).toEqual([1, 2, 3, 4]);
+});
+
+test("netlist export lists components and the pins of every net", () => {
+  const net = exportNetlist(shapes, extractNets(shapes), { projectName: "demo", date: new Date(0) });
+  expect(net).toContain('(comp (ref "GND3") (value "ground")');
+  expect(net).toContain('(net (code "2") (name "GND")\n      (node (ref "GND3") (pin "1"))\n      (node (ref "GND4") (pin "1"))');
+});
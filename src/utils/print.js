@@ -0,0 +1,186 @@
+/**
+ * Print export: the design as an SVG at true scale, 1 mm on paper for every mm of the board, in black on white.
+ * Printed to paper or PDF it can be checked against parts or transferred to a board (toner transfer, mirrored).
+ *
+ * The SVG is sized in mm with a view box in canvas pixels, so shapes keep their own coordinates and the scale is
+ * exact; the title block is drawn in mm inside a scaled group. Copper layers bring their zones, traces and the pads
+ * present on them (drilled pads on every layer, surface-mount pads on the top only, as in the Gerber files); labels
+ * print on their own silkscreen or documentation layer.
+ */
+import { mmToPx, widthToPx, widthOf } from "./units";
+import { padStackOf, padSize, padOnLayer } from "./drill";
+import { isCopperLayer, layerLabel } from "./layers";
+import { fillZone, fillPath } from "./zones";
+import { extractNets } from "./netlist";
+import { withDefaults, labelPosition, labelText } from "./labels";
+
+// Height of the title block under the board (mm)
+export const TITLE_BLOCK_MM = 18;
+
+// Narrowest title block (mm); narrower boards get a wider page so the text fits
+export const TITLE_BLOCK_MIN_WIDTH_MM = 100;
+
+// Diameter of the drill-centre mark left open in drilled pads, unless the drill is smaller (mm)
+export const DRILL_MARK_MM = 0.4;
+
+// Layers that can be printed besides the copper layers; label layers are those of labels.js
+export const PRINT_EXTRA_LAYERS = [
+  { id: "outline",       label: "Outline" },
+  { id: "silkscreen",    label: "Silkscreen" },
+  { id: "documentation", label: "Documentation" }
+];
+
+// SVG text-anchor of each label alignment
+const TEXT_ANCHOR = { left: "start", center: "middle", right: "end" };
+
+/**
+ * Escapes text for use in XML content and attribute values.
+ * @param {*} text
+ * @returns {string}
+ */
+export const escapeXml = text =>
+  String(text).replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[ch]);
+
+// Shortens coordinates written to the file
+const num = v => String(Number(v.toFixed(4)));
+
+/**
+ * SVG points attribute of a flat point array.
+ * @param {number[]} pts - Flat [x1, y1, x2, y2, ...] array
+ * @returns {string}
+ */
+const pointsAttr = pts => {
+  const pairs = [];
+  for (let i = 0; i + 1 < pts.length; i += 2) pairs.push(`${num(pts[i])},${num(pts[i + 1])}`);
+  return pairs.join(" ");
+};
+
+/**
+ * Draws the zones and traces of one copper layer.
+ * @returns {string[]} SVG elements in pixels
+ */
+const copperElements = (shapes, layer, { edgeClearance, pointsOf }) => [
+  ...shapes.filter(s => s.type === "zone" && s.copperLayer === layer).flatMap(z => {
+    const fill = fillZone(z, shapes, { edgeClearance, pointsOf });
+    return [
+      `<path d="${fillPath(fill)}" fill="black"/>`,
+      ...fill.spokes.map(([x1, y1, x2, y2]) =>
+        `<line x1="${num(x1)}" y1="${num(y1)}" x2="${num(x2)}" y2="${num(y2)}" stroke="black" stroke-width="${num(fill.spokeWidth)}"/>`)
+    ];
+  }),
+  ...shapes.filter(s => s.type === "connection" && s.layer === layer).map(t =>
+    `<polyline points="${pointsAttr(pointsOf(t))}" fill="none" stroke="black" stroke-width="${num(widthToPx(widthOf(t)))}" stroke-linecap="round" stroke-linejoin="round"/>`)
+];
+
+/**
+ * Draws the pads present on any of the printed copper layers, with drill-centre marks if asked for.
+ * @returns {string[]} SVG elements in pixels
+ */
+const padElements = (shapes, copper, drillMarks) =>
+  shapes.filter(s => s.type === "node").flatMap(n => {
+    const stack = padStackOf(n);
+    // Non-plated holes at least as large as their pad carry no copper
+    if (!(stack.plated || stack.drillDiameter < stack.padDiameter)) return [];
+    if (!copper.some(layer => padOnLayer(n, layer))) return [];
+    const w = mmToPx(padSize(stack).width);
+    const h = mmToPx(padSize(stack).height);
+    const turn = n.padRotation ? ` transform="rotate(${num(n.padRotation)} ${num(n.x)} ${num(n.y)})"` : "";
+    const pad = stack.shape === "circle"
+      ? `<circle cx="${num(n.x)}" cy="${num(n.y)}" r="${num(w / 2)}" fill="black"/>`
+      : `<rect x="${num(n.x - w / 2)}" y="${num(n.y - h / 2)}" width="${num(w)}" height="${num(h)}" fill="black"${turn}/>`;
+    if (!drillMarks || !(stack.drillDiameter > 0)) return [pad];
+    const mark = mmToPx(Math.min(DRILL_MARK_MM, stack.drillDiameter)) / 2;
+    return [pad, `<circle cx="${num(n.x)}" cy="${num(n.y)}" r="${num(mark)}" fill="white"/>`];
+  });
+
+/**
+ * Draws the labels of the printed label layers at their anchor, turned and aligned like on the canvas.
+ * @returns {string[]} SVG elements in pixels
+ */
+const labelElements = (labels, shapes, layers, nets) =>
+  labels.map(withDefaults).filter(l => layers.includes(l.layer)).map(l => {
+    const { x, y } = labelPosition(l, shapes);
+    const turn = l.rotation ? ` transform="rotate(${num(l.rotation)} ${num(x)} ${num(y)})"` : "";
+    return `<text x="${num(x)}" y="${num(y + l.fontSize)}" font-family="${l.fontFamily}" font-size="${num(l.fontSize)}" text-anchor="${TEXT_ANCHOR[l.align]}"${turn}>${escapeXml(labelText(l, nets))}</text>`;
+  });
+
+/**
+ * Draws the title block: title, printed layers, scale and date, and a 10 mm bar to check the printed scale.
+ * @returns {string[]} SVG elements in mm
+ */
+const titleBlock = (title, layerNames, { top, width, mirror, date }) => {
+  const info = [layerNames.join(", ") || "No layers", "Scale 1:1", mirror && "Mirrored", date.toISOString().slice(0, 10)]
+    .filter(Boolean).join(" · ");
+  const barY = top + TITLE_BLOCK_MM - 6;
+  const barX = width - 14;
+  return [
+    `<rect x="0.1" y="${num(top + 2)}" width="${num(width - 0.2)}" height="${num(TITLE_BLOCK_MM - 2.1)}" fill="none" stroke="black" stroke-width="0.2"/>`,
+    `<text x="2" y="${num(top + 7.5)}" font-family="sans-serif" font-size="4" font-weight="bold">${escapeXml(title)}</text>`,
+    `<text x="2" y="${num(top + 13)}" font-family="sans-serif" font-size="2.5">${escapeXml(info)}</text>`,
+    `<path d="M${num(barX)} ${num(barY - 1)}v2M${num(barX)} ${num(barY)}h10M${num(barX + 10)} ${num(barY - 1)}v2" fill="none" stroke="black" stroke-width="0.2"/>`,
+    `<text x="${num(barX + 5)}" y="${num(barY + 3.5)}" font-family="sans-serif" font-size="2.5" text-anchor="middle">10 mm</text>`
+  ];
+};
+
+/**
+ * Size of the printed drawing.
+ * @param {{width: number, height: number}} boardSize - Board size in mm
+ * @param {boolean} withTitle - Whether a title block is added under the board
+ * @returns {{width: number, height: number}} Size in mm
+ */
+export const printSize = (boardSize, withTitle) => ({
+  width:  withTitle ? Math.max(boardSize.width, TITLE_BLOCK_MIN_WIDTH_MM) : boardSize.width,
+  height: boardSize.height + (withTitle ? TITLE_BLOCK_MM : 0)
+});
+
+/**
+ * Builds the print SVG of a design.
+ * @param {object[]} shapes - All shapes
+ * @param {object[]} labels - Canvas text labels
+ * @param {object} options
+ * @param {{width: number, height: number}} options.boardSize - Board size in mm
+ * @param {string[]} options.layers - Layers to print: copper layer ids, "outline", "silkscreen" and "documentation"
+ * @param {boolean} [options.mirror] - Mirror the design left to right, e.g. for toner transfer; the title block
+ *   stays readable
+ * @param {boolean} [options.drillMarks] - Leave a small hole at the centre of drilled pads to guide the drill
+ * @param {string|null} [options.title] - Title block text, null for no title block
+ * @param {number} [options.edgeClearance] - Gap between zone fills and the board outline in mm
+ * @param {function(object): number[]} [options.pointsOf] - Drawn points of a trace, outline or zone (corner styles)
+ * @param {Object<string, string>} [options.netNames] - User-given net names, shown by labels that show their net
+ * @param {Date} [options.date] - Date shown in the title block
+ * @returns {string} SVG document without an XML declaration, so it can also be embedded in HTML
+ */
+export const buildPrintSvg = (shapes, labels, {
+  boardSize, layers, mirror = false, drillMarks = false, title = null, edgeClearance = 0, pointsOf = s => s.points,
+  netNames = {}, date = new Date()
+}) => {
+  const copper = layers.filter(isCopperLayer);
+  const design = [
+    // Bottom layers first, so the top copper ends up on top where layers overlap
+    ...[...copper].reverse().flatMap(layer => copperElements(shapes, layer, { edgeClearance, pointsOf })),
+    ...(copper.length ? padElements(shapes, copper, drillMarks) : []),
+    ...(layers.includes("outline")
+      ? shapes.filter(s => s.type === "outline").map(o =>
+        `<polygon points="${pointsAttr(pointsOf(o))}" fill="none" stroke="black" stroke-width="${num(widthToPx(widthOf(o)))}"/>`)
+      : []),
+    ...labelElements(labels, shapes, layers, extractNets(shapes, netNames))
+  ];
+
+  const { width, height } = printSize(boardSize, title !== null);
+  const layerNames = [
+    ...copper.map(layerLabel),
+    ...PRINT_EXTRA_LAYERS.filter(l => layers.includes(l.id)).map(l => l.label)
+  ];
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${num(width)}mm" height="${num(height)}mm" viewBox="0 0 ${num(mmToPx(width))} ${num(mmToPx(height))}">`,
+    mirror ? `<g transform="translate(${num(mmToPx(boardSize.width))} 0) scale(-1 1)">` : "<g>",
+    ...design,
+    "</g>",
+    ...(title === null ? [] : [
+      `<g transform="scale(${num(mmToPx(1))})">`,
+      ...titleBlock(title, layerNames, { top: boardSize.height, width, mirror, date }),
+      "</g>"
+    ]),
+    "</svg>"
+  ].join("\n");
+};
@@ -0,0 +1,68 @@
+import { buildPrintSvg, escapeXml, TITLE_BLOCK_MM, TITLE_BLOCK_MIN_WIDTH_MM } from "./print";
+import { mmToPx } from "./units";
+
+const date    = new Date("2025-01-01T00:00:00Z");
+const pad     = { id: 1, type: "node", x: 30, y: 30, radius: 15, layer: "footprint",
+  padStack: { shape: "circle", padDiameter: 2, drillDiameter: 1, plated: true } };
+const smd     = { id: 2, type: "node", x: 90, y: 30, radius: 15, layer: "footprint",
+  padStack: { shape: "square", padDiameter: 1.5, drillDiameter: 0, plated: false } };
+const trace   = { id: 3, type: "connection", points: [30, 30, 90, 30], width: 0.0005, layer: "f_lig" };
+const bottom  = { id: 4, type: "connection", points: [30, 60, 90, 60], width: 0.001, layer: "b_lig" };
+const outline = { id: 5, type: "outline", points: [0, 0, 150, 0, 150, 90, 0, 90, 0, 0], width: 0.0003, layer: "outline" };
+const shapes  = [pad, smd, trace, bottom, outline];
+const labels  = [
+  { id: 6, x: 10, y: 70, text: "R1 <10k> & \"C\"", fontSize: 6 },
+  { id: 7, x: 0, y: -10, text: "net", fontSize: 6, rotation: 90, align: "center", layer: "documentation", nodeId: 1, showNet: true }
+];
+const board   = { width: 50, height: 30 };
+
+test("the board prints at its real size in mm with traces at their real width", () => {
+  const svg = buildPrintSvg(shapes, labels, { boardSize: board, layers: ["f_lig"], date });
+  // The view box is in canvas pixels: 30 px per cm
+  expect(svg).toMatch(/^<svg [^>]*width="50mm" height="30mm" viewBox="0 0 150 90">\n<g>/);
+  expect(svg).toContain(`stroke-width="${mmToPx(0.5)}"`);
+  expect(svg).toContain(`<circle cx="30" cy="30" r="${mmToPx(1)}" fill="black"/>`);
+  expect(svg).toContain(`width="${mmToPx(1.5)}"`);
+  expect(svg).not.toContain(`stroke-width="${mmToPx(1)}"`); // Bottom trace
+  expect(svg).not.toContain("<polygon");
+  expect(svg).not.toContain("<text");
+});
+
+test("layer selection picks copper, outline and labels; surface-mount pads are on the top only", () => {
+  const svg = buildPrintSvg(shapes, labels, { boardSize: board, layers: ["b_lig", "outline", "silkscreen"], date });
+  expect(svg).toContain(`stroke-width="${mmToPx(1)}"`);
+  expect(svg).not.toContain(`stroke-width="${mmToPx(0.5)}"`);
+  expect(svg).toContain(`<circle cx="30" cy="30"`);
+  expect(svg).not.toContain("<rect");
+  expect(svg).toContain(`<polygon points="0,0 150,0 150,90 0,90 0,0"`);
+  expect(svg).toContain(">R1 &lt;10k&gt; &amp; &quot;C&quot;</text>");
+  expect(svg).not.toContain("GND");
+});
+
+test("documentation labels print turned and aligned at their node, with its net name", () => {
+  const svg = buildPrintSvg(shapes, labels, {
+    boardSize: board, layers: ["documentation"], netNames: { "net-1": "GND" }, date
+  });
+  expect(svg).not.toContain("R1");
+  expect(svg).toContain(`<text x="30" y="26" font-family="sans-serif" font-size="6" text-anchor="middle" transform="rotate(90 30 20)">GND</text>`);
+});
+
+test("mirroring, drill marks and the title block", () => {
+  const svg = buildPrintSvg(shapes, labels, {
+    boardSize: board, layers: ["f_lig"], mirror: true, drillMarks: true, title: "Amp <v2>", date
+  });
+  expect(svg).toContain(`<g transform="translate(150 0) scale(-1 1)">`);
+  expect(svg).toContain(`r="${mmToPx(0.4) / 2}" fill="white"`);
+  // The title block widens a narrow board's page and sits under the board, not mirrored
+  expect(svg).toContain(`width="${TITLE_BLOCK_MIN_WIDTH_MM}mm" height="${30 + TITLE_BLOCK_MM}mm"`);
+  expect(svg).toContain(">Amp &lt;v2&gt;</text>");
+  expect(svg).toContain("F.LIG · Scale 1:1 · Mirrored · 2025-01-01");
+  expect(svg).toContain(">10 mm</text>");
+  expect(svg).toContain(`<g transform="scale(3)">`);
+  expect(svg.indexOf("</g>")).toBeLessThan(svg.indexOf("Amp"));
+});
+
+test("XML escaping", () => {
+  expect(escapeXml(`a<b>&'c"`)).toBe("a&lt;b&gt;&amp;&apos;c&quot;");
+  expect(escapeXml(5)).toBe("5");
+});
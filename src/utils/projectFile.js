@@ -0,0 +1,231 @@
+/**
+ * Native project files (.ecad.json).
+ *
+ * A project file holds the whole design plus the editor settings needed to continue working on it:
+ * {
+ *   format: "ecad-project",
+ *   version: <schema version>,
+ *   name, savedAt,
+ *   shapes: [...], labels: [...],
+ *   netNames: { [netKey]: name },
+ *   drcRules: { clearance, minTraceWidth, edgeClearance } (optional, mm),
+ *   boardSize: { width, height } (optional, mm),
+ *   layerStack: { copperLayers, thickness } (optional, thickness in mm),
+ *   loads: [{ id, node1Id, node2Id, kind, value }] (optional, DC analysis),
+ *   background: { dataUrl, placement: { x, y, width, height, rotation, opacity, locked } } | null (mm, see background.js),
+ *   settings: { showGrid, gridSpacing, selectedMaterial, traceWidth, lineType, chamferLength, filletRadius, labelFontSize,
+ *              ipcStandard, displayUnit, viaPadStack }
+ * Placed footprints are a component shape plus one node per pad (see footprints.js), copper pours are zone shapes
+ * (see zones.js). Labels carry their style and an optional node anchor (see labels.js).
+ * Connections and outlines carry their own cornerStyle, chamferLength and filletRadius (see corners.js); the
+ * lineType, chamferLength and filletRadius settings are the style given to new traces.
+ * }
+ * Whenever the shape model changes, bump SCHEMA_VERSION and add a migration from the previous version
+ * so older files keep opening.
+ */
+import { validateBoardSize } from "./viewport";
+import { validateLayerStack } from "./layers";
+import { validateLabel } from "./labels";
+
+export const FILE_FORMAT    = "ecad-project";
+export const FILE_EXTENSION = ".ecad.json";
+export const SCHEMA_VERSION = 6;
+
+/**
+ * Upgrades a file of version N to version N + 1, keyed by N.
+ * @type {Object<number, function(object): object>}
+ */
+export const MIGRATIONS = {
+  // Version 2 stores the corner style on each trace and outline instead of one global line type
+  1: data => {
+    const { lineType, chamferLength } = data.settings || {};
+    const corner = {
+      ...(lineType !== undefined && { cornerStyle: lineType }),
+      ...(chamferLength !== undefined && { chamferLength })
+    };
+    return {
+      ...data,
+      shapes: Array.isArray(data.shapes)
+        ? data.shapes.map(s => (s?.points && s.cornerStyle === undefined ? { ...corner, ...s } : s))
+        : data.shapes
+    };
+  },
+  // Version 3 adds component shapes and pad nodes; older files have none, so nothing changes
+  2: data => data,
+  // Version 4 adds zone shapes; older files have none
+  3: data => data,
+  // Version 5 places the background image by its centre, rotation and opacity instead of a size in cm at the origin
+  4: data => {
+    const { sizeCm, ...background } = data.background || {};
+    if (!sizeCm) return data;
+    const width  = sizeCm.width * 10;
+    const height = sizeCm.height * 10;
+    return {
+      ...data,
+      background: {
+        ...background,
+        placement: { x: width / 2, y: height / 2, width, height, rotation: 0, opacity: 1, locked: false }
+      }
+    };
+  },
+  // Version 6 adds label rotation, font, alignment, layer and node anchors; older labels take the defaults
+  5: data => data
+};
+
+/**
+ * Serializes the design and editor settings into project file text.
+ * @param {object} project
+ * @param {string} project.name - Project name
+ * @param {object[]} project.shapes - All shapes
+ * @param {object[]} project.labels - All labels
+ * @param {Object<string, string>} [project.netNames] - User-given net names
+ * @param {object} [project.drcRules] - Design rules in mm
+ * @param {{width: number, height: number}} [project.boardSize] - Board size in mm
+ * @param {{copperLayers: number, thickness: number}} [project.layerStack] - Copper layer stack
+ * @param {object[]} [project.loads] - Loads for DC analysis
+ * @param {{dataUrl: string, placement: object}|null} project.background - Embedded background image
+ * @param {object} project.settings - Grid and material settings
+ * @returns {string} JSON text
+ */
+export const serializeProject = ({ name, shapes, labels, netNames, drcRules, boardSize, layerStack, loads, background, settings }) =>
+  JSON.stringify({
+    format: FILE_FORMAT,
+    version: SCHEMA_VERSION,
+    name,
+    savedAt: new Date().toISOString(),
+    shapes,
+    labels,
+    netNames: netNames || {},
+    drcRules,
+    boardSize,
+    layerStack,
+    loads: loads || [],
+    background: background || null,
+    settings
+  }, null, 2);
+
+const isNum = v => typeof v === "number" && Number.isFinite(v);
+const isPoints = (v, min) =>
+  Array.isArray(v) && v.length % 2 === 0 && v.length / 2 >= min && v.every(isNum);
+
+/**
+ * Checks a migrated project file for missing or malformed data.
+ * @param {object} data - Parsed file at SCHEMA_VERSION
+ * @returns {string[]} Problems found, empty when valid
+ */
+export const validateProject = data => {
+  const errors = [];
+  if (!Array.isArray(data.shapes)) errors.push("shapes must be an array");
+  if (!Array.isArray(data.labels)) errors.push("labels must be an array");
+  if (errors.length) return errors;
+
+  const nodeIds      = new Set(data.shapes.filter(s => s?.type === "node").map(s => s.id));
+  const componentIds = new Set(data.shapes.filter(s => s?.type === "component").map(s => s.id));
+  data.shapes.forEach((s, i) => {
+    const at = `shapes[${i}]`;
+    if (!s || typeof s !== "object") return errors.push(`${at} must be an object`);
+    if (!isNum(s.id)) errors.push(`${at}.id must be a number`);
+    if (s.type === "node") {
+      if (!isNum(s.x) || !isNum(s.y)) errors.push(`${at} node needs numeric x and y`);
+      if (!(s.radius > 0)) errors.push(`${at}.radius must be positive`);
+      if (s.componentId !== undefined && !componentIds.has(s.componentId)) {
+        errors.push(`${at} is a pad of a component that does not exist`);
+      }
+    } else if (s.type === "connection") {
+      if (!isPoints(s.points, 2)) errors.push(`${at}.points must hold at least 2 [x, y] pairs`);
+      if (!(s.width > 0)) errors.push(`${at}.width must be positive`);
+      if (!nodeIds.has(s.node1Id) || !nodeIds.has(s.node2Id)) errors.push(`${at} connects to a node that does not exist`);
+    } else if (s.type === "outline") {
+      if (!isPoints(s.points, 3)) errors.push(`${at}.points must hold at least 3 [x, y] pairs`);
+    } else if (s.type === "component") {
+      if (!isNum(s.x) || !isNum(s.y)) errors.push(`${at} component needs numeric x and y`);
+      if (!Array.isArray(s.pads) || !s.pads.length) errors.push(`${at}.pads must be a non-empty array`);
+    } else if (s.type === "zone") {
+      if (!isPoints(s.points, 3)) errors.push(`${at}.points must hold at least 3 [x, y] pairs`);
+      if (s.nodeId !== null && !nodeIds.has(s.nodeId)) errors.push(`${at} takes its net from a node that does not exist`);
+      if (!(s.clearance >= 0) || !(s.thermalWidth > 0)) errors.push(`${at} needs a clearance and a thermal spoke width`);
+    } else {
+      errors.push(`${at}.type "${s.type}" is unknown`);
+    }
+    return null;
+  });
+
+  data.labels.forEach((l, i) => {
+    const style = l && validateLabel(l);
+    if (!l || !isNum(l.x) || !isNum(l.y) || typeof l.text !== "string" || !(l.fontSize > 0)) {
+      errors.push(`labels[${i}] needs numeric x, y, fontSize and a text`);
+    } else if (style) {
+      errors.push(`labels[${i}]: ${style}`);
+    } else if (l.nodeId != null && !nodeIds.has(l.nodeId)) {
+      errors.push(`labels[${i}] is anchored to a node that does not exist`);
+    }
+  });
+
+  const bg = data.background;
+  if (bg) {
+    if (typeof bg.dataUrl !== "string" || !bg.dataUrl.startsWith("data:image/")) {
+      errors.push("background.dataUrl must be an image data URL");
+    }
+    const p = bg.placement;
+    if (!p || !["x", "y", "width", "height", "rotation"].every(k => isNum(p[k])) || !(p.opacity >= 0 && p.opacity <= 1)) {
+      errors.push("background.placement needs numeric x, y, width, height, rotation and an opacity from 0 to 1");
+    }
+  }
+  if (data.netNames !== undefined && (typeof data.netNames !== "object" || data.netNames === null)) {
+    errors.push("netNames must be an object");
+  }
+  if (data.drcRules !== undefined && (typeof data.drcRules !== "object" || data.drcRules === null)) {
+    errors.push("drcRules must be an object");
+  }
+  if (data.boardSize !== undefined && validateBoardSize(data.boardSize)) {
+    errors.push("boardSize needs positive width and height");
+  }
+  if (data.layerStack !== undefined && validateLayerStack(data.layerStack)) {
+    errors.push(`layerStack: ${validateLayerStack(data.layerStack)}`);
+  }
+  if (data.loads !== undefined && !Array.isArray(data.loads)) errors.push("loads must be an array");
+  if (data.settings !== undefined && (typeof data.settings !== "object" || data.settings === null)) {
+    errors.push("settings must be an object");
+  }
+  return errors;
+};
+
+/**
+ * Brings a project file up to SCHEMA_VERSION by running each migration in turn.
+ * @param {object} data - Parsed file
+ * @param {Object<number, function(object): object>} [migrations] - Migration table
+ * @returns {object} Migrated file
+ */
+export const migrateProject = (data, migrations = MIGRATIONS) => {
+  let current = data;
+  while (current.version < SCHEMA_VERSION) {
+    const migrate = migrations[current.version];
+    if (!migrate) throw new Error(`No migration from schema version ${current.version}`);
+    current = { ...migrate(current), version: current.version + 1 };
+  }
+  return current;
+};
+
+/**
+ * Parses, migrates and validates project file text.
+ * @param {string} text - File contents
+ * @returns {object} Project data at SCHEMA_VERSION
+ * @throws {Error} When the file is not a valid project file
+ */
+export const parseProjectFile = text => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error("File is not valid JSON");
+  }
+  if (!data || data.format !== FILE_FORMAT) throw new Error("File is not an ECAD project");
+  if (!Number.isInteger(data.version) || data.version < 1) throw new Error("File has no valid schema version");
+  if (data.version > SCHEMA_VERSION) {
+    throw new Error(`File uses schema version ${data.version}, this tool only reads up to ${SCHEMA_VERSION}`);
+  }
+  const migrated = migrateProject(data);
+  const errors = validateProject(migrated);
+  if (errors.length) throw new Error(`Invalid project file: ${errors.slice(0, 5).join("; ")}`);
+  return migrated;
+};
@@ -0,0 +1,73 @@
+import {
+  serializeProject,
+  parseProjectFile,
+  migrateProject,
+  MIGRATIONS,
+  SCHEMA_VERSION,
+  FILE_FORMAT
+} from "./projectFile";
+
+const node  = { id: 1, type: "node", nodeType: "power", x: 30, y: 30, radius: 4.5, color: "red", layer: "footprint" };
+const node2 = { ...node, id: 2, x: 90 };
+const trace = { id: 3, type: "connection", points: [30, 30, 90, 30], node1Id: 1, node2Id: 2,
+  material: "copper", width: 0.005, color: "orange", layer: "f_lig" };
+
+const project = {
+  name: "demo",
+  shapes: [node, node2, trace],
+  labels: [{ id: 4, x: 0, y: 0, text: "hi", fontSize: 14 }],
+  background: {
+    dataUrl: "data:image/png;base64,AAAA",
+    placement: { x: 50, y: 25, width: 100, height: 50, rotation: 15, opacity: 0.5, locked: true }
+  },
+  settings: { showGrid: true, gridSpacing: 30, selectedMaterial: "gold" }
+};
+
+test("a saved project loads back unchanged", () => {
+  const loaded = parseProjectFile(serializeProject(project));
+  expect(loaded.version).toBe(SCHEMA_VERSION);
+  expect(loaded.shapes).toEqual(project.shapes);
+  expect(loaded.labels).toEqual(project.labels);
+  expect(loaded.background).toEqual(project.background);
+  expect(loaded.settings).toEqual(project.settings);
+});
+
+test("files that are not valid projects are rejected with a reason", () => {
+  expect(() => parseProjectFile("{")).toThrow(/not valid JSON/);
+  expect(() => parseProjectFile(JSON.stringify({ format: "other" }))).toThrow(/not an ECAD project/);
+  expect(() => parseProjectFile(JSON.stringify({ format: FILE_FORMAT, version: SCHEMA_VERSION + 1 })))
+    .toThrow(/newer|only reads/);
+
+  const dangling = JSON.parse(serializeProject(project));
+  dangling.shapes = [trace];
+  expect(() => parseProjectFile(JSON.stringify(dangling))).toThrow(/node that does not exist/);
+
+  const loose = JSON.parse(serializeProject(project));
+  loose.labels = [{ ...project.labels[0], nodeId: 99 }];
+  expect(() => parseProjectFile(JSON.stringify(loose))).toThrow(/anchored to a node that does not exist/);
+  loose.labels = [{ ...project.labels[0], layer: "copper" }];
+  expect(() => parseProjectFile(JSON.stringify(loose))).toThrow(/Layer must be/);
+});
+
+test("older files are migrated up to the current version", () => {
+  const old = { format: FILE_FORMAT, version: SCHEMA_VERSION - 1, items: [node] };
+  const migrations = { [SCHEMA_VERSION - 1]: ({ items, ...rest }) => ({ ...rest, shapes: items }) };
+  expect(migrateProject(old, migrations)).toEqual({ format: FILE_FORMAT, version: SCHEMA_VERSION, shapes: [node] });
+  expect(() => migrateProject(old, {})).toThrow(/No migration/);
+});
+
+test("version 1 files move the global line type onto each trace and outline", () => {
+  const v1 = { format: FILE_FORMAT, version: 1, shapes: [node, trace], settings: { lineType: "chamfer", chamferLength: 9 } };
+  const [migratedNode, migratedTrace] = MIGRATIONS[1](v1).shapes;
+  expect(migratedNode).toEqual(node);
+  expect(migratedTrace).toEqual({ ...trace, cornerStyle: "chamfer", chamferLength: 9 });
+});
+
+test("version 4 files place the background image by its size in cm at the origin", () => {
+  const v4 = { format: FILE_FORMAT, version: 4, background: { dataUrl: "data:image/png;base64,AAAA", sizeCm: { width: 10, height: 5 } } };
+  expect(MIGRATIONS[4](v4).background).toEqual({
+    dataUrl: "data:image/png;base64,AAAA",
+    placement: { x: 50, y: 25, width: 100, height: 50, rotation: 0, opacity: 1, locked: false }
+  });
+  expect(MIGRATIONS[4]({ ...v4, background: null }).background).toBeNull();
+});
@@ -0,0 +1,170 @@
+/**
+ * Multi-selection of shapes and labels: box selection, group move, copy and paste.
+ *
+ * A selection is { shapeIds, labelIds }. Ids of items that no longer exist (after undo, for example) are
+ * ignored by every function here. A component and its pads always go together: selecting either one acts on
+ * both (see footprints.js). Labels anchored to a node go wherever the node goes (see labels.js).
+ */
+import { labelPosition } from "./labels";
+
+export const EMPTY_SELECTION = { shapeIds: [], labelIds: [] };
+
+/**
+ * Adds an item to the selection, or removes it when it is already selected.
+ * @param {{shapeIds: number[], labelIds: number[]}} selection
+ * @param {"shape"|"label"} kind
+ * @param {number} id
+ * @returns {{shapeIds: number[], labelIds: number[]}}
+ */
+export const toggleSelected = (selection, kind, id) => {
+  const key = kind === "label" ? "labelIds" : "shapeIds";
+  const ids = selection[key];
+  return { ...selection, [key]: ids.includes(id) ? ids.filter(i => i !== id) : [...ids, id] };
+};
+
+/**
+ * Union of two selections.
+ * @returns {{shapeIds: number[], labelIds: number[]}}
+ */
+export const mergeSelections = (a, b) => ({
+  shapeIds: [...new Set([...a.shapeIds, ...b.shapeIds])],
+  labelIds: [...new Set([...a.labelIds, ...b.labelIds])]
+});
+
+/**
+ * Selected shape ids plus the pads of selected components and the components of selected pads.
+ * @param {object[]} shapes - All shapes
+ * @param {number[]} shapeIds - Selected shape ids
+ * @returns {Set<number>}
+ */
+const withParts = (shapes, shapeIds) => {
+  const ids = new Set(shapeIds);
+  shapes.filter(s => s.componentId !== undefined && ids.has(s.id)).forEach(s => ids.add(s.componentId));
+  shapes.filter(s => s.componentId !== undefined && ids.has(s.componentId)).forEach(s => ids.add(s.id));
+  return ids;
+};
+
+/**
+ * Items lying completely inside a rectangle. Nodes and labels count by their (anchor) position, traces and outlines
+ * by every drawn point.
+ * @param {object[]} shapes - All shapes
+ * @param {object[]} labels - All labels
+ * @param {{x1: number, y1: number, x2: number, y2: number}} rect - Corners in canvas pixels, in any order
+ * @param {function(object): number[]} [pointsOf] - Drawn points of a trace or outline
+ * @returns {{shapeIds: number[], labelIds: number[]}}
+ */
+export const selectionInRect = (shapes, labels, rect, pointsOf = s => s.points) => {
+  const [left, right] = [Math.min(rect.x1, rect.x2), Math.max(rect.x1, rect.x2)];
+  const [top, bottom] = [Math.min(rect.y1, rect.y2), Math.max(rect.y1, rect.y2)];
+  const inside = (x, y) => x >= left && x <= right && y >= top && y <= bottom;
+  const allInside = pts => pts.every((v, i) => i % 2 || inside(v, pts[i + 1]));
+  return {
+    shapeIds: shapes.filter(s => (s.points ? allInside(pointsOf(s)) : inside(s.x, s.y))).map(s => s.id),
+    labelIds: labels.filter(l => {
+      const at = labelPosition(l, shapes);
+      return inside(at.x, at.y);
+    }).map(l => l.id)
+  };
+};
+
+/**
+ * Selected items plus the traces that would be left dangling without their nodes, i.e. what a delete removes.
+ * @param {object[]} shapes - All shapes
+ * @param {object[]} labels - All labels
+ * @param {{shapeIds: number[], labelIds: number[]}} selection
+ * @returns {{shapes: object[], labels: object[]}}
+ */
+export const selectedItems = (shapes, labels, selection) => {
+  const ids = withParts(shapes, selection.shapeIds);
+  return {
+    shapes: shapes.filter(s => ids.has(s.id) || (s.type === "connection" && (ids.has(s.node1Id) || ids.has(s.node2Id)))),
+    labels: labels.filter(l => selection.labelIds.includes(l.id))
+  };
+};
+
+/**
+ * Moves the selection. Selected nodes, components, outlines and labels move as a whole. A trace moves its inner
+ * points when it is selected or both of its nodes move, and each end follows its own node, so traces never come
+ * loose. Labels anchored to a moving node already follow it and keep their offset.
+ * @param {object[]} shapes - All shapes
+ * @param {object[]} labels - All labels
+ * @param {{shapeIds: number[], labelIds: number[]}} selection
+ * @param {number} dx - Offset in pixels
+ * @param {number} dy - Offset in pixels
+ * @returns {{shapes: object[], labels: object[]}} Updated lists; untouched items keep their identity
+ */
+export const moveSelection = (shapes, labels, selection, dx, dy) => {
+  const ids   = withParts(shapes, selection.shapeIds);
+  const nodes = new Set(shapes.filter(s => s.type === "node" && ids.has(s.id)).map(s => s.id));
+  const shift = (v, i) => v + (i % 2 ? dy : dx);
+  return {
+    shapes: shapes.map(s => {
+      if (!s.points) return ids.has(s.id) ? { ...s, x: s.x + dx, y: s.y + dy } : s;
+      if (s.type !== "connection") return ids.has(s.id) ? { ...s, points: s.points.map(shift) } : s;
+      const first = nodes.has(s.node1Id), last = nodes.has(s.node2Id);
+      const inner = ids.has(s.id) || (first && last);
+      if (!first && !last && !inner) return s;
+      const end = s.points.length - 2;
+      return {
+        ...s,
+        points: s.points.map((v, i) => ((i < 2 ? first : i >= end ? last : inner) ? shift(v, i) : v))
+      };
+    }),
+    labels: labels.map(l =>
+      (selection.labelIds.includes(l.id) && !nodes.has(l.nodeId) ? { ...l, x: l.x + dx, y: l.y + dy } : l))
+  };
+};
+
+/**
+ * Copies the selection for pasting. Traces between two selected nodes are copied along with them;
+ * traces with an end outside the copy are left out because they could not be reconnected.
+ * @param {object[]} shapes - All shapes
+ * @param {object[]} labels - All labels
+ * @param {{shapeIds: number[], labelIds: number[]}} selection
+ * @returns {{shapes: object[], labels: object[]}}
+ */
+export const copySelection = (shapes, labels, selection) => {
+  const ids   = withParts(shapes, selection.shapeIds);
+  const nodes = new Set(shapes.filter(s => s.type === "node" && ids.has(s.id)).map(s => s.id));
+  return {
+    shapes: shapes.filter(s =>
+      s.type === "connection" ? nodes.has(s.node1Id) && nodes.has(s.node2Id) : ids.has(s.id)),
+    labels: labels.filter(l => selection.labelIds.includes(l.id))
+  };
+};
+
+/**
+ * Copied items with new ids, offset by (dx, dy). Traces are remapped to the new copies of their nodes and pads
+ * to the new copies of their components; a zone takes the net of the copy of its node, or keeps its net when the
+ * node was not copied, and so does an anchored label. Pasted components keep their reference designators; callers renumber
+ * them when needed.
+ * @param {{shapes: object[], labels: object[]}} copied - Result of copySelection
+ * @param {object} options
+ * @param {number} options.dx - Offset in pixels
+ * @param {number} options.dy - Offset in pixels
+ * @param {number} [options.firstId] - First id handed out
+ * @returns {{shapes: object[], labels: object[]}}
+ */
+export const pasteItems = (copied, { dx, dy, firstId = Date.now() }) => {
+  let nextId = firstId;
+  const newIds = new Map(copied.shapes.map(s => [s.id, nextId++]));
+  const moved  = moveSelection(
+    copied.shapes, copied.labels,
+    { shapeIds: copied.shapes.map(s => s.id), labelIds: copied.labels.map(l => l.id) },
+    dx, dy
+  );
+  return {
+    shapes: moved.shapes.map(s => ({
+      ...s,
+      id: newIds.get(s.id),
+      ...(s.type === "connection" && { node1Id: newIds.get(s.node1Id), node2Id: newIds.get(s.node2Id) }),
+      ...(s.componentId !== undefined && { componentId: newIds.get(s.componentId) }),
+      ...(s.type === "zone" && newIds.has(s.nodeId) && { nodeId: newIds.get(s.nodeId) })
+    })),
+    labels: moved.labels.map(l => ({
+      ...l,
+      id: nextId++,
+      ...(newIds.has(l.nodeId) && { nodeId: newIds.get(l.nodeId) })
+    }))
+  };
+};
@@ -0,0 +1,86 @@
+import {
+  EMPTY_SELECTION,
+  toggleSelected,
+  selectionInRect,
+  selectedItems,
+  moveSelection,
+  copySelection,
+  pasteItems
+} from "./selection";
+
+const a  = { id: 1, type: "node", x: 0, y: 0 };
+const b  = { id: 2, type: "node", x: 60, y: 0 };
+const c  = { id: 3, type: "node", x: 300, y: 0 };
+const ab = { id: 4, type: "connection", node1Id: 1, node2Id: 2, points: [0, 0, 30, 30, 60, 0] };
+const bc = { id: 5, type: "connection", node1Id: 2, node2Id: 3, points: [60, 0, 300, 0] };
+const shapes = [a, b, c, ab, bc];
+const label  = { id: 6, x: 10, y: 10, text: "R1", fontSize: 14 };
+
+test("shift-click toggles items in and out of the selection", () => {
+  const one = toggleSelected(EMPTY_SELECTION, "shape", 1);
+  expect(toggleSelected(one, "label", 6)).toEqual({ shapeIds: [1], labelIds: [6] });
+  expect(toggleSelected(one, "shape", 1)).toEqual(EMPTY_SELECTION);
+});
+
+test("box selection takes what lies completely inside", () => {
+  const sel = selectionInRect(shapes, [label], { x1: 100, y1: 50, x2: -10, y2: -10 });
+  expect(sel).toEqual({ shapeIds: [1, 2, 4], labelIds: [6] });
+});
+
+test("deleting a node takes its traces along", () => {
+  expect(selectedItems(shapes, [label], { shapeIds: [3], labelIds: [] }).shapes).toEqual([c, bc]);
+});
+
+test("moving keeps traces attached to their nodes", () => {
+  const { shapes: moved, labels } = moveSelection(shapes, [label], { shapeIds: [1, 2, 4], labelIds: [6] }, 10, 5);
+  expect(moved.find(s => s.id === 4).points).toEqual([10, 5, 40, 35, 70, 5]);
+  // Only the end on the moved node follows
+  expect(moved.find(s => s.id === 5).points).toEqual([70, 5, 300, 0]);
+  expect(moved.find(s => s.id === 3)).toBe(c);
+  expect(labels[0]).toMatchObject({ x: 20, y: 15 });
+});
+
+test("components move and copy together with their pads", () => {
+  const part = { id: 20, type: "component", x: 100, y: 100, layer: "component" };
+  const pad1 = { id: 21, type: "node", componentId: 20, x: 90, y: 100 };
+  const pad2 = { id: 22, type: "node", componentId: 20, x: 110, y: 100 };
+  const all  = [...shapes, part, pad1, pad2];
+  // Grabbing one pad moves the whole component
+  const { shapes: moved } = moveSelection(all, [], { shapeIds: [21], labelIds: [] }, 5, 0);
+  expect(moved.slice(-3).map(s => s.x)).toEqual([105, 95, 115]);
+  const pasted = pasteItems(copySelection(all, [], { shapeIds: [20], labelIds: [] }), { dx: 0, dy: 0, firstId: 200 });
+  expect(pasted.shapes.map(s => [s.id, s.componentId])).toEqual([[200, undefined], [201, 200], [202, 200]]);
+});
+
+test("pasted sub-circuits get new ids and keep their connections", () => {
+  const copied = copySelection(shapes, [label], { shapeIds: [1, 2], labelIds: [6] });
+  // The trace between the two copied nodes comes along, the one to the third node does not
+  expect(copied.shapes.map(s => s.id)).toEqual([1, 2, 4]);
+  const pasted = pasteItems(copied, { dx: 30, dy: 30, firstId: 100 });
+  expect(pasted.shapes.map(s => s.id)).toEqual([100, 101, 102]);
+  expect(pasted.shapes[2]).toMatchObject({ node1Id: 100, node2Id: 101, points: [30, 30, 60, 60, 90, 30] });
+  expect(pasted.labels[0]).toMatchObject({ id: 103, x: 40, y: 40 });
+});
+
+test("pasted zones take the net of their copied node, or keep their own", () => {
+  const zone = { id: 30, type: "zone", nodeId: 1, points: [0, 0, 90, 0, 90, 90, 0, 0], layer: "zone" };
+  const paste = shapeIds =>
+    pasteItems(copySelection([...shapes, zone], [], { shapeIds, labelIds: [] }), { dx: 0, dy: 0, firstId: 100 }).shapes;
+  expect(paste([1, 30])[1].nodeId).toBe(100);
+  expect(paste([30])[0].nodeId).toBe(1);
+});
+
+test("labels anchored to a node follow it, in box selection, moves and pastes", () => {
+  const tag = { id: 7, x: 5, y: -10, text: "VCC", fontSize: 14, nodeId: 2 }; // Drawn at (65, -10)
+  expect(selectionInRect(shapes, [tag], { x1: 50, y1: -20, x2: 70, y2: 0 }).labelIds).toEqual([7]);
+  expect(selectionInRect(shapes, [tag], { x1: 0, y1: -20, x2: 10, y2: 0 }).labelIds).toEqual([]);
+
+  // The node carries the label; selected on its own the label moves relative to the node
+  expect(moveSelection(shapes, [tag], { shapeIds: [2], labelIds: [7] }, 10, 0).labels[0]).toBe(tag);
+  expect(moveSelection(shapes, [tag], { shapeIds: [], labelIds: [7] }, 10, 0).labels[0]).toMatchObject({ x: 15, y: -10 });
+
+  const paste = shapeIds =>
+    pasteItems(copySelection(shapes, [tag], { shapeIds, labelIds: [7] }), { dx: 0, dy: 0, firstId: 100 }).labels[0];
+  expect(paste([2]).nodeId).toBe(100);
+  expect(paste([]).nodeId).toBe(2);
+});
@@ -0,0 +1,114 @@
+// Size of the canvas viewport on screen in pixels; the board itself can be larger or smaller, see viewport.js
+export const STAGE_WIDTH_PX  = 600;
+export const STAGE_HEIGHT_PX = 400;
+
+// Canvas pixels per centimetre at 100 % zoom; all shape coordinates are stored in these pixels
+export const PIXELS_PER_CM   = 30;
+
+// Board size of a new project in mm
+export const DEFAULT_BOARD_SIZE = { width: 200, height: 150 };
+
+/**
+ * Converts a canvas distance in pixels to millimetres.
+ * @param {number} px - Distance in pixels
+ * @returns {number} Distance in mm
+ */
+export const pxToMm = px => (px / PIXELS_PER_CM) * 10;
+
+/**
+ * Converts millimetres to a canvas distance in pixels.
+ * @param {number} mm - Distance in mm
+ * @returns {number} Distance in pixels
+ */
+export const mmToPx = mm => (mm / 10) * PIXELS_PER_CM;
+
+/**
+ * Converts a canvas distance in pixels to metres.
+ * @param {number} px - Distance in pixels
+ * @returns {number} Distance in m
+ */
+export const pxToM = px => pxToMm(px) / 1000;
+
+/**
+ * Stroke width in pixels that draws a trace width at true scale.
+ * @param {number} width - Trace width in m
+ * @returns {number} Width in pixels
+ */
+export const widthToPx = width => mmToPx(width * 1000);
+
+/**
+ * Trace width in millimetres, as the fabrication exports and design rules use it.
+ * @param {number} width - Trace width in m
+ * @returns {number} Width in mm
+ */
+export const widthToMm = width => width * 1000;
+
+// Widths assumed for traces and outlines saved without one (m)
+export const DEFAULT_TRACE_WIDTH   = 0.005;
+export const DEFAULT_OUTLINE_WIDTH = 0.001;
+
+/**
+ * Width of a trace or outline, falling back to the default for its kind when none is stored.
+ * @param {object} shape - Trace or outline
+ * @returns {number} Width in m
+ */
+export const widthOf = shape =>
+  shape.width || (shape.layer === "outline" ? DEFAULT_OUTLINE_WIDTH : DEFAULT_TRACE_WIDTH);
+
+/**
+ * Length of a polyline.
+ * @param {number[]} pts - Flat [x1,y1,x2,y2,...] array in pixels
+ * @returns {number} Length in pixels
+ */
+export const polylineLength = pts => {
+  let length = 0;
+  for (let i = 0; i + 3 < pts.length; i += 2) length += Math.hypot(pts[i + 2] - pts[i], pts[i + 3] - pts[i + 1]);
+  return length;
+};
+
+/*
+ * Internal units: canvas coordinates are pixels (PIXELS_PER_CM), trace widths are metres and
+ * pad/drill/rule values are millimetres. Values are shown and typed in the display unit below.
+ */
+export const DISPLAY_UNITS = {
+  mm:  { label: "mm",  mm: 1,      digits: 3 },
+  mil: { label: "mil", mm: 0.0254, digits: 1 },
+  in:  { label: "in",  mm: 25.4,   digits: 4 }
+};
+
+// Suffixes accepted when typing a length, in mm per unit
+const SUFFIXES = { mm: 1, cm: 10, m: 1000, um: 0.001, "µm": 0.001, mil: 0.0254, thou: 0.0254, in: 25.4, inch: 25.4, '"': 25.4 };
+
+/**
+ * Converts millimetres to a display unit.
+ * @param {number} mm - Length in mm
+ * @param {string} unit - Key of DISPLAY_UNITS
+ * @returns {number}
+ */
+export const toDisplayUnit = (mm, unit) => mm / DISPLAY_UNITS[unit].mm;
+
+/**
+ * Formats a length in a display unit, trimming trailing zeros.
+ * @param {number} mm - Length in mm
+ * @param {string} unit - Key of DISPLAY_UNITS
+ * @param {boolean} [withUnit] - Append the unit label
+ * @returns {string} e.g. "0.25 mm" or "9.8 mil"
+ */
+export const formatLength = (mm, unit, withUnit = true) => {
+  const value = String(Number(toDisplayUnit(mm, unit).toFixed(DISPLAY_UNITS[unit].digits)));
+  return withUnit ? `${value} ${DISPLAY_UNITS[unit].label}` : value;
+};
+
+/**
+ * Parses a typed length. A number without suffix is read in the display unit;
+ * "10 mil", "0.5mm", "0.1in" or "2 cm" override it.
+ * @param {string} text - Typed value
+ * @param {string} unit - Key of DISPLAY_UNITS
+ * @returns {number|null} Length in mm, or null when the text is not a length
+ */
+export const parseLength = (text, unit) => {
+  const match = String(text).trim().toLowerCase().match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*([a-zµ"]*)$/);
+  if (!match) return null;
+  const factor = match[2] ? SUFFIXES[match[2]] : DISPLAY_UNITS[unit].mm;
+  return factor ? Number(match[1]) * factor : null;
+};
@@ -0,0 +1,30 @@
+import { pxToM, widthToPx, widthToMm, widthOf, polylineLength, formatLength, parseLength, PIXELS_PER_CM } from "./units";
+
+test("canvas pixels, metres and true-scale stroke widths agree", () => {
+  expect(pxToM(PIXELS_PER_CM)).toBeCloseTo(0.01);
+  // A 1 mm wide trace is drawn 3 px wide at 30 px/cm
+  expect(widthToPx(0.001)).toBeCloseTo(3);
+  expect(polylineLength([0, 0, 30, 0, 30, 40])).toBe(70);
+});
+
+test("shapes without a width get the default of their kind", () => {
+  expect(widthToMm(0.0005)).toBeCloseTo(0.5);
+  expect(widthOf({ width: 0.0005, layer: "f_lig" })).toBe(0.0005);
+  expect(widthToMm(widthOf({ layer: "b_lig" }))).toBeCloseTo(5);
+  expect(widthToMm(widthOf({ layer: "outline" }))).toBeCloseTo(1);
+});
+
+test("lengths are shown in the display unit", () => {
+  expect(formatLength(0.254, "mil")).toBe("10 mil");
+  expect(formatLength(25.4, "in")).toBe("1 in");
+  expect(formatLength(0.25, "mm", false)).toBe("0.25");
+});
+
+test("typed lengths use the display unit unless they name another", () => {
+  expect(parseLength("10", "mil")).toBeCloseTo(0.254);
+  expect(parseLength("0.5 mm", "mil")).toBe(0.5);
+  expect(parseLength("2cm", "mm")).toBe(20);
+  expect(parseLength('0.1"', "mm")).toBeCloseTo(2.54);
+  expect(parseLength("abc", "mm")).toBeNull();
+  expect(parseLength("3 parsecs", "mm")).toBeNull();
+});
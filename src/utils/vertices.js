@@ -0,0 +1,82 @@
+/**
+ * Editing the stored vertices of traces and outlines.
+ *
+ * The ends of a trace sit on its nodes and only move with them. An outline is a closed loop whose last point
+ * repeats the first, so both are kept together.
+ */
+
+/**
+ * Whether a point list ends where it starts.
+ * @param {number[]} pts - Flat [x1,y1,x2,y2,...] array
+ * @returns {boolean}
+ */
+const isClosed = pts =>
+  pts.length >= 6 && pts[0] === pts[pts.length - 2] && pts[1] === pts[pts.length - 1];
+
+/**
+ * Vertices of a shape that can be dragged or deleted.
+ * @param {object} shape - Connection or outline
+ * @returns {number[]} Vertex indices (point number, not coordinate index)
+ */
+export const editableVertices = shape => {
+  const count = shape.points.length / 2;
+  if (shape.type === "connection") return Array.from({ length: Math.max(0, count - 2) }, (_, i) => i + 1);
+  return Array.from({ length: isClosed(shape.points) ? count - 1 : count }, (_, i) => i);
+};
+
+/**
+ * Moves one vertex.
+ * @param {object} shape - Connection or outline
+ * @param {number} index - Vertex index
+ * @param {number} x - New x in pixels
+ * @param {number} y - New y in pixels
+ * @returns {number[]} New points
+ */
+export const moveVertex = (shape, index, x, y) => {
+  const pts = [...shape.points];
+  if (index === 0 && shape.type !== "connection" && isClosed(pts)) {
+    pts[pts.length - 2] = x;
+    pts[pts.length - 1] = y;
+  }
+  pts[2 * index] = x;
+  pts[2 * index + 1] = y;
+  return pts;
+};
+
+/**
+ * Inserts a vertex into the segment closest to (x, y).
+ * @param {object} shape - Connection or outline
+ * @param {number} x - New vertex x in pixels
+ * @param {number} y - New vertex y in pixels
+ * @returns {number[]} New points
+ */
+export const insertVertex = (shape, x, y) => {
+  const pts = shape.points;
+  let best = { distance: Infinity, at: 2 };
+  for (let i = 0; i + 3 < pts.length; i += 2) {
+    const [x1, y1, x2, y2] = pts.slice(i, i + 4);
+    const dx = x2 - x1, dy = y2 - y1;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / len2)) : 0;
+    const distance = Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+    if (distance < best.distance) best = { distance, at: i + 2 };
+  }
+  return [...pts.slice(0, best.at), x, y, ...pts.slice(best.at)];
+};
+
+/**
+ * Removes one vertex, unless that would leave a trace without its ends or an outline with fewer than 3 corners.
+ * @param {object} shape - Connection or outline
+ * @param {number} index - Vertex index
+ * @returns {number[]|null} New points, or null when the vertex cannot be removed
+ */
+export const removeVertex = (shape, index) => {
+  if (!editableVertices(shape).includes(index)) return null;
+  const pts = shape.points;
+  if (shape.type === "connection") return [...pts.slice(0, 2 * index), ...pts.slice(2 * index + 2)];
+  const closed = isClosed(pts);
+  if (editableVertices(shape).length <= 3) return null;
+  const rest = [...pts.slice(0, 2 * index), ...pts.slice(2 * index + 2)];
+  // Removing the start of a closed loop: the next vertex becomes the start and closes it
+  return closed && index === 0 ? [...rest.slice(0, -2), rest[0], rest[1]] : rest;
+};
@@ -0,0 +1,27 @@
+import { editableVertices, moveVertex, insertVertex, removeVertex } from "./vertices";
+
+const trace   = { type: "connection", points: [0, 0, 30, 30, 60, 0] };
+const outline = { type: "outline", points: [0, 0, 60, 0, 60, 60, 0, 60, 0, 0] };
+
+test("trace ends stay on their nodes, outline corners are all editable", () => {
+  expect(editableVertices(trace)).toEqual([1]);
+  expect(editableVertices({ ...trace, points: [0, 0, 60, 0] })).toEqual([]);
+  expect(editableVertices(outline)).toEqual([0, 1, 2, 3]);
+});
+
+test("moving the start of an outline keeps it closed", () => {
+  expect(moveVertex(trace, 1, 30, 60)).toEqual([0, 0, 30, 60, 60, 0]);
+  expect(moveVertex(outline, 0, 5, 5)).toEqual([5, 5, 60, 0, 60, 60, 0, 60, 5, 5]);
+});
+
+test("a new vertex goes into the nearest segment", () => {
+  expect(insertVertex(trace, 50, 15)).toEqual([0, 0, 30, 30, 50, 15, 60, 0]);
+  expect(insertVertex(outline, 30, 62)).toEqual([0, 0, 60, 0, 60, 60, 30, 62, 0, 60, 0, 0]);
+});
+
+test("vertices are removed only while the shape stays valid", () => {
+  expect(removeVertex(trace, 1)).toEqual([0, 0, 60, 0]);
+  expect(removeVertex(trace, 0)).toBeNull();
+  expect(removeVertex(outline, 0)).toEqual([60, 0, 60, 60, 0, 60, 60, 0]);
+  expect(removeVertex({ ...outline, points: [0, 0, 60, 0, 60, 60, 0, 0] }, 1)).toBeNull();
+});
@@ -0,0 +1,88 @@
+/**
+ * Zoom and pan of the canvas.
+ *
+ * The design is stored in canvas pixels ("world" coordinates, see units.js). The stage shows it through a view
+ * { scale, x, y }: a world point p appears on screen at p * scale + (x, y).
+ */
+import { mmToPx } from "./units";
+
+export const MIN_SCALE  = 0.1;
+export const MAX_SCALE  = 20;
+export const ZOOM_STEP  = 1.1; // Zoom factor of one mouse wheel notch
+export const IDENTITY_VIEW = { scale: 1, x: 0, y: 0 };
+
+/**
+ * Converts a screen position on the stage to world coordinates.
+ * @param {{scale: number, x: number, y: number}} view
+ * @param {{x: number, y: number}} point - Position in stage pixels, e.g. stage.getPointerPosition()
+ * @returns {{x: number, y: number}} Position in canvas pixels
+ */
+export const toWorld = (view, point) => ({
+  x: (point.x - view.x) / view.scale,
+  y: (point.y - view.y) / view.scale
+});
+
+/**
+ * Zooms by a factor while keeping the world point under the cursor in place.
+ * @param {{scale: number, x: number, y: number}} view
+ * @param {{x: number, y: number}} pointer - Cursor position in stage pixels
+ * @param {number} factor - Greater than 1 zooms in
+ * @returns {{scale: number, x: number, y: number}} New view
+ */
+export const zoomAt = (view, pointer, factor) => {
+  const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, view.scale * factor));
+  const at    = toWorld(view, pointer);
+  return { scale, x: pointer.x - at.x * scale, y: pointer.y - at.y * scale };
+};
+
+/**
+ * Area covered by the board and every shape drawn on it.
+ * @param {object[]} shapes - All shapes
+ * @param {{width: number, height: number}} boardSize - Board size in mm
+ * @returns {{x: number, y: number, width: number, height: number}} Bounds in canvas pixels
+ */
+export const boundsOf = (shapes, boardSize) => {
+  const xs = [0, mmToPx(boardSize.width)];
+  const ys = [0, mmToPx(boardSize.height)];
+  shapes.forEach(s => {
+    if (s.points) {
+      s.points.forEach((v, i) => (i % 2 ? ys : xs).push(v));
+    } else if (s.x !== undefined) {
+      const r = s.radius || 0;
+      xs.push(s.x - r, s.x + r);
+      ys.push(s.y - r, s.y + r);
+    }
+  });
+  const x = Math.min(...xs), y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+};
+
+/**
+ * View that shows the given bounds centred in the viewport.
+ * @param {{x: number, y: number, width: number, height: number}} bounds - Area in canvas pixels
+ * @param {number} width - Viewport width in stage pixels
+ * @param {number} height - Viewport height in stage pixels
+ * @param {number} [margin] - Free space kept around the bounds, in stage pixels
+ * @returns {{scale: number, x: number, y: number}}
+ */
+export const fitView = (bounds, width, height, margin = 10) => {
+  const scale = Math.min(
+    MAX_SCALE,
+    Math.max(MIN_SCALE, Math.min((width - 2 * margin) / (bounds.width || 1), (height - 2 * margin) / (bounds.height || 1)))
+  );
+  return {
+    scale,
+    x: (width - bounds.width * scale) / 2 - bounds.x * scale,
+    y: (height - bounds.height * scale) / 2 - bounds.y * scale
+  };
+};
+
+/**
+ * Checks a board size for impossible values.
+ * @param {{width: number, height: number}} size - Board size in mm
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateBoardSize = size =>
+  ["width", "height"].every(key => Number.isFinite(size?.[key]) && size[key] > 0)
+    ? null
+    : "Board width and height must be positive numbers";
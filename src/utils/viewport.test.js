@@ -0,0 +1,34 @@
+import { toWorld, zoomAt, boundsOf, fitView, validateBoardSize, MAX_SCALE } from "./viewport";
+
+test("zooming keeps the point under the cursor in place", () => {
+  const view    = { scale: 1.5, x: 40, y: -20 };
+  const pointer = { x: 200, y: 120 };
+  const before  = toWorld(view, pointer);
+  const zoomed  = zoomAt(view, pointer, 2);
+  expect(zoomed.scale).toBe(3);
+  expect(toWorld(zoomed, pointer).x).toBeCloseTo(before.x);
+  expect(toWorld(zoomed, pointer).y).toBeCloseTo(before.y);
+  expect(zoomAt({ scale: MAX_SCALE, x: 0, y: 0 }, pointer, 2).scale).toBe(MAX_SCALE);
+});
+
+test("bounds cover the board and shapes outside it", () => {
+  const shapes = [
+    { type: "node", x: 700, y: 10, radius: 5 },
+    { type: "connection", points: [-30, 0, 10, 20] }
+  ];
+  // 200 x 150 mm is 600 x 450 px
+  expect(boundsOf([], { width: 200, height: 150 })).toEqual({ x: 0, y: 0, width: 600, height: 450 });
+  expect(boundsOf(shapes, { width: 200, height: 150 })).toEqual({ x: -30, y: 0, width: 735, height: 450 });
+});
+
+test("fit view centres the bounds in the viewport", () => {
+  const view = fitView({ x: 0, y: 0, width: 600, height: 450 }, 620, 470);
+  expect(view.scale).toBe(1);
+  expect(view.x).toBe(10);
+  expect(view.y).toBe(10);
+});
+
+test("board size must be positive", () => {
+  expect(validateBoardSize({ width: 100, height: 80 })).toBeNull();
+  expect(validateBoardSize({ width: 0, height: 80 })).toMatch(/positive/);
+});
@@ -0,0 +1,273 @@
+/**
+ * Copper pour zones, e.g. a ground plane.
+ *
+ * A zone is stored as
+ *   { id, type: "zone", points, nodeId, copperLayer, clearance, thermalWidth, cornerStyle, chamferLength,
+ *     filletRadius, color, layer: "zone" }
+ * with points a closed loop like the board outline, nodeId the node whose net the zone carries (null for none),
+ * copperLayer the layer it pours on and clearance / thermalWidth in mm.
+ * The fill is not stored: fillZone works it out from the design, so it follows every change. It is built from
+ * rows of a fixed height that keep the clearance to copper of other nets and the edge clearance to the board
+ * outline; rows with the same extent are joined into rectangles. Pads of the zone's net get the same gap and
+ * four thermal relief spokes into the fill, vias of the net are poured over. A zone only joins copper that is
+ * already on its net; it does not connect nets by itself.
+ */
+import { mmToPx, widthToPx, widthOf } from "./units";
+import { padStackOf, padRadius, padOnLayer } from "./drill";
+import { extractNets, netOfNode } from "./netlist";
+import { segmentDistance } from "./drc";
+
+// Settings of newly drawn zones (mm)
+export const DEFAULT_ZONE = { copperLayer: "f_lig", clearance: 0.5, thermalWidth: 0.5 };
+
+export const ZONE_COLOR = "darkorange";
+
+// Height of one fill row in mm; edges of the fill follow slanted and round shapes in steps of this size
+export const FILL_STEP_MM = 0.2;
+
+/**
+ * Checks the settings of a zone.
+ * @param {{clearance: number, thermalWidth: number}} zone - Values in mm
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateZone = ({ clearance, thermalWidth }) => {
+  if (!(clearance >= 0)) return "Clearance cannot be negative";
+  if (!(thermalWidth > 0)) return "Thermal spoke width must be greater than 0";
+  return null;
+};
+
+/**
+ * Moves the zones on nodes about to be deleted to the first remaining node of the same net, or to none when the
+ * whole net goes, so no zone is left pointing at a missing node.
+ * @param {object[]} shapes - All shapes, still including the deleted ones
+ * @param {number[]} removedIds - Ids of the shapes being deleted
+ * @returns {{zones: object[], reassigned: object[]}} The affected zones as they are and as they become
+ */
+export const reassignZones = (shapes, removedIds) => {
+  const removed = new Set(removedIds);
+  const zones   = shapes.filter(s => s.type === "zone" && !removed.has(s.id) && removed.has(s.nodeId));
+  const nets    = zones.length ? extractNets(shapes) : [];
+  return {
+    zones,
+    reassigned: zones.map(z => ({
+      ...z,
+      nodeId: netOfNode(nets, z.nodeId)?.nodeIds.find(id => !removed.has(id)) ?? null
+    }))
+  };
+};
+
+/**
+ * Where a horizontal line crosses the edges of a polygon.
+ * @param {number[]} poly - Flat polygon, closed or not
+ * @param {number} y
+ * @returns {number[][]} Inside intervals [x1, x2] along the line, left to right (even-odd rule)
+ */
+const polygonSpans = (poly, y) => {
+  const xs = [];
+  for (let i = 0, j = poly.length - 2; i < poly.length; j = i, i += 2) {
+    const xi = poly[i], yi = poly[i + 1], xj = poly[j], yj = poly[j + 1];
+    if ((yi > y) !== (yj > y)) xs.push(((xj - xi) * (y - yi)) / (yj - yi) + xi);
+  }
+  xs.sort((a, b) => a - b);
+  const spans = [];
+  for (let i = 0; i + 1 < xs.length; i += 2) spans.push([xs[i], xs[i + 1]]);
+  return spans;
+};
+
+/**
+ * Where a horizontal line runs within a distance of a segment (through a capsule around it).
+ * @param {number[]} seg - Segment [x1, y1, x2, y2]
+ * @param {number} r - Distance
+ * @param {number} y
+ * @returns {number[]|null} Interval [x1, x2], or null when the line misses it
+ */
+const capsuleSpan = ([ax, ay, bx, by], r, y) => {
+  let lo = Infinity, hi = -Infinity;
+  const add = x => {
+    if (x < lo) lo = x;
+    if (x > hi) hi = x;
+  };
+  // The capsule is the two end circles plus the band between them; being convex, its span is the hull of theirs.
+  // Called for every obstacle on every row, so it avoids building arrays.
+  const circle = (cx, cy) => {
+    const dy = y - cy;
+    if (Math.abs(dy) <= r) {
+      const dx = Math.sqrt(r * r - dy * dy);
+      add(cx - dx);
+      add(cx + dx);
+    }
+  };
+  const edge = (x1, y1, x2, y2) => {
+    if ((y1 > y) !== (y2 > y)) add(x1 + ((x2 - x1) * (y - y1)) / (y2 - y1));
+  };
+  circle(ax, ay);
+  circle(bx, by);
+  const length = Math.hypot(bx - ax, by - ay);
+  if (length > 0) {
+    const nx = (-(by - ay) / length) * r, ny = ((bx - ax) / length) * r;
+    edge(ax + nx, ay + ny, bx + nx, by + ny);
+    edge(bx + nx, by + ny, bx - nx, by - ny);
+    edge(bx - nx, by - ny, ax - nx, ay - ny);
+    edge(ax - nx, ay - ny, ax + nx, ay + ny);
+  }
+  return lo <= hi ? [lo, hi] : null;
+};
+
+/**
+ * Overlap of two sorted interval lists.
+ * @param {number[][]} a
+ * @param {number[][]} b
+ * @returns {number[][]}
+ */
+const intersectSpans = (a, b) =>
+  a.flatMap(([a1, a2]) => b
+    .map(([b1, b2]) => [Math.max(a1, b1), Math.min(a2, b2)])
+    .filter(([x1, x2]) => x1 < x2));
+
+/**
+ * Removes blocked intervals from sorted intervals.
+ * @param {number[][]} spans - Sorted, not overlapping
+ * @param {number[][]} blocked - In any order, may overlap
+ * @returns {number[][]}
+ */
+const subtractSpans = (spans, blocked) => {
+  const cuts = [...blocked].sort((a, b) => a[0] - b[0]);
+  return spans.flatMap(([x1, x2]) => {
+    const out = [];
+    let from = x1;
+    cuts.forEach(([c1, c2]) => {
+      if (c2 <= from || c1 >= x2) return;
+      if (c1 > from) out.push([from, c1]);
+      from = Math.max(from, c2);
+    });
+    if (from < x2) out.push([from, x2]);
+    return out;
+  });
+};
+
+/**
+ * Pad radius used for clearances, the circle around the pad like the DRC.
+ * @param {object} node
+ * @returns {number} Radius in pixels
+ */
+const padRadiusPx = node => mmToPx(padRadius(padStackOf(node)));
+
+/**
+ * Works out the copper of a zone.
+ * @param {object} zone - Zone shape
+ * @param {object[]} shapes - All shapes
+ * @param {object} [options]
+ * @param {number} [options.edgeClearance] - Gap to the board outline in mm
+ * @param {function(object): number[]} [options.pointsOf] - Drawn points of a trace, outline or zone (corner styles)
+ * @param {number} [options.stepMm] - Row height in mm
+ * @returns {{rects: number[][], spokes: number[][], spokeWidth: number}} Fill rectangles [x, y, width, height],
+ *   thermal spokes [x1, y1, x2, y2] and their width, all in pixels
+ */
+export const fillZone = (zone, shapes, {
+  edgeClearance = 0, pointsOf = s => s.points, stepMm = FILL_STEP_MM
+} = {}) => {
+  const fill = { rects: [], spokes: [], spokeWidth: mmToPx(zone.thermalWidth) };
+  const poly = pointsOf(zone);
+  if (poly.length < 6) return fill;
+  const step  = mmToPx(stepMm);
+  const gap   = mmToPx(zone.clearance);
+  const layer = zone.copperLayer;
+  const net   = zone.nodeId == null ? undefined : netOfNode(extractNets(shapes), zone.nodeId);
+  const own   = new Set(net ? net.nodeIds : []);
+
+  // Obstacles, one per segment: the distance the fill keeps from it (plus half a row, since rows are sampled
+  // along their middle) and whether it is copper a thermal spoke must keep its clearance to
+  const obstacles = [];
+  const addObstacle = (pts, keep, copper) => {
+    const reach = keep + step / 2;
+    const segs  = pts.length === 2 ? [[...pts, ...pts]] : [];
+    for (let i = 0; i + 3 < pts.length; i += 2) segs.push(pts.slice(i, i + 4));
+    segs.forEach(seg => obstacles.push({
+      seg, reach, copper,
+      top: Math.min(seg[1], seg[3]) - reach,
+      bottom: Math.max(seg[1], seg[3]) + reach
+    }));
+  };
+  const closed = pts => [...pts, pts[0], pts[1]];
+  addObstacle(closed(poly), 0, false);
+
+  const outline     = shapes.find(s => s.type === "outline" && s.points.length >= 6);
+  const outlinePoly = outline ? pointsOf(outline) : null;
+  if (outlinePoly) addObstacle(closed(outlinePoly), mmToPx(edgeClearance), false);
+
+  shapes
+    .filter(s => s.type === "connection" && s.layer === layer && !own.has(s.node1Id) && !own.has(s.node2Id))
+    .forEach(c => addObstacle(pointsOf(c), widthToPx(widthOf(c)) / 2 + gap, true));
+
+  // Pads of other nets are cleared, pads of the zone's net get a thermal relief; surface-mount pads are on one side
+  const thermals = [];
+  shapes.filter(s => s.type === "node").forEach(n => {
+    if (!padOnLayer(n, layer)) return;
+    if (own.has(n.id) && n.nodeType === "via") return;
+    addObstacle([n.x, n.y], padRadiusPx(n) + gap, !own.has(n.id));
+    if (own.has(n.id)) thermals.push(n);
+  });
+
+  // Zones of other nets on the same layer: neither pours into the other
+  const others = shapes
+    .filter(s => s.type === "zone" && s.id !== zone.id && s.copperLayer === layer && s.points.length >= 6)
+    .filter(s => !net || s.nodeId == null || !net.nodeIds.includes(s.nodeId))
+    .map(s => pointsOf(s));
+  others.forEach(p => addObstacle(closed(p), gap, false));
+
+  // Rows from top to bottom, with a sweep over the obstacles they pass
+  obstacles.sort((a, b) => a.top - b.top);
+  const ys = poly.filter((_, i) => i % 2);
+  let next = 0, active = [], above = new Map();
+  for (let y = Math.min(...ys) + step / 2; y < Math.max(...ys); y += step) {
+    while (next < obstacles.length && obstacles[next].top <= y) active.push(obstacles[next++]);
+    active = active.filter(o => o.bottom >= y);
+
+    let spans = polygonSpans(poly, y);
+    if (outlinePoly) spans = intersectSpans(spans, polygonSpans(outlinePoly, y));
+    const blocked = [
+      ...active.map(o => capsuleSpan(o.seg, o.reach, y)).filter(Boolean),
+      ...others.flatMap(p => polygonSpans(p, y))
+    ];
+    spans = subtractSpans(spans, blocked).filter(([x1, x2]) => x2 - x1 >= step);
+
+    // A row with the same extent as the one above grows that rectangle instead of starting a new one
+    const row = new Map();
+    for (const [x1, x2] of spans) {
+      const key  = `${x1},${x2}`;
+      let rect = above.get(key);
+      if (rect) {
+        rect[3] += step;
+      } else {
+        rect = [x1, y - step / 2, x2 - x1, step];
+        fill.rects.push(rect);
+      }
+      row.set(key, rect);
+    }
+    above = row;
+  }
+
+  // Thermal spokes: straight out from the pad across its gap, kept where they end in the fill and pass no copper
+  // of other nets
+  const inFill = (x, y) => fill.rects.some(([rx, ry, w, h]) => x > rx && x < rx + w && y > ry && y < ry + h);
+  const copper = obstacles.filter(o => o.copper);
+  thermals.forEach(n => {
+    const length = padRadiusPx(n) + gap + step;
+    [[1, 0], [0, 1], [-1, 0], [0, -1]].forEach(([dx, dy]) => {
+      const spoke = [n.x, n.y, n.x + dx * length, n.y + dy * length];
+      if (!inFill(spoke[2], spoke[3])) return;
+      if (copper.every(o => segmentDistance(spoke, o.seg) >= o.reach - step / 2 + fill.spokeWidth / 2)) {
+        fill.spokes.push(spoke);
+      }
+    });
+  });
+  return fill;
+};
+
+/**
+ * SVG / Konva path data of a zone fill's rectangles.
+ * @param {{rects: number[][]}} fill - Result of fillZone
+ * @returns {string}
+ */
+export const fillPath = ({ rects }) =>
+  rects.map(([x, y, w, h]) => `M${x} ${y}h${w}v${h}h${-w}z`).join("");
@@ -0,0 +1,89 @@
+import { fillZone, fillPath, validateZone, reassignZones, DEFAULT_ZONE } from "./zones";
+import { mmToPx, pxToMm } from "./units";
+
+const pad  = { shape: "circle", padDiameter: 2, drillDiameter: 1, plated: true };
+const node = (id, xMm, yMm, nodeType = "power") =>
+  ({ id, type: "node", nodeType, x: mmToPx(xMm), y: mmToPx(yMm), radius: mmToPx(1), padStack: pad, layer: "footprint" });
+const trace = (id, node1Id, node2Id, ptsMm) =>
+  ({ id, type: "connection", points: ptsMm.map(mmToPx), node1Id, node2Id, width: 0.0005, layer: "f_lig" });
+const board = { id: 99, type: "outline", points: [0, 0, 40, 0, 40, 20, 0, 20, 0, 0].map(mmToPx), layer: "outline" };
+const zone  = (id, nodeId, ptsMm) =>
+  ({ id, type: "zone", points: ptsMm.map(mmToPx), nodeId, ...DEFAULT_ZONE, layer: "zone" });
+const options = { edgeClearance: 1, stepMm: 0.2 };
+
+// Whether a point in mm is covered by the fill
+const filled = (fill, xMm, yMm) => fill.rects.some(([x, y, w, h]) => {
+  const [px, py] = [mmToPx(xMm), mmToPx(yMm)];
+  return px >= x && px <= x + w && py >= y && py <= y + h;
+});
+// Edges of the fill rectangles in mm: left, top, right, bottom
+const extent = fill => {
+  const mm = fill.rects.map(([x, y, w, h]) => [x, y, x + w, y + h].map(pxToMm));
+  return [0, 1].map(i => Math.min(...mm.map(r => r[i]))).concat([2, 3].map(i => Math.max(...mm.map(r => r[i]))));
+};
+
+test("the fill stays inside the board with the edge clearance and clears other nets", () => {
+  const shapes = [board, node(1, 5, 5, "ground"), node(2, 10, 15), node(3, 30, 15), trace(4, 2, 3, [10, 15, 30, 15])];
+  const gnd  = zone(5, 1, [-5, -5, 45, -5, 45, 25, -5, 25, -5, -5]);
+  const fill = fillZone(gnd, [...shapes, gnd], options);
+  const [left, top, right, bottom] = extent(fill);
+  expect(left).toBeGreaterThanOrEqual(1 - 1e-9);
+  expect(top).toBeGreaterThanOrEqual(1 - 1e-9);
+  expect(right).toBeLessThanOrEqual(39 + 1e-9);
+  expect(bottom).toBeLessThanOrEqual(19 + 1e-9);
+
+  expect(filled(fill, 20, 8)).toBe(true);
+  // Trace of another net: 0.25 mm half width plus 0.5 mm clearance
+  expect(filled(fill, 20, 15.7)).toBe(false);
+  expect(filled(fill, 20, 14.3)).toBe(false);
+  expect(filled(fill, 20, 16)).toBe(true);
+  // Pad of another net: 1 mm radius plus the clearance
+  expect(filled(fill, 10, 16.4)).toBe(false);
+});
+
+test("pads of the zone's net get thermal spokes and its vias are poured over", () => {
+  const via    = { ...node(2, 20, 10, "via"), padStack: { ...pad, padDiameter: 0.8, drillDiameter: 0.4 } };
+  const shapes = [board, node(1, 10, 10, "ground"), via, trace(3, 1, 2, [10, 10, 20, 10])];
+  const gnd  = zone(4, 1, [0, 0, 40, 0, 40, 20, 0, 20, 0, 0]);
+  const fill = fillZone(gnd, [...shapes, gnd], options);
+
+  expect(filled(fill, 10, 11.2)).toBe(false); // Gap around the pad
+  expect(fill.spokes).toHaveLength(4);
+  expect(fill.spokeWidth).toBeCloseTo(mmToPx(0.5));
+  expect(filled(fill, 20, 10)).toBe(true);   // Via
+  expect(filled(fill, 15, 10)).toBe(true);   // Trace of the same net
+
+  // Without a net every pad is cleared and nothing gets spokes
+  const none = fillZone({ ...gnd, nodeId: null }, [...shapes, gnd], options);
+  expect(none.spokes).toEqual([]);
+  expect(filled(none, 20, 10)).toBe(false);
+});
+
+test("zones of different nets on one layer do not pour into each other", () => {
+  const shapes = [board, node(1, 5, 5, "ground"), node(2, 35, 15)];
+  const gnd = zone(3, 1, [0, 0, 25, 0, 25, 20, 0, 20, 0, 0]);
+  const pwr = zone(4, 2, [15, 0, 40, 0, 40, 20, 15, 20, 15, 0]);
+  const all = [...shapes, gnd, pwr];
+  expect(filled(fillZone(gnd, all, options), 20, 10)).toBe(false);
+  expect(filled(fillZone(pwr, all, options), 20, 10)).toBe(false);
+  expect(filled(fillZone(gnd, all, options), 10, 10)).toBe(true);
+  expect(filled(fillZone({ ...pwr, copperLayer: "b_lig" }, all, options), 20, 10)).toBe(true);
+});
+
+test("fill paths and zone settings", () => {
+  expect(fillPath({ rects: [[1, 2, 3, 4]] })).toBe("M1 2h3v4h-3z");
+  expect(validateZone(DEFAULT_ZONE)).toBeNull();
+  expect(validateZone({ clearance: -1, thermalWidth: 0.5 })).toMatch(/Clearance/);
+  expect(validateZone({ clearance: 0.5, thermalWidth: 0 })).toMatch(/spoke/);
+});
+
+test("zones on deleted nodes move to a remaining node of their net, or to none", () => {
+  const shapes = [
+    node(1, 5, 5, "ground"), node(2, 10, 5, "ground"), node(3, 30, 15), trace(4, 1, 2, [5, 5, 10, 5]),
+    zone(5, 1, [0, 0, 20, 0, 20, 10, 0, 0]), zone(6, 3, [0, 0, 20, 0, 20, 10, 0, 0]), zone(7, 2, [0, 0, 5, 5, 0, 0])
+  ];
+  const { zones, reassigned } = reassignZones(shapes, [1, 4, 3, 7]);
+  expect(zones.map(z => z.id)).toEqual([5, 6]);
+  expect(reassigned.map(z => [z.id, z.nodeId])).toEqual([[5, 2], [6, null]]);
+  expect(reassignZones(shapes, [4]).zones).toEqual([]);
+});